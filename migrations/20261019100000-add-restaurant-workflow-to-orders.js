@@ -0,0 +1,25 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('orders', 'restaurant_accepted_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('orders', 'preparing_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('orders', 'ready_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('orders', 'ready_at');
+    await queryInterface.removeColumn('orders', 'preparing_at');
+    await queryInterface.removeColumn('orders', 'restaurant_accepted_at');
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('rides', 'driver_arrived_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('rides', 'cancellation_reason', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    await queryInterface.addColumn('rides', 'cancelled_by', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('rides', 'cancelled_by');
+    await queryInterface.removeColumn('rides', 'cancellation_reason');
+    await queryInterface.removeColumn('rides', 'driver_arrived_at');
+  }
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable('rides');
+
+    // Some databases already picked up user_id from an earlier sync
+    if (!columns.user_id) {
+      await queryInterface.addColumn('rides', 'user_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      });
+    }
+    await queryInterface.addColumn('rides', 'tracking_token_hash', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+    await queryInterface.addIndex('rides', ['user_id']);
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeIndex('rides', ['user_id']);
+    await queryInterface.removeColumn('rides', 'tracking_token_hash');
+    await queryInterface.removeColumn('rides', 'user_id');
+  }
+};
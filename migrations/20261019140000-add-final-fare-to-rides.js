@@ -0,0 +1,25 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('rides', 'quoted_fare', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    });
+    await queryInterface.addColumn('rides', 'actual_distance_km', {
+      type: Sequelize.DECIMAL(8, 2),
+      allowNull: true
+    });
+    await queryInterface.addColumn('rides', 'actual_duration_minutes', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('rides', 'actual_duration_minutes');
+    await queryInterface.removeColumn('rides', 'actual_distance_km');
+    await queryInterface.removeColumn('rides', 'quoted_fare');
+  }
+};
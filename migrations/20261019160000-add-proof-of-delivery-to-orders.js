@@ -0,0 +1,27 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('orders', 'dropoff_preference', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'hand_to_customer'
+    });
+    await queryInterface.addColumn('orders', 'delivery_code', {
+      type: Sequelize.STRING(6),
+      allowNull: true
+    });
+    await queryInterface.addColumn('orders', 'delivery_code_attempts', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('orders', 'delivery_code_attempts');
+    await queryInterface.removeColumn('orders', 'delivery_code');
+    await queryInterface.removeColumn('orders', 'dropoff_preference');
+  }
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    for (const table of ['orders', 'rides']) {
+      await queryInterface.addColumn(table, 'scheduled_for', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+      await queryInterface.addColumn(table, 'release_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+    await queryInterface.addColumn('restaurants', 'opening_hours', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeColumn('restaurants', 'opening_hours');
+    for (const table of ['rides', 'orders']) {
+      await queryInterface.removeColumn(table, 'release_at');
+      await queryInterface.removeColumn(table, 'scheduled_for');
+    }
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    for (const table of ['orders', 'rides']) {
+      await queryInterface.addColumn(table, 'discount', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      });
+      await queryInterface.addColumn(table, 'promo_code', {
+        type: Sequelize.STRING,
+        allowNull: true
+      });
+    }
+  },
+
+  async down (queryInterface, Sequelize) {
+    for (const table of ['rides', 'orders']) {
+      await queryInterface.removeColumn(table, 'promo_code');
+      await queryInterface.removeColumn(table, 'discount');
+    }
+  }
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    for (const table of ['orders', 'rides']) {
+      await queryInterface.addColumn(table, 'payment_status', {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'not_required'
+      });
+    }
+  },
+
+  async down (queryInterface, Sequelize) {
+    for (const table of ['rides', 'orders']) {
+      await queryInterface.removeColumn(table, 'payment_status');
+    }
+  }
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('wallet_transactions', 'sequence', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('wallet_transactions', 'ride_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'rides',
+        key: 'id'
+      }
+    });
+    await queryInterface.addColumn('wallet_transactions', 'payment_intent_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    // Number the existing refund credits in the order they were written
+    await queryInterface.sequelize.query(`
+      UPDATE wallet_transactions
+      SET sequence = (
+        SELECT COUNT(*) FROM wallet_transactions AS earlier
+        WHERE earlier.user_id = wallet_transactions.user_id
+          AND earlier.id <= wallet_transactions.id
+      )
+    `);
+
+    await queryInterface.addIndex('wallet_transactions', ['user_id', 'sequence'], {
+      unique: true,
+      name: 'wallet_transactions_user_id_sequence'
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeIndex('wallet_transactions', 'wallet_transactions_user_id_sequence');
+    await queryInterface.removeColumn('wallet_transactions', 'payment_intent_id');
+    await queryInterface.removeColumn('wallet_transactions', 'ride_id');
+    await queryInterface.removeColumn('wallet_transactions', 'sequence');
+  }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('restaurants', 'commission_rate', {
+      type: Sequelize.DECIMAL(5, 4),
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.removeColumn('restaurants', 'commission_rate');
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('restaurants', 'holidays', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    await queryInterface.addColumn('restaurants', 'paused_until', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('restaurants', 'pause_reason', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+  },
+
+  async down (queryInterface) {
+    await queryInterface.removeColumn('restaurants', 'pause_reason');
+    await queryInterface.removeColumn('restaurants', 'paused_until');
+    await queryInterface.removeColumn('restaurants', 'holidays');
+  }
+};
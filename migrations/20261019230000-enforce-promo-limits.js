@@ -0,0 +1,45 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('promo_codes', 'uses', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('promo_redemptions', 'user_use', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    // Counters and per-customer use numbers for redemptions made before this
+    await queryInterface.sequelize.query(`
+      UPDATE promo_codes SET uses = (
+        SELECT COUNT(*) FROM promo_redemptions r
+        WHERE r.promo_code_id = promo_codes.id AND r.status = 'applied'
+      )
+    `);
+    await queryInterface.sequelize.query(`
+      UPDATE promo_redemptions SET user_use = (
+        SELECT COUNT(*) FROM promo_redemptions p
+        WHERE p.promo_code_id = promo_redemptions.promo_code_id
+          AND p.user_id = promo_redemptions.user_id
+          AND p.status = 'applied'
+          AND p.id <= promo_redemptions.id
+      )
+      WHERE status = 'applied'
+    `);
+
+    await queryInterface.addIndex('promo_redemptions', ['promo_code_id', 'user_id', 'user_use'], {
+      unique: true,
+      name: 'promo_redemptions_promo_code_id_user_id_user_use'
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeIndex('promo_redemptions', 'promo_redemptions_promo_code_id_user_id_user_use');
+    await queryInterface.removeColumn('promo_redemptions', 'user_use');
+    await queryInterface.removeColumn('promo_codes', 'uses');
+  }
+};
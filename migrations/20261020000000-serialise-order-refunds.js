@@ -0,0 +1,49 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up (queryInterface, Sequelize) {
+    await queryInterface.addColumn('order_refunds', 'status', {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: 'completed'
+    });
+    await queryInterface.addColumn('order_refunds', 'sequence', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    // Refunds recorded before this were all completed; number them per order
+    await queryInterface.sequelize.query(`
+      UPDATE order_refunds SET sequence = (
+        SELECT COUNT(*) FROM order_refunds r
+        WHERE r.order_id = order_refunds.order_id AND r.id <= order_refunds.id
+      )
+    `);
+
+    await queryInterface.addColumn('orders', 'refund_sequence', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.sequelize.query(`
+      UPDATE orders SET refund_sequence = (
+        SELECT COUNT(*) FROM order_refunds r WHERE r.order_id = orders.id
+      )
+    `);
+
+    await queryInterface.removeIndex('order_refunds', ['order_id']);
+    await queryInterface.addIndex('order_refunds', ['order_id', 'sequence'], {
+      unique: true,
+      name: 'order_refunds_order_id_sequence'
+    });
+  },
+
+  async down (queryInterface, Sequelize) {
+    await queryInterface.removeIndex('order_refunds', 'order_refunds_order_id_sequence');
+    await queryInterface.addIndex('order_refunds', ['order_id']);
+    await queryInterface.removeColumn('orders', 'refund_sequence');
+    await queryInterface.removeColumn('order_refunds', 'sequence');
+    await queryInterface.removeColumn('order_refunds', 'status');
+  }
+};
@@ -7,6 +7,7 @@ const fs = require('fs');
 require('dotenv').config();
 
 const sequelize = require('./src/config/database');
+const paymentsConfig = require('./src/config/payments');
 const authRoutes = require('./src/routes/auth');
 const usersRoutes = require('./src/routes/users');
 const driversRoutes = require('./src/routes/drivers');
@@ -15,6 +16,19 @@ const publicRoutes = require('./src/routes/public');
 const deliveriesRoutes = require('./src/routes/deliveries');
 const deliveryRoutes = require('./src/routes/delivery');
 const ordersRoutes = require('./src/routes/orders');
+const restaurantOrdersRoutes = require('./src/routes/restaurantOrders');
+const dispatchRoutes = require('./src/routes/dispatch');
+const cashLedgerRoutes = require('./src/routes/cashLedger');
+const paymentsRoutes = require('./src/routes/payments');
+const walletRoutes = require('./src/routes/wallet');
+const earningsRoutes = require('./src/routes/earnings');
+const restaurantStatementsRoutes = require('./src/routes/restaurantStatements');
+const streamRoutes = require('./src/routes/stream');
+const adminTariffsRoutes = require('./src/routes/admin/tariffs');
+const adminPromoCodesRoutes = require('./src/routes/admin/promoCodes');
+const adminOrderRefundsRoutes = require('./src/routes/admin/orderRefunds');
+const adminPayoutsRoutes = require('./src/routes/admin/payouts');
+const adminRestaurantStatementsRoutes = require('./src/routes/admin/restaurantStatements');
 const favoritesRoutes = require('./src/routes/favorites');
 const pharmaciesRoutes = require('./src/routes/pharmacies');
 const restaurantsRoutes = require('./src/routes/restaurants');
@@ -33,6 +47,11 @@ const {
   Ride,
   initializeDatabase
 } = require('./src/models');
+const { startDispatchSweeper, stopDispatchSweeper } = require('./src/services/dispatch');
+const { startScheduler, stopScheduler } = require('./src/services/scheduler');
+const { startSettlementJob, stopSettlementJob } = require('./src/services/settlements');
+const { startIdempotencyCleanup, stopIdempotencyCleanup } = require('./src/middleware/idempotency');
+const { closeAllStreams } = require('./src/services/eventStream');
 
 const app = express();
 
@@ -60,8 +79,10 @@ const corsOptions = {
     'Authorization', 
     'X-Requested-With',
     'Accept',
-    'Origin'
+    'Origin',
+    'Idempotency-Key'
   ],
+  exposedHeaders: ['Idempotent-Replayed'],
   optionsSuccessStatus: 200
 };
 
@@ -83,6 +104,9 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
 }
 
+// Payment webhooks are signed over the exact bytes sent, so they keep a raw body
+app.use('/api/payments/webhooks', express.raw({ type: '*/*', limit: '1mb' }));
+
 app.use(express.json({
   limit: '10mb',
   extended: true
@@ -118,6 +142,14 @@ app.use('/api/rides', ridesRoutes);          // ✅ PROTECTED AFTER PUBLIC
 app.use('/api/deliveries', deliveriesRoutes);
 app.use('/api/delivery', deliveryRoutes);
 app.use('/api/orders', ordersRoutes);
+app.use('/api/restaurant-orders', restaurantOrdersRoutes);
+app.use('/api/dispatch', dispatchRoutes);
+app.use('/api/cash-ledger', cashLedgerRoutes);
+app.use('/api/payments', paymentsRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/earnings', earningsRoutes);
+app.use('/api/restaurant-statements', restaurantStatementsRoutes);
+app.use('/api/stream', streamRoutes);
 app.use('/api/favorites', favoritesRoutes);
 app.use('/api/pharmacies', pharmaciesRoutes);
 app.use('/api/restaurants', restaurantsRoutes);
@@ -126,6 +158,11 @@ app.use('/api/prescriptions', prescriptionsRoutes);
 app.use('/api/notifications', notificationsRoutes);
 app.use('/api/admin/pharmacies', pharmaciesRoutes);
 app.use('/api/admin/restaurants', restaurantsRoutes);
+app.use('/api/admin/tariffs', adminTariffsRoutes);
+app.use('/api/admin/promo-codes', adminPromoCodesRoutes);
+app.use('/api/admin/orders', adminOrderRefundsRoutes);
+app.use('/api/admin/payouts', adminPayoutsRoutes);
+app.use('/api/admin/restaurant-statements', adminRestaurantStatementsRoutes);
 
 // Health check endpoints
 app.get('/api/health', async (req, res) => {
@@ -489,6 +526,14 @@ app.get('/', (req, res) => {
       deliveries: '/api/deliveries',
       delivery: '/api/delivery',
       orders: '/api/orders',
+      'restaurant-orders': '/api/restaurant-orders',
+      dispatch: '/api/dispatch',
+      'cash-ledger': '/api/cash-ledger',
+      payments: '/api/payments',
+      wallet: '/api/wallet',
+      earnings: '/api/earnings',
+      'restaurant-statements': '/api/restaurant-statements',
+      stream: '/api/stream',
       favorites: '/api/favorites',
       pharmacies: '/api/pharmacies',
       restaurants: '/api/restaurants',
@@ -496,7 +541,12 @@ app.get('/', (req, res) => {
       prescriptions: '/api/prescriptions',
       notifications: '/api/notifications',
       admin_pharmacies: '/api/admin/pharmacies',
-      admin_restaurants: '/api/admin/restaurants'
+      admin_restaurants: '/api/admin/restaurants',
+      admin_tariffs: '/api/admin/tariffs',
+      admin_promo_codes: '/api/admin/promo-codes',
+      admin_order_refunds: '/api/admin/orders/:id/refunds',
+      admin_payouts: '/api/admin/payouts',
+      admin_restaurant_statements: '/api/admin/restaurant-statements'
     }
   });
 });
@@ -581,6 +631,11 @@ const startServer = async () => {
     console.log('Environment:', process.env.NODE_ENV || 'development');
     console.log('Port:', PORT);
 
+    // Webhooks must not be verifiable with a guessable or shared secret
+    if (!paymentsConfig.webhookSecret) {
+      throw new Error('PAYMENT_WEBHOOK_SECRET must be set in production');
+    }
+
     await sequelize.authenticate();
     console.log('✅ Database connection established successfully');
     
@@ -599,6 +654,18 @@ const startServer = async () => {
     // Initialize database with associations - replaces manual association setup
     await initializeDatabase();
 
+    // Expire unanswered driver offers and move them to the next drivers
+    startDispatchSweeper();
+
+    // Release scheduled orders and rides when their lead time is reached
+    startScheduler();
+
+    // Issue restaurant settlement statements when a period ends
+    startSettlementJob();
+
+    // Delete idempotency keys whose replay window has passed
+    startIdempotencyCleanup();
+
     const server = app.listen(PORT, () => {
       console.log('🎉 Server started successfully!');
       console.log(`🌍 Server running on: http://localhost:${PORT}`);
@@ -607,6 +674,15 @@ const startServer = async () => {
       console.log(`🔐 Auth endpoint: http://localhost:${PORT}/api/auth`);
       console.log(`👥 Users endpoint: http://localhost:${PORT}/api/users`);
       console.log(`📦 Orders endpoint: http://localhost:${PORT}/api/orders`);
+      console.log(`🧑‍🍳 Restaurant orders endpoint: http://localhost:${PORT}/api/restaurant-orders`);
+      console.log(`🛵 Dispatch endpoint: http://localhost:${PORT}/api/dispatch`);
+      console.log(`💵 Cash ledger endpoint: http://localhost:${PORT}/api/cash-ledger`);
+      console.log(`💳 Payments endpoint: http://localhost:${PORT}/api/payments`);
+      console.log(`👛 Wallet endpoint: http://localhost:${PORT}/api/wallet`);
+      console.log(`💰 Earnings endpoint: http://localhost:${PORT}/api/earnings`);
+      console.log(`🏦 Admin payouts endpoint: http://localhost:${PORT}/api/admin/payouts`);
+      console.log(`🧾 Restaurant statements endpoint: http://localhost:${PORT}/api/restaurant-statements`);
+      console.log(`📡 Live updates stream: http://localhost:${PORT}/api/stream`);
       console.log(`🚗 Rides endpoint: http://localhost:${PORT}/api/rides`);
       console.log(`🚚 Deliveries endpoint: http://localhost:${PORT}/api/deliveries`);
       console.log(`📱 Delivery Status endpoint: http://localhost:${PORT}/api/delivery`);
@@ -637,6 +713,12 @@ const startServer = async () => {
     const gracefulShutdown = async (signal) => {
       console.log(`\n🔄 Received ${signal}. Starting graceful shutdown...`);
       
+      stopDispatchSweeper();
+      stopScheduler();
+      stopSettlementJob();
+      stopIdempotencyCleanup();
+      closeAllStreams();
+
       server.close(async () => {
         console.log('🔌 HTTP server closed');
         
@@ -675,14 +757,19 @@ const startServer = async () => {
   }
 };
 
-process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error);
-  process.exit(1);
-});
+// Tests load the app without listening or starting background jobs
+if (require.main === module) {
+  process.on('uncaughtException', (error) => {
+    console.error('❌ Uncaught Exception:', error);
+    process.exit(1);
+  });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+    process.exit(1);
+  });
+
+  startServer();
+}
 
-startServer();
\ No newline at end of file
+module.exports = app;
@@ -0,0 +1,7 @@
+// src/config/cashLedger.js - Cash-on-delivery limits for couriers
+require('dotenv').config();
+
+module.exports = {
+  // Couriers holding this much un-handed-in cash are not offered cash orders
+  cashLimit: parseFloat(process.env.COURIER_CASH_LIMIT || '2000')
+};
@@ -79,7 +79,8 @@ else {
     console.log('📁 Created data directory:', dataDir);
   }
   
-  const dbPath = path.join(dataDir, 'togo_development.sqlite');
+  // Tests point SQLITE_STORAGE at a throwaway file
+  const dbPath = process.env.SQLITE_STORAGE || path.join(dataDir, 'togo_development.sqlite');
   console.log('🗄️  Local SQLite DB path:', dbPath);
   
   // Check if database file exists
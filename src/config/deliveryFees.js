@@ -0,0 +1,25 @@
+// src/config/deliveryFees.js - Distance-based delivery fees for restaurant orders and prescriptions
+require('dotenv').config();
+
+// "3:15,6:25,10:35" - up to 3 km costs 15, up to 6 km costs 25, ...
+const parseBands = (value) => value
+  .split(',')
+  .map(band => band.split(':').map(parseFloat))
+  .filter(([upToKm, fee]) => Number.isFinite(upToKm) && Number.isFinite(fee))
+  .map(([upToKm, fee]) => ({ up_to_km: upToKm, fee }))
+  .sort((a, b) => a.up_to_km - b.up_to_km);
+
+module.exports = {
+  // Straight-line distance is multiplied by this to approximate road distance
+  roadDistanceFactor: parseFloat(process.env.DELIVERY_ROAD_DISTANCE_FACTOR || '1.3'),
+  bands: parseBands(process.env.DELIVERY_FEE_BANDS || '3:15,6:25,10:35'),
+  // Added per started kilometre past the last band, up to the radius
+  perKmBeyondBands: parseFloat(process.env.DELIVERY_FEE_PER_KM_BEYOND_BANDS || '4'),
+  minimumFee: parseFloat(process.env.DELIVERY_MINIMUM_FEE || '10'),
+  maxRadiusKm: parseFloat(process.env.DELIVERY_MAX_RADIUS_KM || '15'),
+  // Baskets under the threshold pay the surcharge on top of the distance fee
+  smallBasketThreshold: parseFloat(process.env.DELIVERY_SMALL_BASKET_THRESHOLD || '50'),
+  smallBasketSurcharge: parseFloat(process.env.DELIVERY_SMALL_BASKET_SURCHARGE || '10'),
+  // Used for pharmacies when either location is unknown
+  fallbackFee: parseFloat(process.env.DELIVERY_FALLBACK_FEE || '25')
+};
@@ -0,0 +1,19 @@
+// src/config/dispatch.js - Driver dispatch tuning for delivery orders
+require('dotenv').config();
+
+module.exports = {
+  // How many drivers are offered an order at the same time
+  batchSize: parseInt(process.env.DISPATCH_BATCH_SIZE || '3'),
+  // Seconds a driver has to answer before the offer moves on
+  offerTimeoutSeconds: parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS || '60'),
+  // Waves of offers before the order is escalated to admins
+  maxWaves: parseInt(process.env.DISPATCH_MAX_WAVES || '3'),
+  maxRadiusKm: parseFloat(process.env.DISPATCH_MAX_RADIUS_KM || '15'),
+  // Drivers already carrying this many orders are skipped
+  maxActiveOrders: parseInt(process.env.DISPATCH_MAX_ACTIVE_ORDERS || '3'),
+  sweepIntervalSeconds: parseInt(process.env.DISPATCH_SWEEP_INTERVAL_SECONDS || '15'),
+  // The ranking score is in kilometres: each active order and each missing
+  // rating star counts as this many extra kilometres of distance
+  loadPenaltyKm: parseFloat(process.env.DISPATCH_LOAD_PENALTY_KM || '2'),
+  ratingPenaltyKm: parseFloat(process.env.DISPATCH_RATING_PENALTY_KM || '1')
+};
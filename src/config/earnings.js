@@ -0,0 +1,29 @@
+// src/config/earnings.js - Commission rules for driver pay and statement periods
+require('dotenv').config();
+
+// "motorcycle:0.15,van:0.25" - commission rate per vehicle type
+const parseRates = (value) => Object.fromEntries(value
+  .split(',')
+  .map(pair => pair.split(':').map(part => part.trim()))
+  .filter(([key, rate]) => key && Number.isFinite(parseFloat(rate)))
+  .map(([key, rate]) => [key, parseFloat(rate)]));
+
+module.exports = {
+  orders: {
+    // Share of the delivery fee the platform keeps; the courier earns the rest.
+    // Older setups configured the courier's share instead.
+    commissionRate: parseFloat(process.env.ORDER_COMMISSION_RATE ||
+      String(1 - parseFloat(process.env.COURIER_DELIVERY_FEE_SHARE || '1'))),
+    // Least a courier earns for a delivery, whatever the fee
+    minimumPayout: parseFloat(process.env.ORDER_MINIMUM_PAYOUT || '0')
+  },
+  rides: {
+    // Share of the fare (before promo discounts) the platform keeps
+    commissionRate: parseFloat(process.env.RIDE_COMMISSION_RATE || '0.2'),
+    commissionByVehicle: parseRates(process.env.RIDE_COMMISSION_BY_VEHICLE || ''),
+    minimumPayout: parseFloat(process.env.RIDE_MINIMUM_PAYOUT || '0')
+  },
+  // Statements group earnings by local day, and by weeks starting on this day (0 = Sunday, 6 = Saturday)
+  timezone: process.env.EARNINGS_TIMEZONE || process.env.SCHEDULING_TIMEZONE || 'Africa/Cairo',
+  weekStartsOn: parseInt(process.env.EARNINGS_WEEK_STARTS_ON || '6')
+};
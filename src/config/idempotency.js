@@ -0,0 +1,10 @@
+// src/config/idempotency.js - Replay protection for create endpoints
+require('dotenv').config();
+
+module.exports = {
+  // How long a key and its stored response are kept for replays
+  ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24'),
+  // How often expired keys are deleted
+  cleanupIntervalMinutes: parseInt(process.env.IDEMPOTENCY_CLEANUP_INTERVAL_MINUTES || '60'),
+  maxKeyLength: 255
+};
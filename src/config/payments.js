@@ -0,0 +1,20 @@
+// src/config/payments.js - Online payment provider settings
+require('dotenv').config();
+const crypto = require('crypto');
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+module.exports = {
+  // Name of a provider registered in services/paymentProviders
+  provider: process.env.PAYMENT_PROVIDER || 'mock',
+  // The mock gateway authorizes payments without charging anyone, so it and
+  // its checkout route are never available in production
+  mockEnabled: !isProduction,
+  currency: process.env.PAYMENT_CURRENCY || 'EGP',
+  // Shared secret the provider signs webhooks with. Required in production;
+  // elsewhere a random one per boot is enough for the mock checkout to sign
+  // its own webhooks.
+  webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || (isProduction ? null : crypto.randomBytes(32).toString('hex')),
+  // Webhooks with a signature timestamp older than this are rejected as replays
+  webhookToleranceSeconds: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS || '300')
+};
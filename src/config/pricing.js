@@ -0,0 +1,9 @@
+// src/config/pricing.js - Pricing settings shared by order quotes and checkout
+require('dotenv').config();
+
+module.exports = {
+  currency: process.env.CURRENCY || 'EGP',
+  // Fraction of the items subtotal, e.g. 0.14 for 14% VAT
+  taxRate: parseFloat(process.env.ORDER_TAX_RATE || '0'),
+  maxItemQuantity: parseInt(process.env.ORDER_MAX_ITEM_QUANTITY || '50')
+};
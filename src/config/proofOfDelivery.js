@@ -0,0 +1,11 @@
+// src/config/proofOfDelivery.js - Delivery codes and proof photos
+require('dotenv').config();
+const path = require('path');
+
+module.exports = {
+  // Kept outside /uploads, which is served publicly; admins fetch photos through the API
+  storageDir: process.env.DELIVERY_PROOF_DIR || path.join(__dirname, '../../storage/delivery-proofs'),
+  maxPhotoBytes: parseInt(process.env.DELIVERY_PROOF_MAX_PHOTO_BYTES || String(5 * 1024 * 1024)),
+  // Wrong codes allowed before the driver has to fall back to a photo
+  maxCodeAttempts: parseInt(process.env.DELIVERY_CODE_MAX_ATTEMPTS || '5')
+};
@@ -0,0 +1,24 @@
+// src/config/rides.js - Fare estimation and quote settings for rides
+require('dotenv').config();
+
+module.exports = {
+  // Straight-line distance is multiplied by this to approximate road distance
+  roadDistanceFactor: parseFloat(process.env.RIDE_ROAD_DISTANCE_FACTOR || '1.3'),
+  averageSpeedKmh: parseFloat(process.env.RIDE_AVERAGE_SPEED_KMH || '30'),
+  // Night multipliers apply between these local hours
+  timezone: process.env.RIDE_TIMEZONE || 'Africa/Cairo',
+  nightStartHour: parseInt(process.env.RIDE_NIGHT_START_HOUR || '23'),
+  nightEndHour: parseInt(process.env.RIDE_NIGHT_END_HOUR || '5'),
+  quoteTtlMinutes: parseInt(process.env.RIDE_QUOTE_TTL_MINUTES || '10'),
+  quoteSecret: process.env.QUOTE_SECRET || process.env.JWT_SECRET || 'your-secret-key',
+  // A measured fare above this multiple of the quote is not trusted and the quote is charged
+  maxFareOverQuote: parseFloat(process.env.RIDE_MAX_FARE_OVER_QUOTE || '1.5'),
+  // Used for any vehicle/ride type an admin has not configured a tariff for
+  defaultTariff: {
+    base_fare: parseFloat(process.env.RIDE_DEFAULT_BASE_FARE || '10'),
+    per_km: parseFloat(process.env.RIDE_DEFAULT_PER_KM || '4'),
+    per_minute: parseFloat(process.env.RIDE_DEFAULT_PER_MINUTE || '0.5'),
+    minimum_fare: parseFloat(process.env.RIDE_DEFAULT_MINIMUM_FARE || '20'),
+    night_multiplier: parseFloat(process.env.RIDE_DEFAULT_NIGHT_MULTIPLIER || '1.2')
+  }
+};
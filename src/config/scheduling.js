@@ -0,0 +1,17 @@
+// src/config/scheduling.js - Pre-booked orders and rides, and restaurant opening times
+require('dotenv').config();
+
+module.exports = {
+  // Opening hours and scheduled times are read in this timezone
+  timezone: process.env.SCHEDULING_TIMEZONE || 'Africa/Cairo',
+  // How far ahead a job must be to count as scheduled rather than "as soon as possible"
+  minLeadMinutes: parseInt(process.env.SCHEDULING_MIN_LEAD_MINUTES || '30'),
+  maxDaysAhead: parseInt(process.env.SCHEDULING_MAX_DAYS_AHEAD || '7'),
+  // Orders are released this long before their estimated_delivery_time runs out
+  orderReleaseBufferMinutes: parseInt(process.env.SCHEDULING_ORDER_RELEASE_BUFFER_MINUTES || '10'),
+  // Rides are released this long before the pickup time so a driver can get there
+  rideReleaseLeadMinutes: parseInt(process.env.SCHEDULING_RIDE_RELEASE_LEAD_MINUTES || '15'),
+  // Longest a restaurant can pause new orders for in one go (busy mode)
+  maxPauseMinutes: parseInt(process.env.RESTAURANT_MAX_PAUSE_MINUTES || '240'),
+  sweepIntervalSeconds: parseInt(process.env.SCHEDULING_SWEEP_INTERVAL_SECONDS || '60')
+};
@@ -0,0 +1,13 @@
+// src/config/settlements.js - Restaurant commission and settlement periods
+require('dotenv').config();
+
+module.exports = {
+  // Share of a restaurant's sales the platform keeps, unless the restaurant has its own rate
+  defaultCommissionRate: parseFloat(process.env.RESTAURANT_COMMISSION_RATE || '0.15'),
+  // "week" or "month"; weeks start on weekStartsOn (0 = Sunday, 6 = Saturday)
+  period: process.env.SETTLEMENT_PERIOD === 'month' ? 'month' : 'week',
+  weekStartsOn: parseInt(process.env.SETTLEMENT_WEEK_STARTS_ON || '6'),
+  timezone: process.env.SETTLEMENT_TIMEZONE || process.env.SCHEDULING_TIMEZONE || 'Africa/Cairo',
+  // How often the job checks for a period that has ended without statements
+  sweepIntervalMinutes: parseInt(process.env.SETTLEMENT_SWEEP_INTERVAL_MINUTES || '60')
+};
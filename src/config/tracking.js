@@ -0,0 +1,10 @@
+// src/config/tracking.js - Live courier and driver tracking for customers
+require('dotenv').config();
+
+module.exports = {
+  // Straight-line distance is multiplied by this to approximate road distance
+  roadDistanceFactor: parseFloat(process.env.TRACKING_ROAD_DISTANCE_FACTOR || '1.3'),
+  averageSpeedKmh: parseFloat(process.env.TRACKING_AVERAGE_SPEED_KMH || '25'),
+  // A location older than this is flagged stale so apps can say so
+  staleAfterSeconds: parseInt(process.env.TRACKING_STALE_AFTER_SECONDS || '120')
+};
@@ -0,0 +1,8 @@
+// src/config/wallet.js - Limits on customer wallet top-ups
+require('dotenv').config();
+
+module.exports = {
+  // Smallest and largest amount a customer may pay in at once
+  topUpMin: parseFloat(process.env.WALLET_TOP_UP_MIN || '10'),
+  topUpMax: parseFloat(process.env.WALLET_TOP_UP_MAX || '5000')
+};
@@ -134,6 +134,15 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// For routes open to guests: a request without a token continues with no
+// req.user, while a token that is sent must still be valid
+const optionalAuth = (req, res, next) => {
+  if (!req.header('Authorization')) {
+    return next();
+  }
+  return authenticateToken(req, res, next);
+};
+
 // Role-based authorization middleware
 const requireRole = (allowedRoles) => {
   return (req, res, next) => {
@@ -197,6 +206,7 @@ const simpleAuth = (req, res, next) => {
 module.exports = {
   auth: authenticateToken, // Alias for backward compatibility
   authenticateToken,
+  optionalAuth,
   requireRole,
   requireAdmin,
   simpleAuth
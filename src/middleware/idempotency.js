@@ -0,0 +1,112 @@
+// src/middleware/idempotency.js - Honours the Idempotency-Key header on create endpoints
+
+const crypto = require('crypto');
+const idempotencyConfig = require('../config/idempotency');
+const { hashRequest, claimKey, completeKey, releaseKey, purgeExpiredKeys } = require('../services/idempotency');
+const { isServiceError, sendServiceError } = require('../services/errors');
+
+let cleaner = null;
+
+// Guests share no account, so their keys are scoped to the client instead:
+// two guests reusing a key must never receive each other's responses.
+const ownerOf = (req) => {
+  if (req.user) return `user:${req.user.id}`;
+
+  const client = `${req.ip || ''}|${req.get('User-Agent') || ''}`;
+  return `guest:${crypto.createHash('sha256').update(client).digest('hex')}`;
+};
+
+// Requests without the header behave as before. Only successful responses
+// are stored; anything else frees the key so the client may retry.
+// Must run after the auth middleware so keys are scoped to the caller.
+const idempotent = (scope) => async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > idempotencyConfig.maxKeyLength) {
+    return res.status(400).json({
+      success: false,
+      message: 'مفتاح الطلب طويل جداً',
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  let claim;
+  try {
+    claim = await claimKey({
+      scope,
+      owner: ownerOf(req),
+      key,
+      requestHash: hashRequest(req.body)
+    });
+  } catch (error) {
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
+
+    console.error('[IDEMPOTENCY] Failed to claim key:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'خطأ داخلي في الخادم',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+
+  if (claim.replay) {
+    console.log(`[IDEMPOTENCY] Replaying ${scope} for key ${key}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.replay.response_status).json(claim.replay.response_body);
+  }
+
+  let responseBody;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  let settled = false;
+  const settle = async (finished) => {
+    if (settled) return;
+    settled = true;
+    try {
+      if (finished && res.statusCode >= 200 && res.statusCode < 300) {
+        await completeKey(claim.record, res.statusCode, responseBody);
+      } else {
+        await releaseKey(claim.record);
+      }
+    } catch (error) {
+      console.error('[IDEMPOTENCY] Failed to store response:', error);
+    }
+  };
+
+  res.on('finish', () => settle(true));
+  res.on('close', () => settle(false));
+
+  next();
+};
+
+const startIdempotencyCleanup = () => {
+  if (cleaner) return cleaner;
+
+  cleaner = setInterval(() => {
+    purgeExpiredKeys().catch(error => console.error('[IDEMPOTENCY] Cleanup failed:', error));
+  }, idempotencyConfig.cleanupIntervalMinutes * 60 * 1000);
+  cleaner.unref();
+
+  console.log(`[IDEMPOTENCY] Deleting expired keys every ${idempotencyConfig.cleanupIntervalMinutes}m`);
+  return cleaner;
+};
+
+const stopIdempotencyCleanup = () => {
+  if (cleaner) {
+    clearInterval(cleaner);
+    cleaner = null;
+  }
+};
+
+module.exports = {
+  idempotent,
+  startIdempotencyCleanup,
+  stopIdempotencyCleanup
+};
@@ -0,0 +1,88 @@
+// src/models/CourierLedgerEntry.js - Money movements per courier: cash collected, pay earned, cash handed in
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CourierLedgerEntry = sequelize.define('CourierLedgerEntry', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  driver_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  // Set for entries booked on delivery, null for hand-ins
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+
+  // Only for restaurant_payable(_reversal) entries
+  restaurant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  // cash_collected: cash taken from the customer
+  // driver_earning: pay owed to the courier for the order
+  // restaurant_payable: what the restaurant is owed for its part of the order
+  // cash_handin: cash the courier handed over to an admin
+  // earning_reversal / restaurant_payable_reversal: taken back by a refund
+  // earning_payout: order pay sent to the courier in a payout batch
+  entry_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['cash_collected', 'driver_earning', 'restaurant_payable', 'cash_handin', 'earning_reversal', 'restaurant_payable_reversal', 'earning_payout']]
+    }
+  },
+
+  // Always positive; entry_type says which way it moves
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    },
+    get() {
+      const value = this.getDataValue('amount');
+      return parseFloat(value) || 0;
+    }
+  },
+
+  recorded_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'courier_ledger_entries',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['driver_id', 'entry_type']
+    },
+    {
+      fields: ['order_id']
+    }
+  ]
+});
+
+module.exports = CourierLedgerEntry;
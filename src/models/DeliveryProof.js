@@ -0,0 +1,91 @@
+// src/models/DeliveryProof.js - Evidence a driver submitted when marking an order delivered
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const DeliveryProof = sequelize.define('DeliveryProof', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+
+  driver_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  // 'code' when the customer's delivery code was entered, 'photo' otherwise
+  method: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['code', 'photo']]
+    }
+  },
+
+  dropoff_preference: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  // File name inside the private proof storage directory, never a public URL
+  photo_file: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  photo_mime_type: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  // Where the driver was when submitting, if the app sent it
+  location: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const value = this.getDataValue('location');
+      if (!value) return null;
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return null;
+      }
+    },
+    set(value) {
+      this.setDataValue('location', value ? JSON.stringify(value) : null);
+    }
+  },
+
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  delivered_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'delivery_proofs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false
+});
+
+module.exports = DeliveryProof;
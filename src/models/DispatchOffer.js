@@ -0,0 +1,104 @@
+// src/models/DispatchOffer.js - An order offered to one driver for a limited time
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const DispatchOffer = sequelize.define('DispatchOffer', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+
+  driver_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  // 1 for the first batch of drivers, 2 for the next, ...
+  wave: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+
+  // Position of the driver in the ranking for this wave
+  rank: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: {
+      isIn: [['pending', 'accepted', 'declined', 'expired', 'cancelled']]
+    }
+  },
+
+  distance_km: {
+    type: DataTypes.DECIMAL(8, 2),
+    allowNull: true,
+    get() {
+      const value = this.getDataValue('distance_km');
+      return value === null || value === undefined ? null : parseFloat(value);
+    }
+  },
+
+  active_orders: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  score: {
+    type: DataTypes.DECIMAL(8, 2),
+    allowNull: true,
+    get() {
+      const value = this.getDataValue('score');
+      return value === null || value === undefined ? null : parseFloat(value);
+    }
+  },
+
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+
+  responded_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'dispatch_offers',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['order_id', 'status']
+    },
+    {
+      fields: ['driver_id', 'status']
+    },
+    {
+      fields: ['status', 'expires_at']
+    }
+  ]
+});
+
+module.exports = DispatchOffer;
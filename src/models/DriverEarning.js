@@ -0,0 +1,138 @@
+// src/models/DriverEarning.js - What a driver or courier earned per delivered order or completed ride
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const money = (field, options = {}) => ({
+  type: DataTypes.DECIMAL(10, 2),
+  allowNull: false,
+  defaultValue: 0,
+  ...options,
+  get() {
+    const value = this.getDataValue(field);
+    return parseFloat(value) || 0;
+  }
+});
+
+const DriverEarning = sequelize.define('DriverEarning', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  driver_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  job_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['order', 'ride']]
+    }
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+
+  ride_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'rides',
+      key: 'id'
+    }
+  },
+
+  // earning: booked when the job is done; reversal: taken back by a refund
+  entry_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'earning',
+    validate: {
+      isIn: [['earning', 'reversal']]
+    }
+  },
+
+  // What the job was worth before commission: the delivery fee or the undiscounted fare
+  gross_amount: money('gross_amount'),
+
+  commission_rate: {
+    type: DataTypes.DECIMAL(5, 4),
+    allowNull: false,
+    defaultValue: 0,
+    get() {
+      const value = this.getDataValue('commission_rate');
+      return parseFloat(value) || 0;
+    }
+  },
+
+  commission_amount: money('commission_amount'),
+
+  // The driver's pay; negative for a reversal
+  amount: money('amount'),
+
+  // Cash the driver kept from the customer (the fare of a cash ride). Cash
+  // orders are handed in through the courier cash ledger instead.
+  cash_collected: money('cash_collected'),
+
+  earned_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'unpaid',
+    validate: {
+      isIn: [['unpaid', 'paid']]
+    }
+  },
+
+  payout_batch_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  paid_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'driver_earnings',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['driver_id', 'earned_at']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['order_id']
+    },
+    {
+      fields: ['ride_id']
+    },
+    {
+      fields: ['payout_batch_id']
+    }
+  ]
+});
+
+module.exports = DriverEarning;
@@ -0,0 +1,87 @@
+// src/models/IdempotencyKey.js - Idempotency-Key seen on a create request and the response it got
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  key: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+
+  // Endpoint the key was used on, e.g. "POST /api/orders"
+  scope: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  // "user:<id>" or "guest:<client hash>", so two callers cannot collide on the same key
+  owner: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  // sha256 of the request body; the same key with another body is rejected
+  request_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+
+  // in_progress while the first request runs, completed once its response is stored
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'in_progress',
+    validate: {
+      isIn: [['in_progress', 'completed']]
+    }
+  },
+
+  response_status: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  response_body: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const value = this.getDataValue('response_body');
+      if (!value) return null;
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return null;
+      }
+    },
+    set(value) {
+      this.setDataValue('response_body', value === undefined ? null : JSON.stringify(value));
+    }
+  },
+
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'idempotency_keys',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['scope', 'owner', 'key']
+    },
+    {
+      fields: ['expires_at']
+    }
+  ]
+});
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,83 @@
+// src/models/Notification.js - In-app notifications for every user role
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  // new_order, order_status, dispatch_escalated, ...
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  priority: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'normal',
+    validate: {
+      isIn: [['low', 'normal', 'high', 'urgent']]
+    }
+  },
+
+  payload: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const value = this.getDataValue('payload');
+      if (!value) return null;
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        console.error('Error parsing notification payload JSON:', e);
+        return null;
+      }
+    },
+    set(value) {
+      this.setDataValue('payload', value === null || value === undefined ? null : JSON.stringify(value));
+    }
+  },
+
+  read_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'notifications',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['user_id', 'created_at']
+    },
+    {
+      fields: ['user_id', 'read_at']
+    }
+  ]
+});
+
+module.exports = Notification;
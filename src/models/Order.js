@@ -1,6 +1,10 @@
 // src/models/Order.js - Fixed Order Model with Proper ID Generation
 const { DataTypes, Op } = require('sequelize');
 const sequelize = require('../config/database');
+const crypto = require('crypto');
+
+// Four digits the customer reads out to the driver at the door
+const generateDeliveryCode = () => String(crypto.randomInt(0, 10000)).padStart(4, '0');
 
 const Order = sequelize.define('Order', {
   id: {
@@ -173,7 +177,10 @@ const Order = sequelize.define('Order', {
     allowNull: false,
     defaultValue: 'pending_assignment',
     validate: {
-      isIn: [['pending_assignment', 'assigned', 'in_progress', 'delivered', 'cancelled']]
+      isIn: [[
+        'scheduled', 'pending_restaurant', 'pending_assignment', 'assigned', 'preparing',
+        'ready_for_pickup', 'in_progress', 'delivered', 'rejected', 'cancelled'
+      ]]
     }
   },
   
@@ -182,7 +189,7 @@ const Order = sequelize.define('Order', {
     allowNull: false,
     defaultValue: 'cash',
     validate: {
-      isIn: [['cash', 'vodafone_cash', 'instapay', 'credit_card']]
+      isIn: [['cash', 'vodafone_cash', 'instapay', 'credit_card', 'wallet']]
     }
   },
   
@@ -219,6 +226,40 @@ const Order = sequelize.define('Order', {
     allowNull: true
   },
   
+  // Restaurant-side workflow timestamps
+  restaurant_accepted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  
+  preparing_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  
+  ready_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  
+  // Requested delivery time for pre-booked orders; null means as soon as possible
+  scheduled_for: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  
+  // When the scheduler hands a scheduled order to the restaurant or drivers
+  release_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  
+  // Set when no driver accepted the dispatch offers and admins were alerted
+  dispatch_escalated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  
   started_at: {
     type: DataTypes.DATE,
     allowNull: true
@@ -259,6 +300,44 @@ const Order = sequelize.define('Order', {
       return parseFloat(value) || 0;
     }
   },
+
+  // Promo code discount, already taken off total
+  discount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      isDecimal: true,
+      min: 0
+    },
+    get() {
+      const value = this.getDataValue('discount');
+      return parseFloat(value) || 0;
+    }
+  },
+
+  promo_code: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  // Online payments: drivers are not offered the order until it is "authorized"
+  payment_status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'not_required',
+    validate: {
+      isIn: [['not_required', 'pending', 'authorized', 'captured', 'failed', 'voided', 'refunded', 'partially_refunded']]
+    }
+  },
+
+  // Last OrderRefund.sequence handed out. Refunds increment it first, which
+  // holds the order until their checks are done.
+  refund_sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
   
   notes: {
     type: DataTypes.TEXT,
@@ -323,6 +402,28 @@ const Order = sequelize.define('Order', {
     allowNull: true
   },
   
+  // leave_at_door and contactless deliveries must be proven with a photo
+  dropoff_preference: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'hand_to_customer',
+    validate: {
+      isIn: [['hand_to_customer', 'leave_at_door', 'contactless']]
+    }
+  },
+  
+  // Shown to the customer only; the driver must collect it at the door
+  delivery_code: {
+    type: DataTypes.STRING(6),
+    allowNull: true
+  },
+  
+  delivery_code_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  
   rating: {
     type: DataTypes.INTEGER,
     allowNull: true,
@@ -361,9 +462,13 @@ const Order = sequelize.define('Order', {
   hooks: {
     beforeCreate: (order, options) => {
       // Ensure status is valid for new orders
-      if (!order.status || !['pending_assignment', 'assigned'].includes(order.status)) {
+      if (!order.status || !['scheduled', 'pending_restaurant', 'pending_assignment', 'assigned'].includes(order.status)) {
         order.status = 'pending_assignment';
       }
+
+      if (!order.delivery_code) {
+        order.delivery_code = generateDeliveryCode();
+      }
       
       console.log('Order before create hook - ID:', order.id);
     },
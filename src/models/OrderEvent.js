@@ -0,0 +1,98 @@
+// src/models/OrderEvent.js - Append-only order timeline (status transitions and notable changes)
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const OrderEvent = sequelize.define('OrderEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+
+  event_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'status_changed'
+  },
+
+  from_status: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  to_status: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  actor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  // Role at the time of the event: customer, delivery, restaurant, admin or system
+  actor_role: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'system'
+  },
+
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  payload: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const value = this.getDataValue('payload');
+      if (!value) return null;
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        console.error('Error parsing order event payload JSON:', e);
+        return null;
+      }
+    },
+    set(value) {
+      this.setDataValue('payload', value === null || value === undefined ? null : JSON.stringify(value));
+    }
+  }
+}, {
+  tableName: 'order_events',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['order_id', 'created_at']
+    },
+    {
+      fields: ['actor_id']
+    }
+  ],
+  hooks: {
+    beforeUpdate: () => {
+      throw new Error('Order events are append-only and cannot be modified');
+    },
+    beforeDestroy: () => {
+      throw new Error('Order events are append-only and cannot be deleted');
+    }
+  }
+});
+
+module.exports = OrderEvent;
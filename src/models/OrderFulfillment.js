@@ -0,0 +1,145 @@
+// src/models/OrderFulfillment.js - One restaurant's share of a customer order
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const jsonColumn = (name, fallback) => ({
+  type: DataTypes.TEXT,
+  allowNull: true,
+  get() {
+    const value = this.getDataValue(name);
+    if (!value) return fallback;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      console.error(`Error parsing ${name} JSON:`, e);
+      return fallback;
+    }
+  },
+  set(value) {
+    this.setDataValue(name, value === null || value === undefined ? null : JSON.stringify(value));
+  }
+});
+
+const OrderFulfillment = sequelize.define('OrderFulfillment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+
+  restaurant_email: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    set(value) {
+      this.setDataValue('restaurant_email', value ? value.toLowerCase().trim() : value);
+    }
+  },
+
+  // Restaurant row id, or the restaurant user id for user-only restaurants
+  restaurant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  restaurant_name: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  items: {
+    ...jsonColumn('items', []),
+    allowNull: false
+  },
+
+  subtotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    get() {
+      return parseFloat(this.getDataValue('subtotal')) || 0;
+    }
+  },
+
+  delivery_fee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    get() {
+      return parseFloat(this.getDataValue('delivery_fee')) || 0;
+    }
+  },
+
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pending_restaurant',
+    validate: {
+      isIn: [[
+        'pending_restaurant', 'accepted', 'preparing', 'ready_for_pickup',
+        'picked_up', 'delivered', 'rejected', 'cancelled'
+      ]]
+    }
+  },
+
+  pickup_location: jsonColumn('pickup_location', null),
+
+  estimated_prep_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  rejected_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  accepted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  preparing_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  ready_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  picked_up_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  rejected_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'order_fulfillments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['order_id', 'restaurant_email']
+    },
+    {
+      fields: ['restaurant_email', 'status']
+    }
+  ]
+});
+
+module.exports = OrderFulfillment;
@@ -0,0 +1,148 @@
+// src/models/OrderRefund.js - Money given back to a customer for all or part of an order
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const OrderRefund = sequelize.define('OrderRefund', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+
+  // Position among the order's refunds, 1 for the first. Unique per order,
+  // so two refunds that read the same history cannot both be recorded.
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // pending: amount reserved, money not yet booked; completed: paid back;
+  // failed: the provider or the booking refused it and it no longer counts
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: {
+      isIn: [['pending', 'completed', 'failed']]
+    }
+  },
+
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    },
+    get() {
+      const value = this.getDataValue('amount');
+      return parseFloat(value) || 0;
+    }
+  },
+
+  // full: everything still refundable; partial: items, delivery fee or an amount
+  refund_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['full', 'partial']]
+    }
+  },
+
+  reason_code: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  // original_method: back through the payment provider; wallet: customer wallet
+  destination: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['original_method', 'wallet']]
+    }
+  },
+
+  // [{ index, menu_item_id, name, quantity, amount, restaurant_id }]
+  items: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+
+  delivery_fee_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    get() {
+      const value = this.getDataValue('delivery_fee_amount');
+      return parseFloat(value) || 0;
+    }
+  },
+
+  // What was taken back from each party's settlement:
+  // { restaurants: [{ restaurant_id, amount }], driver: { driver_id, amount } }
+  settlement_adjustments: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+
+  // Where the money went: the intent refunded through the provider, or the wallet credit
+  payment_intent_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  provider_refund_reference: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  wallet_transaction_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+}, {
+  tableName: 'order_refunds',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['order_id', 'sequence']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+module.exports = OrderRefund;
@@ -0,0 +1,143 @@
+// src/models/PaymentIntent.js - One online payment attempt for an order or ride
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const money = (field) => ({
+  type: DataTypes.DECIMAL(10, 2),
+  allowNull: false,
+  defaultValue: 0,
+  get() {
+    const value = this.getDataValue(field);
+    return parseFloat(value) || 0;
+  }
+});
+
+const PaymentIntent = sequelize.define('PaymentIntent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // At most one of order_id / ride_id is set; neither for a wallet top-up
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+
+  ride_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'rides',
+      key: 'id'
+    }
+  },
+
+  // Null for guest rides
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  provider: {
+    type: DataTypes.STRING(40),
+    allowNull: false
+  },
+
+  // The provider's id for this payment; webhooks are matched on it
+  provider_reference: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+
+  payment_method: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'EGP'
+  },
+
+  amount: money('amount'),
+  captured_amount: money('captured_amount'),
+  refunded_amount: money('refunded_amount'),
+
+  // requires_authorization -> authorized -> captured -> (partially_)refunded,
+  // or authorized -> voided; failed and cancelled end an attempt early
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'requires_authorization',
+    validate: {
+      isIn: [['requires_authorization', 'authorized', 'captured', 'failed', 'cancelled', 'voided', 'refunded', 'partially_refunded']]
+    }
+  },
+
+  // What the customer has to do next, e.g. { type: 'redirect', url }
+  next_action: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+
+  failure_reason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  // Last webhook event applied, so a redelivered event is ignored
+  last_event_id: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  authorized_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  captured_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  voided_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  refunded_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'payment_intents',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['order_id']
+    },
+    {
+      fields: ['ride_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = PaymentIntent;
@@ -0,0 +1,65 @@
+// src/models/PayoutBatch.js - One admin payout run covering the unpaid earnings of many drivers
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const money = (field) => ({
+  type: DataTypes.DECIMAL(12, 2),
+  allowNull: false,
+  defaultValue: 0,
+  get() {
+    const value = this.getDataValue(field);
+    return parseFloat(value) || 0;
+  }
+});
+
+const PayoutBatch = sequelize.define('PayoutBatch', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Printed on the payout file, e.g. "PO-20261019-7"
+  reference: {
+    type: DataTypes.STRING(40),
+    allowNull: true,
+    unique: true
+  },
+
+  // Earnings up to this moment were included
+  earned_before: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+
+  total_amount: money('total_amount'),
+
+  drivers_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  earnings_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  }
+}, {
+  tableName: 'payout_batches',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false
+});
+
+module.exports = PayoutBatch;
@@ -0,0 +1,69 @@
+// src/models/PayoutItem.js - A single driver's line in a payout batch
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const money = (field) => ({
+  type: DataTypes.DECIMAL(10, 2),
+  allowNull: false,
+  defaultValue: 0,
+  get() {
+    const value = this.getDataValue(field);
+    return parseFloat(value) || 0;
+  }
+});
+
+const PayoutItem = sequelize.define('PayoutItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  payout_batch_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'payout_batches',
+      key: 'id'
+    }
+  },
+
+  driver_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  earnings_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  gross_amount: money('gross_amount'),
+  commission_amount: money('commission_amount'),
+  // Net pay of the included earnings
+  earnings_amount: money('earnings_amount'),
+  // Ride fares the driver already kept in cash
+  cash_collected: money('cash_collected'),
+  // What is transferred: earnings_amount - cash_collected
+  amount: money('amount')
+}, {
+  tableName: 'payout_items',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['payout_batch_id']
+    },
+    {
+      fields: ['driver_id']
+    }
+  ]
+});
+
+module.exports = PayoutItem;
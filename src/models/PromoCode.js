@@ -0,0 +1,140 @@
+// src/models/PromoCode.js - Admin-managed promo codes customers apply at checkout
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const optionalAmount = (name) => ({
+  type: DataTypes.DECIMAL(10, 2),
+  allowNull: true,
+  validate: {
+    min: 0
+  },
+  get() {
+    const value = this.getDataValue(name);
+    return value === null || value === undefined ? null : parseFloat(value);
+  }
+});
+
+const PromoCode = sequelize.define('PromoCode', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Stored upper-case so customers can type it in any case
+  code: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+    unique: true,
+    set(value) {
+      this.setDataValue('code', value ? String(value).toUpperCase().trim() : value);
+    }
+  },
+
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+
+  discount_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['percentage', 'fixed_amount', 'free_delivery', 'wallet_credit']]
+    }
+  },
+
+  // Percent for "percentage", currency amount for "fixed_amount" and
+  // "wallet_credit", unused for "free_delivery"
+  value: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    get() {
+      const value = this.getDataValue('value');
+      return value === null || value === undefined ? null : parseFloat(value);
+    }
+  },
+
+  // Cap on a percentage discount
+  max_discount: optionalAmount('max_discount'),
+
+  applies_to: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'orders',
+    validate: {
+      isIn: [['orders', 'rides', 'all']]
+    }
+  },
+
+  // Limits the code to one restaurant's items
+  restaurant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'restaurants',
+      key: 'id'
+    }
+  },
+
+  // Items subtotal for orders, fare for rides
+  min_basket: optionalAmount('min_basket'),
+
+  first_order_only: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+
+  // null means unlimited
+  max_uses: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  max_uses_per_user: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: 1
+  },
+
+  // Applied redemptions; only ever changed by a conditional UPDATE so
+  // concurrent checkouts cannot go past max_uses
+  uses: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  starts_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  tableName: 'promo_codes',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = PromoCode;
@@ -0,0 +1,107 @@
+// src/models/PromoRedemption.js - One use of a promo code on an order or ride
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const PromoRedemption = sequelize.define('PromoRedemption', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  promo_code_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'promo_codes',
+      key: 'id'
+    }
+  },
+
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  // Exactly one of order_id / ride_id is set
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+
+  ride_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'rides',
+      key: 'id'
+    }
+  },
+
+  code: {
+    type: DataTypes.STRING(40),
+    allowNull: false
+  },
+
+  discount_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    get() {
+      const value = this.getDataValue('discount_amount');
+      return parseFloat(value) || 0;
+    }
+  },
+
+  // released when the order or ride is cancelled, so the use does not count
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'applied',
+    validate: {
+      isIn: [['applied', 'released']]
+    }
+  },
+
+  released_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  // Which of the customer's max_uses_per_user this redemption takes (1..n).
+  // Unique per code and customer while applied, and cleared on release.
+  user_use: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  tableName: 'promo_redemptions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['promo_code_id', 'user_id']
+    },
+    {
+      unique: true,
+      fields: ['promo_code_id', 'user_id', 'user_use']
+    },
+    {
+      fields: ['order_id']
+    },
+    {
+      fields: ['ride_id']
+    }
+  ]
+});
+
+module.exports = PromoRedemption;
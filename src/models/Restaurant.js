@@ -91,6 +91,56 @@ const Restaurant = sequelize.define('Restaurant', {
       model: 'users',
       key: 'id'
     }
+  },
+  // Share of sales the platform keeps; null uses RESTAURANT_COMMISSION_RATE
+  commission_rate: {
+    type: DataTypes.DECIMAL(5, 4),
+    allowNull: true,
+    get() {
+      const value = this.getDataValue('commission_rate');
+      return value === null || value === undefined ? null : parseFloat(value);
+    }
+  },
+  // Weekly hours, e.g. { sat: [{ open: '10:00', close: '02:00' }] }; null means always open
+  opening_hours: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const value = this.getDataValue('opening_hours');
+      try {
+        return value ? JSON.parse(value) : null;
+      } catch (e) {
+        return null;
+      }
+    },
+    set(value) {
+      this.setDataValue('opening_hours', value ? JSON.stringify(value) : null);
+    }
+  },
+  // Dates that differ from the weekly hours, e.g. [{ date: '2026-12-25', hours: [], note: 'Christmas' }]
+  holidays: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const value = this.getDataValue('holidays');
+      try {
+        return value ? JSON.parse(value) : [];
+      } catch (e) {
+        return [];
+      }
+    },
+    set(value) {
+      this.setDataValue('holidays', value && value.length > 0 ? JSON.stringify(value) : null);
+    }
+  },
+  // Busy mode: no new orders until this time
+  paused_until: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  pause_reason: {
+    type: DataTypes.STRING,
+    allowNull: true
   }
 }, {
   tableName: 'restaurants',
@@ -0,0 +1,139 @@
+// src/models/RestaurantStatement.js - What a restaurant sold in one settlement period and what it is owed
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const money = (field) => ({
+  type: DataTypes.DECIMAL(12, 2),
+  allowNull: false,
+  defaultValue: 0,
+  get() {
+    const value = this.getDataValue(field);
+    return parseFloat(value) || 0;
+  }
+});
+
+const RestaurantStatement = sequelize.define('RestaurantStatement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // Orders reference restaurants by email (see services/restaurantLookup.js)
+  restaurant_email: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+
+  // Restaurant row id, or the user id of a restaurant that only exists as a user
+  restaurant_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  restaurant_name: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  period: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: {
+      isIn: [['week', 'month']]
+    }
+  },
+
+  // Local calendar dates, both inclusive
+  period_start: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+
+  period_end: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+
+  orders_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  items_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // Menu prices of what was delivered in the period
+  gross_sales: money('gross_sales'),
+
+  // Taken back by refunds issued in the period, on orders of any period
+  refunds: money('refunds'),
+
+  commission_rate: {
+    type: DataTypes.DECIMAL(5, 4),
+    allowNull: false,
+    get() {
+      const value = this.getDataValue('commission_rate');
+      return parseFloat(value) || 0;
+    }
+  },
+
+  commission_amount: money('commission_amount'),
+
+  // gross_sales - refunds - commission_amount
+  net_payable: money('net_payable'),
+
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'unpaid',
+    validate: {
+      isIn: [['unpaid', 'paid']]
+    }
+  },
+
+  paid_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  paid_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  // Bank transfer or receipt number entered by the admin
+  payment_reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'restaurant_statements',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      // One statement per restaurant and period, even if the job runs twice
+      unique: true,
+      fields: ['restaurant_email', 'period_start']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['period_start']
+    }
+  ]
+});
+
+module.exports = RestaurantStatement;
@@ -0,0 +1,71 @@
+// src/models/RestaurantStatementLine.js - One order's part in a restaurant statement
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const money = (field) => ({
+  type: DataTypes.DECIMAL(10, 2),
+  allowNull: false,
+  defaultValue: 0,
+  get() {
+    const value = this.getDataValue(field);
+    return parseFloat(value) || 0;
+  }
+});
+
+const RestaurantStatementLine = sequelize.define('RestaurantStatementLine', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  statement_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'restaurant_statements',
+      key: 'id'
+    }
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+
+  // Null on a line that only carries a refund for an order delivered in an earlier period
+  delivered_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+
+  items_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  gross_sales: money('gross_sales'),
+  refunds: money('refunds'),
+  commission_amount: money('commission_amount'),
+  net_payable: money('net_payable')
+}, {
+  tableName: 'restaurant_statement_lines',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['statement_id']
+    },
+    {
+      fields: ['order_id']
+    }
+  ]
+});
+
+module.exports = RestaurantStatementLine;
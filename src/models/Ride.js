@@ -16,6 +16,17 @@ const Ride = sequelize.define('Ride', {
       isIn: [['ride', 'delivery']]
     }
   },
+  // Customer account that booked the ride; null for guest bookings
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  },
   customer_name: {
     type: DataTypes.STRING,
     allowNull: false
@@ -70,12 +81,44 @@ const Ride = sequelize.define('Ride', {
     allowNull: false,
     defaultValue: 0.00
   },
+  // Fare from the booking quote; fare itself is recomputed on completion
+  quoted_fare: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  // Promo code discount fixed at booking; fare and quoted_fare are net of it
+  discount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  promo_code: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Card and wallet rides are not shown to drivers until payment is "authorized"
+  payment_status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'not_required',
+    validate: {
+      isIn: [['not_required', 'pending', 'authorized', 'captured', 'failed', 'voided', 'refunded', 'partially_refunded']]
+    }
+  },
+  actual_distance_km: {
+    type: DataTypes.DECIMAL(8, 2),
+    allowNull: true
+  },
+  actual_duration_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
   status: {
     type: DataTypes.STRING,
     allowNull: false,
     defaultValue: 'pending',
     validate: {
-      isIn: [['pending', 'accepted', 'in_progress', 'completed', 'cancelled']]
+      isIn: [['scheduled', 'pending', 'accepted', 'in_progress', 'completed', 'cancelled']]
     }
   },
   driver_id: {
@@ -105,6 +148,20 @@ const Ride = sequelize.define('Ride', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  // Pickup time for pre-booked rides; null means as soon as possible
+  scheduled_for: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // When the scheduler offers a scheduled ride to drivers
+  release_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  driver_arrived_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   started_at: {
     type: DataTypes.DATE,
     allowNull: true
@@ -117,6 +174,15 @@ const Ride = sequelize.define('Ride', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  cancellation_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Role of whoever cancelled: customer, driver, admin or system
+  cancelled_by: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
   ride_started: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
@@ -136,6 +202,11 @@ const Ride = sequelize.define('Ride', {
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
+  },
+  // SHA-256 of the token guests use to follow their ride; the token itself is never stored
+  tracking_token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
   }
 }, {
   tableName: 'rides',
@@ -162,6 +233,9 @@ const Ride = sequelize.define('Ride', {
     {
       fields: ['customer_phone']
     },
+    {
+      fields: ['user_id']
+    },
     {
       fields: ['service_type']
     },
@@ -171,12 +245,25 @@ const Ride = sequelize.define('Ride', {
   ]
 });
 
+// Only succeeds while the ride is still open, so two drivers cannot both
+// accept it. Returns null when another driver got there first.
 Ride.prototype.acceptByDriver = async function(driver) {
-  this.status = 'accepted';
-  this.driver_id = driver.id;
-  this.driver_name = driver.name;
-  this.driver_phone = driver.phone;
-  this.accepted_at = new Date();
+  const [updated] = await Ride.update({
+    status: 'accepted',
+    driver_id: driver.id,
+    driver_name: driver.name,
+    driver_phone: driver.phone,
+    accepted_at: new Date()
+  }, {
+    where: { id: this.id, status: 'pending', driver_id: null }
+  });
+
+  if (updated === 0) return null;
+  return await this.reload();
+};
+
+Ride.prototype.markArrived = async function() {
+  this.driver_arrived_at = new Date();
   return await this.save();
 };
 
@@ -187,16 +274,20 @@ Ride.prototype.startRide = async function() {
   return await this.save();
 };
 
-Ride.prototype.completeRide = async function() {
+// finalFare: { fare, quoted_fare, actual_distance_km, actual_duration_minutes } when known
+Ride.prototype.completeRide = async function(finalFare = {}) {
   this.status = 'completed';
   this.ride_completed = true;
   this.completed_at = new Date();
+  Object.assign(this, finalFare);
   return await this.save();
 };
 
-Ride.prototype.cancelRide = async function() {
+Ride.prototype.cancelRide = async function(reason = null, cancelledBy = null) {
   this.status = 'cancelled';
   this.cancelled_at = new Date();
+  this.cancellation_reason = reason;
+  this.cancelled_by = cancelledBy;
   return await this.save();
 };
 
@@ -0,0 +1,87 @@
+// src/models/RideTariff.js - Admin-configured fare rules per vehicle and ride type
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const amountColumn = (name, defaultValue) => ({
+  type: DataTypes.DECIMAL(10, 2),
+  allowNull: false,
+  defaultValue,
+  validate: {
+    min: 0
+  },
+  get() {
+    const value = this.getDataValue(name);
+    return value === null || value === undefined ? null : parseFloat(value);
+  }
+});
+
+const RideTariff = sequelize.define('RideTariff', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  vehicle_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    set(value) {
+      this.setDataValue('vehicle_type', value ? String(value).toLowerCase().trim() : value);
+    }
+  },
+
+  ride_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'standard',
+    set(value) {
+      this.setDataValue('ride_type', value ? String(value).toLowerCase().trim() : value);
+    }
+  },
+
+  base_fare: amountColumn('base_fare', 0),
+  per_km: amountColumn('per_km', 0),
+  per_minute: amountColumn('per_minute', 0),
+  minimum_fare: amountColumn('minimum_fare', 0),
+
+  night_multiplier: {
+    type: DataTypes.DECIMAL(4, 2),
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    },
+    get() {
+      const value = this.getDataValue('night_multiplier');
+      return value === null || value === undefined ? null : parseFloat(value);
+    }
+  },
+
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+
+  updated_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'ride_tariffs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['vehicle_type', 'ride_type']
+    }
+  ]
+});
+
+module.exports = RideTariff;
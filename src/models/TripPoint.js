@@ -0,0 +1,81 @@
+// src/models/TripPoint.js - GPS breadcrumb reported by a driver during a ride or delivery
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const coordinateColumn = (name) => ({
+  type: DataTypes.DECIMAL(10, 7),
+  allowNull: false,
+  get() {
+    const value = this.getDataValue(name);
+    return value === null || value === undefined ? null : parseFloat(value);
+  }
+});
+
+const TripPoint = sequelize.define('TripPoint', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  // 'ride' points at rides.id, 'order' at orders.id
+  trip_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['ride', 'order']]
+    }
+  },
+
+  trip_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  driver_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  latitude: coordinateColumn('latitude'),
+  longitude: coordinateColumn('longitude'),
+
+  // Metres, as reported by the phone
+  accuracy: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+
+  // km/h
+  speed: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+
+  heading: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+
+  // When the phone took the fix; batches arrive later than this
+  recorded_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'trip_points',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['trip_type', 'trip_id', 'recorded_at']
+    }
+  ]
+});
+
+module.exports = TripPoint;
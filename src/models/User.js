@@ -104,6 +104,16 @@ const User = sequelize.define(
       allowNull: true,
       defaultValue: { lat: 30.0444, lng: 31.2357 }
     },
+    // When location was last reported; null means it is still the default
+    locationUpdatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Degrees clockwise from north, when the phone reports it
+    locationHeading: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
     
     // Statistics (consolidated - removed duplicates)
     totalRides: {
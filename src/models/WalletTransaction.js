@@ -0,0 +1,126 @@
+// src/models/WalletTransaction.js - Append-only ledger of customer wallet credits and debits
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const WalletTransaction = sequelize.define('WalletTransaction', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+
+  // Position in the user's ledger, 1 for the first transaction. Unique per
+  // user, so two writers that read the same balance cannot both append.
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // top_up: paid in through the payment gateway
+  // refund: money given back from an order or ride
+  // promo: credit from a wallet promo code
+  // adjustment: added or taken off by an admin
+  // payment: spent on an order or ride
+  // payment_reversal: a payment handed back on cancellation, or the part of it not charged
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['top_up', 'refund', 'promo', 'adjustment', 'payment', 'payment_reversal']]
+    }
+  },
+
+  // Positive credits the wallet, negative debits it
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    get() {
+      const value = this.getDataValue('amount');
+      return parseFloat(value) || 0;
+    }
+  },
+
+  // Wallet balance right after this transaction
+  balance_after: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    },
+    get() {
+      const value = this.getDataValue('balance_after');
+      return parseFloat(value) || 0;
+    }
+  },
+
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+
+  ride_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'rides',
+      key: 'id'
+    }
+  },
+
+  // The gateway payment behind a top-up
+  payment_intent_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  tableName: 'wallet_transactions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['user_id', 'id']
+    },
+    {
+      unique: true,
+      fields: ['user_id', 'sequence']
+    },
+    {
+      fields: ['order_id']
+    }
+  ],
+  hooks: {
+    // The ledger is never rewritten; corrections are new transactions
+    beforeUpdate: () => {
+      throw new Error('Wallet transactions are append-only');
+    },
+    beforeDestroy: () => {
+      throw new Error('Wallet transactions are append-only');
+    }
+  }
+});
+
+module.exports = WalletTransaction;
@@ -25,6 +25,25 @@ const Pharmacy = safeImport('Pharmacy');
 const Prescription = safeImport('Prescription');
 const Order = safeImport('Order');
 const Ride = safeImport('Ride');
+const OrderEvent = safeImport('OrderEvent');
+const OrderFulfillment = safeImport('OrderFulfillment');
+const DispatchOffer = safeImport('DispatchOffer');
+const Notification = safeImport('Notification');
+const RideTariff = safeImport('RideTariff');
+const TripPoint = safeImport('TripPoint');
+const DeliveryProof = safeImport('DeliveryProof');
+const IdempotencyKey = safeImport('IdempotencyKey');
+const PromoCode = safeImport('PromoCode');
+const PromoRedemption = safeImport('PromoRedemption');
+const CourierLedgerEntry = safeImport('CourierLedgerEntry');
+const PaymentIntent = safeImport('PaymentIntent');
+const OrderRefund = safeImport('OrderRefund');
+const WalletTransaction = safeImport('WalletTransaction');
+const DriverEarning = safeImport('DriverEarning');
+const PayoutBatch = safeImport('PayoutBatch');
+const PayoutItem = safeImport('PayoutItem');
+const RestaurantStatement = safeImport('RestaurantStatement');
+const RestaurantStatementLine = safeImport('RestaurantStatementLine');
 
 // Store models in an object
 const models = {
@@ -35,9 +54,59 @@ const models = {
   Prescription,
   Order,
   Ride,
+  OrderEvent,
+  OrderFulfillment,
+  DispatchOffer,
+  Notification,
+  RideTariff,
+  TripPoint,
+  DeliveryProof,
+  IdempotencyKey,
+  PromoCode,
+  PromoRedemption,
+  CourierLedgerEntry,
+  PaymentIntent,
+  OrderRefund,
+  WalletTransaction,
+  DriverEarning,
+  PayoutBatch,
+  PayoutItem,
+  RestaurantStatement,
+  RestaurantStatementLine,
   sequelize
 };
 
+// sync() without alter never adds columns to tables that already exist, so a
+// dev database created before a migration would miss them. Only adds
+// columns: nothing is dropped or retyped.
+const addMissingSqliteColumns = async () => {
+  const queryInterface = sequelize.getQueryInterface();
+
+  for (const model of Object.values(sequelize.models)) {
+    const tableName = model.getTableName();
+    let existingColumns;
+    try {
+      existingColumns = await queryInterface.describeTable(tableName);
+    } catch (err) {
+      continue;
+    }
+
+    for (const attribute of Object.values(model.rawAttributes)) {
+      const column = attribute.field;
+      if (existingColumns[column]) continue;
+
+      await queryInterface.addColumn(tableName, column, {
+        type: attribute.type,
+        allowNull: true,
+        ...(attribute.defaultValue !== undefined && typeof attribute.defaultValue !== 'object' && {
+          defaultValue: attribute.defaultValue
+        })
+      });
+      console.log(`  + Added missing column ${tableName}.${column}`);
+    }
+  }
+};
+
 // Setup Model Associations
 const setupAssociations = () => {
   console.log('🔗 Setting up model associations...');
@@ -64,12 +133,259 @@ const setupAssociations = () => {
       console.log('  ✓ User-Order associations');
     }
 
+    // Order - OrderEvent associations (order timeline)
+    if (Order && OrderEvent) {
+      Order.hasMany(OrderEvent, {
+        foreignKey: 'order_id',
+        as: 'events'
+      });
+      OrderEvent.belongsTo(Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      console.log('  ✓ Order-OrderEvent associations');
+    }
+
+    if (User && OrderEvent) {
+      OrderEvent.belongsTo(User, {
+        foreignKey: 'actor_id',
+        as: 'actor',
+        constraints: false
+      });
+      console.log('  ✓ User-OrderEvent associations');
+    }
+
+    // Order - OrderFulfillment associations (one sub-order per restaurant)
+    if (Order && OrderFulfillment) {
+      Order.hasMany(OrderFulfillment, {
+        foreignKey: 'order_id',
+        as: 'fulfillments'
+      });
+      OrderFulfillment.belongsTo(Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      console.log('  ✓ Order-OrderFulfillment associations');
+    }
+
+    // Order - DispatchOffer associations (driver offers per order)
+    if (Order && DispatchOffer) {
+      Order.hasMany(DispatchOffer, {
+        foreignKey: 'order_id',
+        as: 'dispatchOffers'
+      });
+      DispatchOffer.belongsTo(Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      console.log('  ✓ Order-DispatchOffer associations');
+    }
+
+    if (User && DispatchOffer) {
+      DispatchOffer.belongsTo(User, {
+        foreignKey: 'driver_id',
+        as: 'driver'
+      });
+      console.log('  ✓ User-DispatchOffer associations');
+    }
+
+    // User - Notification associations
+    if (User && Notification) {
+      User.hasMany(Notification, {
+        foreignKey: 'user_id',
+        as: 'notifications'
+      });
+      Notification.belongsTo(User, {
+        foreignKey: 'user_id',
+        as: 'recipient'
+      });
+      console.log('  ✓ User-Notification associations');
+    }
+
+    // User - TripPoint associations (trip_id is polymorphic, so no trip association)
+    if (User && TripPoint) {
+      TripPoint.belongsTo(User, {
+        foreignKey: 'driver_id',
+        as: 'driver'
+      });
+      console.log('  ✓ User-TripPoint associations');
+    }
+
+    // Order - DeliveryProof associations (one proof per delivered order)
+    if (Order && DeliveryProof) {
+      Order.hasOne(DeliveryProof, {
+        foreignKey: 'order_id',
+        as: 'deliveryProof'
+      });
+      DeliveryProof.belongsTo(Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      console.log('  ✓ Order-DeliveryProof associations');
+    }
+
+    if (User && DeliveryProof) {
+      DeliveryProof.belongsTo(User, {
+        foreignKey: 'driver_id',
+        as: 'driver'
+      });
+      console.log('  ✓ User-DeliveryProof associations');
+    }
+
+    // PromoCode - PromoRedemption associations
+    if (PromoCode && PromoRedemption) {
+      PromoCode.hasMany(PromoRedemption, {
+        foreignKey: 'promo_code_id',
+        as: 'redemptions'
+      });
+      PromoRedemption.belongsTo(PromoCode, {
+        foreignKey: 'promo_code_id',
+        as: 'promoCode'
+      });
+      console.log('  ✓ PromoCode-PromoRedemption associations');
+    }
+
+    if (Order && PromoRedemption) {
+      Order.hasMany(PromoRedemption, {
+        foreignKey: 'order_id',
+        as: 'promoRedemptions'
+      });
+      PromoRedemption.belongsTo(Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      console.log('  ✓ Order-PromoRedemption associations');
+    }
+
+    // User - CourierLedgerEntry associations (cash-on-delivery ledger)
+    if (User && CourierLedgerEntry) {
+      User.hasMany(CourierLedgerEntry, {
+        foreignKey: 'driver_id',
+        as: 'ledgerEntries'
+      });
+      CourierLedgerEntry.belongsTo(User, {
+        foreignKey: 'driver_id',
+        as: 'driver'
+      });
+      console.log('  ✓ User-CourierLedgerEntry associations');
+    }
+
+    if (Order && CourierLedgerEntry) {
+      CourierLedgerEntry.belongsTo(Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      console.log('  ✓ Order-CourierLedgerEntry associations');
+    }
+
+    // Order / Ride - PaymentIntent associations (online payments)
+    if (Order && PaymentIntent) {
+      Order.hasMany(PaymentIntent, {
+        foreignKey: 'order_id',
+        as: 'paymentIntents'
+      });
+      PaymentIntent.belongsTo(Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      console.log('  ✓ Order-PaymentIntent associations');
+    }
+
+    if (Ride && PaymentIntent) {
+      Ride.hasMany(PaymentIntent, {
+        foreignKey: 'ride_id',
+        as: 'paymentIntents'
+      });
+      PaymentIntent.belongsTo(Ride, {
+        foreignKey: 'ride_id',
+        as: 'ride'
+      });
+      console.log('  ✓ Ride-PaymentIntent associations');
+    }
+
+    // Order - OrderRefund associations
+    if (Order && OrderRefund) {
+      Order.hasMany(OrderRefund, {
+        foreignKey: 'order_id',
+        as: 'refunds'
+      });
+      OrderRefund.belongsTo(Order, {
+        foreignKey: 'order_id',
+        as: 'order'
+      });
+      console.log('  ✓ Order-OrderRefund associations');
+    }
+
+    // User - WalletTransaction associations (customer wallet)
+    if (User && WalletTransaction) {
+      User.hasMany(WalletTransaction, {
+        foreignKey: 'user_id',
+        as: 'walletTransactions'
+      });
+      WalletTransaction.belongsTo(User, {
+        foreignKey: 'user_id',
+        as: 'user'
+      });
+      console.log('  ✓ User-WalletTransaction associations');
+    }
+
+    // User - DriverEarning associations (driver and courier pay)
+    if (User && DriverEarning) {
+      User.hasMany(DriverEarning, {
+        foreignKey: 'driver_id',
+        as: 'earnings'
+      });
+      DriverEarning.belongsTo(User, {
+        foreignKey: 'driver_id',
+        as: 'driver'
+      });
+      console.log('  ✓ User-DriverEarning associations');
+    }
+
+    // PayoutBatch - PayoutItem / DriverEarning associations
+    if (PayoutBatch && PayoutItem) {
+      PayoutBatch.hasMany(PayoutItem, {
+        foreignKey: 'payout_batch_id',
+        as: 'items'
+      });
+      PayoutItem.belongsTo(PayoutBatch, {
+        foreignKey: 'payout_batch_id',
+        as: 'batch'
+      });
+      if (User) {
+        PayoutItem.belongsTo(User, {
+          foreignKey: 'driver_id',
+          as: 'driver'
+        });
+      }
+      if (DriverEarning) {
+        PayoutBatch.hasMany(DriverEarning, {
+          foreignKey: 'payout_batch_id',
+          as: 'earnings'
+        });
+      }
+      console.log('  ✓ PayoutBatch-PayoutItem associations');
+    }
+
+    // RestaurantStatement - RestaurantStatementLine associations
+    if (RestaurantStatement && RestaurantStatementLine) {
+      RestaurantStatement.hasMany(RestaurantStatementLine, {
+        foreignKey: 'statement_id',
+        as: 'lines'
+      });
+      RestaurantStatementLine.belongsTo(RestaurantStatement, {
+        foreignKey: 'statement_id',
+        as: 'statement'
+      });
+      console.log('  ✓ RestaurantStatement-RestaurantStatementLine associations');
+    }
+
     // User - Ride associations
     if (User && Ride) {
-      User.hasMany(Ride, { foreignKey: 'userId', as: 'rides' });
-      User.hasMany(Ride, { foreignKey: 'driverId', as: 'driverRides' });
-      Ride.belongsTo(User, { foreignKey: 'userId', as: 'customer' });
-      Ride.belongsTo(User, { foreignKey: 'driverId', as: 'driver' });
+      User.hasMany(Ride, { foreignKey: 'user_id', as: 'rides' });
+      User.hasMany(Ride, { foreignKey: 'driver_id', as: 'driverRides' });
+      Ride.belongsTo(User, { foreignKey: 'user_id', as: 'customer' });
+      Ride.belongsTo(User, { foreignKey: 'driver_id', as: 'driver' });
       console.log('  ✓ User-Ride associations');
     }
 
@@ -191,6 +507,10 @@ const initializeDatabase = async () => {
     console.log('🔧 Sync options:', syncOptions);
     
     await sequelize.sync(syncOptions);
+
+    if (dialect === 'sqlite' && isDevelopment) {
+      await addMissingSqliteColumns();
+    }
     
     console.log('✅ Database synchronized successfully');
     
@@ -204,6 +524,23 @@ const initializeDatabase = async () => {
     if (Ride) counts.rides = await Ride.count().catch(() => 0);
     if (Prescription) counts.prescriptions = await Prescription.count().catch(() => 0);
     if (MenuItem) counts.menuItems = await MenuItem.count().catch(() => 0);
+    if (OrderEvent) counts.orderEvents = await OrderEvent.count().catch(() => 0);
+    if (OrderFulfillment) counts.orderFulfillments = await OrderFulfillment.count().catch(() => 0);
+    if (DispatchOffer) counts.dispatchOffers = await DispatchOffer.count().catch(() => 0);
+    if (Notification) counts.notifications = await Notification.count().catch(() => 0);
+    if (RideTariff) counts.rideTariffs = await RideTariff.count().catch(() => 0);
+    if (TripPoint) counts.tripPoints = await TripPoint.count().catch(() => 0);
+    if (DeliveryProof) counts.deliveryProofs = await DeliveryProof.count().catch(() => 0);
+    if (IdempotencyKey) counts.idempotencyKeys = await IdempotencyKey.count().catch(() => 0);
+    if (PromoCode) counts.promoCodes = await PromoCode.count().catch(() => 0);
+    if (PromoRedemption) counts.promoRedemptions = await PromoRedemption.count().catch(() => 0);
+    if (CourierLedgerEntry) counts.courierLedgerEntries = await CourierLedgerEntry.count().catch(() => 0);
+    if (PaymentIntent) counts.paymentIntents = await PaymentIntent.count().catch(() => 0);
+    if (OrderRefund) counts.orderRefunds = await OrderRefund.count().catch(() => 0);
+    if (WalletTransaction) counts.walletTransactions = await WalletTransaction.count().catch(() => 0);
+    if (DriverEarning) counts.driverEarnings = await DriverEarning.count().catch(() => 0);
+    if (PayoutBatch) counts.payoutBatches = await PayoutBatch.count().catch(() => 0);
+    if (RestaurantStatement) counts.restaurantStatements = await RestaurantStatement.count().catch(() => 0);
     
     console.log('📊 Database Status:');
     Object.entries(counts).forEach(([key, value]) => {
@@ -226,6 +563,25 @@ module.exports = {
   Prescription: Prescription || {},
   Order: Order || {},
   Ride: Ride || {},
+  OrderEvent: OrderEvent || {},
+  OrderFulfillment: OrderFulfillment || {},
+  DispatchOffer: DispatchOffer || {},
+  Notification: Notification || {},
+  RideTariff: RideTariff || {},
+  TripPoint: TripPoint || {},
+  DeliveryProof: DeliveryProof || {},
+  IdempotencyKey: IdempotencyKey || {},
+  PromoCode: PromoCode || {},
+  PromoRedemption: PromoRedemption || {},
+  CourierLedgerEntry: CourierLedgerEntry || {},
+  PaymentIntent: PaymentIntent || {},
+  OrderRefund: OrderRefund || {},
+  WalletTransaction: WalletTransaction || {},
+  DriverEarning: DriverEarning || {},
+  PayoutBatch: PayoutBatch || {},
+  PayoutItem: PayoutItem || {},
+  RestaurantStatement: RestaurantStatement || {},
+  RestaurantStatementLine: RestaurantStatementLine || {},
   sequelize,
   setupAssociations,
   initializeDatabase
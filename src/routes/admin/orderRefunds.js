@@ -0,0 +1,85 @@
+// src/routes/admin/orderRefunds.js - Admin refunds of orders, in full or in part
+const express = require('express');
+const router = express.Router();
+const Order = require('../../models/Order');
+const { authenticateToken, requireAdmin } = require('../../middleware/auth');
+const {
+  REFUND_REASONS,
+  REFUND_DESTINATIONS,
+  getRefundSummary,
+  issueRefund,
+  listRefunds,
+  formatRefund
+} = require('../../services/refunds');
+const { isServiceError, sendServiceError } = require('../../services/errors');
+
+const handleError = (res, error, logPrefix, message) => {
+  if (isServiceError(error)) {
+    return sendServiceError(res, error);
+  }
+
+  console.error(logPrefix, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+  });
+};
+
+const orderNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'الطلب غير موجود'
+});
+
+// Reason codes and destinations for the admin refund form
+router.get('/refund-options', authenticateToken, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    reasons: REFUND_REASONS,
+    destinations: REFUND_DESTINATIONS
+  });
+});
+
+router.get('/:id/refunds', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const order = await Order.findByPk(parseInt(req.params.id));
+    if (!order) return orderNotFound(res);
+
+    const refunds = await listRefunds(order.id);
+    const summary = await getRefundSummary(order, { refunds });
+
+    res.json({
+      success: true,
+      order_id: parseInt(order.id),
+      payment_method: order.payment_method,
+      payment_status: order.payment_status,
+      ...summary,
+      refunds: refunds.map(formatRefund)
+    });
+  } catch (error) {
+    handleError(res, error, '[REFUNDS] Error fetching refunds:', 'فشل في جلب المبالغ المستردة');
+  }
+});
+
+// Body: { type: "full" | "partial", reason_code, destination, notes,
+//         items: [{ index, quantity }], include_delivery_fee, amount }
+router.post('/:id/refunds', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const order = await Order.findByPk(parseInt(req.params.id));
+    if (!order) return orderNotFound(res);
+
+    const refund = await issueRefund(order, req.body, req.user);
+    const summary = await getRefundSummary(order);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم استرداد المبلغ بنجاح',
+      refund: formatRefund(refund),
+      ...summary
+    });
+  } catch (error) {
+    handleError(res, error, '[REFUNDS] Error issuing refund:', 'فشل في استرداد المبلغ');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+// src/routes/admin/payouts.js - Admin payout batches for driver and courier earnings
+const express = require('express');
+const router = express.Router();
+const PayoutBatch = require('../../models/PayoutBatch');
+const { authenticateToken, requireAdmin } = require('../../middleware/auth');
+const {
+  createPayoutBatch,
+  listPayoutBatches,
+  getPayoutItems,
+  formatPayoutBatch,
+  formatPayoutItem
+} = require('../../services/payouts');
+const { sendCsv } = require('../../services/csv');
+const { isServiceError, sendServiceError } = require('../../services/errors');
+
+const PAYOUT_CSV_COLUMNS = [
+  { key: 'driver_id', header: 'driver_id' },
+  { key: 'driver_name', header: 'driver_name' },
+  { key: 'driver_phone', header: 'driver_phone' },
+  { key: 'driver_role', header: 'driver_role' },
+  { key: 'earnings_count', header: 'earnings_count' },
+  { key: 'gross_amount', header: 'gross_amount' },
+  { key: 'commission_amount', header: 'commission_amount' },
+  { key: 'earnings_amount', header: 'earnings_amount' },
+  { key: 'cash_collected', header: 'cash_collected' },
+  { key: 'amount', header: 'amount' },
+  { key: 'reference', header: 'reference' }
+];
+
+const handleError = (res, error, logPrefix, message) => {
+  if (isServiceError(error)) {
+    return sendServiceError(res, error);
+  }
+
+  console.error(logPrefix, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+  });
+};
+
+const batchNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'دفعة المستحقات غير موجودة'
+});
+
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const { rows, count } = await listPayoutBatches({ limit, offset });
+
+    res.json({
+      success: true,
+      payouts: rows.map(formatPayoutBatch),
+      pagination: { total: count, limit, offset }
+    });
+  } catch (error) {
+    handleError(res, error, '[PAYOUTS] Error fetching payout batches:', 'فشل في جلب دفعات المستحقات');
+  }
+});
+
+// Body: { earned_before, driver_ids, notes }. Pays all unpaid earnings up to
+// earned_before (default now), optionally only for the given drivers.
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const driverIds = Array.isArray(req.body.driver_ids)
+      ? req.body.driver_ids.map(id => parseInt(id)).filter(Number.isInteger)
+      : undefined;
+
+    const batch = await createPayoutBatch({
+      earnedBefore: req.body.earned_before,
+      driverIds,
+      notes: req.body.notes
+    }, req.user);
+    const items = await getPayoutItems(batch);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم إنشاء دفعة المستحقات',
+      payout: formatPayoutBatch(batch),
+      items: items.map(formatPayoutItem)
+    });
+  } catch (error) {
+    handleError(res, error, '[PAYOUTS] Error creating payout batch:', 'فشل في إنشاء دفعة المستحقات');
+  }
+});
+
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findByPk(parseInt(req.params.id));
+    if (!batch) return batchNotFound(res);
+
+    const items = await getPayoutItems(batch);
+
+    res.json({
+      success: true,
+      payout: formatPayoutBatch(batch),
+      items: items.map(formatPayoutItem)
+    });
+  } catch (error) {
+    handleError(res, error, '[PAYOUTS] Error fetching payout batch:', 'فشل في جلب دفعة المستحقات');
+  }
+});
+
+// The payout file handed to finance, one line per driver
+router.get('/:id/export', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findByPk(parseInt(req.params.id));
+    if (!batch) return batchNotFound(res);
+
+    const items = await getPayoutItems(batch);
+    const rows = items.map(item => ({ ...formatPayoutItem(item), reference: batch.reference }));
+
+    sendCsv(res, `${batch.reference}.csv`, PAYOUT_CSV_COLUMNS, rows);
+  } catch (error) {
+    handleError(res, error, '[PAYOUTS] Error exporting payout batch:', 'فشل في تصدير دفعة المستحقات');
+  }
+});
+
+module.exports = router;
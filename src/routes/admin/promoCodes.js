@@ -0,0 +1,338 @@
+// src/routes/admin/promoCodes.js - Admin management of promo codes
+const express = require('express');
+const router = express.Router();
+const { fn, col } = require('sequelize');
+const PromoCode = require('../../models/PromoCode');
+const PromoRedemption = require('../../models/PromoRedemption');
+const Restaurant = require('../../models/Restaurant');
+const { DISCOUNT_TYPES, PROMO_TARGETS, normaliseCode, formatPromoCode } = require('../../services/promoCodes');
+const { roundMoney } = require('../../services/money');
+const { authenticateToken, requireAdmin } = require('../../middleware/auth');
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,40}$/;
+
+const readAmount = (body, field, errors, { allowNull = true } = {}) => {
+  if (body[field] === null && allowNull) return null;
+  const value = parseFloat(body[field]);
+  if (!Number.isFinite(value) || value < 0) {
+    errors.push({ field, message: 'يجب أن تكون القيمة رقماً موجباً' });
+    return undefined;
+  }
+  return value;
+};
+
+const readCount = (body, field, errors) => {
+  if (body[field] === null) return null;
+  const value = parseInt(body[field]);
+  if (!Number.isInteger(value) || value < 1) {
+    errors.push({ field, message: 'يجب أن يكون العدد 1 أو أكثر' });
+    return undefined;
+  }
+  return value;
+};
+
+const readDate = (body, field, errors) => {
+  if (body[field] === null) return null;
+  const value = new Date(body[field]);
+  if (isNaN(value.getTime())) {
+    errors.push({ field, message: 'التاريخ غير صحيح' });
+    return undefined;
+  }
+  return value;
+};
+
+// Returns the validated fields present in body, plus a list of errors.
+// `current` is the promo being updated, so cross-field checks see its values.
+const readPromoFields = async (body, { current = null } = {}) => {
+  const fields = {};
+  const errors = [];
+
+  if (body.code !== undefined) {
+    const code = normaliseCode(body.code);
+    if (!CODE_PATTERN.test(code)) {
+      errors.push({ field: 'code', message: 'الرمز يجب أن يكون من 3 إلى 40 حرفاً أو رقماً' });
+    } else {
+      fields.code = code;
+    }
+  } else if (!current) {
+    errors.push({ field: 'code', message: 'الحقل مطلوب' });
+  }
+
+  if (body.discount_type !== undefined) {
+    if (!DISCOUNT_TYPES.includes(body.discount_type)) {
+      errors.push({ field: 'discount_type', message: 'نوع الخصم غير صحيح', allowed_values: DISCOUNT_TYPES });
+    } else {
+      fields.discount_type = body.discount_type;
+    }
+  } else if (!current) {
+    errors.push({ field: 'discount_type', message: 'الحقل مطلوب' });
+  }
+
+  if (body.applies_to !== undefined) {
+    if (!PROMO_TARGETS.includes(body.applies_to)) {
+      errors.push({ field: 'applies_to', message: 'نطاق الخصم غير صحيح', allowed_values: PROMO_TARGETS });
+    } else {
+      fields.applies_to = body.applies_to;
+    }
+  }
+
+  if (body.value !== undefined) fields.value = readAmount(body, 'value', errors, { allowNull: false });
+  if (body.max_discount !== undefined) fields.max_discount = readAmount(body, 'max_discount', errors);
+  if (body.min_basket !== undefined) fields.min_basket = readAmount(body, 'min_basket', errors);
+  if (body.max_uses !== undefined) fields.max_uses = readCount(body, 'max_uses', errors);
+  if (body.max_uses_per_user !== undefined) fields.max_uses_per_user = readCount(body, 'max_uses_per_user', errors);
+  if (body.starts_at !== undefined) fields.starts_at = readDate(body, 'starts_at', errors);
+  if (body.expires_at !== undefined) fields.expires_at = readDate(body, 'expires_at', errors);
+
+  if (body.first_order_only !== undefined) {
+    fields.first_order_only = body.first_order_only === true || body.first_order_only === 'true';
+  }
+  if (body.is_active !== undefined) {
+    fields.is_active = body.is_active === true || body.is_active === 'true';
+  }
+  if (body.description !== undefined) {
+    fields.description = body.description ? String(body.description).trim().slice(0, 1000) : null;
+  }
+
+  if (body.restaurant_id !== undefined) {
+    if (body.restaurant_id === null) {
+      fields.restaurant_id = null;
+    } else {
+      const restaurant = await Restaurant.findByPk(parseInt(body.restaurant_id));
+      if (!restaurant) {
+        errors.push({ field: 'restaurant_id', message: 'المطعم غير موجود' });
+      } else {
+        fields.restaurant_id = restaurant.id;
+      }
+    }
+  }
+
+  const merged = { ...(current ? current.get() : {}), ...fields };
+
+  if (merged.discount_type === 'percentage' && !(merged.value > 0 && merged.value <= 100)) {
+    errors.push({ field: 'value', message: 'نسبة الخصم يجب أن تكون بين 1 و 100' });
+  }
+  if (['fixed_amount', 'wallet_credit'].includes(merged.discount_type) && !(merged.value > 0)) {
+    errors.push({ field: 'value', message: 'قيمة الخصم مطلوبة' });
+  }
+  if (merged.discount_type === 'wallet_credit' && merged.restaurant_id) {
+    errors.push({ field: 'restaurant_id', message: 'رصيد المحفظة لا يرتبط بمطعم' });
+  }
+  if (merged.discount_type === 'free_delivery' && merged.applies_to && merged.applies_to !== 'orders') {
+    errors.push({ field: 'applies_to', message: 'التوصيل المجاني متاح للطلبات فقط' });
+  }
+  if (merged.restaurant_id && merged.applies_to && merged.applies_to !== 'orders') {
+    errors.push({ field: 'restaurant_id', message: 'خصم المطعم متاح للطلبات فقط' });
+  }
+  if (merged.starts_at && merged.expires_at && new Date(merged.starts_at) >= new Date(merged.expires_at)) {
+    errors.push({ field: 'expires_at', message: 'تاريخ الانتهاء يجب أن يكون بعد تاريخ البدء' });
+  }
+
+  return { fields, errors };
+};
+
+const countUses = async (promoIds) => {
+  if (promoIds.length === 0) return new Map();
+  const rows = await PromoRedemption.findAll({
+    attributes: ['promo_code_id', [fn('COUNT', col('id')), 'uses']],
+    where: { promo_code_id: promoIds, status: 'applied' },
+    group: ['promo_code_id'],
+    raw: true
+  });
+  return new Map(rows.map(row => [row.promo_code_id, parseInt(row.uses)]));
+};
+
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.is_active !== undefined) {
+      where.is_active = req.query.is_active === 'true';
+    }
+
+    const promos = await PromoCode.findAll({ where, order: [['created_at', 'DESC']] });
+    const uses = await countUses(promos.map(promo => promo.id));
+
+    res.json({
+      success: true,
+      promo_codes: promos.map(promo => formatPromoCode(promo, uses.get(promo.id) || 0)),
+      total: promos.length
+    });
+  } catch (error) {
+    console.error('[PROMO CODES] Error fetching promo codes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب رموز الخصم',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { fields, errors } = await readPromoFields(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات رمز الخصم غير صحيحة',
+        errors
+      });
+    }
+
+    const existing = await PromoCode.findOne({ where: { code: fields.code } });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'رمز الخصم مستخدم مسبقاً',
+        code: 'PROMO_CODE_EXISTS'
+      });
+    }
+
+    const promo = await PromoCode.create({ ...fields, created_by: req.user.id });
+
+    console.log(`[PROMO CODES] Created ${promo.code} (${promo.discount_type}) by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم إنشاء رمز الخصم بنجاح',
+      promo_code: formatPromoCode(promo, 0)
+    });
+  } catch (error) {
+    console.error('[PROMO CODES] Error creating promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في إنشاء رمز الخصم',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const promo = await PromoCode.findByPk(parseInt(req.params.id));
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'رمز الخصم غير موجود'
+      });
+    }
+
+    const { fields, errors } = await readPromoFields(req.body, { current: promo });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات رمز الخصم غير صحيحة',
+        errors
+      });
+    }
+
+    if (fields.code && fields.code !== promo.code) {
+      const existing = await PromoCode.findOne({ where: { code: fields.code } });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'رمز الخصم مستخدم مسبقاً',
+          code: 'PROMO_CODE_EXISTS'
+        });
+      }
+    }
+
+    await promo.update(fields);
+    const uses = await countUses([promo.id]);
+
+    console.log(`[PROMO CODES] Updated ${promo.code} by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'تم تحديث رمز الخصم بنجاح',
+      promo_code: formatPromoCode(promo, uses.get(promo.id) || 0)
+    });
+  } catch (error) {
+    console.error('[PROMO CODES] Error updating promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في تحديث رمز الخصم',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+// A code that was already used is only switched off, so redemptions keep their code
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const promo = await PromoCode.findByPk(parseInt(req.params.id));
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'رمز الخصم غير موجود'
+      });
+    }
+
+    const redemptions = await PromoRedemption.count({ where: { promo_code_id: promo.id } });
+    if (redemptions > 0) {
+      await promo.update({ is_active: false });
+    } else {
+      await promo.destroy();
+    }
+
+    console.log(`[PROMO CODES] ${redemptions > 0 ? 'Deactivated' : 'Deleted'} ${promo.code} by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: redemptions > 0
+        ? 'تم إيقاف رمز الخصم لأنه مستخدم في طلبات سابقة'
+        : 'تم حذف رمز الخصم'
+    });
+  } catch (error) {
+    console.error('[PROMO CODES] Error deleting promo code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في حذف رمز الخصم',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+router.get('/:id/redemptions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const promo = await PromoCode.findByPk(parseInt(req.params.id));
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'رمز الخصم غير موجود'
+      });
+    }
+
+    const redemptions = await PromoRedemption.findAll({
+      where: { promo_code_id: promo.id },
+      order: [['created_at', 'DESC']],
+      limit: Math.min(parseInt(req.query.limit) || 100, 500)
+    });
+
+    res.json({
+      success: true,
+      promo_code: formatPromoCode(promo),
+      redemptions: redemptions.map(redemption => ({
+        id: redemption.id,
+        user_id: redemption.user_id,
+        order_id: redemption.order_id,
+        ride_id: redemption.ride_id,
+        discount_amount: redemption.discount_amount,
+        status: redemption.status,
+        released_at: redemption.released_at,
+        created_at: redemption.created_at
+      })),
+      total_discount: roundMoney(redemptions
+        .filter(redemption => redemption.status === 'applied')
+        .reduce((sum, redemption) => sum + redemption.discount_amount, 0))
+    });
+  } catch (error) {
+    console.error('[PROMO CODES] Error fetching redemptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب استخدامات رمز الخصم',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+module.exports = router;
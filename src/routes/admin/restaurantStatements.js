@@ -0,0 +1,130 @@
+// src/routes/admin/restaurantStatements.js - Admin view of restaurant settlement statements and their payment
+const express = require('express');
+const router = express.Router();
+const RestaurantStatement = require('../../models/RestaurantStatement');
+const { authenticateToken, requireAdmin } = require('../../middleware/auth');
+const {
+  STATEMENT_CSV_COLUMNS,
+  closedPeriodFrom,
+  generateStatements,
+  markStatementPaid,
+  listStatements,
+  getStatementLines,
+  formatStatement,
+  formatStatementLine,
+  statementCsvRows,
+  statementFilename
+} = require('../../services/settlements');
+const { sendCsv } = require('../../services/csv');
+const { isServiceError, sendServiceError } = require('../../services/errors');
+
+const handleError = (res, error, logPrefix, message) => {
+  if (isServiceError(error)) {
+    return sendServiceError(res, error);
+  }
+
+  console.error(logPrefix, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+  });
+};
+
+const statementNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'الكشف غير موجود'
+});
+
+// ?restaurant_email=&status=unpaid|paid&period_start=YYYY-MM-DD
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const { rows, count } = await listStatements({
+      restaurantEmail: req.query.restaurant_email ? String(req.query.restaurant_email).toLowerCase().trim() : undefined,
+      status: req.query.status,
+      periodStart: req.query.period_start,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      statements: rows.map(formatStatement),
+      pagination: { total: count, limit, offset }
+    });
+  } catch (error) {
+    handleError(res, error, '[SETTLEMENTS] Error fetching statements:', 'فشل في جلب كشوف الحساب');
+  }
+});
+
+// Body: { period_start }. Issues any missing statements for a period that
+// has ended (by default the last one); the job normally does this itself.
+router.post('/generate', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const period = closedPeriodFrom(req.body.period_start);
+    const created = await generateStatements(period);
+
+    res.status(201).json({
+      success: true,
+      message: `تم إصدار ${created.length} كشف حساب`,
+      period_start: period.start,
+      period_end: period.end,
+      statements: created.map(formatStatement)
+    });
+  } catch (error) {
+    handleError(res, error, '[SETTLEMENTS] Error issuing statements:', 'فشل في إصدار كشوف الحساب');
+  }
+});
+
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const statement = await RestaurantStatement.findByPk(parseInt(req.params.id));
+    if (!statement) return statementNotFound(res);
+
+    const lines = await getStatementLines(statement);
+    res.json({
+      success: true,
+      statement: formatStatement(statement),
+      lines: lines.map(formatStatementLine)
+    });
+  } catch (error) {
+    handleError(res, error, '[SETTLEMENTS] Error fetching statement:', 'فشل في جلب كشف الحساب');
+  }
+});
+
+router.get('/:id/export', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const statement = await RestaurantStatement.findByPk(parseInt(req.params.id));
+    if (!statement) return statementNotFound(res);
+
+    const lines = await getStatementLines(statement);
+    sendCsv(res, statementFilename(statement), STATEMENT_CSV_COLUMNS, statementCsvRows(statement, lines));
+  } catch (error) {
+    handleError(res, error, '[SETTLEMENTS] Error exporting statement:', 'فشل في تصدير كشف الحساب');
+  }
+});
+
+// Body: { payment_reference, notes }
+router.post('/:id/mark-paid', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const statement = await RestaurantStatement.findByPk(parseInt(req.params.id));
+    if (!statement) return statementNotFound(res);
+
+    const paid = await markStatementPaid(statement, {
+      paymentReference: req.body.payment_reference,
+      notes: req.body.notes
+    }, req.user);
+
+    res.json({
+      success: true,
+      message: 'تم تسجيل دفع الكشف',
+      statement: formatStatement(paid)
+    });
+  } catch (error) {
+    handleError(res, error, '[SETTLEMENTS] Error marking statement paid:', 'فشل في تسجيل دفع الكشف');
+  }
+});
+
+module.exports = router;
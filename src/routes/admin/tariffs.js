@@ -0,0 +1,201 @@
+// src/routes/admin/tariffs.js - Admin management of ride fare tariffs
+const express = require('express');
+const router = express.Router();
+const RideTariff = require('../../models/RideTariff');
+const ridesConfig = require('../../config/rides');
+const { authenticateToken, requireAdmin } = require('../../middleware/auth');
+
+const AMOUNT_FIELDS = ['base_fare', 'per_km', 'per_minute', 'minimum_fare'];
+
+const formatTariff = (tariff) => ({
+  id: tariff.id,
+  vehicle_type: tariff.vehicle_type,
+  ride_type: tariff.ride_type,
+  base_fare: tariff.base_fare,
+  per_km: tariff.per_km,
+  per_minute: tariff.per_minute,
+  minimum_fare: tariff.minimum_fare,
+  night_multiplier: tariff.night_multiplier,
+  is_active: tariff.is_active,
+  updated_by: tariff.updated_by,
+  updated_at: tariff.updated_at
+});
+
+// Returns the validated fields present in body, plus a list of errors
+const readTariffFields = (body, { requireAll = false } = {}) => {
+  const fields = {};
+  const errors = [];
+
+  AMOUNT_FIELDS.forEach(field => {
+    if (body[field] === undefined) {
+      if (requireAll) errors.push({ field, message: 'الحقل مطلوب' });
+      return;
+    }
+    const value = parseFloat(body[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      errors.push({ field, message: 'يجب أن تكون القيمة رقماً موجباً' });
+    } else {
+      fields[field] = value;
+    }
+  });
+
+  if (body.night_multiplier !== undefined) {
+    const value = parseFloat(body.night_multiplier);
+    if (!Number.isFinite(value) || value < 1 || value > 5) {
+      errors.push({ field: 'night_multiplier', message: 'معامل الليل يجب أن يكون بين 1 و 5' });
+    } else {
+      fields.night_multiplier = value;
+    }
+  }
+
+  if (body.is_active !== undefined) {
+    fields.is_active = body.is_active === true || body.is_active === 'true';
+  }
+
+  return { fields, errors };
+};
+
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const tariffs = await RideTariff.findAll({
+      order: [['vehicle_type', 'ASC'], ['ride_type', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      tariffs: tariffs.map(formatTariff),
+      default_tariff: ridesConfig.defaultTariff,
+      total: tariffs.length
+    });
+  } catch (error) {
+    console.error('[TARIFFS] Error fetching tariffs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب التعريفات',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { vehicle_type, ride_type } = req.body;
+    const { fields, errors } = readTariffFields(req.body, { requireAll: true });
+
+    if (!vehicle_type) {
+      errors.unshift({ field: 'vehicle_type', message: 'نوع المركبة مطلوب' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات التعريفة غير صحيحة',
+        errors
+      });
+    }
+
+    const existing = await RideTariff.findOne({
+      where: {
+        vehicle_type: String(vehicle_type).toLowerCase().trim(),
+        ride_type: ride_type ? String(ride_type).toLowerCase().trim() : 'standard'
+      }
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'توجد تعريفة لنفس نوع المركبة والرحلة',
+        code: 'TARIFF_EXISTS',
+        tariff: formatTariff(existing)
+      });
+    }
+
+    const tariff = await RideTariff.create({
+      vehicle_type,
+      ride_type: ride_type || 'standard',
+      ...fields,
+      updated_by: req.user.id
+    });
+
+    console.log(`[TARIFFS] Created ${tariff.vehicle_type}/${tariff.ride_type} by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم إنشاء التعريفة بنجاح',
+      tariff: formatTariff(tariff)
+    });
+  } catch (error) {
+    console.error('[TARIFFS] Error creating tariff:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في إنشاء التعريفة',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const tariff = await RideTariff.findByPk(parseInt(req.params.id));
+    if (!tariff) {
+      return res.status(404).json({
+        success: false,
+        message: 'التعريفة غير موجودة'
+      });
+    }
+
+    const { fields, errors } = readTariffFields(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات التعريفة غير صحيحة',
+        errors
+      });
+    }
+
+    await tariff.update({ ...fields, updated_by: req.user.id });
+
+    console.log(`[TARIFFS] Updated ${tariff.vehicle_type}/${tariff.ride_type} by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'تم تحديث التعريفة بنجاح',
+      tariff: formatTariff(tariff)
+    });
+  } catch (error) {
+    console.error('[TARIFFS] Error updating tariff:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في تحديث التعريفة',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const tariff = await RideTariff.findByPk(parseInt(req.params.id));
+    if (!tariff) {
+      return res.status(404).json({
+        success: false,
+        message: 'التعريفة غير موجودة'
+      });
+    }
+
+    await tariff.destroy();
+
+    console.log(`[TARIFFS] Deleted ${tariff.vehicle_type}/${tariff.ride_type} by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'تم حذف التعريفة، سيتم استخدام التعريفة الافتراضية'
+    });
+  } catch (error) {
+    console.error('[TARIFFS] Error deleting tariff:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في حذف التعريفة',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+// src/routes/cashLedger.js - Courier cash balances and admin-recorded cash hand-ins
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  ENTRY_TYPES,
+  getCourierBalance,
+  getCourierBalances,
+  listEntries,
+  recordHandIn,
+  formatLedgerEntry
+} = require('../services/cashLedger');
+const { isServiceError, sendServiceError } = require('../services/errors');
+
+const handleError = (res, error, logPrefix, message) => {
+  if (isServiceError(error)) {
+    return sendServiceError(res, error);
+  }
+
+  console.error(logPrefix, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+  });
+};
+
+const findCourier = (id) => User.findOne({ where: { id, role: 'delivery' } });
+
+// Balance plus one page of ledger entries for a courier
+const courierStatement = async (driverId, query) => {
+  const limit = Math.min(parseInt(query.limit) || 50, 200);
+  const offset = parseInt(query.offset) || 0;
+  const entryType = ENTRY_TYPES.includes(query.entry_type) ? query.entry_type : undefined;
+
+  const balance = await getCourierBalance(driverId);
+  const { rows, count } = await listEntries(driverId, { limit, offset, entryType });
+
+  return {
+    balance,
+    entries: rows.map(formatLedgerEntry),
+    pagination: { total: count, limit, offset }
+  };
+};
+
+// The calling courier's own cash position
+router.get('/me', authenticateToken, requireRole(['delivery']), async (req, res) => {
+  try {
+    const statement = await courierStatement(req.user.id, req.query);
+    res.json({ success: true, ...statement });
+  } catch (error) {
+    handleError(res, error, '[CASH LEDGER] Error fetching courier ledger:', 'فشل في جلب كشف النقدية');
+  }
+});
+
+// Every courier with ledger activity, highest cash held first
+router.get('/', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const balances = await getCourierBalances();
+    const couriers = balances.length > 0
+      ? await User.findAll({ where: { id: balances.map(b => b.driver_id) }, attributes: ['id', 'name', 'phone'] })
+      : [];
+    const byId = new Map(couriers.map(courier => [courier.id, courier]));
+
+    let result = balances
+      .map(balance => ({
+        ...balance,
+        name: byId.get(balance.driver_id)?.name || null,
+        phone: byId.get(balance.driver_id)?.phone || null
+      }))
+      .sort((a, b) => b.cash_held - a.cash_held);
+
+    if (req.query.over_cash_limit === 'true') {
+      result = result.filter(balance => balance.over_cash_limit);
+    }
+
+    res.json({
+      success: true,
+      couriers: result,
+      total: result.length
+    });
+  } catch (error) {
+    handleError(res, error, '[CASH LEDGER] Error fetching balances:', 'فشل في جلب أرصدة المندوبين');
+  }
+});
+
+router.get('/:driverId', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const courier = await findCourier(parseInt(req.params.driverId));
+    if (!courier) {
+      return res.status(404).json({
+        success: false,
+        message: 'المندوب غير موجود'
+      });
+    }
+
+    const statement = await courierStatement(courier.id, req.query);
+    res.json({
+      success: true,
+      courier: { id: courier.id, name: courier.name, phone: courier.phone },
+      ...statement
+    });
+  } catch (error) {
+    handleError(res, error, '[CASH LEDGER] Error fetching courier ledger:', 'فشل في جلب كشف النقدية');
+  }
+});
+
+// Cash the courier physically handed in to the office
+router.post('/:driverId/handins', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const courier = await findCourier(parseInt(req.params.driverId));
+    if (!courier) {
+      return res.status(404).json({
+        success: false,
+        message: 'المندوب غير موجود'
+      });
+    }
+
+    const entry = await recordHandIn(courier.id, { amount: req.body.amount, notes: req.body.notes }, req.user);
+    const balance = await getCourierBalance(courier.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم تسجيل تسليم النقدية',
+      entry: formatLedgerEntry(entry),
+      balance
+    });
+  } catch (error) {
+    handleError(res, error, '[CASH LEDGER] Error recording hand-in:', 'فشل في تسجيل تسليم النقدية');
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { toPoint } = require('../services/geo');
 
 // Update delivery driver online/offline status
 router.put('/status', authenticateToken, requireRole(['delivery']), async (req, res) => {
@@ -80,11 +81,26 @@ router.post('/heartbeat', authenticateToken, requireRole(['delivery']), async (r
 
     console.log(`[DELIVERY HEARTBEAT] Received heartbeat from driver ${driverId}`);
 
-    // Update last heartbeat timestamp
-    const [updatedRowsCount] = await User.update({
+    const updateData = {
       lastHeartbeat: new Date(),
       online: true // Ensure they're marked as online when sending heartbeat
-    }, {
+    };
+
+    // Optional position, used to offer nearby orders first
+    const { latitude, longitude } = req.body || {};
+    if (latitude !== undefined || longitude !== undefined) {
+      const location = toPoint({ latitude, longitude });
+      if (!location) {
+        return res.status(400).json({
+          success: false,
+          message: 'إحداثيات الموقع غير صحيحة'
+        });
+      }
+      updateData.location = location;
+    }
+
+    // Update last heartbeat timestamp
+    const [updatedRowsCount] = await User.update(updateData, {
       where: { 
         id: driverId,
         role: 'delivery'
@@ -0,0 +1,182 @@
+// src/routes/dispatch.js - Driver offers and admin escalations for delivery orders
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const DispatchOffer = require('../models/DispatchOffer');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  acceptOffer,
+  declineOffer,
+  assignByAdmin,
+  getDriverOffers,
+  getEscalatedOrders,
+  rankDrivers,
+  formatOffer
+} = require('../services/dispatch');
+const { isServiceError, sendServiceError } = require('../services/errors');
+
+const formatOfferedOrder = (order) => ({
+  id: parseInt(order.id),
+  status: order.status,
+  customer_name: order.customer_name,
+  address: order.address,
+  customer_location: order.customer_location,
+  restaurants: order.restaurants,
+  total: parseFloat(order.total),
+  delivery_fee: parseFloat(order.delivery_fee || 0),
+  payment_method: order.payment_method,
+  priority: order.priority,
+  created_at: order.created_at
+});
+
+const handleError = (res, error, logPrefix, message) => {
+  if (isServiceError(error)) {
+    return sendServiceError(res, error);
+  }
+
+  console.error(logPrefix, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+  });
+};
+
+// Live offers for the calling driver
+router.get('/offers', authenticateToken, requireRole(['delivery']), async (req, res) => {
+  try {
+    const offers = await getDriverOffers(req.user.id);
+
+    res.json({
+      success: true,
+      offers: offers.map(offer => ({
+        ...formatOffer(offer),
+        order: formatOfferedOrder(offer.order)
+      })),
+      total: offers.length
+    });
+  } catch (error) {
+    handleError(res, error, '[DISPATCH] Error fetching offers:', 'فشل في جلب العروض');
+  }
+});
+
+router.put('/offers/:id/accept', authenticateToken, requireRole(['delivery']), async (req, res) => {
+  try {
+    const order = await acceptOffer(parseInt(req.params.id), req.user);
+
+    res.json({
+      success: true,
+      message: 'تم قبول الطلب بنجاح',
+      order: formatOfferedOrder(order)
+    });
+  } catch (error) {
+    handleError(res, error, '[DISPATCH] Error accepting offer:', 'فشل في قبول العرض');
+  }
+});
+
+router.put('/offers/:id/decline', authenticateToken, requireRole(['delivery']), async (req, res) => {
+  try {
+    const offer = await declineOffer(parseInt(req.params.id), req.user);
+
+    res.json({
+      success: true,
+      message: 'تم رفض العرض',
+      offer: formatOffer(offer)
+    });
+  } catch (error) {
+    handleError(res, error, '[DISPATCH] Error declining offer:', 'فشل في رفض العرض');
+  }
+});
+
+// Orders nobody accepted, waiting for an admin to assign a driver
+router.get('/escalations', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const orders = await getEscalatedOrders();
+
+    res.json({
+      success: true,
+      orders: orders.map(order => ({
+        ...formatOfferedOrder(order),
+        dispatch_escalated_at: order.dispatch_escalated_at
+      })),
+      total: orders.length
+    });
+  } catch (error) {
+    handleError(res, error, '[DISPATCH] Error fetching escalations:', 'فشل في جلب الطلبات المصعدة');
+  }
+});
+
+// Offer history and the current ranking, for admins deciding who to assign
+router.get('/orders/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const order = await Order.findByPk(parseInt(req.params.id));
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'الطلب غير موجود'
+      });
+    }
+
+    const offers = await DispatchOffer.findAll({
+      where: { order_id: order.id },
+      order: [['wave', 'ASC'], ['rank', 'ASC']]
+    });
+    const candidates = order.assigned_to ? [] : await rankDrivers(order);
+
+    res.json({
+      success: true,
+      order_id: parseInt(order.id),
+      status: order.status,
+      assigned_to: order.assigned_to,
+      dispatch_escalated_at: order.dispatch_escalated_at,
+      offers: offers.map(formatOffer),
+      candidates: candidates.map(candidate => ({
+        driver_id: candidate.driver.id,
+        name: candidate.driver.name,
+        phone: candidate.driver.phone,
+        distance_km: candidate.distance_km,
+        active_orders: candidate.active_orders,
+        rating: candidate.rating,
+        score: candidate.score
+      }))
+    });
+  } catch (error) {
+    handleError(res, error, '[DISPATCH] Error fetching dispatch details:', 'فشل في جلب بيانات التوزيع');
+  }
+});
+
+router.post('/orders/:id/assign', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const driverId = parseInt(req.body.driver_id);
+    if (!driverId) {
+      return res.status(400).json({
+        success: false,
+        message: 'معرف المندوب مطلوب'
+      });
+    }
+
+    const order = await Order.findByPk(parseInt(req.params.id));
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'الطلب غير موجود'
+      });
+    }
+
+    await assignByAdmin(order, driverId, req.user);
+
+    res.json({
+      success: true,
+      message: 'تم تعيين المندوب للطلب',
+      order: {
+        ...formatOfferedOrder(order),
+        assigned_to: order.assigned_to,
+        assigned_delivery_name: order.assigned_delivery_name
+      }
+    });
+  } catch (error) {
+    handleError(res, error, '[DISPATCH] Error assigning driver:', 'فشل في تعيين المندوب');
+  }
+});
+
+module.exports = router;
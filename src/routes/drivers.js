@@ -3,6 +3,8 @@
 const express = require('express');
 const { Op } = require('sequelize');
 const User = require('../models/User');
+const Ride = require('../models/Ride');
+const DriverEarning = require('../models/DriverEarning');
 const { auth, requireRole, requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
@@ -155,7 +157,7 @@ router.put('/:id/status', auth, async (req, res) => {
 router.put('/:id/location', auth, async (req, res) => {
   try {
     const driverId = req.params.id;
-    const { latitude, longitude, last_location_update } = req.body;
+    const { latitude, longitude, heading } = req.body;
 
     console.log('Location update request for driver:', driverId, 'by user:', req.user.id);
 
@@ -167,10 +169,11 @@ router.put('/:id/location', auth, async (req, res) => {
       });
     }
 
+    // Ride drivers and delivery couriers both report their position here
     const driver = await User.findOne({
       where: { 
         id: driverId,
-        role: 'driver'
+        role: ['driver', 'delivery']
       }
     });
 
@@ -193,7 +196,8 @@ router.put('/:id/location', auth, async (req, res) => {
     const newLocation = { lat: latitude, lng: longitude };
     await driver.update({
       location: newLocation,
-      last_location_update: last_location_update || new Date()
+      locationUpdatedAt: new Date(),
+      locationHeading: typeof heading === 'number' ? heading : null
     });
 
     console.log('Driver location updated:', newLocation);
@@ -573,38 +577,22 @@ router.get('/stats/overview', auth, requireRole(['admin']), async (req, res) =>
   try {
     const stats = await User.findAndCountAll({
       where: { role: 'driver' },
-      attributes: [
-        'id', 
-        'online', 
-        'forceOffline',
-        'force_offline',
-        'totalRides', 
-        'total_deliveries',
-        'totalEarnings',
-        'total_earnings',
-        'rating',
-        'createdAt'
-      ]
+      attributes: ['id', 'online', 'forceOffline', 'rating', 'createdAt']
     });
 
     const totalDrivers = stats.count;
-    const onlineDrivers = stats.rows.filter(d => 
-      d.online && !(d.forceOffline || d.force_offline)
-    ).length;
-    const offlineDrivers = stats.rows.filter(d => 
-      !d.online || d.forceOffline || d.force_offline
-    ).length;
-    const forcedOfflineDrivers = stats.rows.filter(d => 
-      d.forceOffline || d.force_offline
-    ).length;
-    
-    const totalEarnings = stats.rows.reduce((sum, driver) => 
-      sum + (parseFloat(driver.totalEarnings || driver.total_earnings) || 0), 0
-    );
-    
-    const totalRides = stats.rows.reduce((sum, driver) => 
-      sum + (parseInt(driver.totalRides || driver.total_deliveries) || 0), 0
-    );
+    const onlineDrivers = stats.rows.filter(d => d.online && !d.forceOffline).length;
+    const offlineDrivers = stats.rows.filter(d => !d.online || d.forceOffline).length;
+    const forcedOfflineDrivers = stats.rows.filter(d => d.forceOffline).length;
+
+    // Booked per job on completion (see services/earnings.js), net of reversals
+    const driverIds = stats.rows.map(d => d.id);
+    const totalEarnings = driverIds.length > 0
+      ? parseFloat(await DriverEarning.sum('amount', { where: { driver_id: driverIds } })) || 0
+      : 0;
+    const totalRides = driverIds.length > 0
+      ? await Ride.count({ where: { driver_id: driverIds, status: 'completed' } })
+      : 0;
 
     const averageRating = stats.rows.reduce((sum, driver) => 
       sum + (parseFloat(driver.rating) || 5.0), 0
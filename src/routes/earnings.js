@@ -0,0 +1,111 @@
+// src/routes/earnings.js - Per-job earnings and daily / weekly statements for drivers and couriers
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  getUnpaidEarnings,
+  getStatement,
+  listEarnings,
+  formatEarning
+} = require('../services/earnings');
+const { isServiceError, sendServiceError } = require('../services/errors');
+
+const EARNING_STATUSES = ['unpaid', 'paid'];
+
+const handleError = (res, error, logPrefix, message) => {
+  if (isServiceError(error)) {
+    return sendServiceError(res, error);
+  }
+
+  console.error(logPrefix, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+  });
+};
+
+const findDriver = (id) => User.findOne({
+  where: { id, role: { [Op.in]: ['driver', 'delivery'] } },
+  attributes: ['id', 'name', 'phone', 'role']
+});
+
+const driverNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'السائق غير موجود'
+});
+
+// Unpaid balance plus one page of earnings, newest first
+const earningsPage = async (driverId, query) => {
+  const limit = Math.min(parseInt(query.limit) || 50, 200);
+  const offset = parseInt(query.offset) || 0;
+  const status = EARNING_STATUSES.includes(query.status) ? query.status : undefined;
+
+  const { rows, count } = await listEarnings(driverId, { limit, offset, status });
+
+  return {
+    unpaid: await getUnpaidEarnings(driverId),
+    earnings: rows.map(formatEarning),
+    pagination: { total: count, limit, offset }
+  };
+};
+
+const statementQuery = (query) => ({
+  period: query.period || 'day',
+  from: query.from,
+  to: query.to
+});
+
+router.get('/me', authenticateToken, requireRole(['driver', 'delivery']), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await earningsPage(req.user.id, req.query)) });
+  } catch (error) {
+    handleError(res, error, '[EARNINGS] Error fetching earnings:', 'فشل في جلب الأرباح');
+  }
+});
+
+// ?period=day|week&from=YYYY-MM-DD&to=YYYY-MM-DD
+router.get('/me/statements', authenticateToken, requireRole(['driver', 'delivery']), async (req, res) => {
+  try {
+    const statement = await getStatement(req.user.id, statementQuery(req.query));
+    res.json({
+      success: true,
+      ...statement,
+      unpaid: await getUnpaidEarnings(req.user.id)
+    });
+  } catch (error) {
+    handleError(res, error, '[EARNINGS] Error fetching statement:', 'فشل في جلب كشف الأرباح');
+  }
+});
+
+router.get('/drivers/:driverId', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const driver = await findDriver(parseInt(req.params.driverId));
+    if (!driver) return driverNotFound(res);
+
+    res.json({ success: true, driver, ...(await earningsPage(driver.id, req.query)) });
+  } catch (error) {
+    handleError(res, error, '[EARNINGS] Error fetching driver earnings:', 'فشل في جلب أرباح السائق');
+  }
+});
+
+router.get('/drivers/:driverId/statements', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const driver = await findDriver(parseInt(req.params.driverId));
+    if (!driver) return driverNotFound(res);
+
+    const statement = await getStatement(driver.id, statementQuery(req.query));
+    res.json({
+      success: true,
+      driver,
+      ...statement,
+      unpaid: await getUnpaidEarnings(driver.id)
+    });
+  } catch (error) {
+    handleError(res, error, '[EARNINGS] Error fetching driver statement:', 'فشل في جلب كشف أرباح السائق');
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult, query, param } = require('express-validator');
 const MenuItem = require('../models/MenuItem');
 const User = require('../models/User');
+const Restaurant = require('../models/Restaurant');
+const { openingStatus } = require('../services/openingHours');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 
 const router = express.Router();
@@ -14,6 +16,26 @@ const validateMenuItem = [
   body('category').isIn(['Main', 'Starter', 'Dessert', 'Drinks']).withMessage('فئة غير صحيحة'),
 ];
 
+// Each item says whether its restaurant takes orders right now, and if not
+// when it opens again
+const withRestaurantStatus = async (menuItems) => {
+  const emails = [...new Set(menuItems
+    .map(item => item.restaurant_email && item.restaurant_email.toLowerCase())
+    .filter(Boolean))];
+  const restaurants = emails.length > 0 ? await Restaurant.findAll({ where: { email: emails } }) : [];
+  const now = new Date();
+  const statuses = new Map(restaurants.map(restaurant => [restaurant.email.toLowerCase(), openingStatus(restaurant, now)]));
+
+  return menuItems.map(item => {
+    const status = statuses.get((item.restaurant_email || '').toLowerCase()) || openingStatus({}, now);
+    return {
+      ...item.toJSON(),
+      restaurant_is_open_now: status.is_open_now,
+      restaurant_next_opening_at: status.next_opening_at
+    };
+  });
+};
+
 // Get all menu items (public endpoint for home page)
 router.get('/', async (req, res) => {
   try {
@@ -51,7 +73,7 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      menuItems,
+      menuItems: await withRestaurantStatus(menuItems),
       count: menuItems.length
     });
   } catch (error) {
@@ -87,9 +109,11 @@ router.get('/:id', [
       });
     }
 
+    const [withStatus] = await withRestaurantStatus([menuItem]);
+
     res.json({
       success: true,
-      menuItem
+      menuItem: withStatus
     });
   } catch (error) {
     console.error('Error fetching menu item:', error);
@@ -456,7 +480,7 @@ router.get('/restaurant/:restaurantId', [
 
     res.json({
       success: true,
-      menuItems,
+      menuItems: await withRestaurantStatus(menuItems),
       count: menuItems.length
     });
   } catch (error) {
@@ -1,78 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
-const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
+const { startDispatch } = require('../services/dispatch');
+const {
+  listNotifications,
+  countUnread,
+  markRead,
+  markAllRead,
+  deleteNotification,
+  getNotificationStats,
+  purgeOldNotifications
+} = require('../services/notifications');
 
-const notifications = new Map();
-
-const notifyDeliveryDrivers = async (order) => {
-  try {
-    console.log(`[NOTIFY] Creating notification for order #${order.id}`);
-    
-    const deliveryDrivers = await User.findAll({
-      where: { 
-        role: 'delivery',
-        isActive: true
-      }
-    });
-
-    console.log(`[NOTIFY] Found ${deliveryDrivers.length} active delivery drivers`);
-
-    if (deliveryDrivers.length === 0) {
-      console.warn('[NOTIFY] No active delivery drivers found');
-      return { success: true, notified_drivers: 0, message: 'No active drivers' };
-    }
-
-    const notification = {
-      id: Date.now(),
-      type: 'new_order',
-      order_id: order.id,
-      title: 'طلب جديد متاح',
-      message: `طلب جديد للتوصيل #${order.id} - ج.م ${order.total}`,
-      customer_name: order.customer_name,
-      customer_phone: order.customer_phone,
-      customer_location: order.address,
-      total: parseFloat(order.total),
-      delivery_fee: parseFloat(order.delivery_fee || 0),
-      restaurants: typeof order.restaurants === 'string' ? JSON.parse(order.restaurants) : (order.restaurants || []),
-      created_at: new Date(),
-      read: false,
-      priority: order.priority || 'normal'
-    };
-
-    deliveryDrivers.forEach(driver => {
-      if (!notifications.has(driver.id)) {
-        notifications.set(driver.id, []);
-      }
-      
-      const driverNotifications = notifications.get(driver.id);
-      driverNotifications.unshift(notification);
-      
-      if (driverNotifications.length > 50) {
-        driverNotifications.splice(50);
-      }
-      
-      notifications.set(driver.id, driverNotifications);
-      
-      console.log(`[NOTIFY] Added notification to driver ${driver.id} (${driver.name})`);
-    });
-
-    console.log(`[NOTIFY] Successfully notified ${deliveryDrivers.length} delivery drivers about order #${order.id}`);
-    
-    return { success: true, notified_drivers: deliveryDrivers.length };
-  } catch (error) {
-    console.error('[NOTIFY] Error notifying delivery drivers:', error);
-    throw error;
-  }
-};
-
+// Drivers are offered orders by the dispatch service; this endpoint only
+// makes sure dispatch has started for orders the app reports as new.
 router.post('/new-order', authenticateToken, async (req, res) => {
   try {
     console.log(`[NOTIFICATIONS API] Received new-order request:`, req.body);
-    
-    const { order_id, message, type = 'new_order' } = req.body;
-    
+
+    const { order_id } = req.body;
+
     if (!order_id) {
       return res.status(400).json({
         success: false,
@@ -81,15 +29,15 @@ router.post('/new-order', authenticateToken, async (req, res) => {
     }
 
     const orderIdInt = parseInt(order_id);
-    
+
     let order = await Order.findByPk(orderIdInt);
-    
+
     if (!order) {
       console.log(`[NOTIFICATIONS API] Order ${orderIdInt} not found, waiting 500ms...`);
       await new Promise(resolve => setTimeout(resolve, 500));
       order = await Order.findByPk(orderIdInt);
     }
-    
+
     if (!order) {
       console.error(`[NOTIFICATIONS API] Order ${order_id} still not found after retry`);
       return res.status(200).json({
@@ -99,16 +47,17 @@ router.post('/new-order', authenticateToken, async (req, res) => {
       });
     }
 
-    console.log(`[NOTIFICATIONS API] Found order ${order_id}, notifying drivers...`);
-    
-    const result = await notifyDeliveryDrivers(order);
-    
+    console.log(`[NOTIFICATIONS API] Found order ${order_id}, starting dispatch...`);
+
+    const result = await startDispatch(order);
+
     res.json({
       success: true,
       message: 'تم إرسال الإشعار بنجاح للمندوبين',
-      notified_drivers: result.notified_drivers
+      dispatch_status: result.status,
+      notified_drivers: result.offers ? result.offers.length : 0
     });
-    
+
   } catch (error) {
     console.error('[NOTIFICATIONS API] Error in new-order endpoint:', error);
     res.status(500).json({
@@ -119,70 +68,205 @@ router.post('/new-order', authenticateToken, async (req, res) => {
   }
 });
 
-router.get('/:driverId', authenticateToken, async (req, res) => {
+// Current user's notifications, newest first
+router.get('/', authenticateToken, async (req, res) => {
   try {
-    const driverId = parseInt(req.params.driverId);
-    
-    if (isNaN(driverId)) {
+    const { limit = 20, offset = 0, unread_only, type } = req.query;
+
+    const page = await listNotifications(req.user.id, {
+      limit,
+      offset,
+      unreadOnly: unread_only === 'true' || unread_only === '1',
+      type: type || null
+    });
+    const unread = await countUnread(req.user.id);
+
+    console.log(`[NOTIFICATIONS API] Retrieved ${page.notifications.length} notifications for user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      notifications: page.notifications,
+      total: page.total,
+      unread,
+      pagination: {
+        limit: page.limit,
+        offset: page.offset,
+        has_more: page.has_more
+      }
+    });
+
+  } catch (error) {
+    console.error('[NOTIFICATIONS API] Error fetching user notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب الإشعارات',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      unread: await countUnread(req.user.id)
+    });
+  } catch (error) {
+    console.error('[NOTIFICATIONS API] Error counting unread notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب عدد الإشعارات غير المقروءة',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+router.put('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const updated = await markAllRead(req.user.id);
+
+    console.log(`[NOTIFICATIONS API] Marked ${updated} notifications as read for user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'تم تحديد جميع الإشعارات كمقروءة',
+      updated
+    });
+  } catch (error) {
+    console.error('[NOTIFICATIONS API] Error marking all notifications read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في تحديث الإشعارات',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+router.get('/stats/summary', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح بالوصول للإحصائيات'
+      });
+    }
+
+    res.json({
+      success: true,
+      stats: await getNotificationStats()
+    });
+
+  } catch (error) {
+    console.error('[NOTIFICATIONS API] Error getting stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب الإحصائيات'
+    });
+  }
+});
+
+router.put('/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.id);
+
+    if (isNaN(notificationId)) {
       return res.status(400).json({
         success: false,
-        message: 'معرف المندوب غير صحيح'
+        message: 'معرف الإشعار غير صحيح'
       });
     }
-    
-    if (req.user.role !== 'admin' && req.user.id !== driverId) {
-      return res.status(403).json({
+
+    const notification = await markRead(req.user.id, notificationId);
+
+    if (!notification) {
+      return res.status(404).json({
         success: false,
-        message: 'غير مسموح لك بالوصول لهذه الإشعارات'
+        message: 'الإشعار غير موجود'
       });
     }
-    
-    const driverNotifications = notifications.get(driverId) || [];
-    
-    console.log(`[NOTIFICATIONS API] Retrieved ${driverNotifications.length} notifications for driver ${driverId}`);
-    
+
     res.json({
       success: true,
-      notifications: driverNotifications,
-      total: driverNotifications.length,
-      unread: driverNotifications.filter(n => !n.read).length
+      message: 'تم تحديث حالة الإشعار'
     });
-    
   } catch (error) {
-    console.error('[NOTIFICATIONS API] Error fetching notifications:', error);
+    console.error('[NOTIFICATIONS API] Error updating notification:', error);
     res.status(500).json({
       success: false,
-      message: 'فشل في جلب الإشعارات',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+      message: 'فشل في تحديث الإشعار'
     });
   }
 });
 
-router.get('/', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, async (req, res) => {
   try {
-    if (req.user.role !== 'delivery') {
+    const notificationId = parseInt(req.params.id);
+
+    if (isNaN(notificationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'معرف الإشعار غير صحيح'
+      });
+    }
+
+    const removed = await deleteNotification(req.user.id, notificationId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'الإشعار غير موجود'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'تم حذف الإشعار'
+    });
+  } catch (error) {
+    console.error('[NOTIFICATIONS API] Error deleting notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في حذف الإشعار'
+    });
+  }
+});
+
+// Legacy per-driver routes, still used by the driver app
+router.get('/:driverId', authenticateToken, async (req, res) => {
+  try {
+    const driverId = parseInt(req.params.driverId);
+
+    if (isNaN(driverId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'معرف المندوب غير صحيح'
+      });
+    }
+
+    if (req.user.role !== 'admin' && req.user.id !== driverId) {
       return res.status(403).json({
         success: false,
-        message: 'هذا الإشعار متاح للمندوبين فقط'
+        message: 'غير مسموح لك بالوصول لهذه الإشعارات'
       });
     }
-    
-    const driverNotifications = notifications.get(req.user.id) || [];
-    
-    console.log(`[NOTIFICATIONS API] Retrieved ${driverNotifications.length} notifications for current user ${req.user.id}`);
-    
+
+    const page = await listNotifications(driverId, { limit: 50 });
+
+    console.log(`[NOTIFICATIONS API] Retrieved ${page.notifications.length} notifications for driver ${driverId}`);
+
     res.json({
       success: true,
-      notifications: driverNotifications,
-      total: driverNotifications.length,
-      unread: driverNotifications.filter(n => !n.read).length
+      notifications: page.notifications,
+      total: page.total,
+      unread: await countUnread(driverId)
     });
-    
+
   } catch (error) {
-    console.error('[NOTIFICATIONS API] Error fetching user notifications:', error);
+    console.error('[NOTIFICATIONS API] Error fetching notifications:', error);
     res.status(500).json({
       success: false,
-      message: 'فشل في جلب الإشعارات'
+      message: 'فشل في جلب الإشعارات',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
     });
   }
 });
@@ -191,43 +275,37 @@ router.put('/:driverId/:notificationId/read', authenticateToken, async (req, res
   try {
     const driverId = parseInt(req.params.driverId);
     const notificationId = parseInt(req.params.notificationId);
-    
+
     if (isNaN(driverId) || isNaN(notificationId)) {
       return res.status(400).json({
         success: false,
         message: 'معرفات غير صحيحة'
       });
     }
-    
+
     if (req.user.role !== 'admin' && req.user.id !== driverId) {
       return res.status(403).json({
         success: false,
         message: 'غير مسموح لك بتعديل هذا الإشعار'
       });
     }
-    
-    const driverNotifications = notifications.get(driverId) || [];
-    const notification = driverNotifications.find(n => n.id === notificationId);
-    
+
+    const notification = await markRead(driverId, notificationId);
+
     if (!notification) {
       return res.status(404).json({
         success: false,
         message: 'الإشعار غير موجود'
       });
     }
-    
-    notification.read = true;
-    notification.read_at = new Date();
-    
-    notifications.set(driverId, driverNotifications);
-    
+
     console.log(`[NOTIFICATIONS API] Marked notification ${notificationId} as read for driver ${driverId}`);
-    
+
     res.json({
       success: true,
       message: 'تم تحديث حالة الإشعار'
     });
-    
+
   } catch (error) {
     console.error('[NOTIFICATIONS API] Error updating notification:', error);
     res.status(500).json({
@@ -241,31 +319,28 @@ router.delete('/:driverId/:notificationId', authenticateToken, async (req, res)
   try {
     const driverId = parseInt(req.params.driverId);
     const notificationId = parseInt(req.params.notificationId);
-    
+
     if (req.user.role !== 'admin' && req.user.id !== driverId) {
       return res.status(403).json({
         success: false,
         message: 'غير مسموح لك بحذف هذا الإشعار'
       });
     }
-    
-    const driverNotifications = notifications.get(driverId) || [];
-    const updatedNotifications = driverNotifications.filter(n => n.id !== notificationId);
-    
-    if (driverNotifications.length === updatedNotifications.length) {
+
+    const removed = await deleteNotification(driverId, notificationId);
+
+    if (!removed) {
       return res.status(404).json({
         success: false,
         message: 'الإشعار غير موجود'
       });
     }
-    
-    notifications.set(driverId, updatedNotifications);
-    
+
     res.json({
       success: true,
       message: 'تم حذف الإشعار'
     });
-    
+
   } catch (error) {
     console.error('[NOTIFICATIONS API] Error deleting notification:', error);
     res.status(500).json({
@@ -275,62 +350,8 @@ router.delete('/:driverId/:notificationId', authenticateToken, async (req, res)
   }
 });
 
-router.get('/stats/summary', authenticateToken, async (req, res) => {
-  try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'غير مسموح بالوصول للإحصائيات'
-      });
-    }
-    
-    let totalNotifications = 0;
-    let totalUnread = 0;
-    let driversWithNotifications = 0;
-    
-    notifications.forEach((driverNotifications, driverId) => {
-      if (driverNotifications.length > 0) {
-        driversWithNotifications++;
-        totalNotifications += driverNotifications.length;
-        totalUnread += driverNotifications.filter(n => !n.read).length;
-      }
-    });
-    
-    res.json({
-      success: true,
-      stats: {
-        total_notifications: totalNotifications,
-        total_unread: totalUnread,
-        drivers_with_notifications: driversWithNotifications,
-        total_drivers_registered: notifications.size
-      }
-    });
-    
-  } catch (error) {
-    console.error('[NOTIFICATIONS API] Error getting stats:', error);
-    res.status(500).json({
-      success: false,
-      message: 'فشل في جلب الإحصائيات'
-    });
-  }
-});
-
-const cleanupOldNotifications = () => {
-  const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-  
-  notifications.forEach((driverNotifications, driverId) => {
-    const recentNotifications = driverNotifications.filter(
-      n => new Date(n.created_at) > oneWeekAgo
-    );
-    
-    if (recentNotifications.length !== driverNotifications.length) {
-      notifications.set(driverId, recentNotifications);
-      console.log(`[NOTIFICATIONS] Cleaned up old notifications for driver ${driverId}`);
-    }
-  });
-};
-
-setInterval(cleanupOldNotifications, 60 * 60 * 1000);
+setInterval(() => {
+  purgeOldNotifications().catch(error => console.error('[NOTIFICATIONS] Cleanup failed:', error));
+}, 60 * 60 * 1000).unref();
 
 module.exports = router;
-module.exports.notifications = notifications;
\ No newline at end of file
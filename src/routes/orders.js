@@ -1,70 +1,77 @@
 const express = require('express');
+const fs = require('fs');
 const router = express.Router();
 const Order = require('../models/Order');
 const User = require('../models/User');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { recordOrderEvent, getOrderTimeline } = require('../services/orderEvents');
+const { priceOrder } = require('../services/orderPricing');
+const { toPoint } = require('../services/geo');
+const { isServiceError, sendServiceError } = require('../services/errors');
+const { OPEN_FOR_DRIVERS, ENDED_UNFULFILLED, assertTransition, initialStatusFor, statusTimestamps } = require('../services/orderWorkflow');
+const {
+  createFulfillments,
+  ensureFulfillments,
+  getFulfillments,
+  transitionFulfillment,
+  cascadeOrderStatus,
+  formatFulfillment
+} = require('../services/orderFulfillments');
+const { startDispatch, announceOrder, assertDriverMayClaim, settleOffers } = require('../services/dispatch');
+const { listNotifications, markRead, getNotificationStats } = require('../services/notifications');
+const { recordTripPoints, getTripTrace } = require('../services/tripTrace');
+const { getOrderTracking } = require('../services/liveTracking');
+const { parseScheduledFor, orderReleaseTime, assertRestaurantsOpenAt } = require('../services/scheduler');
+const { priceWithPromo, redeemPromo, releaseRedemptions } = require('../services/promoCodes');
+const { bookDeliveredOrder } = require('../services/cashLedger');
+const { assertWalletCovers } = require('../services/wallet');
+const {
+  initialPaymentStatus,
+  createPaymentIntent,
+  releasePaymentAfterCommit,
+  capturePaymentAfterCommit,
+  formatPaymentIntent
+} = require('../services/payments');
+const {
+  DROPOFF_PREFERENCES,
+  receiveProofPhoto,
+  discardProofPhoto,
+  isPhotoRequired,
+  deliverOrder,
+  getDeliveryProof,
+  proofPhotoPath,
+  formatDeliveryProof
+} = require('../services/proofOfDelivery');
 const { Op } = require('sequelize');
 
-const notifications = new Map();
-
-const notifyDeliveryDrivers = async (order) => {
-  try {
-    console.log(`[NOTIFY] Creating notification for order #${order.id}`);
-    
-    const deliveryDrivers = await User.findAll({
-      where: { 
-        role: 'delivery',
-        isActive: true
-      }
-    });
-
-    console.log(`[NOTIFY] Found ${deliveryDrivers.length} active delivery drivers`);
-
-    if (deliveryDrivers.length === 0) {
-      console.warn('[NOTIFY] No active delivery drivers found');
-      return;
-    }
-
-    const notification = {
-      id: Date.now(),
-      type: 'new_order',
-      order_id: order.id,
-      title: 'طلب جديد متاح',
-      message: `طلب جديد للتوصيل #${order.id} - ج.م ${order.total}`,
-      customer_name: order.customer_name,
-      customer_phone: order.customer_phone,
-      customer_location: order.address,
-      total: parseFloat(order.total),
-      delivery_fee: parseFloat(order.delivery_fee || 0),
-      restaurants: typeof order.restaurants === 'string' ? JSON.parse(order.restaurants) : (order.restaurants || []),
-      created_at: new Date(),
-      read: false,
-      priority: order.priority || 'normal'
-    };
-
-    deliveryDrivers.forEach(driver => {
-      if (!notifications.has(driver.id)) {
-        notifications.set(driver.id, []);
-      }
-      
-      const driverNotifications = notifications.get(driver.id);
-      driverNotifications.unshift(notification);
-      
-      if (driverNotifications.length > 50) {
-        driverNotifications.splice(50);
-      }
-      
-      notifications.set(driver.id, driverNotifications);
-      
-      console.log(`[NOTIFY] Added notification to driver ${driver.id} (${driver.name})`);
-    });
-
-    console.log(`[NOTIFY] Successfully notified ${deliveryDrivers.length} delivery drivers about order #${order.id}`);
-    
-  } catch (error) {
-    console.error('[NOTIFY] Error notifying delivery drivers:', error);
-    throw error;
+// Fixed by the server at checkout; only admins correct them afterwards
+const PRICED_ORDER_FIELDS = ['items', 'restaurants', 'restaurant_emails', 'subtotal', 'delivery_fee', 'tax', 'discount', 'promo_code', 'total', 'payment_method'];
+
+// Fields each role may send to PUT /:id. Everything else is written by the
+// server: claims and status timestamps there, prices at checkout, payment_status
+// by the payment service and the delivery code by proof of delivery.
+const EDITABLE_ORDER_FIELDS = {
+  admin: [
+    'status', 'cancelled_reason', 'notes', 'delivery_instructions', 'priority', 'estimated_delivery_time',
+    'customer_name', 'customer_phone', 'address', 'customer_location',
+    'assigned_to', 'assigned_delivery_name', 'assigned_delivery_phone',
+    ...PRICED_ORDER_FIELDS
+  ],
+  delivery: ['status', 'cancelled_reason'],
+  restaurant: ['estimated_delivery_time'],
+  customer: ['status', 'cancelled_reason', 'notes', 'delivery_instructions']
+};
+// Not columns; they describe the change in the order timeline
+const ORDER_EVENT_FIELDS = ['reason', 'event_payload'];
+
+const pickEditableOrderFields = (body, role) => {
+  const allowed = [...(EDITABLE_ORDER_FIELDS[role] || EDITABLE_ORDER_FIELDS.customer), ...ORDER_EVENT_FIELDS];
+  const ignored = Object.keys(body).filter(field => !allowed.includes(field));
+  if (ignored.length > 0) {
+    console.warn(`[ORDER UPDATE] Ignoring ${ignored.join(', ')} from ${role}`);
   }
+  return Object.fromEntries(Object.entries(body).filter(([field]) => allowed.includes(field)));
 };
 
 router.get('/debug/all-orders-detailed', async (req, res) => {
@@ -174,12 +181,7 @@ router.post('/debug/create-test-order', authenticateToken, async (req, res) => {
 
     const verifyOrder = await Order.findByPk(testOrder.id);
     
-    try {
-      await notifyDeliveryDrivers(testOrder);
-      console.log('[DEBUG] Drivers notified for test order');
-    } catch (notifyError) {
-      console.warn('[DEBUG] Failed to notify drivers:', notifyError.message);
-    }
+    await startDispatch(testOrder);
     
     res.json({
       success: true,
@@ -265,7 +267,7 @@ router.get('/debug/all-orders', async (req, res) => {
       orders: orderSummary,
       status_counts: statusCounts,
       pending_orders_available: statusCounts.pending_assignment > 0,
-      active_notifications: Array.from(notifications.keys()).length,
+      active_notifications: (await getNotificationStats()).users_with_notifications,
       system_time: new Date().toISOString(),
       database_connected: true
     });
@@ -279,9 +281,39 @@ router.get('/debug/all-orders', async (req, res) => {
   }
 });
 
-// In your orders.js route file, update the POST endpoint:
+// Price preview for the checkout screen - same breakdown and the same
+// opening-hours check POST / will apply
+router.post('/quote', authenticateToken, async (req, res) => {
+  try {
+    let quote = await priceOrder(req.body.items, { customerLocation: toPoint(req.body.customer_location) });
+    if (req.body.promo_code) {
+      ({ pricing: quote } = await priceWithPromo(quote, req.body.promo_code, { userId: req.user.id }));
+    }
+
+    const scheduledFor = parseScheduledFor(req.body.scheduled_for);
+    if ((req.body.type || 'restaurant') === 'restaurant') {
+      await assertRestaurantsOpenAt(quote.restaurant_emails, scheduledFor || new Date(), { scheduled: Boolean(scheduledFor) });
+    }
 
-router.post('/', authenticateToken, async (req, res) => {
+    res.json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
+
+    console.error('[ORDER QUOTE] Error pricing order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في حساب سعر الطلب',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+router.post('/', authenticateToken, idempotent('POST /api/orders'), async (req, res) => {
   try {
     console.log('[ORDER CREATE] =================================');
     console.log('[ORDER CREATE] Starting order creation process');
@@ -305,22 +337,20 @@ router.post('/', authenticateToken, async (req, res) => {
       customer_phone,
       address,
       items,
-      subtotal,
-      delivery_fee,
-      total,
       payment_method = 'cash',
-      type = 'restaurant',
-      restaurants,
-      restaurant_emails
+      type = 'restaurant'
     } = req.body;
 
     // Log received data
     console.log('[ORDER CREATE] Received items:', items);
-    console.log('[ORDER CREATE] Received restaurants:', restaurants);
     console.log('[ORDER CREATE] Items is array:', Array.isArray(items));
-    console.log('[ORDER CREATE] Restaurants is array:', Array.isArray(restaurants));
 
-    const actualUserId = user_id || req.user.id;
+    // Only admins place orders on someone else's behalf; anyone else orders,
+    // redeems promos and pays from their own account
+    if (user_id && req.user.role !== 'admin' && parseInt(user_id) !== req.user.id) {
+      console.warn(`[ORDER CREATE] Ignoring user_id ${user_id} sent by user ${req.user.id}`);
+    }
+    const actualUserId = req.user.role === 'admin' && user_id ? parseInt(user_id) : req.user.id;
 
     // Validation...
     const validationErrors = [];
@@ -330,8 +360,6 @@ router.post('/', authenticateToken, async (req, res) => {
     if (!customer_phone?.trim()) validationErrors.push('رقم هاتف العميل مطلوب');
     if (!address?.trim()) validationErrors.push('عنوان التوصيل مطلوب');
     if (!items || !Array.isArray(items) || items.length === 0) validationErrors.push('عناصر الطلب مطلوبة');
-    if (!subtotal || isNaN(subtotal) || subtotal <= 0) validationErrors.push('المجموع الفرعي مطلوب ويجب أن يكون أكبر من صفر');
-    if (!total || isNaN(total) || total <= 0) validationErrors.push('الإجمالي مطلوب ويجب أن يكون أكبر من صفر');
 
     if (validationErrors.length > 0) {
       console.error('[ORDER CREATE] Validation errors:', validationErrors);
@@ -342,6 +370,45 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    // Every amount is recomputed from the menu - client totals are ignored
+    let pricing = await priceOrder(items, { customerLocation: toPoint(req.body.customer_location) });
+
+    let promo = null;
+    if (req.body.promo_code) {
+      ({ promo, pricing } = await priceWithPromo(pricing, req.body.promo_code, { userId: parseInt(actualUserId) }));
+    }
+
+    console.log('[ORDER CREATE] Server pricing:', {
+      subtotal: pricing.subtotal,
+      delivery_fee: pricing.delivery_fee,
+      tax: pricing.tax,
+      discount: pricing.discount || 0,
+      total: pricing.total,
+      client_total: req.body.total
+    });
+
+    if (payment_method === 'wallet') {
+      await assertWalletCovers(parseInt(actualUserId), pricing.total);
+    }
+
+    // Pre-booked orders wait in "scheduled" until the scheduler releases them
+    const estimatedDeliveryTime = parseInt(req.body.estimated_delivery_time || 30);
+    const scheduledFor = parseScheduledFor(req.body.scheduled_for);
+    const releaseAt = scheduledFor ? orderReleaseTime(scheduledFor, estimatedDeliveryTime) : null;
+    if (type === 'restaurant') {
+      await assertRestaurantsOpenAt(pricing.restaurant_emails, scheduledFor || new Date(), { scheduled: Boolean(scheduledFor) });
+    }
+
+    const dropoffPreference = req.body.dropoff_preference || 'hand_to_customer';
+    if (!DROPOFF_PREFERENCES.includes(dropoffPreference)) {
+      return res.status(400).json({
+        success: false,
+        message: 'طريقة التسليم غير صحيحة',
+        code: 'INVALID_DROPOFF_PREFERENCE',
+        allowed_values: DROPOFF_PREFERENCES
+      });
+    }
+
     // Prepare order data - make sure we're passing arrays directly
     const orderData = {
       user_id: parseInt(actualUserId),
@@ -350,23 +417,30 @@ router.post('/', authenticateToken, async (req, res) => {
       address: address.trim(),
       customer_location: req.body.customer_location || null,
       // Pass items as array - the model's setter will handle stringification
-      items: Array.isArray(items) ? items : [],
+      items: pricing.items,
       // Pass restaurants as array - the model's setter will handle stringification
-      restaurants: Array.isArray(restaurants) ? restaurants : [],
-      subtotal: parseFloat(subtotal),
-      delivery_fee: parseFloat(delivery_fee || 0),
-      total: parseFloat(total),
-      status: 'pending_assignment',
+      restaurants: pricing.restaurants,
+      subtotal: pricing.subtotal,
+      delivery_fee: pricing.delivery_fee,
+      total: pricing.total,
+      // Restaurant orders wait for the restaurant before drivers are offered them
+      status: scheduledFor ? 'scheduled' : initialStatusFor(type),
+      scheduled_for: scheduledFor,
+      release_at: releaseAt,
       payment_method,
+      payment_status: initialPaymentStatus('order', payment_method || 'cash'),
       type,
       // Pass restaurant_emails as array
-      restaurant_emails: Array.isArray(restaurant_emails) ? restaurant_emails : [],
+      restaurant_emails: pricing.restaurant_emails,
       locationAccuracy: req.body.locationAccuracy || null,
       hasAccurateLocation: req.body.hasAccurateLocation || false,
-      estimated_delivery_time: parseInt(req.body.estimated_delivery_time || 30),
+      estimated_delivery_time: estimatedDeliveryTime,
       priority: req.body.priority || 'normal',
-      tax: parseFloat(req.body.tax || 0),
+      tax: pricing.tax,
+      discount: pricing.discount || 0,
+      promo_code: promo ? promo.code : null,
       notes: req.body.notes || null,
+      dropoff_preference: dropoffPreference,
       created_at: new Date(),
       updated_at: new Date()
     };
@@ -381,31 +455,74 @@ router.post('/', authenticateToken, async (req, res) => {
     });
 
     let newOrder;
+    let fulfillments = [];
+    const createTransaction = await Order.sequelize.transaction();
     try {
-      newOrder = await Order.create(orderData);
+      newOrder = await Order.create(orderData, { transaction: createTransaction });
+      // One sub-order per restaurant so each kitchen handles only its own part
+      if (newOrder.type === 'restaurant') {
+        fulfillments = await createFulfillments(newOrder, pricing, { transaction: createTransaction });
+      }
+      if (promo) {
+        await redeemPromo(promo, {
+          userId: newOrder.user_id,
+          orderId: newOrder.id,
+          discount: newOrder.discount
+        }, { transaction: createTransaction });
+      }
+      await createTransaction.commit();
       console.log('[ORDER CREATE] Order created successfully:', {
         id: newOrder.id,
         status: newOrder.status,
         customer_name: newOrder.customer_name,
         total: newOrder.total,
         items_stored: newOrder.items,
-        restaurants_stored: newOrder.restaurants
+        restaurants_stored: newOrder.restaurants,
+        fulfillments: fulfillments.length
       });
     } catch (createError) {
+      await createTransaction.rollback();
       console.error('[ORDER CREATE] Order creation failed:', createError);
       throw createError;
     }
     
     // Verify the order was created correctly
     const orderId = parseInt(newOrder.id);
-    
-    // Notify delivery drivers
+
     try {
-      console.log('[ORDER CREATE] Notifying delivery drivers...');
-      await notifyDeliveryDrivers(newOrder);
-      console.log('[ORDER CREATE] Delivery drivers notified successfully');
-    } catch (notifyError) {
-      console.warn('[ORDER CREATE] Failed to notify drivers:', notifyError.message);
+      await recordOrderEvent(orderId, {
+        type: 'created',
+        to: newOrder.status,
+        actor: req.user,
+        payload: {
+          total: parseFloat(newOrder.total),
+          payment_method: newOrder.payment_method,
+          items_count: newOrder.items.length,
+          ...(newOrder.promo_code && { promo_code: newOrder.promo_code, discount: newOrder.discount }),
+          ...(newOrder.scheduled_for && { scheduled_for: newOrder.scheduled_for })
+        }
+      });
+    } catch (eventError) {
+      console.warn('[ORDER CREATE] Failed to record timeline event:', eventError.message);
+    }
+    
+    // Online orders send the customer to the payment provider; drivers are
+    // offered the order once the provider's webhook confirms the authorization.
+    // Wallet orders are paid on the spot. If the payment cannot be started
+    // the customer retries via POST /api/payments/intents.
+    let paymentIntent = null;
+    if (newOrder.payment_status === 'pending') {
+      try {
+        paymentIntent = await createPaymentIntent(newOrder);
+      } catch (paymentError) {
+        console.error(`[ORDER CREATE] Failed to start payment for order ${orderId}:`, paymentError.message);
+      }
+    }
+
+    // Offer to nearby drivers (restaurant orders are offered once accepted);
+    // scheduled orders are announced by the scheduler when they are released
+    if (newOrder.status !== 'scheduled') {
+      await announceOrder(newOrder);
     }
 
     // Prepare response - parse items and restaurants from stored format
@@ -428,7 +545,18 @@ router.post('/', authenticateToken, async (req, res) => {
       created_at: newOrder.created_at,
       updated_at: newOrder.updated_at,
       estimated_delivery_time: newOrder.estimated_delivery_time,
-      priority: newOrder.priority
+      priority: newOrder.priority,
+      tax: parseFloat(newOrder.tax || 0),
+      discount: newOrder.discount,
+      promo_code: newOrder.promo_code,
+      payment_status: newOrder.payment_status,
+      payment: paymentIntent ? formatPaymentIntent(paymentIntent) : null,
+      scheduled_for: newOrder.scheduled_for,
+      release_at: newOrder.release_at,
+      dropoff_preference: newOrder.dropoff_preference,
+      // The customer reads this out to the driver at the door
+      delivery_code: newOrder.delivery_code,
+      fulfillments: fulfillments.map(formatFulfillment)
     };
 
     console.log('[ORDER CREATE] Response items:', orderResponse.items);
@@ -437,11 +565,23 @@ router.post('/', authenticateToken, async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'تم إنشاء الطلب بنجاح وإشعار المندوبين',
-      order: orderResponse
+      message: newOrder.payment_status === 'pending'
+        ? 'تم إنشاء الطلب، يرجى إتمام الدفع'
+        : newOrder.status === 'scheduled'
+          ? 'تمت جدولة الطلب بنجاح'
+          : newOrder.status === 'pending_restaurant'
+            ? 'تم إنشاء الطلب بنجاح وبانتظار تأكيد المطعم'
+            : 'تم إنشاء الطلب بنجاح وإشعار المندوبين',
+      order: orderResponse,
+      pricing
     });
 
   } catch (error) {
+    if (isServiceError(error)) {
+      console.warn('[ORDER CREATE] Rejected:', error.code, error.details || '');
+      return sendServiceError(res, error);
+    }
+
     console.error('[ORDER CREATE] FATAL ERROR:', error);
     res.status(500).json({
       success: false,
@@ -600,6 +740,10 @@ router.get('/', authenticateToken, async (req, res) => {
           accepted_at: order.accepted_at,
           started_at: order.started_at,
           completed_at: order.completed_at,
+          restaurant_accepted_at: order.restaurant_accepted_at,
+          preparing_at: order.preparing_at,
+          ready_at: order.ready_at,
+          cancelled_reason: order.cancelled_reason,
           estimated_delivery_time: order.estimated_delivery_time,
           priority: order.priority,
           locationAccuracy: order.locationAccuracy,
@@ -607,7 +751,13 @@ router.get('/', authenticateToken, async (req, res) => {
           created_at: order.created_at,
           updated_at: order.updated_at,
           tax: parseFloat(order.tax || 0),
+          discount: parseFloat(order.discount || 0),
+          promo_code: order.promo_code,
+          payment_status: order.payment_status,
           notes: order.notes,
+          scheduled_for: order.scheduled_for,
+          dropoff_preference: order.dropoff_preference,
+          ...(order.user_id === req.user.id && { delivery_code: order.delivery_code }),
           customer_info: order.customer ? {
             id: order.customer.id,
             name: order.customer.name,
@@ -700,51 +850,104 @@ router.put('/:id', authenticateToken, async (req, res) => {
       assigned_to: existingOrder.assigned_to
     });
 
-    const validStatusTransitions = {
-      'pending_assignment': ['assigned', 'cancelled'],
-      'assigned': ['in_progress', 'cancelled'],
-      'in_progress': ['delivered', 'cancelled'],
-      'delivered': [],
-      'cancelled': []
-    };
-
-    if (req.body.status && req.body.status !== existingOrder.status) {
-      const allowedTransitions = validStatusTransitions[existingOrder.status] || [];
-      if (!allowedTransitions.includes(req.body.status)) {
-        console.error(`[ORDER UPDATE] Invalid status transition: ${existingOrder.status} -> ${req.body.status}`);
-        return res.status(400).json({
+    // Kitchens move their part of an order through /api/restaurant-orders,
+    // which keeps the sub-orders, the parent status and dispatch in step
+    if (req.user.role === 'restaurant') {
+      if (req.body.status) {
+        return res.status(403).json({
           success: false,
-          message: `لا يمكن تغيير حالة الطلب من "${existingOrder.status}" إلى "${req.body.status}"`
+          message: 'يتم تحديث حالة الطلب من خلال /api/restaurant-orders/:id',
+          code: 'USE_RESTAURANT_ORDER_ROUTES'
         });
       }
-    }
-
-    if (req.user.role === 'delivery') {
-      if (existingOrder.status === 'pending_assignment' && req.body.status === 'assigned') {
-        console.log(`[ORDER UPDATE] Delivery driver ${req.user.id} accepting order ${orderIdInt}`);
-        req.body.assigned_to = req.user.id;
-        req.body.assigned_delivery_name = req.user.name;
-        req.body.assigned_delivery_phone = req.user.phone;
-        req.body.accepted_at = new Date().toISOString();
-      } 
-      else if (existingOrder.assigned_to && existingOrder.assigned_to !== req.user.id) {
-        console.error(`[ORDER UPDATE] Driver ${req.user.id} not authorized for order ${orderIdInt} (assigned to ${existingOrder.assigned_to})`);
+      if (!existingOrder.restaurant_emails.includes(req.user.email.toLowerCase())) {
+        console.warn(`[ORDER UPDATE] Restaurant user ${req.user.id} tried to update order ${orderIdInt}`);
         return res.status(403).json({
           success: false,
           message: 'غير مسموح لك بتحديث هذا الطلب'
         });
       }
+    }
+
+    if (req.user.role === 'customer' && existingOrder.user_id !== req.user.id) {
+      console.warn(`[ORDER UPDATE] Customer ${req.user.id} tried to update order ${orderIdInt} of user ${existingOrder.user_id}`);
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بتحديث هذا الطلب'
+      });
+    }
+
+    // A driver only cancels the order they are carrying
+    if (req.user.role === 'delivery' && req.body.status === 'cancelled' && existingOrder.assigned_to !== req.user.id) {
+      console.warn(`[ORDER UPDATE] Driver ${req.user.id} tried to cancel order ${orderIdInt} (assigned to ${existingOrder.assigned_to})`);
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بإلغاء هذا الطلب'
+      });
+    }
+
+    // Drop what this role may not write before the claim and status logic
+    // below adds the fields the server owns
+    req.body = pickEditableOrderFields(req.body, req.user.role);
+
+    // Drivers claim an order by sending status "assigned". If the restaurant
+    // has already started preparing it, the kitchen status is kept and only
+    // the assignment is recorded.
+    const isDriverClaim = req.user.role === 'delivery' &&
+      req.body.status === 'assigned' &&
+      !existingOrder.assigned_to &&
+      OPEN_FOR_DRIVERS.includes(existingOrder.status);
+
+    if (isDriverClaim) {
+      try {
+        await assertDriverMayClaim(existingOrder, req.user);
+      } catch (claimError) {
+        if (!isServiceError(claimError)) throw claimError;
+        console.warn(`[ORDER UPDATE] Driver ${req.user.id} may not claim order ${orderIdInt} (${claimError.code})`);
+        return sendServiceError(res, claimError);
+      }
 
-      if (req.body.status === 'in_progress' && !req.body.started_at) {
-        req.body.started_at = new Date().toISOString();
+      console.log(`[ORDER UPDATE] Delivery driver ${req.user.id} accepting order ${orderIdInt}`);
+      req.body.assigned_to = req.user.id;
+      req.body.assigned_delivery_name = req.user.name;
+      req.body.assigned_delivery_phone = req.user.phone;
+      req.body.accepted_at = new Date().toISOString();
+      if (existingOrder.status !== 'pending_assignment') {
+        delete req.body.status;
       }
-      if (req.body.status === 'delivered' && !req.body.completed_at) {
-        req.body.completed_at = new Date().toISOString();
+    } else if (req.user.role === 'delivery' && existingOrder.assigned_to && existingOrder.assigned_to !== req.user.id) {
+      console.error(`[ORDER UPDATE] Driver ${req.user.id} not authorized for order ${orderIdInt} (assigned to ${existingOrder.assigned_to})`);
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بتحديث هذا الطلب'
+      });
+    }
+
+    // Drivers must prove the drop-off through POST /:id/deliver; admins may
+    // still close an order here when resolving a dispute
+    if (req.body.status === 'delivered' && req.user.role === 'delivery') {
+      return res.status(400).json({
+        success: false,
+        message: 'يجب تأكيد التسليم برمز العميل أو بصورة',
+        code: 'PROOF_OF_DELIVERY_REQUIRED',
+        photo_required: isPhotoRequired(existingOrder)
+      });
+    }
+
+    if (req.body.status && req.body.status !== existingOrder.status) {
+      try {
+        assertTransition(existingOrder, req.body.status, req.user);
+      } catch (transitionError) {
+        if (!isServiceError(transitionError)) throw transitionError;
+        console.error(`[ORDER UPDATE] Invalid status transition: ${existingOrder.status} -> ${req.body.status} (${transitionError.code})`);
+        return sendServiceError(res, transitionError);
       }
     }
 
+    const statusChanged = Boolean(req.body.status) && req.body.status !== existingOrder.status;
     const updateData = {
       ...req.body,
+      ...(statusChanged && statusTimestamps(existingOrder, req.body.status)),
       updated_at: new Date()
     };
 
@@ -773,12 +976,73 @@ router.put('/:id', authenticateToken, async (req, res) => {
 
     console.log(`[ORDER UPDATE] Final update data:`, updateData);
 
-    const [updatedRowsCount] = await Order.update(updateData, {
-      where: { id: orderIdInt }
-    });
+    const changedFields = Object.keys(req.body).filter(key =>
+      key !== 'status' && key !== 'updated_at' && Order.rawAttributes[key]
+    );
+
+    let updatedRowsCount;
+    const transaction = await Order.sequelize.transaction();
+    try {
+      [updatedRowsCount] = await Order.update(updateData, {
+        // A claim only succeeds if no other driver got the order first
+        where: isDriverClaim ? { id: orderIdInt, assigned_to: null } : { id: orderIdInt },
+        transaction
+      });
+
+      if (isDriverClaim && updatedRowsCount > 0) {
+        await settleOffers(orderIdInt, req.user.id, { transaction });
+      }
+
+      if (updatedRowsCount > 0 && (statusChanged || changedFields.length > 0)) {
+        await recordOrderEvent(orderIdInt, {
+          type: statusChanged ? 'status_changed' : 'updated',
+          from: existingOrder.status,
+          to: statusChanged ? req.body.status : existingOrder.status,
+          actor: req.user,
+          reason: req.body.reason || req.body.cancelled_reason || null,
+          payload: {
+            ...(req.body.event_payload && typeof req.body.event_payload === 'object' ? req.body.event_payload : {}),
+            ...(changedFields.length > 0 && { changed_fields: changedFields }),
+            ...(updateData.assigned_to && updateData.assigned_to !== existingOrder.assigned_to && {
+              assigned_to: updateData.assigned_to,
+              assigned_delivery_name: updateData.assigned_delivery_name || null
+            })
+          }
+        }, { transaction });
+      }
+
+      if (updatedRowsCount > 0 && statusChanged) {
+        const cascaded = await cascadeOrderStatus(orderIdInt, req.body.status, { transaction });
+        if (cascaded > 0) {
+          console.log(`[ORDER UPDATE] ${cascaded} sub-orders moved along with order ${orderIdInt}`);
+        }
+        if (ENDED_UNFULFILLED.includes(req.body.status)) {
+          await releaseRedemptions({ order_id: orderIdInt }, { transaction });
+          releasePaymentAfterCommit(existingOrder, { transaction });
+        }
+        if (req.body.status === 'delivered') {
+          const deliveredOrder = await Order.findByPk(orderIdInt, { transaction });
+          await bookDeliveredOrder(deliveredOrder, { transaction });
+          capturePaymentAfterCommit(deliveredOrder, { transaction });
+        }
+      }
+
+      await transaction.commit();
+    } catch (updateError) {
+      await transaction.rollback();
+      throw updateError;
+    }
 
     console.log(`[ORDER UPDATE] Update result - rows affected: ${updatedRowsCount}`);
 
+    if (updatedRowsCount === 0 && isDriverClaim) {
+      return res.status(409).json({
+        success: false,
+        message: 'تم قبول الطلب من مندوب آخر',
+        code: 'ORDER_ALREADY_TAKEN'
+      });
+    }
+
     if (updatedRowsCount === 0) {
       return res.status(404).json({
         success: false,
@@ -822,6 +1086,10 @@ router.put('/:id', authenticateToken, async (req, res) => {
       accepted_at: updatedOrder.accepted_at,
       started_at: updatedOrder.started_at,
       completed_at: updatedOrder.completed_at,
+      restaurant_accepted_at: updatedOrder.restaurant_accepted_at,
+      preparing_at: updatedOrder.preparing_at,
+      ready_at: updatedOrder.ready_at,
+      cancelled_reason: updatedOrder.cancelled_reason,
       estimated_delivery_time: updatedOrder.estimated_delivery_time,
       priority: updatedOrder.priority,
       locationAccuracy: updatedOrder.locationAccuracy,
@@ -829,6 +1097,9 @@ router.put('/:id', authenticateToken, async (req, res) => {
       created_at: updatedOrder.created_at,
       updated_at: updatedOrder.updated_at,
       tax: parseFloat(updatedOrder.tax || 0),
+      discount: parseFloat(updatedOrder.discount || 0),
+      promo_code: updatedOrder.promo_code,
+      payment_status: updatedOrder.payment_status,
       notes: updatedOrder.notes
     };
     
@@ -890,6 +1161,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
       accepted_at: order.accepted_at,
       started_at: order.started_at,
       completed_at: order.completed_at,
+      restaurant_accepted_at: order.restaurant_accepted_at,
+      preparing_at: order.preparing_at,
+      ready_at: order.ready_at,
+      cancelled_reason: order.cancelled_reason,
       estimated_delivery_time: order.estimated_delivery_time,
       priority: order.priority,
       locationAccuracy: order.locationAccuracy,
@@ -897,7 +1172,16 @@ router.get('/:id', authenticateToken, async (req, res) => {
       created_at: order.created_at,
       updated_at: order.updated_at,
       tax: parseFloat(order.tax || 0),
-      notes: order.notes
+      discount: parseFloat(order.discount || 0),
+      promo_code: order.promo_code,
+      payment_status: order.payment_status,
+      notes: order.notes,
+      scheduled_for: order.scheduled_for,
+      release_at: order.release_at,
+      dropoff_preference: order.dropoff_preference,
+      // Only the customer sees the code; the driver has to get it from them
+      ...(order.user_id === req.user.id && { delivery_code: order.delivery_code }),
+      fulfillments: (await getFulfillments(order.id)).map(formatFulfillment)
     };
     
     res.json({
@@ -914,14 +1198,425 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+router.get('/:id/timeline', authenticateToken, async (req, res) => {
+  try {
+    const orderId = req.params.id;
+
+    if (!orderId || isNaN(orderId) || parseInt(orderId) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'معرف الطلب غير صحيح'
+      });
+    }
+
+    const order = await Order.findByPk(parseInt(orderId));
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'الطلب غير موجود'
+      });
+    }
+
+    const canView = req.user.role === 'admin' ||
+      order.user_id === req.user.id ||
+      (req.user.role === 'delivery' && order.assigned_to === req.user.id) ||
+      (req.user.role === 'restaurant' && order.restaurant_emails.includes(req.user.email));
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بعرض سجل هذا الطلب'
+      });
+    }
+
+    const timeline = await getOrderTimeline(order.id);
+
+    res.json({
+      success: true,
+      order_id: parseInt(order.id),
+      current_status: order.status,
+      timeline,
+      total: timeline.length
+    });
+  } catch (error) {
+    console.error('[ORDER TIMELINE] Error fetching timeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب سجل الطلب',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+// Proof of delivery: multipart with delivery_code and/or a "photo" file
+router.post('/:id/deliver', authenticateToken, requireRole(['delivery', 'admin']), async (req, res) => {
+  let photo = null;
+  try {
+    photo = await receiveProofPhoto(req, res);
+
+    const order = await Order.findByPk(parseInt(req.params.id));
+
+    if (!order) {
+      discardProofPhoto(photo);
+      return res.status(404).json({
+        success: false,
+        message: 'الطلب غير موجود'
+      });
+    }
+
+    const location = req.body.latitude !== undefined
+      ? { lat: req.body.latitude, lng: req.body.longitude }
+      : req.body.location;
+
+    const proof = await deliverOrder(order, req.user, {
+      code: req.body.delivery_code,
+      photo,
+      location,
+      notes: req.body.notes
+    });
+
+    res.json({
+      success: true,
+      message: 'تم تسليم الطلب بنجاح',
+      order_id: parseInt(order.id),
+      status: order.status,
+      completed_at: order.completed_at,
+      proof: formatDeliveryProof(proof)
+    });
+  } catch (error) {
+    discardProofPhoto(photo);
+
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
+
+    console.error('[PROOF OF DELIVERY] Deliver order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في تأكيد تسليم الطلب',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+// Delivery proof for disputes - admin only
+router.get('/:id/proof', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const proof = await getDeliveryProof(parseInt(req.params.id));
+
+    if (!proof) {
+      return res.status(404).json({
+        success: false,
+        message: 'لا يوجد إثبات تسليم لهذا الطلب'
+      });
+    }
+
+    res.json({
+      success: true,
+      proof: formatDeliveryProof(proof)
+    });
+  } catch (error) {
+    console.error('[PROOF OF DELIVERY] Get proof error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب إثبات التسليم',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+router.get('/:id/proof/photo', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const proof = await getDeliveryProof(parseInt(req.params.id));
+    const photoPath = proofPhotoPath(proof);
+
+    if (!photoPath || !fs.existsSync(photoPath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'لا توجد صورة إثبات لهذا الطلب'
+      });
+    }
+
+    res.type(proof.photo_mime_type || 'image/jpeg');
+    res.sendFile(photoPath);
+  } catch (error) {
+    console.error('[PROOF OF DELIVERY] Get proof photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب صورة الإثبات',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+// Live courier position and ETA for the customer until the order is delivered
+router.get('/:id/tracking', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findByPk(parseInt(req.params.id));
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'الطلب غير موجود'
+      });
+    }
+
+    if (req.user.role !== 'admin' && order.user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بتتبع هذا الطلب'
+      });
+    }
+
+    res.json({
+      success: true,
+      tracking: await getOrderTracking(order)
+    });
+  } catch (error) {
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
+
+    console.error('[LIVE TRACKING] Order tracking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب موقع المندوب',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+// Batched GPS fixes from the assigned courier while the order is on its way
+router.post('/:id/trace', authenticateToken, requireRole(['delivery']), async (req, res) => {
+  try {
+    const order = await Order.findByPk(parseInt(req.params.id));
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'الطلب غير موجود'
+      });
+    }
+
+    if (order.assigned_to !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'هذا الطلب غير مُسند إليك'
+      });
+    }
+
+    if (order.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'لا يمكن تسجيل المسار إلا أثناء التوصيل',
+        code: 'TRIP_NOT_IN_PROGRESS'
+      });
+    }
+
+    const result = await recordTripPoints('order', order.id, req.user.id, req.body.points, { startedAt: order.started_at });
+
+    res.status(201).json({
+      success: true,
+      message: 'تم تسجيل نقاط المسار',
+      ...result
+    });
+  } catch (error) {
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
+
+    console.error('[TRIP TRACE] Record order trace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في تسجيل المسار',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+router.get('/:id/trace', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findByPk(parseInt(req.params.id));
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'الطلب غير موجود'
+      });
+    }
+
+    const canView = req.user.role === 'admin' ||
+      order.user_id === req.user.id ||
+      (req.user.role === 'delivery' && order.assigned_to === req.user.id);
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بعرض مسار هذا الطلب'
+      });
+    }
+
+    const trace = await getTripTrace('order', order.id);
+
+    res.json({
+      success: true,
+      order_id: parseInt(order.id),
+      status: order.status,
+      ...trace
+    });
+  } catch (error) {
+    console.error('[TRIP TRACE] Get order trace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب مسار الطلب',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+router.get('/:id/fulfillments', authenticateToken, async (req, res) => {
+  try {
+    const orderId = req.params.id;
+
+    if (!orderId || isNaN(orderId) || parseInt(orderId) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'معرف الطلب غير صحيح'
+      });
+    }
+
+    const order = await Order.findByPk(parseInt(orderId));
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'الطلب غير موجود'
+      });
+    }
+
+    const canView = req.user.role === 'admin' ||
+      order.user_id === req.user.id ||
+      (req.user.role === 'delivery' && order.assigned_to === req.user.id) ||
+      (req.user.role === 'restaurant' && order.restaurant_emails.includes(req.user.email));
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بعرض هذا الطلب'
+      });
+    }
+
+    let fulfillments = await ensureFulfillments(order);
+    // Restaurants only see their own part of a shared basket
+    if (req.user.role === 'restaurant') {
+      fulfillments = fulfillments.filter(f => f.restaurant_email === req.user.email.toLowerCase());
+    }
+
+    res.json({
+      success: true,
+      order_id: parseInt(order.id),
+      order_status: order.status,
+      fulfillments: fulfillments.map(formatFulfillment),
+      total: fulfillments.length
+    });
+  } catch (error) {
+    console.error('[ORDER FULFILLMENTS] Error fetching sub-orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب طلبات المطاعم',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+// The assigned driver collects each restaurant's part on the same trip; the
+// order moves to in_progress once every remaining part has been picked up.
+router.put('/:id/fulfillments/:fulfillmentId/pickup', authenticateToken, requireRole(['delivery', 'admin']), async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const fulfillmentId = parseInt(req.params.fulfillmentId);
+
+    if (!orderId || orderId <= 0 || !fulfillmentId || fulfillmentId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'معرف الطلب غير صحيح'
+      });
+    }
+
+    const order = await Order.findByPk(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'الطلب غير موجود'
+      });
+    }
+
+    if (req.user.role === 'delivery' && order.assigned_to !== req.user.id) {
+      console.warn(`[ORDER PICKUP] Driver ${req.user.id} is not assigned to order ${orderId}`);
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بتحديث هذا الطلب'
+      });
+    }
+
+    const fulfillments = await ensureFulfillments(order);
+    const fulfillment = fulfillments.find(f => f.id === fulfillmentId);
+
+    if (!fulfillment) {
+      return res.status(404).json({
+        success: false,
+        message: 'طلب المطعم غير موجود'
+      });
+    }
+
+    await transitionFulfillment(order, fulfillment, 'picked_up', {
+      actor: req.user,
+      payload: { driver_id: order.assigned_to }
+    });
+
+    console.log(`[ORDER PICKUP] Order ${orderId}: picked up from ${fulfillment.restaurant_email}, order status ${order.status}`);
+
+    res.json({
+      success: true,
+      message: order.status === 'in_progress'
+        ? 'تم استلام جميع أجزاء الطلب'
+        : 'تم استلام الطلب من المطعم',
+      order_status: order.status,
+      fulfillment: formatFulfillment(fulfillment)
+    });
+  } catch (error) {
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
+
+    console.error('[ORDER PICKUP] Error picking up sub-order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في تحديث حالة الاستلام',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+// Kept for the driver app; /api/notifications is the general endpoint
 router.get('/notifications/:driverId', authenticateToken, async (req, res) => {
   try {
     const driverId = parseInt(req.params.driverId);
-    const driverNotifications = notifications.get(driverId) || [];
+
+    if (req.user.role !== 'admin' && req.user.id !== driverId) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بالوصول لهذه الإشعارات'
+      });
+    }
+
+    const { notifications } = await listNotifications(driverId, { limit: 50 });
     
     res.json({
       success: true,
-      notifications: driverNotifications
+      notifications
     });
   } catch (error) {
     console.error('Error fetching notifications:', error);
@@ -937,15 +1632,16 @@ router.put('/notifications/:driverId/:notificationId/read', authenticateToken, a
   try {
     const driverId = parseInt(req.params.driverId);
     const notificationId = parseInt(req.params.notificationId);
-    
-    const driverNotifications = notifications.get(driverId) || [];
-    const notification = driverNotifications.find(n => n.id === notificationId);
-    
-    if (notification) {
-      notification.read = true;
-      notifications.set(driverId, driverNotifications);
+
+    if (req.user.role !== 'admin' && req.user.id !== driverId) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بتعديل هذا الإشعار'
+      });
     }
     
+    await markRead(driverId, notificationId);
+    
     res.json({
       success: true,
       message: 'تم تحديث حالة الإشعار'
@@ -0,0 +1,209 @@
+// src/routes/payments.js - Payment intents, provider webhooks and the local mock checkout
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const Ride = require('../models/Ride');
+const PaymentIntent = require('../models/PaymentIntent');
+const paymentsConfig = require('../config/payments');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { getProvider } = require('../services/paymentProviders');
+const { createPaymentIntent, handleWebhook, getPaymentIntents, formatPaymentIntent } = require('../services/payments');
+const { startDispatch } = require('../services/dispatch');
+const { publishRideRequested } = require('../services/rideEvents');
+const { findRideByTrackingToken } = require('../services/rideTracking');
+const { isServiceError, sendServiceError } = require('../services/errors');
+
+const handleError = (res, error, logPrefix, message) => {
+  if (isServiceError(error)) {
+    return sendServiceError(res, error);
+  }
+
+  console.error(logPrefix, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+  });
+};
+
+const canPayFor = (target, user) => user.role === 'admin' || (Boolean(target.user_id) && target.user_id === user.id);
+
+// Looks up the order or ride named in the body or params, or null
+const findTarget = async ({ order_id: orderId, ride_id: rideId }) => {
+  if (orderId) return { kind: 'order', target: await Order.findByPk(parseInt(orderId)) };
+  if (rideId) return { kind: 'ride', target: await Ride.findByPk(parseInt(rideId)) };
+  return { kind: null, target: null };
+};
+
+// Puts a newly paid order or ride in front of drivers
+const releaseToDrivers = async ({ order, ride }) => {
+  if (order) {
+    const dispatchResult = await startDispatch(order);
+    console.log(`[PAYMENTS] Order #${order.id} paid, dispatch: ${dispatchResult.status}`);
+  }
+  if (ride && ride.status === 'pending') {
+    publishRideRequested(ride);
+  }
+};
+
+// Verifies and applies a webhook, then releases what it paid for
+const processWebhook = async (providerName, rawBody, headers) => {
+  const result = await handleWebhook(providerName, rawBody, headers);
+
+  if (result.status === 'authorized') {
+    await releaseToDrivers(result);
+  }
+
+  return result;
+};
+
+// Called by the payment provider. The body is left raw (see server.js)
+// because the signature covers the exact bytes that were sent.
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+    const result = await processWebhook(req.params.provider, rawBody, req.headers);
+
+    res.json({
+      success: true,
+      received: true,
+      status: result.status
+    });
+  } catch (error) {
+    if (isServiceError(error)) {
+      console.warn(`[PAYMENTS] Rejected webhook from ${req.params.provider}: ${error.code}`);
+    }
+    handleError(res, error, '[PAYMENTS] Error handling webhook:', 'فشل في معالجة إشعار الدفع');
+  }
+});
+
+// Starts checkout for an order or ride, or returns the one still open.
+// Also used to retry after a failed payment.
+router.post('/intents', authenticateToken, async (req, res) => {
+  try {
+    const { kind, target } = await findTarget(req.body);
+    if (!kind) {
+      return res.status(400).json({
+        success: false,
+        message: 'يجب تحديد الطلب أو الرحلة',
+        code: 'PAYMENT_TARGET_REQUIRED'
+      });
+    }
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: kind === 'ride' ? 'الرحلة غير موجودة' : 'الطلب غير موجود'
+      });
+    }
+    if (!canPayFor(target, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بالدفع لهذا الطلب'
+      });
+    }
+
+    const intent = await createPaymentIntent(target);
+    // Wallet payments are authorized on creation
+    if (intent.status === 'authorized') {
+      await releaseToDrivers({ [kind]: target });
+    }
+
+    res.status(201).json({
+      success: true,
+      payment: formatPaymentIntent(intent),
+      payment_status: target.payment_status
+    });
+  } catch (error) {
+    handleError(res, error, '[PAYMENTS] Error creating payment intent:', 'فشل في بدء عملية الدفع');
+  }
+});
+
+const listIntents = (kind) => async (req, res) => {
+  try {
+    const { target } = await findTarget({ [`${kind}_id`]: req.params.id });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: kind === 'ride' ? 'الرحلة غير موجودة' : 'الطلب غير موجود'
+      });
+    }
+    if (!canPayFor(target, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مسموح لك بعرض مدفوعات هذا الطلب'
+      });
+    }
+
+    const intents = await getPaymentIntents(target);
+
+    res.json({
+      success: true,
+      payment_status: target.payment_status,
+      payments: intents.map(formatPaymentIntent)
+    });
+  } catch (error) {
+    handleError(res, error, '[PAYMENTS] Error fetching payments:', 'فشل في جلب المدفوعات');
+  }
+};
+
+router.get('/orders/:id', authenticateToken, listIntents('order'));
+router.get('/rides/:id', authenticateToken, listIntents('ride'));
+
+// The customer who owns the intent, an admin, or for a guest ride whoever
+// holds its tracking token
+const canCompleteCheckout = async (intent, req) => {
+  if (intent.user_id) {
+    return Boolean(req.user) && (req.user.role === 'admin' || req.user.id === intent.user_id);
+  }
+  if (!intent.ride_id) return false;
+  return Boolean(await findRideByTrackingToken(intent.ride_id, req.header('X-Tracking-Token') || req.body?.token));
+};
+
+// Mock provider's hosted checkout: the customer "pays" (or declines) and the
+// mock gateway reports it through a signed webhook. Only available outside
+// production while the mock provider is the active one.
+router.post('/mock/:reference', optionalAuth, async (req, res) => {
+  try {
+    if (!paymentsConfig.mockEnabled || paymentsConfig.provider !== 'mock') {
+      return res.status(404).json({
+        success: false,
+        message: 'غير متاح'
+      });
+    }
+
+    const intent = await PaymentIntent.findOne({
+      where: { provider: 'mock', provider_reference: req.params.reference }
+    });
+    if (!intent) {
+      return res.status(404).json({
+        success: false,
+        message: 'عملية الدفع غير موجودة'
+      });
+    }
+    if (!await canCompleteCheckout(intent, req)) {
+      return res.status(req.user ? 403 : 401).json({
+        success: false,
+        message: 'غير مسموح لك بإتمام عملية الدفع هذه'
+      });
+    }
+
+    const succeed = req.body.outcome !== 'decline';
+    const webhook = getProvider('mock').buildCheckoutWebhook(intent.provider_reference, {
+      succeed,
+      failureReason: req.body.failure_reason || undefined
+    });
+    const result = await processWebhook('mock', webhook.body, webhook.headers);
+    await intent.reload();
+
+    res.json({
+      success: true,
+      message: succeed ? 'تم تأكيد الدفع' : 'تم رفض الدفع',
+      status: result.status,
+      payment: formatPaymentIntent(intent)
+    });
+  } catch (error) {
+    handleError(res, error, '[PAYMENTS] Error in mock checkout:', 'فشل في إتمام الدفع');
+  }
+});
+
+module.exports = router;
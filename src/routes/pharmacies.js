@@ -5,6 +5,7 @@ const { Op } = require('sequelize');
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const { customerLocationFromQuery, feeToYou } = require('../services/deliveryFees');
 
 const router = express.Router();
 
@@ -61,6 +62,8 @@ router.get('/', async (req, res) => {
       order: [['createdAt', 'DESC']]
     });
 
+    const customerLocation = customerLocationFromQuery(req.query);
+
     // Transform the data to match expected format
     const transformedPharmacies = pharmacies.map(user => {
       // Parse the location data properly
@@ -80,6 +83,7 @@ router.get('/', async (req, res) => {
         rating: user.rating || 5.0,
         delivery_time: user.delivery_time || '20-30 دقيقة',
         delivery_fee: user.delivery_fee || 25,
+        delivery_fee_to_you: feeToYou(locationData, customerLocation, user.delivery_fee || 25),
         total_orders: user.totalOrders || 0,
         is_verified: user.isVerified || false,
         online: user.online || false,
@@ -143,6 +147,7 @@ router.get('/:id', async (req, res) => {
       rating: pharmacy.rating || 5.0,
       delivery_time: pharmacy.delivery_time || '20-30 دقيقة',
       delivery_fee: pharmacy.delivery_fee || 25,
+      delivery_fee_to_you: feeToYou(locationData, customerLocationFromQuery(req.query), pharmacy.delivery_fee || 25),
       total_orders: pharmacy.totalOrders || 0,
       is_verified: pharmacy.isVerified || false,
       online: pharmacy.online || false,
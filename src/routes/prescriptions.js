@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const Prescription = require('../models/Prescription');
+const Pharmacy = require('../models/Pharmacy');
+const User = require('../models/User');
+const { publish } = require('../services/eventStream');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { calculateDeliveryFee, assertDeliverable } = require('../services/deliveryFees');
+const { isServiceError, sendServiceError } = require('../services/errors');
 const { Op } = require('sequelize');
 
 // GET /api/prescriptions - Get all prescriptions
@@ -83,8 +89,38 @@ router.get('/pharmacy/:pharmacyId', authenticateToken, async (req, res) => {
   }
 });
 
+// Pharmacy accounts are matched by the pharmacy's email and its linked owner
+const publishNewPrescription = async (prescription) => {
+  try {
+    const userIds = [];
+
+    if (prescription.pharmacyEmail) {
+      const users = await User.findAll({
+        where: { email: prescription.pharmacyEmail.toLowerCase().trim(), role: 'pharmacy' },
+        attributes: ['id']
+      });
+      userIds.push(...users.map(user => user.id));
+    }
+
+    const pharmacy = await Pharmacy.findByPk(prescription.pharmacyId, { attributes: ['id', 'userId'] });
+    if (pharmacy && pharmacy.userId) userIds.push(pharmacy.userId);
+
+    publish('prescription_created', {
+      prescription_id: prescription.id,
+      pharmacy_id: prescription.pharmacyId,
+      customer_name: prescription.customerName,
+      customer_address: prescription.customerAddress,
+      notes: prescription.notes,
+      status: prescription.status,
+      created_at: prescription.createdAt
+    }, { userIds });
+  } catch (error) {
+    console.error('[STREAM] Failed to publish new prescription:', error);
+  }
+};
+
 // POST /api/prescriptions - Create new prescription
-router.post('/', async (req, res) => {
+router.post('/', idempotent('POST /api/prescriptions'), async (req, res) => {
   try {
     const {
       pharmacyId,
@@ -96,10 +132,7 @@ router.post('/', async (req, res) => {
       notes,
       imageBase64,
       userLocation,
-      distance,
-      estimatedDeliveryFee,
-      pharmacy_location,
-      delivery_fee
+      pharmacy_location
     } = req.body;
 
     // Validate required fields
@@ -110,6 +143,20 @@ router.post('/', async (req, res) => {
       });
     }
 
+    // The fee comes from the stored pharmacy location, not from the client
+    const pharmacy = await Pharmacy.findByPk(parseInt(pharmacyId));
+    if (!pharmacy) {
+      return res.status(404).json({
+        success: false,
+        message: 'الصيدلية غير موجودة'
+      });
+    }
+
+    const deliveryFee = calculateDeliveryFee(pharmacy.pharmacy_location, userLocation);
+    if (!deliveryFee.deliverable) {
+      assertDeliverable([{ pharmacy_id: pharmacy.id, name: pharmacy.name, distance_km: deliveryFee.distance_km }]);
+    }
+
     // Create new prescription in database
     const newPrescription = await Prescription.create({
       pharmacyId,
@@ -123,9 +170,9 @@ router.post('/', async (req, res) => {
       status: 'pending',
       type: 'prescription',
       userLocation,
-      distance,
-      estimatedDeliveryFee: delivery_fee || estimatedDeliveryFee,
-      pharmacyLocation: pharmacy_location
+      distance: deliveryFee.distance_km,
+      estimatedDeliveryFee: deliveryFee.fee,
+      pharmacyLocation: pharmacy.pharmacy_location || pharmacy_location
     });
 
     console.log('New prescription created in database:', {
@@ -135,6 +182,8 @@ router.post('/', async (req, res) => {
       status: 'pending'
     });
 
+    await publishNewPrescription(newPrescription);
+
     res.status(201).json({
       success: true,
       message: 'تم إرسال الروشتة بنجاح',
@@ -142,6 +191,10 @@ router.post('/', async (req, res) => {
     });
 
   } catch (error) {
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
+
     console.error('Error creating prescription:', error);
     res.status(500).json({
       success: false,
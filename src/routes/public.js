@@ -1,11 +1,23 @@
 // src/routes/public.js - FIXED VERSION WITH BETTER LOGGING
 const express = require('express');
 const router = express.Router();
-const sequelize = require('../config/database');
 
 // Import models
 const User = require('../models/User');
 const Ride = require('../models/Ride');
+const { publishRideRequested } = require('../services/rideEvents');
+const { verifyQuote, assertQuoteMatches } = require('../services/fareEstimator');
+const { isServiceError, sendServiceError } = require('../services/errors');
+const { generateTrackingToken, findRideByTrackingToken, formatTrackedRide } = require('../services/rideTracking');
+const { performRideAction } = require('../services/rideWorkflow');
+const { getRideTracking } = require('../services/liveTracking');
+const { rideReleaseTime } = require('../services/scheduler');
+const { discountForFare, redeemPromo } = require('../services/promoCodes');
+const { roundMoney } = require('../services/money');
+const { initialPaymentStatus, isAwaitingPayment, createPaymentIntent, formatPaymentIntent } = require('../services/payments');
+const { assertWalletCovers } = require('../services/wallet');
+const { optionalAuth, authenticateToken, requireRole } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 // Test route
 router.get('/test', (req, res) => {
@@ -49,8 +61,20 @@ router.get('/drivers', async (req, res) => {
   }
 });
 
-// Create ride - FIXED VERSION
-router.post('/rides', async (req, res) => {
+const parseJsonField = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+// Create ride from a fare quote issued by POST /api/rides/estimate. Signed-in
+// customers get the ride on their account; guests get a tracking token instead.
+router.post('/rides', optionalAuth, idempotent('POST /api/public/rides'), async (req, res) => {
   console.log('\n========================================');
   console.log('🚗 NEW RIDE REQUEST RECEIVED');
   console.log('========================================');
@@ -67,9 +91,7 @@ router.post('/rides', async (req, res) => {
       ride_type,
       vehicle_type,
       payment_method,
-      estimated_distance,
-      estimated_duration,
-      fare,
+      quote_token,
       delivery_details
     } = req.body;
 
@@ -79,8 +101,7 @@ router.post('/rides', async (req, res) => {
       customer_phone,
       ride_type,
       vehicle_type,
-      payment_method,
-      fare
+      payment_method
     });
 
     // Validate required fields
@@ -92,102 +113,112 @@ router.post('/rides', async (req, res) => {
       });
     }
 
-    console.log('✅ Validation passed');
-
-    // Handle coordinates
-    let pickupCoordValue = null;
-    let dropoffCoordValue = null;
+    // The fare, distance and vehicle come from the signed quote, not the client
+    const quote = verifyQuote(quote_token);
+    assertQuoteMatches(quote, {
+      pickup_coordinates,
+      dropoff_coordinates,
+      vehicle_type,
+      ride_type,
+      scheduled_for: req.body.scheduled_for
+    });
 
-    if (pickup_coordinates) {
-      if (typeof pickup_coordinates === 'object') {
-        pickupCoordValue = JSON.stringify(pickup_coordinates);
-      } else if (typeof pickup_coordinates === 'string') {
-        pickupCoordValue = pickup_coordinates;
-      }
+    // Promo codes need an account so per-customer limits can be enforced
+    let promo = null;
+    let discount = 0;
+    if (req.body.promo_code) {
+      ({ promo, discount } = await discountForFare(quote.fare, req.body.promo_code, {
+        userId: req.user ? req.user.id : null
+      }));
     }
+    const fare = roundMoney(quote.fare - discount);
 
-    if (dropoff_coordinates) {
-      if (typeof dropoff_coordinates === 'object') {
-        dropoffCoordValue = JSON.stringify(dropoff_coordinates);
-      } else if (typeof dropoff_coordinates === 'string') {
-        dropoffCoordValue = dropoff_coordinates;
-      }
+    // Wallet rides need an account with enough balance for the fare
+    if (payment_method === 'wallet') {
+      await assertWalletCovers(req.user ? req.user.id : null, fare);
     }
 
-    console.log('📍 Coordinates processed');
-    console.log('  Pickup:', pickupCoordValue);
-    console.log('  Dropoff:', dropoffCoordValue);
+    // Pre-booked rides wait in "scheduled" until shortly before pickup
+    const scheduledFor = quote.scheduled_for ? new Date(quote.scheduled_for) : null;
 
-    // IMPORTANT: Make sure ride_type and vehicle_type are stored correctly
-    const finalRideType = ride_type || 'standard';
-    const finalVehicleType = vehicle_type || 'car';
+    console.log('✅ Validation passed');
 
-    console.log('🚙 Vehicle info:', {
-      ride_type: finalRideType,
-      vehicle_type: finalVehicleType
-    });
+    // JSON columns take objects; older clients send the coordinates as strings
+    const pickupCoordValue = parseJsonField(pickup_coordinates) || quote.pickup;
+    const dropoffCoordValue = parseJsonField(dropoff_coordinates) || quote.dropoff;
 
-    // Create ride using RAW SQL
-    const query = `
-      INSERT INTO rides (
-        service_type, customer_name, customer_phone,
-        pickup_address, pickup_coordinates,
-        dropoff_address, dropoff_coordinates,
-        ride_type, vehicle_type, payment_method,
-        estimated_distance, estimated_duration, fare,
-        status, ride_started, ride_completed,
-        delivery_details,
-        created_at, updated_at
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
-        $11, $12, $13, $14, $15, $16, $17, $18, $19
-      ) RETURNING *
-    `;
-
-    const deliveryDetailsJson = delivery_details ? JSON.stringify(delivery_details) : null;
-
-    const values = [
-      service_type || 'ride',
-      customer_name.trim(),
-      customer_phone.trim(),
-      pickup_address.trim(),
-      pickupCoordValue,
-      dropoff_address.trim(),
-      dropoffCoordValue,
-      finalRideType,
-      finalVehicleType,
-      payment_method || 'cash',
-      estimated_distance || '0 km',
-      estimated_duration || '0 min',
-      parseFloat(fare) || 0,
-      'pending',
-      false,
-      false,
-      deliveryDetailsJson,
-      new Date(),
-      new Date()
-    ];
-
-    console.log('💾 Inserting ride with values:', values);
-
-    const [result] = await sequelize.query(query, {
-      bind: values,
-      type: sequelize.QueryTypes.INSERT
-    });
+    console.log('📍 Coordinates processed');
+    console.log('  Pickup:', pickupCoordValue);
+    console.log('  Dropoff:', dropoffCoordValue);
 
-    const newRide = result[0];
+    const tracking = req.user ? null : generateTrackingToken();
+
+    const transaction = await Ride.sequelize.transaction();
+    let newRide;
+    try {
+      newRide = await Ride.create({
+        user_id: req.user ? req.user.id : null,
+        tracking_token_hash: tracking ? tracking.hash : null,
+        service_type: service_type || 'ride',
+        customer_name: customer_name.trim(),
+        customer_phone: customer_phone.trim(),
+        pickup_address: pickup_address.trim(),
+        pickup_coordinates: pickupCoordValue,
+        dropoff_address: dropoff_address.trim(),
+        dropoff_coordinates: dropoffCoordValue,
+        ride_type: quote.ride_type,
+        vehicle_type: quote.vehicle_type,
+        payment_method: payment_method || 'cash',
+        payment_status: initialPaymentStatus('ride', payment_method || 'cash'),
+        estimated_distance: `${quote.distance_km} km`,
+        estimated_duration: `${quote.duration_minutes} min`,
+        fare,
+        quoted_fare: fare,
+        discount,
+        promo_code: promo ? promo.code : null,
+        status: scheduledFor ? 'scheduled' : 'pending',
+        scheduled_for: scheduledFor,
+        release_at: scheduledFor ? rideReleaseTime(scheduledFor) : null,
+        ride_started: false,
+        ride_completed: false,
+        delivery_details: parseJsonField(delivery_details)
+      }, { transaction });
+      if (promo) {
+        await redeemPromo(promo, { userId: req.user.id, rideId: newRide.id, discount }, { transaction });
+      }
+      await transaction.commit();
+    } catch (createError) {
+      await transaction.rollback();
+      throw createError;
+    }
     
     console.log('========================================');
     console.log('✅ RIDE CREATED SUCCESSFULLY');
     console.log('🆔 Ride ID:', newRide.id);
+    console.log('👤 Booked by:', req.user ? `user ${req.user.id}` : 'guest');
     console.log('🚙 Ride Type:', newRide.ride_type);
     console.log('🚗 Vehicle Type:', newRide.vehicle_type);
     console.log('📊 Status:', newRide.status);
     console.log('========================================\n');
 
+    // Card rides reach drivers once the payment webhook authorizes them;
+    // wallet rides are paid as the intent is created
+    let paymentIntent = null;
+    if (newRide.payment_status === 'pending') {
+      try {
+        paymentIntent = await createPaymentIntent(newRide);
+      } catch (paymentError) {
+        console.error(`❌ Failed to start payment for ride ${newRide.id}:`, paymentError.message);
+      }
+    }
+
+    if (newRide.status === 'pending' && !isAwaitingPayment(newRide)) {
+      publishRideRequested(newRide);
+    }
+
     res.status(201).json({
       success: true,
-      message: 'تم إنشاء الطلب بنجاح',
+      message: newRide.status === 'scheduled' ? 'تمت جدولة الرحلة بنجاح' : 'تم إنشاء الطلب بنجاح',
       ride: {
         id: newRide.id,
         service_type: newRide.service_type,
@@ -198,12 +229,35 @@ router.post('/rides', async (req, res) => {
         ride_type: newRide.ride_type,
         vehicle_type: newRide.vehicle_type,
         fare: newRide.fare,
+        discount: parseFloat(newRide.discount) || 0,
+        promo_code: newRide.promo_code,
+        payment_method: newRide.payment_method,
+        payment_status: newRide.payment_status,
+        estimated_distance: newRide.estimated_distance,
+        estimated_duration: newRide.estimated_duration,
         status: newRide.status,
+        scheduled_for: newRide.scheduled_for,
         created_at: newRide.created_at
-      }
+      },
+      payment: paymentIntent ? formatPaymentIntent(paymentIntent) : null,
+      // Only returned once - the guest needs it to follow or cancel the ride
+      ...(tracking && { tracking_token: tracking.token })
     });
 
   } catch (error) {
+    if (isServiceError(error)) {
+      console.log(`❌ Ride rejected: ${error.code}`);
+      return sendServiceError(res, error);
+    }
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'بيانات الرحلة غير صحيحة',
+        errors: error.errors.map(e => ({ field: e.path, message: e.message }))
+      });
+    }
+
     console.log('========================================');
     console.error('❌ RIDE CREATION FAILED');
     console.error('Error:', error.message);
@@ -220,8 +274,8 @@ router.post('/rides', async (req, res) => {
   }
 });
 
-// Get all rides
-router.get('/rides', async (req, res) => {
+// Get all rides - admin only, rides hold customer contact details
+router.get('/rides', authenticateToken, requireRole(['admin']), async (req, res) => {
   try {
     const rides = await Ride.findAll({
       order: [['created_at', 'DESC']],
@@ -243,10 +297,22 @@ router.get('/rides', async (req, res) => {
   }
 });
 
-// Get ride by ID
+const trackingTokenFrom = (req) => req.header('X-Tracking-Token') || req.query.token || req.body?.token;
+
+// Guest ride tracking - requires the token returned when the ride was booked
 router.get('/rides/:id', async (req, res) => {
   try {
-    const ride = await Ride.findByPk(parseInt(req.params.id));
+    const token = trackingTokenFrom(req);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'رمز التتبع مطلوب',
+        code: 'TRACKING_TOKEN_REQUIRED'
+      });
+    }
+
+    const ride = await findRideByTrackingToken(req.params.id, token);
 
     if (!ride) {
       return res.status(404).json({
@@ -257,7 +323,7 @@ router.get('/rides/:id', async (req, res) => {
 
     res.json({
       success: true,
-      ride
+      ride: formatTrackedRide(ride)
     });
 
   } catch (error) {
@@ -269,4 +335,88 @@ router.get('/rides/:id', async (req, res) => {
   }
 });
 
+// Guest live tracking of the driver, with the same token as above
+router.get('/rides/:id/tracking', async (req, res) => {
+  try {
+    const token = trackingTokenFrom(req);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'رمز التتبع مطلوب',
+        code: 'TRACKING_TOKEN_REQUIRED'
+      });
+    }
+
+    const ride = await findRideByTrackingToken(req.params.id, token);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'الطلب غير موجود'
+      });
+    }
+
+    res.json({
+      success: true,
+      tracking: await getRideTracking(ride)
+    });
+
+  } catch (error) {
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
+
+    console.error('❌ Guest ride tracking error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب موقع السائق'
+    });
+  }
+});
+
+router.post('/rides/:id/cancel', async (req, res) => {
+  try {
+    const token = trackingTokenFrom(req);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'رمز التتبع مطلوب',
+        code: 'TRACKING_TOKEN_REQUIRED'
+      });
+    }
+
+    const ride = await findRideByTrackingToken(req.params.id, token);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'الطلب غير موجود'
+      });
+    }
+
+    await performRideAction(ride, 'cancel', { id: null, role: 'guest' }, {
+      reason: req.body.cancellation_reason || req.body.reason || null
+    });
+
+    res.json({
+      success: true,
+      message: 'تم إلغاء الرحلة',
+      ride: formatTrackedRide(ride)
+    });
+
+  } catch (error) {
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
+
+    console.error('❌ Guest cancel ride error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في إلغاء الرحلة'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,275 @@
+// src/routes/restaurantOrders.js - Restaurant-side order queue: accept, reject, preparing, ready
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const Order = require('../models/Order');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { ensureFulfillments, transitionFulfillment, formatFulfillment } = require('../services/orderFulfillments');
+const { isServiceError, sendServiceError } = require('../services/errors');
+const { startDispatch } = require('../services/dispatch');
+const { notify } = require('../services/notifications');
+
+// Parent orders that can still need something from a kitchen
+const ACTIVE_ORDER_STATUSES = ['pending_restaurant', 'pending_assignment', 'assigned', 'preparing', 'ready_for_pickup'];
+
+// Sub-order statuses a restaurant still has to act on
+const ACTIVE_FULFILLMENT_STATUSES = ['pending_restaurant', 'accepted', 'preparing', 'ready_for_pickup'];
+
+// What the customer is told when the kitchens move the order along
+const CUSTOMER_STATUS_MESSAGES = {
+  'pending_assignment': 'تم تأكيد طلبك من المطعم',
+  'preparing': 'جاري تحضير طلبك',
+  'ready_for_pickup': 'طلبك جاهز وبانتظار المندوب',
+  'rejected': 'نعتذر، تم رفض طلبك من المطعم'
+};
+
+const restaurantEmailFor = (req) => {
+  if (req.user.role === 'restaurant') {
+    return req.user.email.toLowerCase();
+  }
+  return req.query.restaurant_email ? String(req.query.restaurant_email).toLowerCase().trim() : null;
+};
+
+// restaurant_emails is stored as a JSON array string, so match the quoted email
+const restaurantEmailWhere = (email) => ({
+  restaurant_emails: { [Op.like]: `%"${email}"%` }
+});
+
+const ownsOrder = (req, order) => req.user.role === 'admin' ||
+  (order.restaurant_emails || []).includes(req.user.email.toLowerCase());
+
+// A restaurant sees its own sub-order; an admin without a restaurant filter sees all of them
+const formatRestaurantOrder = (order, fulfillments) => ({
+  id: parseInt(order.id),
+  order_status: order.status,
+  status: fulfillments.length === 1 ? fulfillments[0].status : order.status,
+  type: order.type,
+  customer_name: order.customer_name,
+  address: order.address,
+  notes: order.notes,
+  delivery_instructions: order.delivery_instructions,
+  payment_method: order.payment_method,
+  assigned_to: order.assigned_to,
+  assigned_delivery_name: order.assigned_delivery_name,
+  assigned_delivery_phone: order.assigned_delivery_phone,
+  fulfillment: fulfillments.length === 1 ? formatFulfillment(fulfillments[0]) : null,
+  fulfillments: fulfillments.map(formatFulfillment),
+  created_at: order.created_at,
+  updated_at: order.updated_at
+});
+
+// Loads the order and checks that it belongs to the calling restaurant
+const loadOwnedOrder = async (req, res) => {
+  const orderId = req.params.id;
+
+  if (!orderId || isNaN(orderId) || parseInt(orderId) <= 0) {
+    res.status(400).json({
+      success: false,
+      message: 'معرف الطلب غير صحيح'
+    });
+    return null;
+  }
+
+  const order = await Order.findByPk(parseInt(orderId));
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: 'الطلب غير موجود'
+    });
+    return null;
+  }
+
+  if (!ownsOrder(req, order)) {
+    console.warn(`[RESTAURANT ORDERS] User ${req.user.id} tried to act on order #${order.id}`);
+    res.status(403).json({
+      success: false,
+      message: 'غير مسموح لك بإدارة هذا الطلب'
+    });
+    return null;
+  }
+
+  return order;
+};
+
+// Picks the caller's sub-order. Admins name the restaurant when an order has several.
+const findOwnFulfillment = (req, fulfillments) => {
+  if (req.user.role === 'restaurant') {
+    return fulfillments.find(f => f.restaurant_email === req.user.email.toLowerCase()) || null;
+  }
+
+  const email = req.body.restaurant_email || req.query.restaurant_email;
+  if (email) {
+    return fulfillments.find(f => f.restaurant_email === String(email).toLowerCase().trim()) || null;
+  }
+  return fulfillments.length === 1 ? fulfillments[0] : null;
+};
+
+// Shared handler for the four status actions
+const statusAction = (toStatus, { successMessage, requireReason = false }) => async (req, res) => {
+  try {
+    const order = await loadOwnedOrder(req, res);
+    if (!order) return;
+
+    const fulfillment = findOwnFulfillment(req, await ensureFulfillments(order));
+    if (!fulfillment) {
+      return res.status(404).json({
+        success: false,
+        message: req.user.role === 'admin' ? 'يرجى تحديد بريد المطعم' : 'لا يوجد جزء لهذا المطعم في الطلب'
+      });
+    }
+
+    const reason = req.body.reason ? String(req.body.reason).trim() : null;
+    if (requireReason && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'سبب الرفض مطلوب'
+      });
+    }
+
+    const changes = {};
+    if (toStatus === 'rejected') {
+      changes.rejected_reason = reason;
+    }
+    if (req.body.estimated_prep_minutes !== undefined) {
+      const minutes = parseInt(req.body.estimated_prep_minutes);
+      if (!minutes || minutes < 1 || minutes > 180) {
+        return res.status(400).json({
+          success: false,
+          message: 'وقت التحضير المتوقع غير صحيح'
+        });
+      }
+      changes.estimated_prep_minutes = minutes;
+    }
+
+    const result = await transitionFulfillment(order, fulfillment, toStatus, {
+      actor: req.user,
+      reason,
+      payload: changes.estimated_prep_minutes ? { estimated_prep_minutes: changes.estimated_prep_minutes } : null,
+      changes
+    });
+
+    console.log(`[RESTAURANT ORDERS] Order #${order.id} (${fulfillment.restaurant_email}) -> ${toStatus} by user ${req.user.id}`);
+
+    // Drivers are only offered the order once every restaurant in it has
+    // answered - the last answer may be an acceptance or a rejection
+    if (result.previousOrderStatus === 'pending_restaurant' && order.status === 'pending_assignment') {
+      await startDispatch(order);
+    }
+
+    if (result.previousOrderStatus !== order.status && CUSTOMER_STATUS_MESSAGES[order.status]) {
+      try {
+        await notify(order.user_id, {
+          type: 'order_status',
+          title: 'تحديث حالة الطلب',
+          message: CUSTOMER_STATUS_MESSAGES[order.status],
+          payload: { order_id: order.id, status: order.status }
+        });
+      } catch (notifyError) {
+        console.warn(`[RESTAURANT ORDERS] Failed to notify customer of order #${order.id}:`, notifyError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: successMessage,
+      order: formatRestaurantOrder(order, [fulfillment])
+    });
+  } catch (error) {
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
+
+    console.error(`[RESTAURANT ORDERS] Error moving order ${req.params.id} to ${toStatus}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في تحديث حالة الطلب',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+};
+
+router.get('/', authenticateToken, requireRole(['restaurant', 'admin']), async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+    const email = restaurantEmailFor(req);
+
+    const whereClause = email ? restaurantEmailWhere(email) : {};
+    let fulfillmentStatuses = ACTIVE_FULFILLMENT_STATUSES;
+
+    if (status === 'all') {
+      fulfillmentStatuses = null;
+    } else if (status) {
+      fulfillmentStatuses = Array.isArray(status) ? status : String(status).split(',');
+    } else {
+      whereClause.status = { [Op.in]: ACTIVE_ORDER_STATUSES };
+    }
+
+    const orders = await Order.findAll({
+      where: whereClause,
+      order: [['created_at', 'ASC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    const results = [];
+    for (const order of orders) {
+      let fulfillments = await ensureFulfillments(order);
+      if (email) {
+        fulfillments = fulfillments.filter(f => f.restaurant_email === email);
+      }
+      if (fulfillmentStatuses) {
+        fulfillments = fulfillments.filter(f => fulfillmentStatuses.includes(f.status));
+      }
+      if (fulfillments.length > 0) {
+        results.push(formatRestaurantOrder(order, fulfillments));
+      }
+    }
+
+    console.log(`[RESTAURANT ORDERS] ${results.length} orders for ${email || 'all restaurants'}`);
+
+    const counts = {};
+    results.forEach(order => {
+      order.fulfillments.forEach(f => {
+        counts[f.status] = (counts[f.status] || 0) + 1;
+      });
+    });
+
+    res.json({
+      success: true,
+      orders: results,
+      total: results.length,
+      counts,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        has_more: orders.length === parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('[RESTAURANT ORDERS] Error fetching orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب طلبات المطعم',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+router.put('/:id/accept', authenticateToken, requireRole(['restaurant', 'admin']), statusAction('accepted', {
+  successMessage: 'تم قبول الطلب'
+}));
+
+router.put('/:id/reject', authenticateToken, requireRole(['restaurant', 'admin']), statusAction('rejected', {
+  successMessage: 'تم رفض الطلب',
+  requireReason: true
+}));
+
+router.put('/:id/preparing', authenticateToken, requireRole(['restaurant', 'admin']), statusAction('preparing', {
+  successMessage: 'تم تحديث الطلب إلى قيد التحضير'
+}));
+
+router.put('/:id/ready', authenticateToken, requireRole(['restaurant', 'admin']), statusAction('ready_for_pickup', {
+  successMessage: 'الطلب جاهز للاستلام'
+}));
+
+module.exports = router;
@@ -0,0 +1,117 @@
+// src/routes/restaurantStatements.js - Read-only settlement statements for restaurant owners
+const express = require('express');
+const router = express.Router();
+const RestaurantStatement = require('../models/RestaurantStatement');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  STATEMENT_CSV_COLUMNS,
+  periodFor,
+  buildStatements,
+  listStatements,
+  getStatementLines,
+  formatStatement,
+  formatStatementLine,
+  statementCsvRows,
+  statementFilename
+} = require('../services/settlements');
+const { sendCsv } = require('../services/csv');
+const { isServiceError, sendServiceError } = require('../services/errors');
+
+const handleError = (res, error, logPrefix, message) => {
+  if (isServiceError(error)) {
+    return sendServiceError(res, error);
+  }
+
+  console.error(logPrefix, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+  });
+};
+
+// Orders name restaurants by email, so the owner's account email is the key
+const ownEmail = (req) => req.user.email.toLowerCase();
+
+// Loads a statement of the calling restaurant; others are reported as missing
+const loadOwnStatement = async (req, res) => {
+  const statement = await RestaurantStatement.findByPk(parseInt(req.params.id));
+  if (!statement || statement.restaurant_email !== ownEmail(req)) {
+    res.status(404).json({
+      success: false,
+      message: 'الكشف غير موجود'
+    });
+    return null;
+  }
+  return statement;
+};
+
+router.get('/', authenticateToken, requireRole(['restaurant']), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const { rows, count } = await listStatements({
+      restaurantEmail: ownEmail(req),
+      status: req.query.status,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      statements: rows.map(formatStatement),
+      pagination: { total: count, limit, offset }
+    });
+  } catch (error) {
+    handleError(res, error, '[SETTLEMENTS] Error fetching statements:', 'فشل في جلب كشوف الحساب');
+  }
+});
+
+// The period still running, as it stands now. Not a statement yet: it is
+// issued once the period ends.
+router.get('/current', authenticateToken, requireRole(['restaurant']), async (req, res) => {
+  try {
+    const period = periodFor();
+    const [draft] = await buildStatements(period, { restaurantEmail: ownEmail(req) });
+
+    res.json({
+      success: true,
+      period_start: period.start,
+      period_end: period.end,
+      statement: draft ? formatStatement(draft) : null,
+      lines: draft ? draft.lines.map(formatStatementLine) : []
+    });
+  } catch (error) {
+    handleError(res, error, '[SETTLEMENTS] Error fetching current period:', 'فشل في جلب مبيعات الفترة الحالية');
+  }
+});
+
+router.get('/:id', authenticateToken, requireRole(['restaurant']), async (req, res) => {
+  try {
+    const statement = await loadOwnStatement(req, res);
+    if (!statement) return;
+
+    const lines = await getStatementLines(statement);
+    res.json({
+      success: true,
+      statement: formatStatement(statement),
+      lines: lines.map(formatStatementLine)
+    });
+  } catch (error) {
+    handleError(res, error, '[SETTLEMENTS] Error fetching statement:', 'فشل في جلب كشف الحساب');
+  }
+});
+
+router.get('/:id/export', authenticateToken, requireRole(['restaurant']), async (req, res) => {
+  try {
+    const statement = await loadOwnStatement(req, res);
+    if (!statement) return;
+
+    const lines = await getStatementLines(statement);
+    sendCsv(res, statementFilename(statement), STATEMENT_CSV_COLUMNS, statementCsvRows(statement, lines));
+  } catch (error) {
+    handleError(res, error, '[SETTLEMENTS] Error exporting statement:', 'فشل في تصدير كشف الحساب');
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,11 @@ const express = require('express');
 const { Op } = require('sequelize');
 const bcrypt = require('bcrypt');
 const { auth, requireAdmin } = require('../middleware/auth');
+const { normaliseOpeningHours, normaliseHolidays, openingStatus } = require('../services/openingHours');
+const schedulingConfig = require('../config/scheduling');
+const { parseCommissionRate } = require('../services/settlements');
+const { isServiceError, sendServiceError } = require('../services/errors');
+const { customerLocationFromQuery, feeToYou } = require('../services/deliveryFees');
 
 const router = express.Router();
 
@@ -15,6 +20,54 @@ try {
   console.error('Model import error:', error);
 }
 
+// Listings take ?lat=&lng= to show the delivery fee to that address, and
+// say whether the restaurant takes orders right now
+const withFeeToYou = (restaurant, customerLocation, now = new Date()) => {
+  const data = restaurant.toJSON ? restaurant.toJSON() : restaurant;
+  return {
+    ...data,
+    delivery_fee_to_you: feeToYou(data.restaurant_location, customerLocation, parseFloat(data.delivery_fee) || 0),
+    ...openingStatus(data, now)
+  };
+};
+
+// ?open_now=true keeps only restaurants taking orders right now
+const filterOpenNow = (restaurants, query) =>
+  (query.open_now === 'true' ? restaurants.filter(restaurant => restaurant.is_open_now) : restaurants);
+
+// Owners manage their own restaurant's hours and busy mode; admins any restaurant
+const canManageRestaurant = (user, restaurant) => user.role === 'admin' ||
+  (Boolean(restaurant.user_id) && restaurant.user_id === user.id) ||
+  (user.role === 'restaurant' && user.email.toLowerCase() === restaurant.email.toLowerCase());
+
+// Loads a restaurant row the caller may manage, or answers with 404 / 403
+const loadManagedRestaurant = async (req, res) => {
+  const restaurant = Restaurant && !isNaN(req.params.id) ? await Restaurant.findByPk(parseInt(req.params.id)) : null;
+  if (!restaurant) {
+    res.status(404).json({
+      success: false,
+      message: 'المطعم غير موجود'
+    });
+    return null;
+  }
+  if (!canManageRestaurant(req.user, restaurant)) {
+    res.status(403).json({
+      success: false,
+      message: 'غير مسموح لك بإدارة هذا المطعم'
+    });
+    return null;
+  }
+  return restaurant;
+};
+
+const scheduleOf = (restaurant) => ({
+  id: restaurant.id,
+  opening_hours: restaurant.opening_hours,
+  holidays: restaurant.holidays,
+  pause_reason: restaurant.pause_reason,
+  ...openingStatus(restaurant)
+});
+
 // Health check endpoint
 router.get('/health', (req, res) => {
   res.json({ success: true, message: 'Restaurant routes working' });
@@ -155,9 +208,13 @@ router.get('/top', async (req, res) => {
       }
     }
 
+    const customerLocation = customerLocationFromQuery(req.query);
+
+    const now = new Date();
+
     res.json({
       success: true,
-      restaurants: topRestaurants
+      restaurants: filterOpenNow(topRestaurants.map(restaurant => withFeeToYou(restaurant, customerLocation, now)), req.query)
     });
 
   } catch (error) {
@@ -262,12 +319,16 @@ router.get('/', async (req, res) => {
       }
     }
 
+    const customerLocation = customerLocationFromQuery(req.query);
+    const now = new Date();
+    const listed = filterOpenNow(allRestaurants.map(restaurant => withFeeToYou(restaurant, customerLocation, now)), req.query);
+
     res.json({
       success: true,
-      restaurants: allRestaurants,
+      restaurants: listed,
       pagination: {
-        total: allRestaurants.length,
-        pages: Math.ceil(allRestaurants.length / limit),
+        total: listed.length,
+        pages: Math.ceil(listed.length / limit),
         currentPage: parseInt(page),
         limit: parseInt(limit)
       }
@@ -347,7 +408,7 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      restaurant
+      restaurant: withFeeToYou(restaurant, customerLocationFromQuery(req.query))
     });
 
   } catch (error) {
@@ -553,7 +614,7 @@ router.put('/:id', auth, requireAdmin, async (req, res) => {
     const {
       name, owner, email, phone, license_number,
       status, image_url, description, restaurant_location,
-      cuisine_type, delivery_fee
+      cuisine_type, delivery_fee, opening_hours, holidays, commission_rate
     } = req.body;
 
     if (!id || isNaN(id)) {
@@ -593,6 +654,16 @@ router.put('/:id', auth, requireAdmin, async (req, res) => {
       });
     }
 
+    // Restaurants that only exist as users are settled at the default rate
+    if (commission_rate !== undefined && !restaurant) {
+      if (transaction) await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'لا يمكن تحديد عمولة خاصة لهذا المطعم',
+        code: 'COMMISSION_NOT_SUPPORTED'
+      });
+    }
+
     // Validate email
     if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
       if (transaction) await transaction.rollback();
@@ -647,6 +718,9 @@ router.put('/:id', auth, requireAdmin, async (req, res) => {
       if (restaurant_location !== undefined) restaurantUpdateData.restaurant_location = restaurant_location;
       if (cuisine_type !== undefined) restaurantUpdateData.cuisine_type = cuisine_type.trim();
       if (delivery_fee !== undefined) restaurantUpdateData.delivery_fee = parseFloat(delivery_fee) || 0;
+      if (opening_hours !== undefined) restaurantUpdateData.opening_hours = normaliseOpeningHours(opening_hours);
+      if (holidays !== undefined) restaurantUpdateData.holidays = normaliseHolidays(holidays);
+      if (commission_rate !== undefined) restaurantUpdateData.commission_rate = parseCommissionRate(commission_rate);
 
       await restaurant.update(restaurantUpdateData, { ...(transaction && { transaction }) });
     }
@@ -703,6 +777,11 @@ router.put('/:id', auth, requireAdmin, async (req, res) => {
 
   } catch (error) {
     if (transaction) await transaction.rollback();
+
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
+
     console.error('Update restaurant error:', error);
     
     res.status(500).json({
@@ -713,6 +792,117 @@ router.put('/:id', auth, requireAdmin, async (req, res) => {
   }
 });
 
+// Weekly hours, holidays and busy mode of a restaurant
+router.get('/:id/schedule', auth, async (req, res) => {
+  try {
+    const restaurant = await loadManagedRestaurant(req, res);
+    if (!restaurant) return;
+
+    res.json({ success: true, schedule: scheduleOf(restaurant) });
+  } catch (error) {
+    console.error('Get restaurant schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب مواعيد المطعم',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Body: { opening_hours, holidays }; either may be left out, null clears it
+router.put('/:id/schedule', auth, async (req, res) => {
+  try {
+    const restaurant = await loadManagedRestaurant(req, res);
+    if (!restaurant) return;
+
+    const { opening_hours, holidays } = req.body;
+    const updateData = {};
+    if (opening_hours !== undefined) updateData.opening_hours = normaliseOpeningHours(opening_hours);
+    if (holidays !== undefined) updateData.holidays = normaliseHolidays(holidays);
+
+    await restaurant.update(updateData);
+    console.log(`[RESTAURANTS] Schedule of restaurant #${restaurant.id} updated by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'تم تحديث مواعيد المطعم',
+      schedule: scheduleOf(restaurant)
+    });
+  } catch (error) {
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
+    console.error('Update restaurant schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في تحديث مواعيد المطعم',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Busy mode. Body: { minutes, reason }. New orders are refused until the
+// time is up; orders already placed carry on as normal.
+router.post('/:id/pause', auth, async (req, res) => {
+  try {
+    const restaurant = await loadManagedRestaurant(req, res);
+    if (!restaurant) return;
+
+    const minutes = parseInt(req.body.minutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > schedulingConfig.maxPauseMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: `مدة الإيقاف يجب أن تكون بين 1 و ${schedulingConfig.maxPauseMinutes} دقيقة`,
+        code: 'INVALID_PAUSE_DURATION',
+        max_minutes: schedulingConfig.maxPauseMinutes
+      });
+    }
+
+    await restaurant.update({
+      paused_until: new Date(Date.now() + minutes * 60000),
+      pause_reason: req.body.reason ? String(req.body.reason).trim().slice(0, 255) : null
+    });
+    console.log(`[RESTAURANTS] Restaurant #${restaurant.id} paused for ${minutes} min by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `تم إيقاف استقبال الطلبات لمدة ${minutes} دقيقة`,
+      schedule: scheduleOf(restaurant)
+    });
+  } catch (error) {
+    console.error('Pause restaurant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في إيقاف استقبال الطلبات',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Ends busy mode early
+router.delete('/:id/pause', auth, async (req, res) => {
+  try {
+    const restaurant = await loadManagedRestaurant(req, res);
+    if (!restaurant) return;
+
+    await restaurant.update({ paused_until: null, pause_reason: null });
+    console.log(`[RESTAURANTS] Restaurant #${restaurant.id} resumed by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'تم استئناف استقبال الطلبات',
+      schedule: scheduleOf(restaurant)
+    });
+  } catch (error) {
+    console.error('Resume restaurant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في استئناف استقبال الطلبات',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // PATCH update restaurant status (admin only)
 router.patch('/:id/status', auth, requireAdmin, async (req, res) => {
   const transaction = await (Restaurant?.sequelize || User?.sequelize)?.transaction();
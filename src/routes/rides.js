@@ -1,16 +1,32 @@
-// src/routes/rides.js - POSTGRESQL OPTIMIZED VERSION
+// src/routes/rides.js - Ride listing, lifecycle actions and admin stats
 const express = require('express');
-const sequelize = require('../config/database');
+const { Op, fn, col } = require('sequelize');
 const { auth, requireRole } = require('../middleware/auth');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const { performRideAction, ACTION_FOR_STATUS } = require('../services/rideWorkflow');
+const { estimateFare, issueQuote } = require('../services/fareEstimator');
+const { recordTripPoints, getTripTrace } = require('../services/tripTrace');
+const { getRideTracking } = require('../services/liveTracking');
+const { parseScheduledFor } = require('../services/scheduler');
+const { isServiceError, sendServiceError } = require('../services/errors');
+const { AWAITING_PAYMENT } = require('../services/payments');
 
 const router = express.Router();
 
+// Driver details shown alongside a ride
+const driverInclude = {
+  model: User,
+  as: 'driver',
+  attributes: ['id', 'name', 'phone', 'vehicle'],
+  required: false
+};
+
 // Test route
 router.get('/test', async (req, res) => {
   try {
-    const [results] = await sequelize.query('SELECT COUNT(*) as total FROM rides');
-    const totalRides = results[0]?.total || 0;
-    
+    const totalRides = await Ride.count();
+
     res.json({
       success: true,
       message: 'Rides route is working',
@@ -28,262 +44,317 @@ router.get('/test', async (req, res) => {
   }
 });
 
-// Get all rides - POSTGRESQL OPTIMIZED WITH PROPER ERROR HANDLING
+// Fare estimate with a signed quote - open to guests, who book through /api/public/rides
+router.post('/estimate', async (req, res) => {
+  try {
+    const { pickup_coordinates, dropoff_coordinates, vehicle_type, ride_type } = req.body;
+    const scheduledFor = parseScheduledFor(req.body.scheduled_for);
+
+    const estimate = await estimateFare({
+      pickup_coordinates,
+      dropoff_coordinates,
+      vehicle_type,
+      ride_type,
+      scheduled_for: scheduledFor
+    });
+    const quote = issueQuote(estimate);
+
+    console.log(`[RIDE ESTIMATE] ${estimate.vehicle_type}/${estimate.ride_type} ${estimate.distance_km} km -> ${estimate.fare} ${estimate.currency}`);
+
+    res.json({
+      success: true,
+      estimate: {
+        vehicle_type: estimate.vehicle_type,
+        ride_type: estimate.ride_type,
+        distance_km: estimate.distance_km,
+        duration_minutes: estimate.duration_minutes,
+        fare: estimate.fare,
+        currency: estimate.currency,
+        scheduled_for: estimate.scheduled_for,
+        breakdown: estimate.breakdown
+      },
+      quote_token: quote.quote_token,
+      expires_at: quote.expires_at
+    });
+  } catch (error) {
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
+
+    console.error('❌ Ride estimate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في حساب الأجرة',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
+
+
+// Get all rides visible to the caller
 router.get('/', auth, async (req, res) => {
   try {
-    console.log('========================================');
-    console.log('📋 FETCHING RIDES');
-    console.log('User ID:', req.user.id);
-    console.log('User Role:', req.user.role);
-    console.log('User Phone:', req.user.phone);
-    console.log('========================================');
-
-    let query;
-    let replacements = {};
-    
+    console.log(`[RIDES] Fetching rides for user ${req.user.id} (${req.user.role})`);
+
+    let where;
+
     if (req.user.role === 'driver') {
       // Drivers see: their assigned rides + pending rides with no driver
-      // PostgreSQL-specific: Use COALESCE for NULL handling
-      query = `
-        SELECT * FROM rides 
-        WHERE driver_id = $1 
-           OR (status = 'pending' AND driver_id IS NULL)
-        ORDER BY created_at DESC
-      `;
-      replacements = [req.user.id];
-      
-      console.log('🚗 Driver query with ID:', req.user.id);
+      // (card and wallet rides only once their payment is authorized)
+      where = {
+        [Op.or]: [
+          { driver_id: req.user.id },
+          { status: 'pending', driver_id: null, payment_status: { [Op.notIn]: AWAITING_PAYMENT } }
+        ]
+      };
     } else if (req.user.role === 'admin') {
       // Admins see all rides
-      query = `SELECT * FROM rides ORDER BY created_at DESC`;
-      replacements = [];
-      console.log('👑 Admin query - fetching all rides');
+      where = {};
     } else {
-      // Regular customers see their own rides
-      query = `
-        SELECT * FROM rides 
-        WHERE customer_phone = $1 
-        ORDER BY created_at DESC
-      `;
-      replacements = [req.user.phone];
-      console.log('👤 Customer query - phone:', req.user.phone);
+      // Customers see the rides booked on their account
+      where = { user_id: req.user.id };
     }
 
-    console.log('Executing PostgreSQL query...');
-    console.log('Query:', query);
-    console.log('Replacements:', replacements);
+    const rides = await Ride.findAll({
+      where,
+      include: [driverInclude],
+      order: [['created_at', 'DESC']]
+    });
+
+    console.log(`[RIDES] Returning ${rides.length} rides`);
 
-    // Use bind parameters for PostgreSQL
-    const rides = await sequelize.query(query, {
-      bind: replacements,
-      type: sequelize.QueryTypes.SELECT
+    res.json({
+      success: true,
+      rides,
+      count: rides.length
     });
 
-    console.log(`✅ Found ${rides.length} rides`);
+  } catch (error) {
+    console.error('❌ Get rides error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في جلب الطلبات',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+});
 
-    if (rides.length > 0) {
-      console.log('Sample ride:', JSON.stringify(rides[0], null, 2));
-    }
+const rideActionMessages = {
+  accept: 'تم قبول الرحلة بنجاح',
+  arrive: 'تم تسجيل وصول السائق',
+  start: 'تم بدء الرحلة',
+  complete: 'تم إنهاء الرحلة بنجاح',
+  cancel: 'تم إلغاء الرحلة'
+};
 
-    // Manually fetch driver details if assigned
-    const ridesWithDriverInfo = [];
-    
-    for (const ride of rides) {
-      let rideWithDriver = { ...ride };
-      
-      if (ride.driver_id) {
-        try {
-          const [driver] = await sequelize.query(
-            'SELECT id, name, phone, vehicle FROM users WHERE id = $1',
-            {
-              bind: [ride.driver_id],
-              type: sequelize.QueryTypes.SELECT
-            }
-          );
-          
-          if (driver) {
-            rideWithDriver.driver = driver;
-            console.log(`✅ Fetched driver info for ride ${ride.id}:`, driver.name);
-          }
-        } catch (err) {
-          console.error(`❌ Error fetching driver for ride ${ride.id}:`, err.message);
-        }
-      }
-      
-      ridesWithDriverInfo.push(rideWithDriver);
+const runRideAction = async (req, res, action) => {
+  try {
+    const rideId = parseInt(req.params.id);
+    const ride = await Ride.findByPk(rideId);
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'الطلب غير موجود'
+      });
     }
 
-    console.log('========================================');
-    console.log(`✅ RETURNING ${ridesWithDriverInfo.length} RIDES`);
-    console.log('========================================\n');
+    const reason = req.body.cancellation_reason || req.body.reason || null;
+    await performRideAction(ride, action, req.user, { reason });
 
     res.json({
       success: true,
-      rides: ridesWithDriverInfo,
-      count: ridesWithDriverInfo.length
+      message: rideActionMessages[action],
+      ride
     });
+  } catch (error) {
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
 
+    console.error(`❌ Ride ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في تحديث الطلب',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+    });
+  }
+};
+
+// Ride lifecycle: pending -> accepted (-> arrived) -> in_progress -> completed,
+// cancellable until completed
+router.post('/:id/accept', auth, (req, res) => runRideAction(req, res, 'accept'));
+router.post('/:id/arrive', auth, (req, res) => runRideAction(req, res, 'arrive'));
+router.post('/:id/start', auth, (req, res) => runRideAction(req, res, 'start'));
+router.post('/:id/complete', auth, (req, res) => runRideAction(req, res, 'complete'));
+router.post('/:id/cancel', auth, (req, res) => runRideAction(req, res, 'cancel'));
+
+// Live driver position and ETA for the customer while the ride is active
+router.get('/:id/tracking', auth, async (req, res) => {
+  try {
+    const ride = await Ride.findByPk(parseInt(req.params.id));
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'الطلب غير موجود'
+      });
+    }
+
+    if (req.user.role !== 'admin' && ride.user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مُخوَّل للوصول لهذا الطلب'
+      });
+    }
+
+    res.json({
+      success: true,
+      tracking: await getRideTracking(ride)
+    });
   } catch (error) {
-    console.log('========================================');
-    console.error('❌ GET RIDES ERROR');
-    console.error('Error name:', error.name);
-    console.error('Error message:', error.message);
-    console.error('Error stack:', error.stack);
-    console.log('========================================\n');
-    
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
+
+    console.error('[LIVE TRACKING] Ride tracking error:', error);
     res.status(500).json({
       success: false,
-      message: 'فشل في جلب الطلبات',
-      error: process.env.NODE_ENV === 'development' ? {
-        name: error.name,
-        message: error.message,
-        stack: error.stack
-      } : undefined
+      message: 'فشل في جلب موقع السائق',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
     });
   }
 });
 
-// Update ride status - POSTGRESQL OPTIMIZED
-router.put('/:id', auth, async (req, res) => {
+// Batched GPS fixes from the assigned driver while the ride is under way
+router.post('/:id/trace', auth, requireRole(['driver']), async (req, res) => {
   try {
-    const rideId = parseInt(req.params.id);
-    const updates = req.body;
-
-    console.log('========================================');
-    console.log('🔄 UPDATING RIDE');
-    console.log('Ride ID:', rideId);
-    console.log('User ID:', req.user.id);
-    console.log('User Role:', req.user.role);
-    console.log('Updates:', JSON.stringify(updates, null, 2));
-    console.log('========================================');
-
-    // Fetch current ride
-    const [ride] = await sequelize.query(
-      'SELECT * FROM rides WHERE id = $1',
-      {
-        bind: [rideId],
-        type: sequelize.QueryTypes.SELECT
-      }
-    );
-    
+    const ride = await Ride.findByPk(parseInt(req.params.id));
+
     if (!ride) {
-      console.log('❌ Ride not found');
       return res.status(404).json({
         success: false,
         message: 'الطلب غير موجود'
       });
     }
 
-    console.log('Current ride status:', ride.status);
-    console.log('Current driver_id:', ride.driver_id);
-
-    // Permission checks
-    if (req.user.role === 'driver') {
-      if (ride.status === 'pending' && !ride.driver_id && updates.status === 'accepted') {
-        // Driver accepting a ride - fetch driver info
-        const [driver] = await sequelize.query(
-          'SELECT id, name, phone, vehicle FROM users WHERE id = $1',
-          {
-            bind: [req.user.id],
-            type: sequelize.QueryTypes.SELECT
-          }
-        );
-        
-        if (!driver) {
-          console.log('❌ Driver profile not found');
-          return res.status(403).json({
-            success: false,
-            message: 'بيانات السائق غير موجودة'
-          });
-        }
-        
-        console.log('✅ Driver accepting ride:', driver.name);
-        
-        updates.driver_id = req.user.id;
-        updates.driver_name = driver.name;
-        updates.driver_phone = driver.phone;
-        updates.accepted_at = new Date().toISOString();
-      } else if (ride.driver_id && ride.driver_id !== req.user.id) {
-        console.log('❌ Permission denied - different driver');
-        return res.status(403).json({
-          success: false,
-          message: 'لا يمكنك تعديل طلب سائق آخر'
-        });
-      }
-    } else if (req.user.role !== 'admin') {
-      console.log('❌ Permission denied - not admin or driver');
+    if (ride.driver_id !== req.user.id) {
       return res.status(403).json({
         success: false,
-        message: 'غير مُخوَّل لتعديل الطلبات'
+        message: 'لا يمكنك تعديل طلب سائق آخر',
+        code: 'RIDE_NOT_ASSIGNED_TO_YOU'
+      });
+    }
+
+    if (ride.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'لا يمكن تسجيل المسار إلا أثناء الرحلة',
+        code: 'TRIP_NOT_IN_PROGRESS'
       });
     }
 
-    // Build update query dynamically using PostgreSQL placeholders
-    const updateFields = [];
-    const updateValues = [];
-    let paramIndex = 1;
-    
-    Object.keys(updates).forEach(key => {
-      updateFields.push(`${key} = $${paramIndex}`);
-      updateValues.push(updates[key]);
-      paramIndex++;
+    const result = await recordTripPoints('ride', ride.id, req.user.id, req.body.points, { startedAt: ride.started_at });
+
+    res.status(201).json({
+      success: true,
+      message: 'تم تسجيل نقاط المسار',
+      ...result
     });
-    
-    // Always update updated_at
-    updateFields.push(`updated_at = $${paramIndex}`);
-    updateValues.push(new Date().toISOString());
-    paramIndex++;
-    
-    // Add ride ID at the end
-    updateValues.push(rideId);
-
-    const updateQuery = `
-      UPDATE rides 
-      SET ${updateFields.join(', ')}
-      WHERE id = $${paramIndex}
-      RETURNING *
-    `;
-
-    console.log('Update query:', updateQuery);
-    console.log('Update values:', updateValues);
-
-    const [updatedRide] = await sequelize.query(updateQuery, {
-      bind: updateValues,
-      type: sequelize.QueryTypes.UPDATE
+  } catch (error) {
+    if (isServiceError(error)) {
+      return sendServiceError(res, error);
+    }
+
+    console.error('[TRIP TRACE] Record ride trace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'فشل في تسجيل المسار',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
     });
+  }
+});
+
+// Route replay for the customer and fare disputes for support
+router.get('/:id/trace', auth, async (req, res) => {
+  try {
+    const ride = await Ride.findByPk(parseInt(req.params.id));
+
+    if (!ride) {
+      return res.status(404).json({
+        success: false,
+        message: 'الطلب غير موجود'
+      });
+    }
+
+    const canView = req.user.role === 'admin' ||
+      (req.user.role === 'driver' && ride.driver_id === req.user.id) ||
+      ride.user_id === req.user.id;
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'غير مُخوَّل للوصول لهذا الطلب'
+      });
+    }
 
-    console.log('✅ Ride updated successfully');
-    console.log('New status:', updatedRide?.status || 'unknown');
-    console.log('========================================\n');
+    const trace = await getTripTrace('ride', ride.id);
 
     res.json({
       success: true,
-      message: 'تم تحديث الطلب بنجاح',
-      ride: updatedRide || ride
+      ride_id: ride.id,
+      status: ride.status,
+      ...trace,
+      summary: {
+        quoted_fare: ride.quoted_fare,
+        fare: ride.fare,
+        estimated_distance: ride.estimated_distance,
+        estimated_duration: ride.estimated_duration,
+        actual_distance_km: ride.actual_distance_km,
+        actual_duration_minutes: ride.actual_duration_minutes,
+        started_at: ride.started_at,
+        completed_at: ride.completed_at
+      }
     });
-
   } catch (error) {
-    console.error('❌ Update ride error:', error);
+    console.error('[TRIP TRACE] Get ride trace error:', error);
     res.status(500).json({
       success: false,
-      message: 'فشل في تحديث الطلب',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'فشل في جلب مسار الرحلة',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
     });
   }
 });
 
-// Get ride by ID - POSTGRESQL OPTIMIZED
+// Older apps send { status } here. The status is mapped onto the matching
+// action; every other field in the body is ignored.
+router.put('/:id', auth, async (req, res) => {
+  const action = ACTION_FOR_STATUS[req.body.status];
+
+  if (!action) {
+    return res.status(400).json({
+      success: false,
+      message: 'يجب تحديد حالة صحيحة للرحلة',
+      code: 'INVALID_RIDE_UPDATE',
+      allowed_statuses: Object.keys(ACTION_FOR_STATUS)
+    });
+  }
+
+  const ignoredFields = Object.keys(req.body).filter(key => !['status', 'cancellation_reason', 'reason'].includes(key));
+  if (ignoredFields.length > 0) {
+    console.log(`[RIDE] Ignoring fields on PUT /api/rides/${req.params.id}: ${ignoredFields.join(', ')}`);
+  }
+
+  return runRideAction(req, res, action);
+});
+
+
+// Get ride by ID
 router.get('/:id', auth, async (req, res) => {
   try {
-    const rideId = parseInt(req.params.id);
-    
-    const [ride] = await sequelize.query(
-      'SELECT * FROM rides WHERE id = $1',
-      {
-        bind: [rideId],
-        type: sequelize.QueryTypes.SELECT
-      }
-    );
+    const ride = await Ride.findByPk(parseInt(req.params.id), {
+      include: [driverInclude]
+    });
 
     if (!ride) {
       return res.status(404).json({
@@ -292,35 +363,16 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
-    // Fetch driver info if assigned
-    if (ride.driver_id) {
-      try {
-        const [driver] = await sequelize.query(
-          'SELECT id, name, phone, vehicle FROM users WHERE id = $1',
-          {
-            bind: [ride.driver_id],
-            type: sequelize.QueryTypes.SELECT
-          }
-        );
-        
-        if (driver) {
-          ride.driver = driver;
-        }
-      } catch (err) {
-        console.error('Error fetching driver:', err);
-      }
-    }
-
     // Permission checks
     let canAccess = false;
-    
+
     if (req.user.role === 'admin') {
       canAccess = true;
     } else if (req.user.role === 'driver') {
-      canAccess = ride.driver_id === req.user.id || 
+      canAccess = ride.driver_id === req.user.id ||
                   (ride.status === 'pending' && !ride.driver_id);
     } else {
-      canAccess = ride.customer_phone === req.user.phone;
+      canAccess = ride.user_id === req.user.id;
     }
 
     if (!canAccess) {
@@ -347,15 +399,7 @@ router.get('/:id', auth, async (req, res) => {
 // Delete ride - Admin only
 router.delete('/:id', auth, requireRole(['admin']), async (req, res) => {
   try {
-    const rideId = parseInt(req.params.id);
-    
-    const [ride] = await sequelize.query(
-      'SELECT * FROM rides WHERE id = $1',
-      {
-        bind: [rideId],
-        type: sequelize.QueryTypes.SELECT
-      }
-    );
+    const ride = await Ride.findByPk(parseInt(req.params.id));
 
     if (!ride) {
       return res.status(404).json({
@@ -364,13 +408,7 @@ router.delete('/:id', auth, requireRole(['admin']), async (req, res) => {
       });
     }
 
-    await sequelize.query(
-      'DELETE FROM rides WHERE id = $1',
-      {
-        bind: [rideId],
-        type: sequelize.QueryTypes.DELETE
-      }
-    );
+    await ride.destroy();
 
     res.json({
       success: true,
@@ -386,52 +424,30 @@ router.delete('/:id', auth, requireRole(['admin']), async (req, res) => {
   }
 });
 
-// Get rides statistics - Admin only - POSTGRESQL OPTIMIZED
+// Get rides statistics - Admin only
 router.get('/stats/overview', auth, requireRole(['admin']), async (req, res) => {
   try {
-    const [[totalResult]] = await sequelize.query(
-      'SELECT COUNT(*) as total FROM rides',
-      { type: sequelize.QueryTypes.SELECT }
-    );
-    const totalRides = parseInt(totalResult?.total) || 0;
-
-    const [[pendingResult]] = await sequelize.query(
-      "SELECT COUNT(*) as total FROM rides WHERE status = 'pending'",
-      { type: sequelize.QueryTypes.SELECT }
-    );
-    const pendingRides = parseInt(pendingResult?.total) || 0;
-
-    const [[activeResult]] = await sequelize.query(
-      "SELECT COUNT(*) as total FROM rides WHERE status IN ('accepted', 'in_progress')",
-      { type: sequelize.QueryTypes.SELECT }
-    );
-    const activeRides = parseInt(activeResult?.total) || 0;
-
-    const [[completedResult]] = await sequelize.query(
-      "SELECT COUNT(*) as total FROM rides WHERE status = 'completed'",
-      { type: sequelize.QueryTypes.SELECT }
-    );
-    const completedRides = parseInt(completedResult?.total) || 0;
-
-    const [[cancelledResult]] = await sequelize.query(
-      "SELECT COUNT(*) as total FROM rides WHERE status = 'cancelled'",
-      { type: sequelize.QueryTypes.SELECT }
-    );
-    const cancelledRides = parseInt(cancelledResult?.total) || 0;
-
-    const revenueResults = await sequelize.query(
-      "SELECT fare FROM rides WHERE status = 'completed'",
-      { type: sequelize.QueryTypes.SELECT }
-    );
-    
-    const totalRevenue = revenueResults.reduce((sum, ride) => {
-      return sum + (parseFloat(ride.fare) || 0);
-    }, 0);
-
-    const rideTypeResults = await sequelize.query(
-      'SELECT service_type, COUNT(*) as count FROM rides GROUP BY service_type',
-      { type: sequelize.QueryTypes.SELECT }
-    );
+    const [
+      totalRides,
+      pendingRides,
+      activeRides,
+      completedRides,
+      cancelledRides,
+      totalRevenue,
+      rideTypeResults
+    ] = await Promise.all([
+      Ride.count(),
+      Ride.count({ where: { status: 'pending' } }),
+      Ride.count({ where: { status: { [Op.in]: ['accepted', 'in_progress'] } } }),
+      Ride.count({ where: { status: 'completed' } }),
+      Ride.count({ where: { status: 'cancelled' } }),
+      Ride.sum('fare', { where: { status: 'completed' } }),
+      Ride.findAll({
+        attributes: ['service_type', [fn('COUNT', col('id')), 'count']],
+        group: ['service_type'],
+        raw: true
+      })
+    ]);
 
     const rideTypes = {};
     rideTypeResults.forEach(item => {
@@ -446,7 +462,7 @@ router.get('/stats/overview', auth, requireRole(['admin']), async (req, res) =>
         activeRides,
         completedRides,
         cancelledRides,
-        totalRevenue: totalRevenue.toFixed(2),
+        totalRevenue: (parseFloat(totalRevenue) || 0).toFixed(2),
         rideTypes
       }
     });
@@ -460,4 +476,4 @@ router.get('/stats/overview', auth, requireRole(['admin']), async (req, res) =>
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,44 @@
+// src/routes/stream.js - Live order, ride and prescription updates over Server-Sent Events
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { subscribe, getStreamStats } = require('../services/eventStream');
+
+// Browsers' EventSource cannot set headers, so the token may come as a query parameter
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Passed on as sent; the stream service decides whether it can still resume from it
+const lastEventIdOf = (req) => {
+  const raw = req.header('Last-Event-ID') || req.query.last_event_id;
+  return raw === undefined || raw === null || raw === '' ? null : String(raw);
+};
+
+router.get('/', tokenFromQuery, authenticateToken, (req, res) => {
+  try {
+    req.socket.setTimeout(0);
+    subscribe(req, res, lastEventIdOf(req));
+  } catch (error) {
+    console.error('[STREAM] Error opening stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'فشل في فتح قناة التحديثات',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+      });
+    }
+  }
+});
+
+router.get('/stats', authenticateToken, requireRole(['admin']), (req, res) => {
+  res.json({
+    success: true,
+    stats: getStreamStats()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+// src/routes/wallet.js - Customer wallet balance, history, top-ups and admin adjustments
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const PromoCode = require('../models/PromoCode');
+const paymentsConfig = require('../config/payments');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  TRANSACTION_TYPES,
+  getWalletBalance,
+  creditWallet,
+  adjustWallet,
+  listWalletTransactions,
+  formatWalletTransaction
+} = require('../services/wallet');
+const { createTopUpIntent, formatPaymentIntent } = require('../services/payments');
+const { redeemWalletCredit } = require('../services/promoCodes');
+const { isServiceError, sendServiceError } = require('../services/errors');
+
+const handleError = (res, error, logPrefix, message) => {
+  if (isServiceError(error)) {
+    return sendServiceError(res, error);
+  }
+
+  console.error(logPrefix, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'خطأ داخلي في الخادم'
+  });
+};
+
+const walletSummary = async (userId) => ({
+  balance: await getWalletBalance(userId),
+  currency: paymentsConfig.currency
+});
+
+// Balance plus one page of transactions, newest first
+const walletStatement = async (userId, query) => {
+  const limit = Math.min(parseInt(query.limit) || 50, 200);
+  const offset = parseInt(query.offset) || 0;
+  const type = TRANSACTION_TYPES.includes(query.type) ? query.type : undefined;
+
+  const { rows, count } = await listWalletTransactions(userId, { limit, offset, type });
+
+  return {
+    ...(await walletSummary(userId)),
+    transactions: rows.map(formatWalletTransaction),
+    pagination: { total: count, limit, offset }
+  };
+};
+
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await walletSummary(req.user.id)) });
+  } catch (error) {
+    handleError(res, error, '[WALLET] Error fetching balance:', 'فشل في جلب رصيد المحفظة');
+  }
+});
+
+router.get('/transactions', authenticateToken, async (req, res) => {
+  try {
+    const statement = await walletStatement(req.user.id, req.query);
+    res.json({ success: true, ...statement });
+  } catch (error) {
+    handleError(res, error, '[WALLET] Error fetching transactions:', 'فشل في جلب حركات المحفظة');
+  }
+});
+
+// Body: { amount, payment_method }. Returns a payment to complete with the
+// provider; the wallet is credited once the provider confirms it.
+router.post('/top-ups', authenticateToken, async (req, res) => {
+  try {
+    const intent = await createTopUpIntent(req.user.id, req.body.amount, req.body.payment_method);
+
+    res.status(201).json({
+      success: true,
+      message: 'يرجى إتمام الدفع لشحن المحفظة',
+      payment: formatPaymentIntent(intent)
+    });
+  } catch (error) {
+    handleError(res, error, '[WALLET] Error starting top-up:', 'فشل في بدء شحن المحفظة');
+  }
+});
+
+// Body: { code } of a wallet_credit promo code
+router.post('/promo-codes', authenticateToken, async (req, res) => {
+  const transaction = await PromoCode.sequelize.transaction();
+  try {
+    const { promo, amount } = await redeemWalletCredit(req.body.code, { userId: req.user.id, transaction });
+    const entry = await creditWallet(req.user.id, amount, {
+      type: 'promo',
+      description: `رمز ترويجي ${promo.code}`,
+      transaction
+    });
+    await transaction.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'تمت إضافة الرصيد إلى محفظتك',
+      transaction: formatWalletTransaction(entry),
+      balance: entry.balance_after
+    });
+  } catch (error) {
+    await transaction.rollback();
+    handleError(res, error, '[WALLET] Error redeeming promo code:', 'فشل في استخدام رمز الخصم');
+  }
+});
+
+router.get('/users/:userId', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const user = await User.findByPk(parseInt(req.params.userId), { attributes: ['id', 'name', 'phone', 'role'] });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود'
+      });
+    }
+
+    const statement = await walletStatement(user.id, req.query);
+    res.json({ success: true, user, ...statement });
+  } catch (error) {
+    handleError(res, error, '[WALLET] Error fetching wallet:', 'فشل في جلب المحفظة');
+  }
+});
+
+// Body: { amount, description }. A positive amount credits the wallet, a
+// negative one takes money off it (never below zero).
+router.post('/users/:userId/adjustments', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const user = await User.findByPk(parseInt(req.params.userId), { attributes: ['id'] });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'المستخدم غير موجود'
+      });
+    }
+
+    const description = req.body.description ? String(req.body.description).trim().slice(0, 255) : '';
+    if (!description) {
+      return res.status(400).json({
+        success: false,
+        message: 'سبب التعديل مطلوب',
+        code: 'DESCRIPTION_REQUIRED'
+      });
+    }
+
+    const entry = await adjustWallet(user.id, parseFloat(req.body.amount), { description, createdBy: req.user.id });
+    console.log(`[WALLET] Admin ${req.user.id} adjusted wallet of user ${user.id} by ${entry.amount}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'تم تعديل رصيد المحفظة',
+      transaction: formatWalletTransaction(entry),
+      balance: entry.balance_after
+    });
+  } catch (error) {
+    handleError(res, error, '[WALLET] Error adjusting wallet:', 'فشل في تعديل رصيد المحفظة');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,251 @@
+// src/services/cashLedger.js - Per-courier ledger of cash collected, pay earned and cash handed in
+const { Op, fn, col } = require('sequelize');
+const CourierLedgerEntry = require('../models/CourierLedgerEntry');
+const cashConfig = require('../config/cashLedger');
+const { getFulfillments } = require('./orderFulfillments');
+const { recordOrderEarning, recordOrderEarningReversal, courierShareOf } = require('./earnings');
+const { createServiceError } = require('./errors');
+const { roundMoney } = require('./money');
+
+const ENTRY_TYPES = ['cash_collected', 'driver_earning', 'restaurant_payable', 'cash_handin', 'earning_reversal', 'restaurant_payable_reversal', 'earning_payout'];
+
+const isCashOrder = (order) => order.payment_method === 'cash';
+
+// Books the money side of a delivered order. Runs inside the delivery
+// transaction and does nothing if the order was already booked.
+const bookDeliveredOrder = async (order, { transaction } = {}) => {
+  if (!order.assigned_to) return [];
+
+  // The courier's pay comes from the commission rules (see services/earnings.js)
+  const earning = await recordOrderEarning(order, { transaction });
+
+  const existing = await CourierLedgerEntry.count({ where: { order_id: order.id }, transaction });
+  if (existing > 0) return [];
+
+  const base = { driver_id: order.assigned_to, order_id: order.id };
+  const rows = [];
+
+  if (isCashOrder(order)) {
+    rows.push({ ...base, entry_type: 'cash_collected', amount: roundMoney(order.total) });
+  }
+  rows.push({ ...base, entry_type: 'driver_earning', amount: earning.amount });
+
+  const fulfillments = await getFulfillments(order.id, { transaction });
+  fulfillments
+    .filter(fulfillment => fulfillment.status === 'delivered')
+    .forEach(fulfillment => rows.push({
+      ...base,
+      entry_type: 'restaurant_payable',
+      restaurant_id: fulfillment.restaurant_id,
+      amount: roundMoney(fulfillment.subtotal)
+    }));
+
+  const entries = await CourierLedgerEntry.bulkCreate(rows, { transaction });
+  console.log(`[CASH LEDGER] Booked order #${order.id} for courier ${order.assigned_to} (${rows.map(row => row.entry_type).join(', ')})`);
+  return entries;
+};
+
+// Takes a refund back out of what was booked for the order on delivery.
+// `restaurants` maps restaurant_id to the amount to reverse; nothing is
+// reversed beyond what is still booked. Returns what was actually reversed.
+const reverseOrderSettlement = async (order, { restaurants = new Map(), driverAmount = 0 }, { notes = null, recordedBy = null, transaction } = {}) => {
+  const booked = await CourierLedgerEntry.findAll({ where: { order_id: order.id }, transaction });
+  if (booked.length === 0) {
+    return { restaurants: [], driver: null };
+  }
+
+  const driverId = booked[0].driver_id;
+  const outstanding = (type, reversalType, restaurantId) => roundMoney(booked
+    .filter(entry => restaurantId === undefined || entry.restaurant_id === restaurantId)
+    .reduce((sum, entry) => {
+      if (entry.entry_type === type) return sum + entry.amount;
+      if (entry.entry_type === reversalType) return sum - entry.amount;
+      return sum;
+    }, 0));
+
+  const rows = [];
+  const reversedRestaurants = [];
+  restaurants.forEach((amount, restaurantId) => {
+    const value = roundMoney(Math.min(amount, outstanding('restaurant_payable', 'restaurant_payable_reversal', restaurantId)));
+    if (value <= 0) return;
+    rows.push({ entry_type: 'restaurant_payable_reversal', restaurant_id: restaurantId, amount: value });
+    reversedRestaurants.push({ restaurant_id: restaurantId, amount: value });
+  });
+
+  let reversedDriver = null;
+  const driverValue = roundMoney(Math.min(courierShareOf(driverAmount), outstanding('driver_earning', 'earning_reversal')));
+  if (driverValue > 0) {
+    rows.push({ entry_type: 'earning_reversal', amount: driverValue });
+    reversedDriver = { driver_id: driverId, amount: driverValue };
+    await recordOrderEarningReversal(order, driverId, driverValue, { transaction });
+  }
+
+  if (rows.length > 0) {
+    await CourierLedgerEntry.bulkCreate(rows.map(row => ({
+      ...row,
+      driver_id: driverId,
+      order_id: order.id,
+      recorded_by: recordedBy,
+      notes
+    })), { transaction });
+    console.log(`[CASH LEDGER] Reversed ${rows.map(row => `${row.entry_type} ${row.amount}`).join(', ')} on order #${order.id}`);
+  }
+
+  return { restaurants: reversedRestaurants, driver: reversedDriver };
+};
+
+const summarise = (driverId, totals) => {
+  const sum = (type) => roundMoney(totals[type] || 0);
+  const cashHeld = roundMoney(sum('cash_collected') - sum('cash_handin'));
+  // Pay not yet sent in a payout batch, which the courier may keep out of the cash
+  const earnings = roundMoney(sum('driver_earning') - sum('earning_reversal') - sum('earning_payout'));
+
+  return {
+    driver_id: driverId,
+    cash_collected: sum('cash_collected'),
+    cash_handed_in: sum('cash_handin'),
+    cash_held: cashHeld,
+    earnings,
+    // What the courier still owes once they keep their pay out of the cash
+    net_cash_due: roundMoney(cashHeld - earnings),
+    restaurant_payable: roundMoney(sum('restaurant_payable') - sum('restaurant_payable_reversal')),
+    cash_limit: cashConfig.cashLimit,
+    over_cash_limit: cashHeld >= cashConfig.cashLimit
+  };
+};
+
+const sumByDriverAndType = async (where, { transaction } = {}) => {
+  const rows = await CourierLedgerEntry.findAll({
+    attributes: ['driver_id', 'entry_type', [fn('SUM', col('amount')), 'total']],
+    where,
+    group: ['driver_id', 'entry_type'],
+    raw: true,
+    transaction
+  });
+
+  const byDriver = new Map();
+  rows.forEach(row => {
+    const totals = byDriver.get(row.driver_id) || {};
+    totals[row.entry_type] = parseFloat(row.total) || 0;
+    byDriver.set(row.driver_id, totals);
+  });
+  return byDriver;
+};
+
+const getCourierBalance = async (driverId, options = {}) => {
+  const byDriver = await sumByDriverAndType({ driver_id: driverId }, options);
+  return summarise(driverId, byDriver.get(driverId) || {});
+};
+
+// Balances for every courier with at least one ledger entry
+const getCourierBalances = async () => {
+  const byDriver = await sumByDriverAndType({});
+  return [...byDriver.entries()].map(([driverId, totals]) => summarise(driverId, totals));
+};
+
+const listEntries = (driverId, { limit = 50, offset = 0, entryType } = {}) => CourierLedgerEntry.findAndCountAll({
+  where: {
+    driver_id: driverId,
+    ...(entryType && { entry_type: entryType })
+  },
+  order: [['created_at', 'DESC'], ['id', 'DESC']],
+  limit: Math.min(parseInt(limit) || 50, 200),
+  offset: parseInt(offset) || 0
+});
+
+const recordHandIn = async (driverId, { amount, notes = null }, admin) => {
+  const value = roundMoney(amount);
+  if (!(value > 0)) {
+    throw createServiceError(400, 'المبلغ غير صحيح', 'INVALID_AMOUNT');
+  }
+
+  const transaction = await CourierLedgerEntry.sequelize.transaction();
+  try {
+    const balance = await getCourierBalance(driverId, { transaction });
+    if (value > balance.cash_held) {
+      throw createServiceError(400, 'المبلغ أكبر من النقدية التي بحوزة المندوب', 'HANDIN_EXCEEDS_CASH_HELD', {
+        cash_held: balance.cash_held
+      });
+    }
+
+    const entry = await CourierLedgerEntry.create({
+      driver_id: driverId,
+      entry_type: 'cash_handin',
+      amount: value,
+      recorded_by: admin.id,
+      notes: notes ? String(notes).trim().slice(0, 1000) : null
+    }, { transaction });
+
+    await transaction.commit();
+    console.log(`[CASH LEDGER] Courier ${driverId} handed in ${value} (recorded by admin ${admin.id})`);
+    return entry;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+// Order pay sent to the courier in a payout batch; from then on it no
+// longer offsets the cash they hold
+const recordEarningPayout = async (driverId, amount, { notes = null, recordedBy = null, transaction } = {}) => {
+  const value = roundMoney(amount);
+  if (!(value > 0)) return null;
+
+  return CourierLedgerEntry.create({
+    driver_id: driverId,
+    entry_type: 'earning_payout',
+    amount: value,
+    recorded_by: recordedBy,
+    notes
+  }, { transaction });
+};
+
+// Ids of the given couriers who may not take another cash order
+const couriersOverCashLimit = async (driverIds) => {
+  if (driverIds.length === 0) return new Set();
+  const byDriver = await sumByDriverAndType({
+    driver_id: { [Op.in]: driverIds },
+    entry_type: { [Op.in]: ['cash_collected', 'cash_handin'] }
+  });
+  return new Set([...byDriver.entries()]
+    .filter(([driverId, totals]) => summarise(driverId, totals).over_cash_limit)
+    .map(([driverId]) => driverId));
+};
+
+const assertCashCapacity = async (order, driver) => {
+  if (!isCashOrder(order)) return;
+
+  const balance = await getCourierBalance(driver.id);
+  if (balance.over_cash_limit) {
+    throw createServiceError(403, 'تجاوزت الحد المسموح من النقدية، يرجى تسليم النقدية أولاً', 'CASH_LIMIT_REACHED', {
+      cash_held: balance.cash_held,
+      cash_limit: balance.cash_limit
+    });
+  }
+};
+
+const formatLedgerEntry = (entry) => ({
+  id: entry.id,
+  driver_id: entry.driver_id,
+  order_id: entry.order_id,
+  restaurant_id: entry.restaurant_id,
+  entry_type: entry.entry_type,
+  amount: entry.amount,
+  recorded_by: entry.recorded_by,
+  notes: entry.notes,
+  created_at: entry.created_at
+});
+
+module.exports = {
+  ENTRY_TYPES,
+  bookDeliveredOrder,
+  reverseOrderSettlement,
+  getCourierBalance,
+  getCourierBalances,
+  listEntries,
+  recordHandIn,
+  recordEarningPayout,
+  couriersOverCashLimit,
+  assertCashCapacity,
+  formatLedgerEntry
+};
@@ -0,0 +1,34 @@
+// src/services/csv.js - Builds CSV files for admin exports
+//
+// columns: [{ key, header }]; a value is quoted when it contains a comma,
+// quote or line break. Text that a spreadsheet app would run as a formula
+// (starting with = or @, or + / - not followed by a plain number such as a
+// phone) is prefixed with a quote.
+const FORMULA_PATTERN = /^(?:[=@]|[+-](?![\d.]+$))/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => [
+  columns.map(column => escapeCell(column.header)).join(','),
+  ...rows.map(row => columns.map(column => escapeCell(row[column.key])).join(','))
+].join('\r\n') + '\r\n';
+
+// Sends the CSV as a download
+const sendCsv = (res, filename, columns, rows) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  // The byte order mark makes Excel read the Arabic names as UTF-8
+  res.send(`﻿${toCsv(columns, rows)}`);
+};
+
+module.exports = {
+  toCsv,
+  sendCsv
+};
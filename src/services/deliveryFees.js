@@ -0,0 +1,84 @@
+// src/services/deliveryFees.js - Delivery fee from the distance between the store and the customer
+const deliveryConfig = require('../config/deliveryFees');
+const { createServiceError } = require('./errors');
+const { toPoint, haversineKm } = require('./geo');
+const { roundMoney } = require('./money');
+
+const bandFee = (distanceKm) => {
+  const { bands, perKmBeyondBands } = deliveryConfig;
+  const band = bands.find(b => distanceKm <= b.up_to_km);
+  if (band) return band.fee;
+
+  const last = bands[bands.length - 1];
+  if (!last) return 0;
+  return last.fee + Math.ceil(distanceKm - last.up_to_km) * perKmBeyondBands;
+};
+
+// Fee breakdown for one store. When either location is unknown the store's
+// flat fee (fallbackFee) is used instead of the bands. Pass `subtotal` for
+// a real basket so the small-basket surcharge is applied; listings leave it out.
+const calculateDeliveryFee = (storeLocation, customerLocation, { subtotal = null, fallbackFee = deliveryConfig.fallbackFee } = {}) => {
+  const straightKm = haversineKm(storeLocation, customerLocation);
+  const distanceKm = straightKm === null ? null : roundMoney(straightKm * deliveryConfig.roadDistanceFactor);
+
+  if (distanceKm !== null && distanceKm > deliveryConfig.maxRadiusKm) {
+    return {
+      distance_based: true,
+      distance_km: distanceKm,
+      deliverable: false,
+      max_radius_km: deliveryConfig.maxRadiusKm,
+      band_fee: null,
+      small_basket_surcharge: 0,
+      fee: null
+    };
+  }
+
+  const baseFee = distanceKm === null
+    ? roundMoney(fallbackFee)
+    : roundMoney(Math.max(deliveryConfig.minimumFee, bandFee(distanceKm)));
+  const surcharge = subtotal !== null && subtotal < deliveryConfig.smallBasketThreshold
+    ? deliveryConfig.smallBasketSurcharge
+    : 0;
+
+  return {
+    distance_based: distanceKm !== null,
+    distance_km: distanceKm,
+    deliverable: true,
+    band_fee: baseFee,
+    small_basket_surcharge: surcharge,
+    fee: roundMoney(baseFee + surcharge)
+  };
+};
+
+// outOfRange: [{ name, distance_km }] for every store the customer is too far from
+const assertDeliverable = (outOfRange) => {
+  if (outOfRange.length === 0) return;
+  throw createServiceError(
+    400,
+    'عنوان التوصيل خارج نطاق التوصيل',
+    'OUTSIDE_DELIVERY_RADIUS',
+    outOfRange.map(store => ({ ...store, max_radius_km: deliveryConfig.maxRadiusKm }))
+  );
+};
+
+// Customer location from ?lat=&lng= on listing endpoints, or null
+const customerLocationFromQuery = (query) => toPoint({ lat: query.lat, lng: query.lng });
+
+// "Fee to you" shown next to a store in listings
+const feeToYou = (storeLocation, customerLocation, fallbackFee) => {
+  if (!customerLocation) return null;
+  const quote = calculateDeliveryFee(storeLocation, customerLocation, { fallbackFee });
+  return {
+    fee: quote.fee,
+    distance_km: quote.distance_km,
+    deliverable: quote.deliverable,
+    distance_based: quote.distance_based
+  };
+};
+
+module.exports = {
+  calculateDeliveryFee,
+  assertDeliverable,
+  customerLocationFromQuery,
+  feeToYou
+};
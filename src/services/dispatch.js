@@ -0,0 +1,516 @@
+// src/services/dispatch.js - Offers delivery orders to the best-placed online drivers in waves
+const { Op, fn, col } = require('sequelize');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const DispatchOffer = require('../models/DispatchOffer');
+const dispatchConfig = require('../config/dispatch');
+const { recordOrderEvent } = require('./orderEvents');
+const { getFulfillments } = require('./orderFulfillments');
+const { findRestaurantByEmail } = require('./restaurantLookup');
+const { notify, notifyRole } = require('./notifications');
+const { publish, publishAfterCommit } = require('./eventStream');
+const { OPEN_FOR_DRIVERS } = require('./orderWorkflow');
+const { createServiceError } = require('./errors');
+const { toPoint, haversineKm } = require('./geo');
+const { couriersOverCashLimit, assertCashCapacity } = require('./cashLedger');
+const { isAwaitingPayment, assertPaymentAuthorized } = require('./payments');
+
+// Orders that count towards a driver's current load
+const LOAD_STATUSES = ['assigned', 'preparing', 'ready_for_pickup', 'in_progress'];
+
+// Orders currently being dispatched, so the sweeper and a decline cannot
+// open two waves for the same order at once
+const inFlight = new Set();
+
+let sweeper = null;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Where the driver has to go first: the first restaurant with a known
+// location, falling back to the customer for pharmacy-style orders.
+const getPickupLocation = async (order) => {
+  const fulfillments = await getFulfillments(order.id);
+  const fromFulfillment = fulfillments.map(f => toPoint(f.pickup_location)).find(Boolean);
+  if (fromFulfillment) return fromFulfillment;
+
+  const fromStored = (order.restaurants || []).map(r => toPoint(r.pickup_location || r.restaurant_location)).find(Boolean);
+  if (fromStored) return fromStored;
+
+  const restaurant = await findRestaurantByEmail((order.restaurant_emails || [])[0]);
+  if (restaurant && toPoint(restaurant.restaurant_location)) {
+    return toPoint(restaurant.restaurant_location);
+  }
+
+  return toPoint(order.customer_location);
+};
+
+const getDriverLoads = async (driverIds) => {
+  if (driverIds.length === 0) return new Map();
+
+  const rows = await Order.findAll({
+    attributes: ['assigned_to', [fn('COUNT', col('id')), 'active_orders']],
+    where: {
+      assigned_to: { [Op.in]: driverIds },
+      status: { [Op.in]: LOAD_STATUSES }
+    },
+    group: ['assigned_to'],
+    raw: true
+  });
+
+  return new Map(rows.map(row => [row.assigned_to, parseInt(row.active_orders) || 0]));
+};
+
+// Lower score is better. Distance dominates; load and rating nudge the order.
+const rankDrivers = async (order, { exclude = [] } = {}) => {
+  const pickup = await getPickupLocation(order);
+
+  const drivers = await User.findAll({
+    where: {
+      role: 'delivery',
+      isActive: true,
+      online: true,
+      forceOffline: false,
+      ...(exclude.length > 0 && { id: { [Op.notIn]: exclude } })
+    },
+    attributes: ['id', 'name', 'phone', 'location', 'rating']
+  });
+
+  const loads = await getDriverLoads(drivers.map(driver => driver.id));
+  // Couriers carrying too much cash only get prepaid orders until they hand it in
+  const overCashLimit = order.payment_method === 'cash'
+    ? await couriersOverCashLimit(drivers.map(driver => driver.id))
+    : new Set();
+
+  return drivers
+    .map(driver => {
+      const distanceKm = pickup ? haversineKm(driver.location, pickup) : null;
+      const activeOrders = loads.get(driver.id) || 0;
+      const rating = driver.rating === null || driver.rating === undefined
+        ? 5
+        : Math.min(Math.max(parseFloat(driver.rating) || 0, 0), 5);
+      const score = (distanceKm === null ? dispatchConfig.maxRadiusKm : distanceKm) +
+        activeOrders * dispatchConfig.loadPenaltyKm +
+        (5 - rating) * dispatchConfig.ratingPenaltyKm;
+
+      return {
+        driver,
+        distance_km: distanceKm === null ? null : round2(distanceKm),
+        active_orders: activeOrders,
+        rating,
+        score: round2(score)
+      };
+    })
+    .filter(candidate =>
+      !overCashLimit.has(candidate.driver.id) &&
+      candidate.active_orders < dispatchConfig.maxActiveOrders &&
+      (candidate.distance_km === null || candidate.distance_km <= dispatchConfig.maxRadiusKm)
+    )
+    .sort((a, b) => a.score - b.score);
+};
+
+const escalateToAdmins = async (order, reason) => {
+  if (order.dispatch_escalated_at) {
+    return { status: 'escalated', order_id: order.id, already_escalated: true };
+  }
+
+  await order.update({ dispatch_escalated_at: new Date() });
+  await recordOrderEvent(order.id, {
+    type: 'dispatch_escalated',
+    from: order.status,
+    to: order.status,
+    reason
+  });
+
+  const notified = await notifyRole('admin', {
+    type: 'dispatch_escalated',
+    title: 'طلب بدون مندوب',
+    message: `لم يقبل أي مندوب الطلب #${order.id} - يرجى التعيين يدوياً`,
+    priority: 'high',
+    payload: { order_id: order.id, reason }
+  });
+
+  console.warn(`[DISPATCH] Order #${order.id} escalated to ${notified.length} admins (${reason})`);
+
+  return { status: 'escalated', order_id: order.id, reason };
+};
+
+const buildOfferNotification = (order, offer) => ({
+  type: 'new_order',
+  title: 'طلب جديد متاح',
+  message: `طلب جديد للتوصيل #${order.id} - ج.م ${order.total}`,
+  priority: order.priority || 'normal',
+  payload: {
+    offer_id: offer.id,
+    order_id: order.id,
+    customer_name: order.customer_name,
+    customer_location: order.address,
+    total: parseFloat(order.total),
+    delivery_fee: parseFloat(order.delivery_fee || 0),
+    restaurants: order.restaurants || [],
+    distance_km: offer.distance_km,
+    expires_at: offer.expires_at
+  }
+});
+
+// Offers the order to the next batch of drivers who have not seen it yet
+const dispatchNextWave = async (order) => {
+  if (order.assigned_to || !OPEN_FOR_DRIVERS.includes(order.status)) {
+    return { status: 'skipped', order_id: order.id };
+  }
+  // Paid-online orders are dispatched by the payment webhook once authorized
+  if (isAwaitingPayment(order)) {
+    return { status: 'awaiting_payment', order_id: order.id };
+  }
+  if (inFlight.has(order.id)) {
+    return { status: 'in_flight', order_id: order.id };
+  }
+
+  inFlight.add(order.id);
+  try {
+    const previous = await DispatchOffer.findAll({
+      where: { order_id: order.id },
+      attributes: ['driver_id', 'wave', 'status']
+    });
+    if (previous.some(offer => offer.status === 'pending')) {
+      return { status: 'awaiting_drivers', order_id: order.id };
+    }
+
+    const wave = previous.reduce((max, offer) => Math.max(max, offer.wave), 0) + 1;
+
+    if (wave > dispatchConfig.maxWaves) {
+      return escalateToAdmins(order, 'max_waves_reached');
+    }
+
+    const candidates = (await rankDrivers(order, { exclude: previous.map(offer => offer.driver_id) }))
+      .slice(0, dispatchConfig.batchSize);
+
+    if (candidates.length === 0) {
+      return escalateToAdmins(order, wave === 1 ? 'no_drivers_available' : 'no_more_drivers');
+    }
+
+    const expiresAt = new Date(Date.now() + dispatchConfig.offerTimeoutSeconds * 1000);
+    const offers = await DispatchOffer.bulkCreate(candidates.map((candidate, index) => ({
+      order_id: order.id,
+      driver_id: candidate.driver.id,
+      wave,
+      rank: index + 1,
+      distance_km: candidate.distance_km,
+      active_orders: candidate.active_orders,
+      score: candidate.score,
+      expires_at: expiresAt
+    })));
+
+    await recordOrderEvent(order.id, {
+      type: 'dispatch_offered',
+      from: order.status,
+      to: order.status,
+      payload: {
+        wave,
+        expires_at: expiresAt,
+        drivers: candidates.map(candidate => ({
+          driver_id: candidate.driver.id,
+          distance_km: candidate.distance_km,
+          active_orders: candidate.active_orders,
+          score: candidate.score
+        }))
+      }
+    });
+
+    await Promise.all(offers.map(offer => notify(offer.driver_id, buildOfferNotification(order, offer))));
+    offers.forEach(offer => publish('order_offer', buildOfferNotification(order, offer).payload, {
+      userIds: [offer.driver_id]
+    }));
+
+    console.log(`[DISPATCH] Order #${order.id} wave ${wave} offered to drivers ${offers.map(o => o.driver_id).join(', ')}`);
+
+    return { status: 'offered', order_id: order.id, wave, offers };
+  } finally {
+    inFlight.delete(order.id);
+  }
+};
+
+// Entry point once an order is ready to be offered. Never throws: a dispatch
+// failure must not fail the request that made the order available.
+const startDispatch = async (order) => {
+  try {
+    return await dispatchNextWave(order);
+  } catch (error) {
+    console.error(`[DISPATCH] Failed to dispatch order #${order.id}:`, error);
+    return { status: 'failed', order_id: order.id, error: error.message };
+  }
+};
+
+// Puts a newly opened order in front of whoever acts on it next: drivers
+// when it is open for them, otherwise the restaurants that must confirm it
+const announceOrder = async (order) => {
+  const orderId = parseInt(order.id);
+
+  if (order.status === 'pending_assignment') {
+    const dispatchResult = await startDispatch(order);
+    console.log(`[DISPATCH] Order #${orderId} announced: ${dispatchResult.status}`);
+    return;
+  }
+
+  console.log(`[DISPATCH] Order #${orderId} is waiting for restaurant confirmation`);
+  try {
+    const restaurantUsers = await User.findAll({
+      where: { role: 'restaurant', email: { [Op.in]: order.restaurant_emails } },
+      attributes: ['id']
+    });
+    await notify(restaurantUsers.map(user => user.id), {
+      type: 'new_order',
+      title: 'طلب جديد',
+      message: `طلب جديد #${orderId} بانتظار تأكيدك`,
+      priority: order.priority || 'normal',
+      payload: { order_id: orderId }
+    });
+  } catch (notifyError) {
+    console.warn(`[DISPATCH] Failed to notify restaurants of order #${orderId}:`, notifyError.message);
+  }
+};
+
+// Closes the round once a driver has the order
+const settleOffers = async (orderId, driverId, options = {}) => {
+  const now = new Date();
+  await DispatchOffer.update({ status: 'accepted', responded_at: now }, {
+    where: { order_id: orderId, driver_id: driverId, status: 'pending' },
+    transaction: options.transaction
+  });
+  const withdrawn = await DispatchOffer.findAll({
+    where: { order_id: orderId, status: 'pending' },
+    attributes: ['id', 'driver_id'],
+    transaction: options.transaction
+  });
+  await DispatchOffer.update({ status: 'cancelled' }, {
+    where: { order_id: orderId, status: 'pending' },
+    transaction: options.transaction
+  });
+
+  // Lets the other drivers drop the offer from their screen straight away
+  publishAfterCommit(options.transaction, () => withdrawn.forEach(offer => publish('offer_withdrawn', {
+    offer_id: offer.id,
+    order_id: parseInt(orderId)
+  }, { userIds: [offer.driver_id] })));
+};
+
+// Orders that went through dispatch can only be claimed with a live offer.
+// Orders without offers predate dispatch and keep the old open behaviour.
+// Couriers over the cash limit cannot claim cash orders either way, and
+// nobody can claim an online order before its payment is authorized.
+const assertDriverMayClaim = async (order, driver) => {
+  assertPaymentAuthorized(order);
+  await assertCashCapacity(order, driver);
+
+  const offers = await DispatchOffer.findAll({ where: { order_id: order.id } });
+  if (offers.length === 0) return;
+
+  const now = new Date();
+  const ownOffer = offers.find(offer =>
+    offer.driver_id === driver.id && offer.status === 'pending' && new Date(offer.expires_at) > now
+  );
+
+  if (!ownOffer) {
+    throw createServiceError(403, 'هذا الطلب غير معروض عليك حالياً', 'NO_ACTIVE_OFFER');
+  }
+};
+
+// Assigns the order to a driver unless someone else got there first
+// Admins may still hand a cash order to a courier over the cash limit
+const claimOrder = async (order, driver, { actor = driver, via = 'dispatch_offer' } = {}) => {
+  assertPaymentAuthorized(order);
+  if (via !== 'admin') {
+    await assertCashCapacity(order, driver);
+  }
+
+  const from = order.status;
+  const to = from === 'pending_assignment' ? 'assigned' : from;
+
+  const transaction = await Order.sequelize.transaction();
+  try {
+    const [updated] = await Order.update({
+      assigned_to: driver.id,
+      assigned_delivery_name: driver.name,
+      assigned_delivery_phone: driver.phone,
+      accepted_at: new Date(),
+      status: to,
+      updated_at: new Date()
+    }, {
+      where: {
+        id: order.id,
+        assigned_to: null,
+        status: { [Op.in]: OPEN_FOR_DRIVERS }
+      },
+      transaction
+    });
+
+    if (updated === 0) {
+      throw createServiceError(409, 'تم قبول الطلب من مندوب آخر', 'ORDER_ALREADY_TAKEN');
+    }
+
+    await settleOffers(order.id, driver.id, { transaction });
+    await recordOrderEvent(order.id, {
+      type: to !== from ? 'status_changed' : 'updated',
+      from,
+      to,
+      actor,
+      payload: {
+        assigned_to: driver.id,
+        assigned_delivery_name: driver.name,
+        via
+      }
+    }, { transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  await order.reload();
+  console.log(`[DISPATCH] Order #${order.id} assigned to driver ${driver.id} (${via})`);
+  return order;
+};
+
+const findDriverOffer = async (offerId, driver) => {
+  const offer = await DispatchOffer.findByPk(offerId);
+  if (!offer || offer.driver_id !== driver.id) {
+    throw createServiceError(404, 'العرض غير موجود', 'OFFER_NOT_FOUND');
+  }
+  if (offer.status !== 'pending') {
+    throw createServiceError(409, 'لم يعد هذا العرض متاحاً', 'OFFER_NOT_PENDING');
+  }
+  if (new Date(offer.expires_at) <= new Date()) {
+    await offer.update({ status: 'expired' });
+    throw createServiceError(410, 'انتهت صلاحية العرض', 'OFFER_EXPIRED');
+  }
+  return offer;
+};
+
+const acceptOffer = async (offerId, driver) => {
+  const offer = await findDriverOffer(offerId, driver);
+  const order = await Order.findByPk(offer.order_id);
+  if (!order) {
+    throw createServiceError(404, 'الطلب غير موجود', 'ORDER_NOT_FOUND');
+  }
+  return claimOrder(order, driver);
+};
+
+// Moves on to the next wave straight away when the last open offer is declined
+const declineOffer = async (offerId, driver) => {
+  const offer = await findDriverOffer(offerId, driver);
+  await offer.update({ status: 'declined', responded_at: new Date() });
+
+  const stillPending = await DispatchOffer.count({ where: { order_id: offer.order_id, status: 'pending' } });
+  if (stillPending === 0) {
+    const order = await Order.findByPk(offer.order_id);
+    if (order) await startDispatch(order);
+  }
+
+  return offer;
+};
+
+const assignByAdmin = async (order, driverId, admin) => {
+  const driver = await User.findOne({
+    where: { id: driverId, role: 'delivery', isActive: true }
+  });
+  if (!driver) {
+    throw createServiceError(404, 'المندوب غير موجود', 'DRIVER_NOT_FOUND');
+  }
+  return claimOrder(order, driver, { actor: admin, via: 'admin' });
+};
+
+const getDriverOffers = (driverId) => DispatchOffer.findAll({
+  where: {
+    driver_id: driverId,
+    status: 'pending',
+    expires_at: { [Op.gt]: new Date() }
+  },
+  include: [{ model: Order, as: 'order', required: true }],
+  order: [['expires_at', 'ASC']]
+});
+
+const getEscalatedOrders = () => Order.findAll({
+  where: {
+    dispatch_escalated_at: { [Op.ne]: null },
+    assigned_to: null,
+    status: { [Op.in]: OPEN_FOR_DRIVERS }
+  },
+  order: [['dispatch_escalated_at', 'ASC']]
+});
+
+// Expires overdue offers and cascades their orders to the next wave
+const sweepExpiredOffers = async () => {
+  const expired = await DispatchOffer.findAll({
+    where: { status: 'pending', expires_at: { [Op.lte]: new Date() } },
+    attributes: ['id', 'order_id']
+  });
+  if (expired.length === 0) return 0;
+
+  await DispatchOffer.update({ status: 'expired' }, {
+    where: { id: { [Op.in]: expired.map(offer => offer.id) }, status: 'pending' }
+  });
+
+  const orderIds = [...new Set(expired.map(offer => offer.order_id))];
+  for (const orderId of orderIds) {
+    const stillPending = await DispatchOffer.count({ where: { order_id: orderId, status: 'pending' } });
+    if (stillPending > 0) continue;
+
+    const order = await Order.findByPk(orderId);
+    if (order) await startDispatch(order);
+  }
+
+  console.log(`[DISPATCH] Expired ${expired.length} offers across ${orderIds.length} orders`);
+  return expired.length;
+};
+
+const startDispatchSweeper = () => {
+  if (sweeper) return sweeper;
+
+  sweeper = setInterval(() => {
+    sweepExpiredOffers().catch(error => console.error('[DISPATCH] Sweep failed:', error));
+  }, dispatchConfig.sweepIntervalSeconds * 1000);
+  sweeper.unref();
+
+  console.log(`[DISPATCH] Offer sweeper running every ${dispatchConfig.sweepIntervalSeconds}s`);
+  return sweeper;
+};
+
+const stopDispatchSweeper = () => {
+  if (sweeper) {
+    clearInterval(sweeper);
+    sweeper = null;
+  }
+};
+
+const formatOffer = (offer) => ({
+  id: offer.id,
+  order_id: offer.order_id,
+  driver_id: offer.driver_id,
+  wave: offer.wave,
+  rank: offer.rank,
+  status: offer.status,
+  distance_km: offer.distance_km,
+  active_orders: offer.active_orders,
+  score: offer.score,
+  expires_at: offer.expires_at,
+  responded_at: offer.responded_at,
+  created_at: offer.created_at
+});
+
+module.exports = {
+  rankDrivers,
+  startDispatch,
+  announceOrder,
+  dispatchNextWave,
+  assertDriverMayClaim,
+  settleOffers,
+  acceptOffer,
+  declineOffer,
+  assignByAdmin,
+  getDriverOffers,
+  getEscalatedOrders,
+  sweepExpiredOffers,
+  startDispatchSweeper,
+  stopDispatchSweeper,
+  formatOffer
+};
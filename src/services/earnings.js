@@ -0,0 +1,236 @@
+// src/services/earnings.js - Driver pay per job from the commission rules, and daily / weekly statements
+const { Op } = require('sequelize');
+const DriverEarning = require('../models/DriverEarning');
+const User = require('../models/User');
+const earningsConfig = require('../config/earnings');
+const { createServiceError } = require('./errors');
+const { roundMoney } = require('./money');
+const { localDateKey: dateKeyIn, addDays, weekStart: weekStartOn, queryBounds } = require('./localDates');
+
+const STATEMENT_PERIODS = ['day', 'week'];
+const MAX_PERIODS = { day: 93, week: 53 };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const rideCommissionRate = (ride) =>
+  earningsConfig.rides.commissionByVehicle[ride.vehicle_type] ?? earningsConfig.rides.commissionRate;
+
+// Splits what a job was worth between the platform and the driver. The
+// minimum payout may exceed the platform's cut, making the commission negative.
+const splitEarning = (gross, rate, minimumPayout) => {
+  const amount = roundMoney(Math.max(minimumPayout, gross * (1 - rate)));
+  return {
+    gross_amount: roundMoney(gross),
+    commission_rate: rate,
+    commission_amount: roundMoney(gross - amount),
+    amount
+  };
+};
+
+const orderEarning = (order) => splitEarning(
+  parseFloat(order.delivery_fee) || 0,
+  earningsConfig.orders.commissionRate,
+  earningsConfig.orders.minimumPayout
+);
+
+// Promo discounts are funded by the platform, so commission is taken on the undiscounted fare
+const rideEarning = (ride) => splitEarning(
+  (parseFloat(ride.fare) || 0) + (parseFloat(ride.discount) || 0),
+  rideCommissionRate(ride),
+  earningsConfig.rides.minimumPayout
+);
+
+// The courier's part of a delivery fee that is being refunded
+const courierShareOf = (deliveryFee) => roundMoney(deliveryFee * (1 - earningsConfig.orders.commissionRate));
+
+const bookEarning = async (fields, { transaction } = {}) => {
+  const earning = await DriverEarning.create(fields, { transaction });
+  await User.increment({ totalEarnings: earning.amount }, { where: { id: earning.driver_id }, transaction });
+  console.log(`[EARNINGS] ${earning.entry_type} ${earning.amount} for driver ${earning.driver_id} (${earning.job_type} #${earning.order_id || earning.ride_id})`);
+  return earning;
+};
+
+// Books the courier's pay for a delivered order. Runs inside the delivery
+// transaction and returns the existing row if the order was already booked.
+const recordOrderEarning = async (order, { transaction } = {}) => {
+  if (!order.assigned_to) return null;
+
+  const existing = await DriverEarning.findOne({ where: { order_id: order.id, entry_type: 'earning' }, transaction });
+  if (existing) return existing;
+
+  return bookEarning({
+    driver_id: order.assigned_to,
+    job_type: 'order',
+    order_id: order.id,
+    ...orderEarning(order),
+    earned_at: order.completed_at || new Date()
+  }, { transaction });
+};
+
+// Books the driver's pay for a completed ride, once
+const recordRideEarning = async (ride, { transaction } = {}) => {
+  if (!ride.driver_id || ride.status !== 'completed') return null;
+
+  const existing = await DriverEarning.findOne({ where: { ride_id: ride.id, entry_type: 'earning' }, transaction });
+  if (existing) return existing;
+
+  return bookEarning({
+    driver_id: ride.driver_id,
+    job_type: 'ride',
+    ride_id: ride.id,
+    ...rideEarning(ride),
+    // A cash fare stays with the driver and is settled against their payout
+    cash_collected: ride.payment_method === 'cash' ? roundMoney(ride.fare) : 0,
+    earned_at: ride.completed_at || new Date()
+  }, { transaction });
+};
+
+// Takes back pay for a refunded delivery fee. Unpaid reversals come off the next payout.
+const recordOrderEarningReversal = (order, driverId, amount, { transaction } = {}) => bookEarning({
+  driver_id: driverId,
+  job_type: 'order',
+  order_id: order.id,
+  entry_type: 'reversal',
+  amount: -roundMoney(amount)
+}, { transaction });
+
+// Totals over a set of earning rows. payable is what a payout would transfer.
+const summariseEarnings = (rows) => {
+  const sum = (pick) => roundMoney(rows.reduce((total, row) => total + pick(row), 0));
+  const earned = rows.filter(row => row.entry_type === 'earning');
+  const net = sum(row => row.amount);
+  const cash = sum(row => row.cash_collected);
+
+  return {
+    jobs: earned.length,
+    orders: earned.filter(row => row.job_type === 'order').length,
+    rides: earned.filter(row => row.job_type === 'ride').length,
+    gross_amount: sum(row => row.gross_amount),
+    commission_amount: sum(row => row.commission_amount),
+    reversals: sum(row => (row.entry_type === 'reversal' ? row.amount : 0)),
+    net_amount: net,
+    cash_collected: cash,
+    payable: roundMoney(net - cash),
+    paid_amount: sum(row => (row.status === 'paid' ? row.amount - row.cash_collected : 0)),
+    unpaid_amount: sum(row => (row.status === 'unpaid' ? row.amount - row.cash_collected : 0))
+  };
+};
+
+const getUnpaidEarnings = async (driverId) => {
+  const rows = await DriverEarning.findAll({ where: { driver_id: driverId, status: 'unpaid' } });
+  const { net_amount: earnings, cash_collected: cashCollected, payable } = summariseEarnings(rows);
+  return { earnings, cash_collected: cashCollected, payable, count: rows.length };
+};
+
+// Calendar dates (YYYY-MM-DD) in the earnings timezone
+const localDateKey = (date) => dateKeyIn(date, earningsConfig.timezone);
+const weekStart = (key) => weekStartOn(key, earningsConfig.weekStartsOn);
+
+const invalidStatement = (message, code, details) => createServiceError(400, message, code, details);
+
+// Resolves the requested range to whole periods; by default the last 7 days
+// or the last 4 weeks up to today
+const statementRange = (period, { from, to }) => {
+  if (!STATEMENT_PERIODS.includes(period)) {
+    throw invalidStatement('الفترة غير صحيحة', 'INVALID_PERIOD', { allowed_values: STATEMENT_PERIODS });
+  }
+  [from, to].forEach(value => {
+    if (value !== undefined && !DATE_PATTERN.test(value)) {
+      throw invalidStatement('صيغة التاريخ غير صحيحة (YYYY-MM-DD)', 'INVALID_DATE');
+    }
+  });
+
+  const end = to || localDateKey(new Date());
+  let start = from || (period === 'week' ? addDays(weekStart(end), -21) : addDays(end, -6));
+  if (period === 'week') start = weekStart(start);
+
+  if (start > end) {
+    throw invalidStatement('تاريخ البداية بعد تاريخ النهاية', 'INVALID_DATE_RANGE');
+  }
+
+  const keys = [];
+  for (let key = start; key <= end && keys.length <= MAX_PERIODS[period]; key = addDays(key, period === 'week' ? 7 : 1)) {
+    keys.push(key);
+  }
+  if (keys.length > MAX_PERIODS[period]) {
+    throw invalidStatement('الفترة المطلوبة طويلة جداً', 'DATE_RANGE_TOO_LONG', { max_periods: MAX_PERIODS[period] });
+  }
+
+  return { start, end, keys };
+};
+
+// Earnings grouped by local day or week, including periods with no jobs
+const getStatement = async (driverId, { period = 'day', from, to } = {}) => {
+  const { start, end, keys } = statementRange(period, { from, to });
+
+  // Rows are matched on their local date below
+  const bounds = queryBounds(start, end);
+  const rows = await DriverEarning.findAll({
+    where: {
+      driver_id: driverId,
+      earned_at: { [Op.gte]: bounds.start, [Op.lt]: bounds.end }
+    },
+    order: [['earned_at', 'ASC']]
+  });
+
+  const buckets = new Map(keys.map(key => [key, []]));
+  const included = [];
+  rows.forEach(row => {
+    const key = localDateKey(row.earned_at);
+    if (key < start || key > end) return;
+    buckets.get(period === 'week' ? weekStart(key) : key).push(row);
+    included.push(row);
+  });
+
+  return {
+    period,
+    from: start,
+    to: end,
+    timezone: earningsConfig.timezone,
+    totals: summariseEarnings(included),
+    periods: keys.map(key => ({
+      period_start: key,
+      period_end: period === 'week' ? addDays(key, 6) : key,
+      ...summariseEarnings(buckets.get(key))
+    }))
+  };
+};
+
+const listEarnings = (driverId, { limit = 50, offset = 0, status } = {}) => DriverEarning.findAndCountAll({
+  where: { driver_id: driverId, ...(status && { status }) },
+  order: [['earned_at', 'DESC'], ['id', 'DESC']],
+  limit,
+  offset
+});
+
+const formatEarning = (earning) => ({
+  id: earning.id,
+  driver_id: earning.driver_id,
+  job_type: earning.job_type,
+  order_id: earning.order_id,
+  ride_id: earning.ride_id,
+  entry_type: earning.entry_type,
+  gross_amount: earning.gross_amount,
+  commission_rate: earning.commission_rate,
+  commission_amount: earning.commission_amount,
+  amount: earning.amount,
+  cash_collected: earning.cash_collected,
+  status: earning.status,
+  payout_batch_id: earning.payout_batch_id,
+  earned_at: earning.earned_at,
+  paid_at: earning.paid_at
+});
+
+module.exports = {
+  STATEMENT_PERIODS,
+  orderEarning,
+  rideEarning,
+  courierShareOf,
+  recordOrderEarning,
+  recordRideEarning,
+  recordOrderEarningReversal,
+  summariseEarnings,
+  getUnpaidEarnings,
+  getStatement,
+  listEarnings,
+  formatEarning
+};
@@ -0,0 +1,27 @@
+// src/services/errors.js - Errors raised by services and how routes turn them into responses
+
+// Services throw these for expected business failures (bad input, stale data,
+// forbidden transitions). Anything else is treated as an internal error.
+const createServiceError = (status, message, code, details = null) => {
+  const error = new Error(message);
+  error.name = 'ServiceError';
+  error.status = status;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+};
+
+const isServiceError = (error) => Boolean(error) && error.name === 'ServiceError';
+
+const sendServiceError = (res, error) => res.status(error.status).json({
+  success: false,
+  message: error.message,
+  code: error.code,
+  ...(error.details && { errors: error.details })
+});
+
+module.exports = {
+  createServiceError,
+  isServiceError,
+  sendServiceError
+};
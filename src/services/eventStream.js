@@ -0,0 +1,152 @@
+// src/services/eventStream.js - Pushes live events to connected clients over Server-Sent Events
+//
+// Events are kept in a bounded in-memory buffer so a client reconnecting with
+// Last-Event-ID gets what it missed. The buffer lives in this process only:
+// after a restart (or when the client is too far behind) it is told to resync.
+// Ids are "<boot epoch>-<sequence>" so an id handed out before a restart is
+// never mistaken for one from the current run.
+
+const BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE || '1000');
+const HEARTBEAT_SECONDS = parseInt(process.env.STREAM_HEARTBEAT_SECONDS || '25');
+const RETRY_MS = 5000;
+
+const recentEvents = [];
+const clients = new Map();
+let lastEventId = 0;
+let nextClientId = 1;
+
+const BOOT_EPOCH = Date.now().toString(36);
+
+const formatEventId = (sequence) => `${BOOT_EPOCH}-${sequence}`;
+
+// Sequence number of an id issued by this process, or null for anything else
+// (malformed, or from before a restart)
+const parseEventId = (raw) => {
+  const match = /^([0-9a-z]+)-(\d+)$/.exec(String(raw).trim());
+  if (!match || match[1] !== BOOT_EPOCH) return null;
+  return parseInt(match[2]);
+};
+
+const isAddressedTo = (event, user) =>
+  event.userIds.includes(parseInt(user.id)) || event.roles.includes(user.role);
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${formatEventId(event.id)}\nevent: ${event.name}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+// Queues an event for the given users and/or roles and sends it to everyone
+// currently connected who should see it
+const publish = (name, data, { userIds = [], roles = [] } = {}) => {
+  const event = {
+    id: ++lastEventId,
+    name,
+    data,
+    userIds: [...new Set([].concat(userIds).filter(Boolean).map(id => parseInt(id)))],
+    roles: [].concat(roles).filter(Boolean),
+    created_at: new Date()
+  };
+
+  if (event.userIds.length === 0 && event.roles.length === 0) return null;
+
+  recentEvents.push(event);
+  if (recentEvents.length > BUFFER_SIZE) recentEvents.shift();
+
+  let delivered = 0;
+  for (const client of clients.values()) {
+    if (isAddressedTo(event, client.user)) {
+      writeEvent(client.res, event);
+      delivered++;
+    }
+  }
+
+  console.log(`[STREAM] #${event.id} ${name} -> ${delivered} connected client(s)`);
+  return event;
+};
+
+// Runs a publish once the surrounding transaction has committed, so clients
+// never hear about rows that were rolled back. Failures are only logged.
+const publishAfterCommit = (transaction, callback) => {
+  const run = () => Promise.resolve()
+    .then(callback)
+    .catch(error => console.error('[STREAM] Failed to publish event:', error));
+
+  if (transaction) {
+    transaction.afterCommit(run);
+  } else {
+    run();
+  }
+};
+
+// Events after lastSeenId for this user, or null when they can no longer be
+// replayed (unknown id, buffer rolled over or the server restarted since)
+const eventsSince = (lastSeenId, user) => {
+  if (lastSeenId === null || lastSeenId > lastEventId) return null;
+
+  const oldest = recentEvents.length > 0 ? recentEvents[0].id : lastEventId + 1;
+  if (lastSeenId < oldest - 1) return null;
+
+  return recentEvents.filter(event => event.id > lastSeenId && isAddressedTo(event, user));
+};
+
+// Keeps the response open as an event stream until the client disconnects.
+// lastEventHeader is the raw Last-Event-ID the client resumed with, if any.
+const subscribe = (req, res, lastEventHeader = null) => {
+  const clientId = nextClientId++;
+  const user = { id: req.user.id, role: req.user.role };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  if (lastEventHeader !== null) {
+    const missed = eventsSince(parseEventId(lastEventHeader), user);
+
+    if (missed === null) {
+      writeEvent(res, {
+        id: lastEventId,
+        name: 'resync',
+        data: { reason: 'events_unavailable', last_event_id: lastEventHeader }
+      });
+    } else {
+      missed.forEach(event => writeEvent(res, event));
+    }
+  }
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_SECONDS * 1000);
+  heartbeat.unref();
+
+  clients.set(clientId, { user, res });
+  console.log(`[STREAM] User ${user.id} (${user.role}) connected, ${clients.size} client(s)`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(clientId);
+    console.log(`[STREAM] User ${user.id} disconnected, ${clients.size} client(s)`);
+  });
+};
+
+// Ends every open stream so the HTTP server can close
+const closeAllStreams = () => {
+  for (const client of clients.values()) {
+    client.res.end();
+  }
+  clients.clear();
+};
+
+const getStreamStats = () => ({
+  connected_clients: clients.size,
+  buffered_events: recentEvents.length,
+  last_event_id: formatEventId(lastEventId)
+});
+
+module.exports = {
+  publish,
+  publishAfterCommit,
+  subscribe,
+  closeAllStreams,
+  getStreamStats
+};
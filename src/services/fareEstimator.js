@@ -0,0 +1,203 @@
+// src/services/fareEstimator.js - Computes ride fares from tariffs and issues signed quotes
+const jwt = require('jsonwebtoken');
+const RideTariff = require('../models/RideTariff');
+const ridesConfig = require('../config/rides');
+const { createServiceError } = require('./errors');
+const { roundMoney } = require('./money');
+const { toPoint, haversineKm } = require('./geo');
+const { currency } = require('../config/pricing');
+
+const QUOTE_TYPE = 'ride_quote';
+
+// A ride request may move its pins slightly after quoting (GPS jitter)
+const COORDINATE_TOLERANCE_KM = 0.2;
+const SCHEDULE_TOLERANCE_MS = 60 * 1000;
+
+const normaliseType = (value, fallback) =>
+  value ? String(value).toLowerCase().trim() : fallback;
+
+// Exact tariff, then the vehicle's standard tariff, then the configured default
+const findTariff = async (vehicleType, rideType) => {
+  const candidates = [{ vehicle_type: vehicleType, ride_type: rideType }];
+  if (rideType !== 'standard') {
+    candidates.push({ vehicle_type: vehicleType, ride_type: 'standard' });
+  }
+
+  for (const where of candidates) {
+    const tariff = await RideTariff.findOne({ where: { ...where, is_active: true } });
+    if (tariff) return tariff;
+  }
+
+  return { id: null, vehicle_type: vehicleType, ride_type: rideType, ...ridesConfig.defaultTariff };
+};
+
+const localHour = (date) => parseInt(new Intl.DateTimeFormat('en-GB', {
+  hour: 'numeric',
+  hourCycle: 'h23',
+  timeZone: ridesConfig.timezone
+}).format(date));
+
+// The night window may wrap past midnight (23 -> 5)
+const isNightTime = (date) => {
+  const hour = localHour(date);
+  const { nightStartHour: start, nightEndHour: end } = ridesConfig;
+  return start > end ? hour >= start || hour < end : hour >= start && hour < end;
+};
+
+// Applies a tariff to a trip; shared by estimates and final fares so both
+// are priced the same way
+const priceTrip = (tariff, distanceKm, durationMinutes, at) => {
+  const distanceCharge = roundMoney(distanceKm * tariff.per_km);
+  const timeCharge = roundMoney(durationMinutes * tariff.per_minute);
+  const subtotal = roundMoney(tariff.base_fare + distanceCharge + timeCharge);
+
+  const multiplier = isNightTime(at) ? tariff.night_multiplier : 1;
+  const beforeMinimum = roundMoney(subtotal * multiplier);
+  const fare = roundMoney(Math.max(beforeMinimum, tariff.minimum_fare));
+
+  return {
+    fare,
+    breakdown: {
+      base_fare: roundMoney(tariff.base_fare),
+      distance_charge: distanceCharge,
+      time_charge: timeCharge,
+      subtotal,
+      night_multiplier: multiplier,
+      minimum_fare: roundMoney(tariff.minimum_fare),
+      minimum_fare_applied: fare > beforeMinimum
+    }
+  };
+};
+
+const estimateFare = async ({
+  pickup_coordinates,
+  dropoff_coordinates,
+  vehicle_type,
+  ride_type,
+  scheduled_for = null
+} = {}) => {
+  const pickup = toPoint(pickup_coordinates);
+  const dropoff = toPoint(dropoff_coordinates);
+
+  if (!pickup || !dropoff) {
+    throw createServiceError(400, 'إحداثيات نقطة الانطلاق والوصول مطلوبة', 'INVALID_COORDINATES');
+  }
+
+  const vehicleType = normaliseType(vehicle_type, 'car');
+  const rideType = normaliseType(ride_type, 'standard');
+  const tariff = await findTariff(vehicleType, rideType);
+
+  const distanceKm = roundMoney(haversineKm(pickup, dropoff) * ridesConfig.roadDistanceFactor);
+  const durationMinutes = Math.max(1, Math.ceil(distanceKm / ridesConfig.averageSpeedKmh * 60));
+
+  // Pre-booked rides are priced for their pickup time (night multiplier)
+  const { fare, breakdown } = priceTrip(tariff, distanceKm, durationMinutes, scheduled_for || new Date());
+
+  return {
+    pickup,
+    dropoff,
+    vehicle_type: vehicleType,
+    ride_type: rideType,
+    distance_km: distanceKm,
+    duration_minutes: durationMinutes,
+    fare,
+    currency,
+    tariff_id: tariff.id,
+    scheduled_for,
+    breakdown
+  };
+};
+
+const issueQuote = (estimate) => {
+  const expiresInSeconds = ridesConfig.quoteTtlMinutes * 60;
+  const quoteToken = jwt.sign({
+    typ: QUOTE_TYPE,
+    pickup: estimate.pickup,
+    dropoff: estimate.dropoff,
+    vehicle_type: estimate.vehicle_type,
+    ride_type: estimate.ride_type,
+    distance_km: estimate.distance_km,
+    duration_minutes: estimate.duration_minutes,
+    fare: estimate.fare,
+    currency: estimate.currency,
+    tariff_id: estimate.tariff_id,
+    scheduled_for: estimate.scheduled_for || null
+  }, ridesConfig.quoteSecret, { expiresIn: expiresInSeconds });
+
+  return {
+    quote_token: quoteToken,
+    expires_at: new Date(Date.now() + expiresInSeconds * 1000)
+  };
+};
+
+const verifyQuote = (quoteToken) => {
+  if (!quoteToken) {
+    throw createServiceError(400, 'يجب طلب تقدير للأجرة قبل إنشاء الرحلة', 'QUOTE_REQUIRED');
+  }
+
+  let quote;
+  try {
+    quote = jwt.verify(quoteToken, ridesConfig.quoteSecret);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw createServiceError(400, 'انتهت صلاحية تقدير الأجرة، يرجى طلب تقدير جديد', 'QUOTE_EXPIRED');
+    }
+    throw createServiceError(400, 'تقدير الأجرة غير صالح', 'QUOTE_INVALID');
+  }
+
+  if (quote.typ !== QUOTE_TYPE) {
+    throw createServiceError(400, 'تقدير الأجرة غير صالح', 'QUOTE_INVALID');
+  }
+  return quote;
+};
+
+// Checks the ride being booked is the ride that was quoted. Fields the
+// client leaves out are taken from the quote.
+const assertQuoteMatches = (quote, { pickup_coordinates, dropoff_coordinates, vehicle_type, ride_type, scheduled_for } = {}) => {
+  const mismatches = [];
+
+  const pickup = pickup_coordinates ? toPoint(pickup_coordinates) : quote.pickup;
+  const dropoff = dropoff_coordinates ? toPoint(dropoff_coordinates) : quote.dropoff;
+
+  if (!pickup || haversineKm(pickup, quote.pickup) > COORDINATE_TOLERANCE_KM) {
+    mismatches.push({ field: 'pickup_coordinates', code: 'QUOTE_MISMATCH' });
+  }
+  if (!dropoff || haversineKm(dropoff, quote.dropoff) > COORDINATE_TOLERANCE_KM) {
+    mismatches.push({ field: 'dropoff_coordinates', code: 'QUOTE_MISMATCH' });
+  }
+  if (vehicle_type && normaliseType(vehicle_type) !== quote.vehicle_type) {
+    mismatches.push({ field: 'vehicle_type', code: 'QUOTE_MISMATCH' });
+  }
+  if (ride_type && normaliseType(ride_type) !== quote.ride_type) {
+    mismatches.push({ field: 'ride_type', code: 'QUOTE_MISMATCH' });
+  }
+  if (scheduled_for && (!quote.scheduled_for ||
+      Math.abs(new Date(scheduled_for) - new Date(quote.scheduled_for)) > SCHEDULE_TOLERANCE_MS)) {
+    mismatches.push({ field: 'scheduled_for', code: 'QUOTE_MISMATCH' });
+  }
+
+  if (mismatches.length > 0) {
+    throw createServiceError(400, 'بيانات الرحلة لا تطابق تقدير الأجرة', 'QUOTE_MISMATCH', mismatches);
+  }
+};
+
+// Prices a finished ride on what actually happened. The night multiplier
+// follows the time the ride started, as the quote did for booking time.
+const calculateFinalFare = async (ride, { distanceKm, durationMinutes }) => {
+  const tariff = await findTariff(
+    normaliseType(ride.vehicle_type, 'car'),
+    normaliseType(ride.ride_type, 'standard')
+  );
+  return priceTrip(tariff, distanceKm, durationMinutes, ride.started_at || new Date());
+};
+
+module.exports = {
+  estimateFare,
+  calculateFinalFare,
+  priceTrip,
+  issueQuote,
+  verifyQuote,
+  assertQuoteMatches,
+  findTariff,
+  isNightTime
+};
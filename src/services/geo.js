@@ -0,0 +1,45 @@
+// src/services/geo.js - Coordinate helpers shared by dispatch, fees and fares
+const EARTH_RADIUS_KM = 6371;
+
+// Accepts { lat, lng }, { latitude, longitude } or a JSON string of either
+const toPoint = (location) => {
+  if (!location) return null;
+
+  let value = location;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const lat = parseFloat(value.lat ?? value.latitude);
+  const lng = parseFloat(value.lng ?? value.longitude);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return { lat, lng };
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in kilometres, or null when either point is unknown
+const haversineKm = (from, to) => {
+  const a = toPoint(from);
+  const b = toPoint(to);
+  if (!a || !b) return null;
+
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+module.exports = {
+  toPoint,
+  haversineKm
+};
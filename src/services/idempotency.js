@@ -0,0 +1,78 @@
+// src/services/idempotency.js - Stores create responses by Idempotency-Key so client retries replay them
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const idempotencyConfig = require('../config/idempotency');
+const { createServiceError } = require('./errors');
+
+// Key order must not change the hash, so objects are serialised with sorted keys
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (body) =>
+  crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+
+const findKey = (scope, owner, key) => IdempotencyKey.findOne({ where: { scope, owner, key } });
+
+// Returns { record } when this request owns the key, or { replay } with the
+// stored response of an earlier identical request
+const claimKey = async ({ scope, owner, key, requestHash }) => {
+  const expiresAt = new Date(Date.now() + idempotencyConfig.ttlHours * 3600000);
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const record = await IdempotencyKey.create({ scope, owner, key, request_hash: requestHash, expires_at: expiresAt });
+      return { record };
+    } catch (error) {
+      if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+    }
+
+    const existing = await findKey(scope, owner, key);
+    if (!existing) continue;
+
+    // An expired key is free to be used again
+    if (existing.expires_at < new Date()) {
+      await existing.destroy();
+      continue;
+    }
+
+    if (existing.request_hash !== requestHash) {
+      throw createServiceError(409, 'مفتاح الطلب مستخدم مسبقاً مع بيانات مختلفة', 'IDEMPOTENCY_KEY_REUSED');
+    }
+    if (existing.status !== 'completed') {
+      throw createServiceError(409, 'الطلب الأصلي ما زال قيد المعالجة، يرجى المحاولة بعد لحظات', 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+    }
+    return { replay: existing };
+  }
+
+  throw createServiceError(409, 'الطلب الأصلي ما زال قيد المعالجة، يرجى المحاولة بعد لحظات', 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+};
+
+const completeKey = (record, statusCode, body) =>
+  record.update({ status: 'completed', response_status: statusCode, response_body: body });
+
+// Frees the key after a failed request so the client can retry it as new
+const releaseKey = (record) => record.destroy();
+
+const purgeExpiredKeys = async () => {
+  const removed = await IdempotencyKey.destroy({ where: { expires_at: { [Op.lt]: new Date() } } });
+  if (removed > 0) {
+    console.log(`[IDEMPOTENCY] Removed ${removed} expired keys`);
+  }
+  return removed;
+};
+
+module.exports = {
+  hashRequest,
+  claimKey,
+  completeKey,
+  releaseKey,
+  purgeExpiredKeys
+};
@@ -0,0 +1,102 @@
+// src/services/liveTracking.js - Where the courier or driver is now, and how long until they arrive
+const User = require('../models/User');
+const trackingConfig = require('../config/tracking');
+const { createServiceError } = require('./errors');
+const { toPoint, haversineKm } = require('./geo');
+const { roundMoney } = require('./money');
+
+// Once a courier is attached the customer may follow them until delivery
+const TRACKABLE_ORDER_STATUSES = ['assigned', 'preparing', 'ready_for_pickup', 'in_progress'];
+const TRACKABLE_RIDE_STATUSES = ['accepted', 'in_progress'];
+
+const FINISHED_STATUSES = ['delivered', 'completed', 'rejected', 'cancelled'];
+
+const assertTrackable = (status, trackableStatuses, driverId) => {
+  if (FINISHED_STATUSES.includes(status)) {
+    throw createServiceError(410, 'انتهى التتبع المباشر لهذا الطلب', 'TRACKING_ENDED');
+  }
+  if (!trackableStatuses.includes(status) || !driverId) {
+    throw createServiceError(409, 'لم يتم تعيين سائق لهذا الطلب بعد', 'TRACKING_NOT_STARTED');
+  }
+};
+
+const estimateArrival = (from, to, now) => {
+  const straightKm = haversineKm(from, to);
+  if (straightKm === null) {
+    return { distance_km: null, eta_minutes: null, eta_at: null };
+  }
+
+  const distanceKm = roundMoney(straightKm * trackingConfig.roadDistanceFactor);
+  const etaMinutes = Math.ceil(distanceKm / trackingConfig.averageSpeedKmh * 60);
+
+  return {
+    distance_km: distanceKm,
+    eta_minutes: etaMinutes,
+    eta_at: new Date(now.getTime() + etaMinutes * 60000)
+  };
+};
+
+// A location that was never reported is the model default, so it is hidden
+const buildSnapshot = (driver, destination, destinationType) => {
+  const now = new Date();
+  const location = driver && driver.locationUpdatedAt ? toPoint(driver.location) : null;
+  const ageSeconds = location
+    ? Math.max(0, Math.round((now - new Date(driver.locationUpdatedAt)) / 1000))
+    : null;
+
+  return {
+    driver: driver ? {
+      name: driver.name,
+      phone: driver.phone,
+      vehicle: driver.vehicle
+    } : null,
+    location,
+    heading: location ? driver.locationHeading : null,
+    location_updated_at: location ? driver.locationUpdatedAt : null,
+    location_age_seconds: ageSeconds,
+    is_stale: ageSeconds === null || ageSeconds > trackingConfig.staleAfterSeconds,
+    destination_type: destinationType,
+    destination: toPoint(destination),
+    ...estimateArrival(location, destination, now)
+  };
+};
+
+const findDriver = (driverId) => User.findByPk(driverId, {
+  attributes: ['id', 'name', 'phone', 'vehicle', 'location', 'locationUpdatedAt', 'locationHeading']
+});
+
+const getOrderTracking = async (order) => {
+  assertTrackable(order.status, TRACKABLE_ORDER_STATUSES, order.assigned_to);
+  const courier = await findDriver(order.assigned_to);
+
+  return {
+    order_id: parseInt(order.id),
+    status: order.status,
+    ...buildSnapshot(courier, order.customer_location, 'customer')
+  };
+};
+
+// Before the ride starts the driver is heading to the pickup point
+const getRideTracking = async (ride) => {
+  assertTrackable(ride.status, TRACKABLE_RIDE_STATUSES, ride.driver_id);
+  const driver = await findDriver(ride.driver_id);
+  const toPickup = ride.status === 'accepted';
+
+  return {
+    ride_id: ride.id,
+    status: ride.status,
+    driver_arrived_at: ride.driver_arrived_at,
+    ...buildSnapshot(
+      driver,
+      toPickup ? ride.pickup_coordinates : ride.dropoff_coordinates,
+      toPickup ? 'pickup' : 'dropoff'
+    )
+  };
+};
+
+module.exports = {
+  TRACKABLE_ORDER_STATUSES,
+  TRACKABLE_RIDE_STATUSES,
+  getOrderTracking,
+  getRideTracking
+};
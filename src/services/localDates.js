@@ -0,0 +1,88 @@
+// src/services/localDates.js - Calendar dates (YYYY-MM-DD) in a given timezone, for statements
+
+// Intl formatters are slow to build and are reused per timezone
+const formatters = new Map();
+const formatterFor = (kind, timezone) => {
+  const cacheKey = `${kind}:${timezone}`;
+  if (!formatters.has(cacheKey)) {
+    formatters.set(cacheKey, kind === 'date'
+      ? new Intl.DateTimeFormat('en-CA', { year: 'numeric', month: '2-digit', day: '2-digit', timeZone: timezone })
+      : new Intl.DateTimeFormat('en-US', {
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+        timeZone: timezone
+      }));
+  }
+  return formatters.get(cacheKey);
+};
+
+// The local calendar date of an instant
+const localDateKey = (date, timezone) => formatterFor('date', timezone).format(date);
+
+// Local date and minutes since midnight of an instant
+const localClock = (date, timezone) => {
+  const parts = formatterFor('clock', timezone).formatToParts(date);
+  const part = (type) => parseInt(parts.find(p => p.type === type).value);
+  return {
+    key: `${part('year')}-${String(part('month')).padStart(2, '0')}-${String(part('day')).padStart(2, '0')}`,
+    minutes: part('hour') * 60 + part('minute')
+  };
+};
+
+// Minutes the timezone is ahead of UTC at an instant
+const offsetMinutes = (date, timezone) => {
+  const { key, minutes } = localClock(date, timezone);
+  const localAsUtc = new Date(`${key}T00:00:00Z`).getTime() + minutes * 60000;
+  return Math.round((localAsUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+};
+
+// The instant of a local date and "HH:MM" time. Checked twice so the
+// offset in force at that moment is used across daylight saving changes.
+const localDateTimeToInstant = (key, time, timezone) => {
+  const asUtc = new Date(`${key}T${time}:00Z`).getTime();
+  const first = offsetMinutes(new Date(asUtc), timezone);
+  const second = offsetMinutes(new Date(asUtc - first * 60000), timezone);
+  return new Date(asUtc - second * 60000);
+};
+
+const addDays = (key, days) => {
+  const date = new Date(`${key}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// weekStartsOn: 0 = Sunday ... 6 = Saturday
+const weekStart = (key, weekStartsOn) => {
+  const day = new Date(`${key}T00:00:00Z`).getUTCDay();
+  return addDays(key, -((day - weekStartsOn + 7) % 7));
+};
+
+const monthStart = (key) => `${key.slice(0, 7)}-01`;
+
+const addMonths = (key, months) => {
+  const date = new Date(`${monthStart(key)}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().slice(0, 10);
+};
+
+// UTC bounds that surely contain every instant of the local dates from..to.
+// A day either side covers any timezone; callers then match rows on localDateKey.
+const queryBounds = (from, to) => ({
+  start: new Date(`${addDays(from, -1)}T00:00:00Z`),
+  end: new Date(`${addDays(to, 2)}T00:00:00Z`)
+});
+
+module.exports = {
+  localDateKey,
+  localClock,
+  localDateTimeToInstant,
+  addDays,
+  weekStart,
+  monthStart,
+  addMonths,
+  queryBounds
+};
@@ -0,0 +1,14 @@
+// src/services/money.js - Small helpers for working with currency amounts
+
+// DECIMAL columns come back as strings on PostgreSQL and numbers on SQLite
+const toAmount = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const roundMoney = (value) => Math.round((toAmount(value) + Number.EPSILON) * 100) / 100;
+
+module.exports = {
+  toAmount,
+  roundMoney
+};
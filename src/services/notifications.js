@@ -0,0 +1,145 @@
+// src/services/notifications.js - Single write/read path for in-app notifications
+const { Op } = require('sequelize');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { publish, publishAfterCommit } = require('./eventStream');
+
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS || '30');
+const MAX_PAGE_SIZE = 100;
+
+// Older clients read order_id, total, ... from the top level of a
+// notification, so the payload is flattened next to the stored fields.
+const formatNotification = (notification) => ({
+  ...(notification.payload || {}),
+  id: notification.id,
+  user_id: notification.user_id,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  priority: notification.priority,
+  payload: notification.payload,
+  read: Boolean(notification.read_at),
+  read_at: notification.read_at,
+  created_at: notification.created_at
+});
+
+// Sends the same notification to one or many users
+const notify = async (userIds, { type, title, message = null, priority = 'normal', payload = null }, options = {}) => {
+  const recipients = [...new Set([].concat(userIds).filter(Boolean).map(id => parseInt(id)))];
+  if (recipients.length === 0) return [];
+
+  const created = await Notification.bulkCreate(recipients.map(userId => ({
+    user_id: userId,
+    type,
+    title,
+    message,
+    priority,
+    payload
+  })), { transaction: options.transaction });
+
+  publishAfterCommit(options.transaction, () => created.forEach(notification => {
+    publish('notification', formatNotification(notification), { userIds: [notification.user_id] });
+  }));
+
+  console.log(`[NOTIFY] ${type} -> users ${recipients.join(', ')}`);
+  return created;
+};
+
+const notifyRole = async (role, notification, options = {}) => {
+  const users = await User.findAll({
+    where: { role, isActive: true },
+    attributes: ['id'],
+    transaction: options.transaction
+  });
+  return notify(users.map(user => user.id), notification, options);
+};
+
+const listNotifications = async (userId, { limit = 20, offset = 0, unreadOnly = false, type = null } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+  const skip = Math.max(parseInt(offset) || 0, 0);
+
+  const where = { user_id: userId };
+  if (unreadOnly) where.read_at = null;
+  if (type) where.type = type;
+
+  const { rows, count } = await Notification.findAndCountAll({
+    where,
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit: pageSize,
+    offset: skip
+  });
+
+  return {
+    notifications: rows.map(formatNotification),
+    total: count,
+    limit: pageSize,
+    offset: skip,
+    has_more: skip + rows.length < count
+  };
+};
+
+const countUnread = (userId) => Notification.count({
+  where: { user_id: userId, read_at: null }
+});
+
+// Returns null when the notification does not belong to the user
+const markRead = async (userId, notificationId) => {
+  const notification = await Notification.findOne({
+    where: { id: notificationId, user_id: userId }
+  });
+  if (!notification) return null;
+
+  if (!notification.read_at) {
+    await notification.update({ read_at: new Date() });
+  }
+  return notification;
+};
+
+const markAllRead = async (userId) => {
+  const [updated] = await Notification.update({ read_at: new Date() }, {
+    where: { user_id: userId, read_at: null }
+  });
+  return updated;
+};
+
+const deleteNotification = (userId, notificationId) => Notification.destroy({
+  where: { id: notificationId, user_id: userId }
+});
+
+const getNotificationStats = async () => {
+  const [total, unread, recipients] = await Promise.all([
+    Notification.count(),
+    Notification.count({ where: { read_at: null } }),
+    Notification.count({ distinct: true, col: 'user_id' })
+  ]);
+
+  return {
+    total_notifications: total,
+    total_unread: unread,
+    users_with_notifications: recipients
+  };
+};
+
+const purgeOldNotifications = async (days = RETENTION_DAYS) => {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const removed = await Notification.destroy({
+    where: { created_at: { [Op.lt]: cutoff } }
+  });
+  if (removed > 0) {
+    console.log(`[NOTIFICATIONS] Removed ${removed} notifications older than ${days} days`);
+  }
+  return removed;
+};
+
+module.exports = {
+  notify,
+  notifyRole,
+  listNotifications,
+  countUnread,
+  markRead,
+  markAllRead,
+  deleteNotification,
+  getNotificationStats,
+  purgeOldNotifications,
+  formatNotification
+};
@@ -0,0 +1,199 @@
+// src/services/openingHours.js - Restaurant opening hours, holiday exceptions and busy mode
+const schedulingConfig = require('../config/scheduling');
+const { createServiceError } = require('./errors');
+const { localClock, localDateTimeToInstant, addDays } = require('./localDates');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_HOLIDAYS = 366;
+// How far ahead next_opening_at is looked for
+const LOOKAHEAD_DAYS = 14;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Day of week, local date and minutes since midnight in the business timezone
+const localTime = (date) => {
+  const { key, minutes } = localClock(date, schedulingConfig.timezone);
+  return { day: new Date(`${key}T00:00:00Z`).getUTCDay(), key, minutes };
+};
+
+const invalidRange = (range) =>
+  !range || !TIME_PATTERN.test(range.open) || !TIME_PATTERN.test(range.close) || range.open === range.close;
+
+// { sun: [{ open: '09:00', close: '23:00' }], ... }. A day left out is a
+// closed day; a close time before the open time runs past midnight.
+const normaliseOpeningHours = (value) => {
+  if (value === null) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw createServiceError(400, 'مواعيد العمل غير صحيحة', 'INVALID_OPENING_HOURS');
+  }
+
+  const errors = [];
+  const hours = {};
+
+  Object.entries(value).forEach(([day, ranges]) => {
+    if (!DAYS.includes(day)) {
+      errors.push({ day, code: 'UNKNOWN_DAY' });
+      return;
+    }
+    if (!Array.isArray(ranges)) {
+      errors.push({ day, code: 'INVALID_RANGES' });
+      return;
+    }
+
+    hours[day] = [];
+    ranges.forEach((range, index) => {
+      if (invalidRange(range)) {
+        errors.push({ day, index, code: 'INVALID_TIME_RANGE' });
+        return;
+      }
+      hours[day].push({ open: range.open, close: range.close });
+    });
+  });
+
+  if (errors.length > 0) {
+    throw createServiceError(400, 'مواعيد العمل غير صحيحة', 'INVALID_OPENING_HOURS', errors);
+  }
+  return hours;
+};
+
+// Round trip so dates like 2026-02-30 are rejected rather than rolled over
+const isCalendarDate = (value) => {
+  if (!DATE_PATTERN.test(value || '')) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// [{ date: 'YYYY-MM-DD', hours: [{ open, close }], note }]. A date without
+// hours is closed all day; hours replace the weekly hours for that date.
+const normaliseHolidays = (value) => {
+  if (value === null) return null;
+  if (!Array.isArray(value) || value.length > MAX_HOLIDAYS) {
+    throw createServiceError(400, 'أيام العطلات غير صحيحة', 'INVALID_HOLIDAYS', { max_entries: MAX_HOLIDAYS });
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const holidays = [];
+
+  value.forEach((holiday, index) => {
+    const date = holiday && holiday.date;
+    if (!isCalendarDate(date)) {
+      errors.push({ index, code: 'INVALID_DATE' });
+      return;
+    }
+    if (seen.has(date)) {
+      errors.push({ index, date, code: 'DUPLICATE_DATE' });
+      return;
+    }
+    seen.add(date);
+
+    const ranges = holiday.hours || [];
+    if (!Array.isArray(ranges) || ranges.some(invalidRange)) {
+      errors.push({ index, date, code: 'INVALID_TIME_RANGE' });
+      return;
+    }
+
+    holidays.push({
+      date,
+      hours: ranges.map(range => ({ open: range.open, close: range.close })),
+      ...(holiday.note && { note: String(holiday.note).trim().slice(0, 200) })
+    });
+  });
+
+  if (errors.length > 0) {
+    throw createServiceError(400, 'أيام العطلات غير صحيحة', 'INVALID_HOLIDAYS', errors);
+  }
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+const holidayOn = (restaurant, key) => (restaurant.holidays || []).find(holiday => holiday.date === key) || null;
+
+// Open ranges of a local date in minutes since its midnight, running past
+// 1440 for late shifts. null when the restaurant keeps no hours (always open).
+const rangesOn = (restaurant, key) => {
+  const holiday = holidayOn(restaurant, key);
+  const hours = holiday
+    ? holiday.hours
+    : restaurant.opening_hours && (restaurant.opening_hours[DAYS[new Date(`${key}T00:00:00Z`).getUTCDay()]] || []);
+  if (!hours) return null;
+
+  return hours.map(({ open, close }) => ({
+    from: toMinutes(open),
+    to: toMinutes(close) <= toMinutes(open) ? toMinutes(close) + 1440 : toMinutes(close)
+  }));
+};
+
+const isPausedAt = (restaurant, date) =>
+  Boolean(restaurant.paused_until) && new Date(restaurant.paused_until) > date;
+
+const isWithinHours = (restaurant, date) => {
+  const { key, minutes } = localTime(date);
+  const today = rangesOn(restaurant, key);
+  if (today === null) return true;
+  if (today.some(range => minutes >= range.from && minutes < range.to)) return true;
+
+  // Yesterday's late shift may still be running after midnight
+  const yesterday = rangesOn(restaurant, addDays(key, -1)) || [];
+  return yesterday.some(range => range.to > 1440 && minutes < range.to - 1440);
+};
+
+// Restaurants without opening hours are treated as always open
+const isOpenAt = (restaurant, date) => !isPausedAt(restaurant, date) && isWithinHours(restaurant, date);
+
+// null when open; otherwise busy, holiday or outside_hours
+const closedReasonAt = (restaurant, date) => {
+  if (isPausedAt(restaurant, date)) return 'busy';
+  if (isWithinHours(restaurant, date)) return null;
+  return holidayOn(restaurant, localTime(date).key) ? 'holiday' : 'outside_hours';
+};
+
+// The first moment after `from` at which the restaurant is open, or null if
+// it is open already or stays closed for the next LOOKAHEAD_DAYS days
+const nextOpeningAt = (restaurant, from = new Date()) => {
+  if (isOpenAt(restaurant, from)) return null;
+
+  const { key } = localTime(from);
+  const candidates = isPausedAt(restaurant, from) ? [new Date(restaurant.paused_until)] : [];
+  for (let day = 0; day <= LOOKAHEAD_DAYS; day++) {
+    const dayKey = addDays(key, day);
+    candidates.push(localDateTimeToInstant(dayKey, '00:00', schedulingConfig.timezone));
+    (rangesOn(restaurant, dayKey) || []).forEach(range => {
+      candidates.push(localDateTimeToInstant(dayKey, toTime(range.from), schedulingConfig.timezone));
+    });
+  }
+
+  return candidates
+    .filter(candidate => candidate > from)
+    .sort((a, b) => a - b)
+    .find(candidate => isOpenAt(restaurant, candidate)) || null;
+};
+
+// What listings and menus show about a restaurant right now
+const openingStatus = (restaurant, now = new Date()) => {
+  const closedReason = closedReasonAt(restaurant, now);
+  return {
+    is_open_now: closedReason === null,
+    closed_reason: closedReason,
+    paused_until: isPausedAt(restaurant, now) ? new Date(restaurant.paused_until) : null,
+    next_opening_at: closedReason === null ? null : nextOpeningAt(restaurant, now)
+  };
+};
+
+module.exports = {
+  DAYS,
+  normaliseOpeningHours,
+  normaliseHolidays,
+  isOpenAt,
+  closedReasonAt,
+  nextOpeningAt,
+  openingStatus,
+  localTime
+};
@@ -0,0 +1,97 @@
+// src/services/orderEvents.js - Records and reads the order timeline
+const OrderEvent = require('../models/OrderEvent');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const { publish, publishAfterCommit } = require('./eventStream');
+
+// Normalise the acting user into the id/role pair stored on each event.
+// Anything without a user (hooks, background jobs) is recorded as "system".
+const resolveActor = (actor) => {
+  if (!actor || !actor.id) {
+    return { actor_id: null, actor_role: 'system' };
+  }
+
+  const role = actor.role === 'user' ? 'customer' : actor.role;
+  return { actor_id: actor.id, actor_role: role || 'system' };
+};
+
+const recordOrderEvent = async (orderId, {
+  type = 'status_changed',
+  from = null,
+  to = null,
+  actor = null,
+  reason = null,
+  payload = null
+} = {}, options = {}) => {
+  const event = await OrderEvent.create({
+    order_id: parseInt(orderId),
+    event_type: type,
+    from_status: from,
+    to_status: to,
+    ...resolveActor(actor),
+    reason: reason || null,
+    payload: payload && Object.keys(payload).length > 0 ? payload : null
+  }, { transaction: options.transaction });
+
+  console.log(`[ORDER EVENT] #${orderId} ${type}: ${from || '-'} -> ${to || '-'} by ${event.actor_role}${event.actor_id ? ` ${event.actor_id}` : ''}`);
+
+  if (type === 'status_changed') {
+    publishAfterCommit(options.transaction, () => publishOrderStatus(event));
+  }
+
+  return event;
+};
+
+// Live update for the customer and the assigned driver, sent once the change is committed
+const publishOrderStatus = async (event) => {
+  const order = await Order.findByPk(event.order_id, {
+    attributes: ['id', 'user_id', 'assigned_to', 'status']
+  });
+  if (!order) return;
+
+  publish('order_status', {
+    order_id: parseInt(order.id),
+    from_status: event.from_status,
+    status: event.to_status,
+    reason: event.reason,
+    changed_at: event.created_at
+  }, { userIds: [order.user_id, order.assigned_to] });
+};
+
+const formatOrderEvent = (event) => ({
+  id: event.id,
+  type: event.event_type,
+  from_status: event.from_status,
+  to_status: event.to_status,
+  actor: {
+    id: event.actor_id,
+    role: event.actor_role,
+    name: event.actor ? event.actor.name : null
+  },
+  reason: event.reason,
+  payload: event.payload,
+  created_at: event.created_at
+});
+
+const getOrderTimeline = async (orderId) => {
+  const events = await OrderEvent.findAll({
+    where: { order_id: parseInt(orderId) },
+    order: [['created_at', 'ASC'], ['id', 'ASC']],
+    include: [
+      {
+        model: User,
+        as: 'actor',
+        attributes: ['id', 'name', 'role'],
+        required: false
+      }
+    ]
+  });
+
+  return events.map(formatOrderEvent);
+};
+
+module.exports = {
+  recordOrderEvent,
+  getOrderTimeline,
+  formatOrderEvent
+};
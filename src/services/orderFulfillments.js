@@ -0,0 +1,338 @@
+// src/services/orderFulfillments.js - Per-restaurant sub-orders and the parent status derived from them
+const { Op } = require('sequelize');
+const Order = require('../models/Order');
+const OrderFulfillment = require('../models/OrderFulfillment');
+const { recordOrderEvent } = require('./orderEvents');
+const { findRestaurantsByEmails } = require('./restaurantLookup');
+const { calculateTax } = require('./orderPricing');
+const { statusTimestamps, ENDED_UNFULFILLED } = require('./orderWorkflow');
+const { releaseRedemptions } = require('./promoCodes');
+const { releasePaymentAfterCommit } = require('./payments');
+const { createServiceError } = require('./errors');
+const { roundMoney } = require('./money');
+
+const fulfillmentTransitions = {
+  'pending_restaurant': ['accepted', 'rejected', 'cancelled'],
+  'accepted': ['preparing', 'cancelled'],
+  'preparing': ['ready_for_pickup', 'cancelled'],
+  'ready_for_pickup': ['picked_up', 'cancelled'],
+  'picked_up': ['delivered', 'cancelled'],
+  'delivered': [],
+  'rejected': [],
+  'cancelled': []
+};
+
+const FULFILLMENT_TIMESTAMPS = {
+  'accepted': 'accepted_at',
+  'preparing': 'preparing_at',
+  'ready_for_pickup': 'ready_at',
+  'picked_up': 'picked_up_at',
+  'rejected': 'rejected_at'
+};
+
+const EXCLUDED_STATUSES = ['rejected', 'cancelled'];
+
+// Once the driver has left with the food the parent is driven by the driver
+// (or an admin), not by the kitchens.
+const DRIVER_CONTROLLED_STATUSES = ['in_progress', 'delivered', 'cancelled', 'rejected'];
+
+// Child status for orders created before sub-orders existed
+const LEGACY_STATUS_MAP = {
+  'pending_restaurant': 'pending_restaurant',
+  'pending_assignment': 'accepted',
+  'assigned': 'accepted',
+  'preparing': 'preparing',
+  'ready_for_pickup': 'ready_for_pickup',
+  'in_progress': 'picked_up',
+  'delivered': 'delivered',
+  'rejected': 'rejected',
+  'cancelled': 'cancelled'
+};
+
+const isActive = (fulfillment) => !EXCLUDED_STATUSES.includes(fulfillment.status);
+
+const deriveOrderStatus = (order, fulfillments) => {
+  if (DRIVER_CONTROLLED_STATUSES.includes(order.status) || fulfillments.length === 0) {
+    return order.status;
+  }
+
+  const active = fulfillments.filter(isActive);
+
+  if (active.length === 0) {
+    return fulfillments.some(f => f.status === 'rejected') ? 'rejected' : 'cancelled';
+  }
+  // Drivers are offered the order once every restaurant has answered
+  if (active.some(f => f.status === 'pending_restaurant')) {
+    return 'pending_restaurant';
+  }
+  if (active.every(f => ['picked_up', 'delivered'].includes(f.status))) {
+    return 'in_progress';
+  }
+  if (active.every(f => ['ready_for_pickup', 'picked_up'].includes(f.status))) {
+    return 'ready_for_pickup';
+  }
+  if (active.some(f => f.status !== 'accepted')) {
+    return 'preparing';
+  }
+  return order.assigned_to ? 'assigned' : 'pending_assignment';
+};
+
+// Amounts of the restaurants still taking part in the order. A promo
+// discount follows the restaurants it was given on (order.restaurants[].discount).
+const calculateParentTotals = (fulfillments, order = null) => {
+  const active = fulfillments.filter(isActive);
+  const subtotal = roundMoney(active.reduce((sum, f) => sum + f.subtotal, 0));
+  const deliveryFee = roundMoney(active.reduce((sum, f) => sum + f.delivery_fee, 0));
+  const tax = calculateTax(subtotal);
+
+  const shares = (order && order.restaurants) || [];
+  const discount = roundMoney(active.reduce((sum, f) => {
+    const entry = shares.find(r => r.email && r.email.toLowerCase() === f.restaurant_email);
+    return sum + (entry && entry.discount ? entry.discount : 0);
+  }, 0));
+
+  return {
+    subtotal,
+    delivery_fee: deliveryFee,
+    tax,
+    discount,
+    total: roundMoney(Math.max(0, subtotal + deliveryFee + tax - discount))
+  };
+};
+
+const createFulfillments = async (order, pricing, options = {}) => {
+  const rows = pricing.restaurants.map(restaurant => ({
+    order_id: order.id,
+    restaurant_email: restaurant.email,
+    restaurant_id: restaurant.id,
+    restaurant_name: restaurant.name,
+    items: pricing.items.filter(item => item.restaurant_email === restaurant.email),
+    subtotal: restaurant.subtotal,
+    delivery_fee: restaurant.delivery_fee,
+    pickup_location: restaurant.pickup_location || null,
+    status: 'pending_restaurant'
+  }));
+
+  return OrderFulfillment.bulkCreate(rows, { transaction: options.transaction });
+};
+
+// Builds sub-orders for a restaurant order that predates them, from the
+// parent's stored items and restaurants.
+const backfillFulfillments = async (order, options = {}) => {
+  const emails = (order.restaurant_emails || []).map(email => email.toLowerCase());
+  if (emails.length === 0) {
+    return [];
+  }
+
+  const restaurants = await findRestaurantsByEmails(emails, options);
+  const storedRestaurants = order.restaurants || [];
+
+  const rows = emails.map((email, index) => {
+    const items = order.items.filter(item =>
+      (item.restaurant_email ? item.restaurant_email.toLowerCase() === email : index === 0)
+    );
+    const stored = storedRestaurants.find(r => r.email && r.email.toLowerCase() === email) || {};
+    const restaurant = restaurants.get(email);
+
+    return {
+      order_id: order.id,
+      restaurant_email: email,
+      restaurant_id: restaurant ? restaurant.id : (stored.id || null),
+      restaurant_name: restaurant ? restaurant.name : (stored.name || null),
+      items,
+      subtotal: stored.subtotal !== undefined
+        ? stored.subtotal
+        : roundMoney(items.reduce((sum, item) => sum + (parseFloat(item.price) || 0) * (parseInt(item.quantity) || 1), 0)),
+      delivery_fee: stored.delivery_fee || 0,
+      pickup_location: restaurant ? restaurant.restaurant_location || null : null,
+      status: LEGACY_STATUS_MAP[order.status] || 'pending_restaurant'
+    };
+  });
+
+  console.log(`[FULFILLMENT] Backfilling ${rows.length} sub-orders for legacy order #${order.id}`);
+  return OrderFulfillment.bulkCreate(rows, { transaction: options.transaction });
+};
+
+const getFulfillments = (orderId, options = {}) => OrderFulfillment.findAll({
+  where: { order_id: orderId },
+  order: [['id', 'ASC']],
+  transaction: options.transaction
+});
+
+const ensureFulfillments = async (order, options = {}) => {
+  const existing = await getFulfillments(order.id, options);
+  if (existing.length > 0 || order.type !== 'restaurant') {
+    return existing;
+  }
+  return backfillFulfillments(order, options);
+};
+
+// Recomputes the parent after a child changed: status, timestamps and,
+// when a restaurant dropped out, the amounts.
+const syncParentOrder = async (order, { actor = null, reason = null, transaction } = {}) => {
+  const fulfillments = await getFulfillments(order.id, { transaction });
+  const from = order.status;
+  const to = deriveOrderStatus(order, fulfillments);
+  const changes = {};
+
+  if (to !== from) {
+    Object.assign(changes, { status: to }, statusTimestamps(order, to));
+    if (from === 'pending_restaurant' && !EXCLUDED_STATUSES.includes(to) && !order.restaurant_accepted_at) {
+      changes.restaurant_accepted_at = new Date();
+    }
+    if (to === 'rejected') {
+      changes.cancelled_reason = reason;
+    }
+  }
+
+  const excluded = fulfillments.filter(f => !isActive(f));
+  let totals = null;
+  if (excluded.length > 0 && excluded.length < fulfillments.length) {
+    totals = calculateParentTotals(fulfillments, order);
+    if (totals.total !== order.total) {
+      Object.assign(changes, totals);
+    } else {
+      totals = null;
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return order;
+  }
+
+  await order.update(changes, { transaction });
+
+  if (to !== from) {
+    await recordOrderEvent(order.id, {
+      from,
+      to,
+      actor,
+      reason,
+      payload: { derived_from: 'fulfillments' }
+    }, { transaction });
+    if (ENDED_UNFULFILLED.includes(to)) {
+      await releaseRedemptions({ order_id: order.id }, { transaction });
+      releasePaymentAfterCommit(order, { transaction });
+    }
+  }
+
+  if (totals) {
+    await recordOrderEvent(order.id, {
+      type: 'totals_adjusted',
+      from: order.status,
+      to: order.status,
+      actor,
+      reason,
+      payload: {
+        ...totals,
+        excluded_restaurants: excluded.map(f => f.restaurant_email)
+      }
+    }, { transaction });
+  }
+
+  return order;
+};
+
+const transitionFulfillment = async (order, fulfillment, to, { actor = null, reason = null, payload = null, changes = {} } = {}) => {
+  if (order.status === 'scheduled') {
+    throw createServiceError(400, 'الطلب مجدول ولم يحن موعده بعد', 'ORDER_NOT_RELEASED');
+  }
+  if (!(fulfillmentTransitions[fulfillment.status] || []).includes(to)) {
+    throw createServiceError(
+      400,
+      `لا يمكن تغيير حالة طلب المطعم من "${fulfillment.status}" إلى "${to}"`,
+      'INVALID_STATUS_TRANSITION'
+    );
+  }
+
+  const from = fulfillment.status;
+  const previousOrderStatus = order.status;
+  const timestampField = FULFILLMENT_TIMESTAMPS[to];
+
+  const transaction = await Order.sequelize.transaction();
+  try {
+    await fulfillment.update({
+      ...changes,
+      status: to,
+      ...(timestampField && { [timestampField]: new Date() })
+    }, { transaction });
+
+    await recordOrderEvent(order.id, {
+      type: 'fulfillment_status_changed',
+      from,
+      to,
+      actor,
+      reason,
+      payload: {
+        ...(payload || {}),
+        fulfillment_id: fulfillment.id,
+        restaurant_email: fulfillment.restaurant_email
+      }
+    }, { transaction });
+
+    await syncParentOrder(order, { actor, reason, transaction });
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  console.log(`[FULFILLMENT] Order #${order.id} / ${fulfillment.restaurant_email}: ${from} -> ${to} (order ${previousOrderStatus} -> ${order.status})`);
+
+  return { order, fulfillment, previousOrderStatus };
+};
+
+// Mirrors driver-side changes of the parent onto its sub-orders
+const CASCADES = {
+  'in_progress': { from: ['ready_for_pickup'], to: 'picked_up', timestamp: 'picked_up_at' },
+  'delivered': { from: ['ready_for_pickup', 'picked_up'], to: 'delivered' },
+  'cancelled': { from: ['pending_restaurant', 'accepted', 'preparing', 'ready_for_pickup', 'picked_up'], to: 'cancelled' }
+};
+
+const cascadeOrderStatus = async (orderId, orderStatus, options = {}) => {
+  const cascade = CASCADES[orderStatus];
+  if (!cascade) return 0;
+
+  const [count] = await OrderFulfillment.update({
+    status: cascade.to,
+    ...(cascade.timestamp && { [cascade.timestamp]: new Date() })
+  }, {
+    where: { order_id: orderId, status: { [Op.in]: cascade.from } },
+    transaction: options.transaction
+  });
+
+  return count;
+};
+
+const formatFulfillment = (fulfillment) => ({
+  id: fulfillment.id,
+  order_id: fulfillment.order_id,
+  restaurant_email: fulfillment.restaurant_email,
+  restaurant_id: fulfillment.restaurant_id,
+  restaurant_name: fulfillment.restaurant_name,
+  status: fulfillment.status,
+  items: fulfillment.items,
+  subtotal: fulfillment.subtotal,
+  delivery_fee: fulfillment.delivery_fee,
+  pickup_location: fulfillment.pickup_location,
+  estimated_prep_minutes: fulfillment.estimated_prep_minutes,
+  rejected_reason: fulfillment.rejected_reason,
+  accepted_at: fulfillment.accepted_at,
+  preparing_at: fulfillment.preparing_at,
+  ready_at: fulfillment.ready_at,
+  picked_up_at: fulfillment.picked_up_at,
+  rejected_at: fulfillment.rejected_at
+});
+
+module.exports = {
+  fulfillmentTransitions,
+  deriveOrderStatus,
+  calculateParentTotals,
+  createFulfillments,
+  ensureFulfillments,
+  getFulfillments,
+  syncParentOrder,
+  transitionFulfillment,
+  cascadeOrderStatus,
+  formatFulfillment
+};
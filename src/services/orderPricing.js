@@ -0,0 +1,206 @@
+// src/services/orderPricing.js - Prices a basket from the database instead of trusting client totals
+const { Op } = require('sequelize');
+const MenuItem = require('../models/MenuItem');
+const pricingConfig = require('../config/pricing');
+const { findRestaurantsByEmails } = require('./restaurantLookup');
+const { createServiceError } = require('./errors');
+const { toAmount, roundMoney } = require('./money');
+const { calculateDeliveryFee, assertDeliverable } = require('./deliveryFees');
+const { toPoint } = require('./geo');
+
+// Clients may send either { id } or { menu_item_id } per line. A client-side
+// price, when present, is only used to detect a stale cart.
+const normaliseRequestedItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createServiceError(400, 'عناصر الطلب مطلوبة', 'ITEMS_REQUIRED');
+  }
+
+  const errors = [];
+  const lines = items.map((item, index) => {
+    const menuItemId = parseInt(item && (item.menu_item_id ?? item.id));
+    const quantity = parseInt(item && item.quantity !== undefined ? item.quantity : 1);
+
+    if (!menuItemId || menuItemId <= 0) {
+      errors.push({ index, code: 'INVALID_ITEM', message: 'معرف العنصر غير صحيح' });
+    }
+    if (!quantity || quantity <= 0 || quantity > pricingConfig.maxItemQuantity) {
+      errors.push({ index, item_id: menuItemId || null, code: 'INVALID_QUANTITY', message: 'الكمية غير صحيحة' });
+    }
+
+    return {
+      index,
+      menu_item_id: menuItemId,
+      quantity,
+      client_price: item && item.price !== undefined ? toAmount(item.price) : null,
+      notes: item && item.notes ? String(item.notes).slice(0, 500) : null
+    };
+  });
+
+  if (errors.length > 0) {
+    throw createServiceError(400, 'عناصر الطلب غير صحيحة', 'INVALID_ITEMS', errors);
+  }
+
+  return lines;
+};
+
+const calculateTax = (subtotal) => roundMoney(subtotal * pricingConfig.taxRate);
+
+// MenuItem.price already holds the selling price: routes/menuItems.js applies
+// discount_percentage to it when the item is saved, and keeps the pre-discount
+// price in original_price. The discount is reported per line, not re-applied.
+const priceLine = (requested, menuItem) => {
+  const unitPrice = roundMoney(menuItem.price);
+  const hasDiscount = Boolean(menuItem.has_discount) && toAmount(menuItem.discount_percentage) > 0;
+  const originalUnitPrice = hasDiscount
+    ? roundMoney(Math.max(toAmount(menuItem.original_price), unitPrice))
+    : unitPrice;
+
+  return {
+    menu_item_id: menuItem.id,
+    id: menuItem.id,
+    name: menuItem.name,
+    quantity: requested.quantity,
+    unit_price: unitPrice,
+    price: unitPrice,
+    original_unit_price: originalUnitPrice,
+    discount_percentage: hasDiscount ? toAmount(menuItem.discount_percentage) : 0,
+    line_discount: roundMoney((originalUnitPrice - unitPrice) * requested.quantity),
+    line_total: roundMoney(unitPrice * requested.quantity),
+    restaurant_email: menuItem.restaurant_email.toLowerCase(),
+    restaurant_id: menuItem.restaurant_id,
+    image_url: menuItem.image_url || null,
+    ...(requested.notes && { notes: requested.notes })
+  };
+};
+
+// Returns the full price breakdown for a basket. Throws a 409 ServiceError
+// listing every stale or unavailable line so the app can refresh the cart.
+// options.customerLocation prices delivery by distance from each restaurant
+// and is required when any of them has a location on file.
+const priceOrder = async (items, options = {}) => {
+  const requested = normaliseRequestedItems(items);
+  const ids = [...new Set(requested.map(line => line.menu_item_id))];
+
+  const menuItems = await MenuItem.findAll({
+    where: { id: { [Op.in]: ids } },
+    transaction: options.transaction
+  });
+  const menuItemsById = new Map(menuItems.map(menuItem => [menuItem.id, menuItem]));
+
+  const restaurantsByEmail = await findRestaurantsByEmails(
+    menuItems.map(menuItem => menuItem.restaurant_email),
+    options
+  );
+
+  const errors = [];
+  const lines = [];
+
+  requested.forEach(line => {
+    const menuItem = menuItemsById.get(line.menu_item_id);
+
+    if (!menuItem) {
+      errors.push({ index: line.index, item_id: line.menu_item_id, code: 'ITEM_NOT_FOUND', message: 'العنصر لم يعد موجوداً' });
+      return;
+    }
+
+    if (menuItem.available === false) {
+      errors.push({ index: line.index, item_id: menuItem.id, name: menuItem.name, code: 'ITEM_UNAVAILABLE', message: 'العنصر غير متاح حالياً' });
+      return;
+    }
+
+    const restaurant = restaurantsByEmail.get(menuItem.restaurant_email.toLowerCase());
+    if (!restaurant || restaurant.status === 'suspended') {
+      errors.push({ index: line.index, item_id: menuItem.id, name: menuItem.name, code: 'RESTAURANT_UNAVAILABLE', message: 'المطعم غير متاح حالياً' });
+      return;
+    }
+
+    const priced = priceLine(line, menuItem);
+
+    if (line.client_price !== null && Math.abs(line.client_price - priced.unit_price) >= 0.01) {
+      errors.push({
+        index: line.index,
+        item_id: menuItem.id,
+        name: menuItem.name,
+        code: 'PRICE_CHANGED',
+        message: 'تغير سعر العنصر',
+        submitted_price: line.client_price,
+        current_price: priced.unit_price
+      });
+      return;
+    }
+
+    lines.push(priced);
+  });
+
+  if (errors.length > 0) {
+    throw createServiceError(409, 'بعض عناصر السلة تغيرت أو لم تعد متاحة', 'CART_OUT_OF_DATE', errors);
+  }
+
+  const restaurants = [];
+  lines.forEach(line => {
+    let entry = restaurants.find(r => r.email === line.restaurant_email);
+    if (!entry) {
+      const restaurant = restaurantsByEmail.get(line.restaurant_email);
+      entry = {
+        id: restaurant.id,
+        name: restaurant.name,
+        email: line.restaurant_email,
+        delivery_fee: 0,
+        flat_delivery_fee: roundMoney(restaurant.delivery_fee),
+        pickup_location: restaurant.restaurant_location || null,
+        subtotal: 0,
+        items_count: 0
+      };
+      restaurants.push(entry);
+    }
+    entry.subtotal = roundMoney(entry.subtotal + line.line_total);
+    entry.items_count += line.quantity;
+  });
+
+  // Restaurants with a known location are priced by distance, so the
+  // customer's location is required; only the others keep their flat fee
+  if (!toPoint(options.customerLocation) && restaurants.some(entry => toPoint(entry.pickup_location))) {
+    throw createServiceError(400, 'موقع التوصيل مطلوب لحساب رسوم التوصيل', 'CUSTOMER_LOCATION_REQUIRED');
+  }
+
+  // Each restaurant's delivery is priced on its own part of the basket
+  const outOfRange = [];
+  restaurants.forEach(entry => {
+    const fee = calculateDeliveryFee(entry.pickup_location, options.customerLocation, {
+      subtotal: entry.subtotal,
+      fallbackFee: entry.flat_delivery_fee
+    });
+    if (!fee.deliverable) {
+      outOfRange.push({ restaurant_id: entry.id, name: entry.name, distance_km: fee.distance_km });
+      return;
+    }
+    delete entry.flat_delivery_fee;
+    Object.assign(entry, {
+      delivery_fee: fee.fee,
+      distance_km: fee.distance_km,
+      small_basket_surcharge: fee.small_basket_surcharge
+    });
+  });
+  assertDeliverable(outOfRange);
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.line_total, 0));
+  const deliveryFee = roundMoney(restaurants.reduce((sum, r) => sum + r.delivery_fee, 0));
+  const tax = calculateTax(subtotal);
+
+  return {
+    items: lines,
+    restaurants,
+    restaurant_emails: restaurants.map(r => r.email),
+    subtotal,
+    savings: roundMoney(lines.reduce((sum, line) => sum + line.line_discount, 0)),
+    delivery_fee: deliveryFee,
+    tax,
+    total: roundMoney(subtotal + deliveryFee + tax),
+    currency: pricingConfig.currency
+  };
+};
+
+module.exports = {
+  priceOrder,
+  calculateTax
+};
@@ -0,0 +1,147 @@
+// src/services/orderWorkflow.js - Order status machine shared by the customer, driver and restaurant routes
+const Order = require('../models/Order');
+const { recordOrderEvent } = require('./orderEvents');
+const { releaseRedemptions } = require('./promoCodes');
+const { releasePaymentAfterCommit, capturePaymentAfterCommit } = require('./payments');
+const { createServiceError } = require('./errors');
+
+// Restaurant orders start at pending_restaurant and only become visible to
+// drivers (pending_assignment) once the restaurant accepts them. A driver can
+// still claim the order while it is being prepared, so assignment is tracked
+// by assigned_to rather than by a status of its own after that point.
+// Pre-booked orders wait in "scheduled" until the scheduler releases them.
+const validStatusTransitions = {
+  'scheduled': ['pending_restaurant', 'pending_assignment', 'cancelled'],
+  'pending_restaurant': ['pending_assignment', 'rejected', 'cancelled'],
+  'pending_assignment': ['assigned', 'preparing', 'cancelled'],
+  'assigned': ['preparing', 'in_progress', 'cancelled'],
+  'preparing': ['ready_for_pickup', 'cancelled'],
+  'ready_for_pickup': ['in_progress', 'cancelled'],
+  'in_progress': ['delivered', 'cancelled'],
+  'delivered': [],
+  'rejected': [],
+  'cancelled': []
+};
+
+// Who may move an order into each status. Restaurants drop out through
+// "rejected"; the order routes check that a customer or driver cancelling
+// owns or carries the order.
+const statusActors = {
+  'cancelled': ['customer', 'delivery', 'admin'],
+  'pending_assignment': ['restaurant', 'admin'],
+  'rejected': ['restaurant', 'admin'],
+  'preparing': ['restaurant', 'admin'],
+  'ready_for_pickup': ['restaurant', 'admin'],
+  'assigned': ['delivery', 'admin'],
+  'in_progress': ['delivery', 'admin'],
+  'delivered': ['delivery', 'admin']
+};
+
+// Statuses in which an unassigned order can be claimed by a driver
+const OPEN_FOR_DRIVERS = ['pending_assignment', 'preparing', 'ready_for_pickup'];
+
+const TIMESTAMP_FIELDS = {
+  'pending_assignment': 'restaurant_accepted_at',
+  'preparing': 'preparing_at',
+  'ready_for_pickup': 'ready_at',
+  'in_progress': 'started_at',
+  'delivered': 'completed_at'
+};
+
+// Columns stamped the first time an order reaches a status
+const statusTimestamps = (order, to) => {
+  const timestampField = TIMESTAMP_FIELDS[to];
+  return timestampField && !order[timestampField] ? { [timestampField]: new Date() } : {};
+};
+
+// An order that ends here gives back any promo code spent on it and has
+// its online payment voided or refunded
+const ENDED_UNFULFILLED = ['rejected', 'cancelled'];
+
+const initialStatusFor = (type) => (type === 'restaurant' ? 'pending_restaurant' : 'pending_assignment');
+
+const canTransition = (from, to) => (validStatusTransitions[from] || []).includes(to);
+
+// Throws a ServiceError when the move is not allowed for this order or actor
+const assertTransition = (order, to, actor) => {
+  if (!canTransition(order.status, to)) {
+    throw createServiceError(
+      400,
+      `لا يمكن تغيير حالة الطلب من "${order.status}" إلى "${to}"`,
+      'INVALID_STATUS_TRANSITION'
+    );
+  }
+
+  const allowedRoles = statusActors[to];
+  if (actor && allowedRoles && !allowedRoles.includes(actor.role)) {
+    throw createServiceError(403, 'غير مسموح لك بتغيير الطلب إلى هذه الحالة', 'STATUS_NOT_ALLOWED_FOR_ROLE');
+  }
+
+  // Only the scheduler (or an admin) releases a scheduled order early
+  if (order.status === 'scheduled' && to !== 'cancelled' && actor && actor.role !== 'admin') {
+    throw createServiceError(400, 'الطلب مجدول ولم يحن موعده بعد', 'ORDER_NOT_RELEASED');
+  }
+
+  if (to === 'in_progress' && !order.assigned_to) {
+    throw createServiceError(400, 'يجب تعيين مندوب للطلب أولاً', 'ORDER_NOT_ASSIGNED');
+  }
+
+  // Once a restaurant has taken the order the driver must wait for the food
+  if (to === 'in_progress' && order.restaurant_accepted_at && order.status !== 'ready_for_pickup') {
+    throw createServiceError(400, 'الطلب لم يجهز للاستلام بعد', 'ORDER_NOT_READY');
+  }
+};
+
+// Validates, applies and records a status change in one transaction.
+// `changes` carries any extra columns the caller owns (reason, assignment...).
+// Pass `transaction` to make the change part of the caller's transaction.
+// The update only applies while the order is still in the status it was read
+// in, so a cancellation landing in between wins: ORDER_STATUS_CHANGED (409).
+const transitionOrder = async (order, to, { actor = null, reason = null, payload = null, changes = {}, transaction = null } = {}) => {
+  assertTransition(order, to, actor);
+
+  const from = order.status;
+  const updateData = {
+    ...changes,
+    status: to,
+    ...statusTimestamps(order, to)
+  };
+
+  const ownTransaction = transaction ? null : await Order.sequelize.transaction();
+  try {
+    const [updated] = await Order.update(updateData, {
+      where: { id: order.id, status: from },
+      transaction: transaction || ownTransaction
+    });
+    if (updated === 0) {
+      throw createServiceError(409, 'تغيرت حالة الطلب، يرجى تحديث الصفحة', 'ORDER_STATUS_CHANGED');
+    }
+    await order.reload({ transaction: transaction || ownTransaction });
+    await recordOrderEvent(order.id, { from, to, actor, reason, payload }, { transaction: transaction || ownTransaction });
+    if (ENDED_UNFULFILLED.includes(to)) {
+      await releaseRedemptions({ order_id: order.id }, { transaction: transaction || ownTransaction });
+      releasePaymentAfterCommit(order, { transaction: transaction || ownTransaction });
+    }
+    if (to === 'delivered') {
+      capturePaymentAfterCommit(order, { transaction: transaction || ownTransaction });
+    }
+    if (ownTransaction) await ownTransaction.commit();
+  } catch (error) {
+    if (ownTransaction) await ownTransaction.rollback();
+    throw error;
+  }
+
+  return order;
+};
+
+module.exports = {
+  validStatusTransitions,
+  statusActors,
+  OPEN_FOR_DRIVERS,
+  ENDED_UNFULFILLED,
+  initialStatusFor,
+  canTransition,
+  assertTransition,
+  statusTimestamps,
+  transitionOrder
+};
@@ -0,0 +1,36 @@
+// src/services/paymentProviders/index.js - Registry of payment gateway adapters
+//
+// Every provider exposes the same methods, all async except the webhook helpers:
+//   createIntent({ amount, currency, payment_method, metadata })
+//     -> { provider_reference, status, next_action }
+//     status is "requires_authorization", or "authorized" when nothing is
+//     left for the customer to do (the wallet)
+//   cancel(intent)                  drop an intent that was never authorized
+//   capture(intent, amount)         -> { captured_amount }
+//   void(intent)                    release an authorization without charging
+//   refund(intent, amount)          -> { refund_reference }
+//   verifyWebhook(rawBody, headers) -> { id, type, provider_reference, failure_reason }
+//     throws a ServiceError when the signature does not check out.
+// Webhook event types are normalised to "payment.authorized" and "payment.failed".
+const paymentsConfig = require('../../config/payments');
+const { createServiceError } = require('../errors');
+
+const providers = {
+  mock: require('./mock'),
+  wallet: require('./wallet')
+};
+
+const getProvider = (name = paymentsConfig.provider) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw createServiceError(404, 'مزود الدفع غير معروف', 'UNKNOWN_PAYMENT_PROVIDER');
+  }
+  if (name === 'mock' && !paymentsConfig.mockEnabled) {
+    throw createServiceError(503, 'الدفع الإلكتروني غير متاح حالياً', 'PAYMENT_PROVIDER_UNAVAILABLE');
+  }
+  return provider;
+};
+
+module.exports = {
+  getProvider
+};
@@ -0,0 +1,101 @@
+// src/services/paymentProviders/mock.js - Local stand-in for a card / mobile wallet gateway
+//
+// Captures, voids and refunds succeed straight away. Authorization happens
+// when the customer "completes checkout" through POST /api/payments/mock/:reference,
+// which reaches us as a signed webhook exactly like a real provider's would.
+const crypto = require('crypto');
+const paymentsConfig = require('../../config/payments');
+const { createServiceError } = require('../errors');
+
+const SIGNATURE_HEADER = 'x-payment-signature';
+
+const reference = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const hmac = (timestamp, rawBody) => {
+  if (!paymentsConfig.webhookSecret) {
+    throw createServiceError(503, 'إشعارات الدفع غير مهيأة', 'WEBHOOK_SECRET_NOT_CONFIGURED');
+  }
+  return crypto
+    .createHmac('sha256', paymentsConfig.webhookSecret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+};
+
+// Header value in the form "t=<unix seconds>,v1=<hex hmac of `${t}.${body}`>"
+const signPayload = (rawBody, timestamp = Math.floor(Date.now() / 1000)) => `t=${timestamp},v1=${hmac(timestamp, rawBody)}`;
+
+const invalidSignature = () => createServiceError(400, 'توقيع الإشعار غير صحيح', 'INVALID_WEBHOOK_SIGNATURE');
+
+const verifyWebhook = (rawBody, headers) => {
+  const header = String(headers[SIGNATURE_HEADER] || '');
+  const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) throw invalidSignature();
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > paymentsConfig.webhookToleranceSeconds) {
+    throw createServiceError(400, 'انتهت صلاحية الإشعار', 'WEBHOOK_TIMESTAMP_EXPIRED');
+  }
+
+  const expected = Buffer.from(hmac(timestamp, rawBody), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw invalidSignature();
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody);
+  } catch (error) {
+    throw createServiceError(400, 'محتوى الإشعار غير صحيح', 'INVALID_WEBHOOK_PAYLOAD');
+  }
+
+  return {
+    id: event.id,
+    type: event.type,
+    provider_reference: event.data && event.data.reference,
+    failure_reason: (event.data && event.data.failure_reason) || null
+  };
+};
+
+// Builds the webhook the mock gateway would send once the customer has
+// finished (or abandoned) checkout
+const buildCheckoutWebhook = (providerReference, { succeed = true, failureReason = 'card_declined' } = {}) => {
+  const body = JSON.stringify({
+    id: reference('evt'),
+    type: succeed ? 'payment.authorized' : 'payment.failed',
+    created: Math.floor(Date.now() / 1000),
+    data: {
+      reference: providerReference,
+      ...(!succeed && { failure_reason: failureReason })
+    }
+  });
+  return { body, headers: { [SIGNATURE_HEADER]: signPayload(body) } };
+};
+
+module.exports = {
+  name: 'mock',
+
+  createIntent: async () => {
+    const providerReference = reference('mock_pi');
+    return {
+      provider_reference: providerReference,
+      status: 'requires_authorization',
+      next_action: {
+        type: 'mock_checkout',
+        url: `/api/payments/mock/${providerReference}`
+      }
+    };
+  },
+
+  cancel: async () => ({}),
+
+  capture: async (intent, amount) => ({ captured_amount: amount }),
+
+  void: async () => ({}),
+
+  refund: async () => ({ refund_reference: reference('mock_re') }),
+
+  verifyWebhook,
+  signPayload,
+  buildCheckoutWebhook
+};
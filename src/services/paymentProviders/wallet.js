@@ -0,0 +1,71 @@
+// src/services/paymentProviders/wallet.js - Pays orders and rides from the customer's wallet
+//
+// There is no checkout step: creating the intent debits the wallet and the
+// intent is authorized straight away. Captures hand back whatever was held
+// beyond the final amount; voids and refunds credit the wallet again.
+const crypto = require('crypto');
+const { debitWallet, creditWallet } = require('../wallet');
+const { createServiceError } = require('../errors');
+const { roundMoney } = require('../money');
+
+const reference = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const targetOf = (record) => ({ orderId: record.order_id, rideId: record.ride_id });
+
+const describe = (record) => (record.order_id ? `الطلب #${record.order_id}` : `الرحلة #${record.ride_id}`);
+
+module.exports = {
+  name: 'wallet',
+
+  createIntent: async ({ amount, metadata }) => {
+    if (!metadata.user_id) {
+      throw createServiceError(400, 'يجب تسجيل الدخول للدفع من المحفظة', 'WALLET_REQUIRES_ACCOUNT');
+    }
+    await debitWallet(metadata.user_id, amount, {
+      type: 'payment',
+      ...targetOf(metadata),
+      description: `دفع ${describe(metadata)}`
+    });
+    return {
+      provider_reference: reference('wallet_pi'),
+      status: 'authorized',
+      next_action: null
+    };
+  },
+
+  cancel: async () => ({}),
+
+  capture: async (intent, amount) => {
+    const unused = roundMoney(intent.amount - amount);
+    if (unused > 0) {
+      await creditWallet(intent.user_id, unused, {
+        type: 'payment_reversal',
+        ...targetOf(intent),
+        description: `فرق السعر عن ${describe(intent)}`
+      });
+    }
+    return { captured_amount: amount };
+  },
+
+  void: async (intent) => {
+    await creditWallet(intent.user_id, intent.amount, {
+      type: 'payment_reversal',
+      ...targetOf(intent),
+      description: `إلغاء دفع ${describe(intent)}`
+    });
+    return {};
+  },
+
+  refund: async (intent, amount) => {
+    const entry = await creditWallet(intent.user_id, amount, {
+      type: 'refund',
+      ...targetOf(intent),
+      description: `استرداد ${describe(intent)}`
+    });
+    return { refund_reference: `wallet_tx_${entry.id}` };
+  },
+
+  verifyWebhook: () => {
+    throw createServiceError(404, 'مزود الدفع لا يرسل إشعارات', 'WEBHOOKS_NOT_SUPPORTED');
+  }
+};
@@ -0,0 +1,471 @@
+// src/services/payments.js - Online payment intents for orders and rides
+const Order = require('../models/Order');
+const Ride = require('../models/Ride');
+const PaymentIntent = require('../models/PaymentIntent');
+const paymentsConfig = require('../config/payments');
+const walletConfig = require('../config/wallet');
+const { getProvider } = require('./paymentProviders');
+const { creditWallet } = require('./wallet');
+const { recordOrderEvent } = require('./orderEvents');
+const { createServiceError } = require('./errors');
+const { roundMoney } = require('./money');
+
+// Payment methods settled online, through the gateway or from the wallet;
+// everything else is paid in cash
+const ONLINE_PAYMENT_METHODS = {
+  order: ['credit_card', 'vodafone_cash', 'instapay', 'wallet'],
+  ride: ['card', 'wallet']
+};
+
+// Ways to pay money into the wallet
+const TOP_UP_PAYMENT_METHODS = ['credit_card', 'vodafone_cash', 'instapay'];
+
+const FOREIGN_KEYS = { order: 'order_id', ride: 'ride_id' };
+
+// Orders and rides in these states are not offered to drivers
+const AWAITING_PAYMENT = ['pending', 'failed'];
+
+const ENDED_STATUSES = ['cancelled', 'rejected'];
+
+const requiresOnlinePayment = (kind, paymentMethod) => ONLINE_PAYMENT_METHODS[kind].includes(paymentMethod);
+
+const initialPaymentStatus = (kind, paymentMethod) => (requiresOnlinePayment(kind, paymentMethod) ? 'pending' : 'not_required');
+
+const isAwaitingPayment = (record) => AWAITING_PAYMENT.includes(record.payment_status);
+
+const assertPaymentAuthorized = (record) => {
+  if (isAwaitingPayment(record)) {
+    throw createServiceError(409, 'لم يتم تأكيد الدفع بعد', 'PAYMENT_NOT_AUTHORIZED');
+  }
+};
+
+// Wallet payments are debited by the wallet provider; the rest go to the gateway
+const providerFor = (paymentMethod) => getProvider(paymentMethod === 'wallet' ? 'wallet' : paymentsConfig.provider);
+
+const isTopUp = (intent) => !intent.order_id && !intent.ride_id;
+
+const kindOf = (target) => (target instanceof Ride ? 'ride' : 'order');
+
+const amountDue = (target, kind) => roundMoney(kind === 'ride' ? target.fare : target.total);
+
+// Order timeline entry for a payment step; rides have no timeline
+const recordPaymentEvent = async (target, kind, type, intent, payload = {}) => {
+  if (kind !== 'order') return;
+  try {
+    await recordOrderEvent(target.id, {
+      type,
+      from: target.status,
+      to: target.status,
+      payload: { payment_intent_id: intent.id, provider: intent.provider, ...payload }
+    });
+  } catch (error) {
+    console.warn(`[PAYMENTS] Failed to record ${type} for order #${target.id}:`, error.message);
+  }
+};
+
+const setPaymentStatus = async (target, paymentStatus) => {
+  if (target.payment_status !== paymentStatus) {
+    await target.update({ payment_status: paymentStatus });
+  }
+};
+
+// Starts (or resumes) checkout for an order or ride. An open intent is
+// returned as is, so a retried request does not charge twice.
+const createPaymentIntent = async (target) => {
+  const kind = kindOf(target);
+  if (!requiresOnlinePayment(kind, target.payment_method)) {
+    throw createServiceError(400, 'طريقة الدفع لا تتطلب دفعاً إلكترونياً', 'PAYMENT_NOT_REQUIRED');
+  }
+  if (ENDED_STATUSES.includes(target.status)) {
+    throw createServiceError(400, 'لا يمكن الدفع لطلب ملغي', 'PAYMENT_TARGET_CLOSED');
+  }
+  if (!isAwaitingPayment(target)) {
+    throw createServiceError(409, 'تم الدفع مسبقاً', 'PAYMENT_ALREADY_AUTHORIZED');
+  }
+
+  const foreignKey = FOREIGN_KEYS[kind];
+  const open = await PaymentIntent.findOne({
+    where: { [foreignKey]: target.id, status: 'requires_authorization' },
+    order: [['created_at', 'DESC']]
+  });
+  if (open) return open;
+
+  const provider = providerFor(target.payment_method);
+  const amount = amountDue(target, kind);
+  const created = await provider.createIntent({
+    amount,
+    currency: paymentsConfig.currency,
+    payment_method: target.payment_method,
+    metadata: { [foreignKey]: target.id, user_id: target.user_id || null }
+  });
+
+  const authorized = created.status === 'authorized';
+  const intent = await PaymentIntent.create({
+    [foreignKey]: target.id,
+    user_id: target.user_id || null,
+    provider: provider.name,
+    provider_reference: created.provider_reference,
+    payment_method: target.payment_method,
+    currency: paymentsConfig.currency,
+    amount,
+    status: created.status,
+    next_action: created.next_action || null,
+    authorized_at: authorized ? new Date() : null
+  });
+
+  console.log(`[PAYMENTS] Intent #${intent.id} (${intent.provider_reference}) for ${kind} #${target.id}: ${amount} ${intent.currency}`);
+
+  // Nothing for the customer to do (wallet): the order or ride is paid now
+  if (authorized) {
+    await setPaymentStatus(target, 'authorized');
+    await recordPaymentEvent(target, kind, 'payment_authorized', intent, { amount });
+    return intent;
+  }
+
+  await setPaymentStatus(target, 'pending');
+  return intent;
+};
+
+// Starts a gateway checkout that pays money into the customer's wallet.
+// The wallet is credited when the provider's webhook confirms the payment.
+const createTopUpIntent = async (userId, amount, paymentMethod) => {
+  const value = roundMoney(amount);
+  if (!(value >= walletConfig.topUpMin && value <= walletConfig.topUpMax)) {
+    throw createServiceError(400, `مبلغ الشحن يجب أن يكون بين ${walletConfig.topUpMin} و ${walletConfig.topUpMax}`, 'INVALID_TOP_UP_AMOUNT', {
+      min: walletConfig.topUpMin,
+      max: walletConfig.topUpMax
+    });
+  }
+  if (!TOP_UP_PAYMENT_METHODS.includes(paymentMethod)) {
+    throw createServiceError(400, 'طريقة الدفع غير صحيحة', 'INVALID_PAYMENT_METHOD', { allowed_values: TOP_UP_PAYMENT_METHODS });
+  }
+
+  const provider = getProvider();
+  const created = await provider.createIntent({
+    amount: value,
+    currency: paymentsConfig.currency,
+    payment_method: paymentMethod,
+    metadata: { user_id: userId, purpose: 'wallet_top_up' }
+  });
+
+  const intent = await PaymentIntent.create({
+    user_id: userId,
+    provider: provider.name,
+    provider_reference: created.provider_reference,
+    payment_method: paymentMethod,
+    currency: paymentsConfig.currency,
+    amount: value,
+    status: created.status,
+    next_action: created.next_action || null
+  });
+
+  console.log(`[PAYMENTS] Top-up intent #${intent.id} (${intent.provider_reference}) for user ${userId}: ${value} ${intent.currency}`);
+  return intent;
+};
+
+const loadTarget = (intent) => (intent.order_id
+  ? Order.findByPk(intent.order_id)
+  : Ride.findByPk(intent.ride_id));
+
+// Undoes whatever the intent holds: drops an unfinished checkout, voids an
+// authorization or refunds what was captured. Returns the new payment_status.
+const releaseIntent = async (intent) => {
+  const provider = getProvider(intent.provider);
+
+  switch (intent.status) {
+    case 'requires_authorization':
+      await provider.cancel(intent);
+      await intent.update({ status: 'cancelled' });
+      return 'voided';
+    case 'authorized':
+      await provider.void(intent);
+      await intent.update({ status: 'voided', voided_at: new Date() });
+      return 'voided';
+    case 'captured':
+    case 'partially_refunded': {
+      const remaining = roundMoney(intent.captured_amount - intent.refunded_amount);
+      if (remaining > 0) {
+        await provider.refund(intent, remaining);
+      }
+      await intent.update({
+        status: 'refunded',
+        refunded_amount: intent.captured_amount,
+        refunded_at: new Date()
+      });
+      return 'refunded';
+    }
+    default:
+      return null;
+  }
+};
+
+// Gives the customer's money back after a cancellation or rejection
+const releasePayment = async (target) => {
+  const kind = kindOf(target);
+  const intents = await PaymentIntent.findAll({
+    where: {
+      [FOREIGN_KEYS[kind]]: target.id,
+      status: ['requires_authorization', 'authorized', 'captured', 'partially_refunded']
+    }
+  });
+  if (intents.length === 0) return null;
+
+  let paymentStatus = null;
+  for (const intent of intents) {
+    const previous = intent.status;
+    const result = await releaseIntent(intent);
+    // A refund outranks a void when both happened
+    if (result === 'refunded' || !paymentStatus) paymentStatus = result;
+
+    if (previous !== 'requires_authorization') {
+      await recordPaymentEvent(target, kind, result === 'refunded' ? 'payment_refunded' : 'payment_voided', intent, {
+        amount: result === 'refunded' ? intent.refunded_amount : intent.amount
+      });
+    }
+    console.log(`[PAYMENTS] Intent #${intent.id} for ${kind} #${target.id}: ${previous} -> ${intent.status}`);
+  }
+
+  if (paymentStatus) await setPaymentStatus(target, paymentStatus);
+  return paymentStatus;
+};
+
+// Charges the authorized payment once the order is delivered or the ride
+// completed. Only the final amount is taken; the rest of the hold is released.
+const capturePayment = async (target) => {
+  const kind = kindOf(target);
+  const intent = await PaymentIntent.findOne({
+    where: { [FOREIGN_KEYS[kind]]: target.id, status: 'authorized' },
+    order: [['created_at', 'DESC']]
+  });
+  if (!intent) return null;
+
+  const due = amountDue(target, kind);
+  const amount = Math.min(due, intent.amount);
+  if (due > intent.amount) {
+    console.warn(`[PAYMENTS] ${kind} #${target.id} costs ${due} but only ${intent.amount} was authorized`);
+  }
+
+  const { captured_amount: captured } = await getProvider(intent.provider).capture(intent, amount);
+  await intent.update({
+    status: 'captured',
+    captured_amount: roundMoney(captured),
+    captured_at: new Date()
+  });
+  await setPaymentStatus(target, 'captured');
+  await recordPaymentEvent(target, kind, 'payment_captured', intent, { amount: intent.captured_amount });
+
+  console.log(`[PAYMENTS] Captured ${intent.captured_amount} on intent #${intent.id} for ${kind} #${target.id}`);
+  return intent;
+};
+
+// Money captured online for the order or ride and not yet refunded
+const refundableOnline = async (target) => {
+  const intents = await PaymentIntent.findAll({
+    where: { [FOREIGN_KEYS[kindOf(target)]]: target.id, status: ['captured', 'partially_refunded'] },
+    order: [['created_at', 'ASC']]
+  });
+  return {
+    intents,
+    amount: roundMoney(intents.reduce((sum, intent) => sum + intent.captured_amount - intent.refunded_amount, 0))
+  };
+};
+
+// Sends part or all of a captured payment back through the provider.
+// Returns the intent that was refunded and the provider's refund reference.
+const refundPayment = async (target, amount) => {
+  const kind = kindOf(target);
+  const { intents, amount: refundable } = await refundableOnline(target);
+  const value = roundMoney(amount);
+  if (value > refundable) {
+    throw createServiceError(400, 'المبلغ أكبر من المدفوع إلكترونياً', 'REFUND_EXCEEDS_PAID', { refundable });
+  }
+
+  // Refunds go against a single capture so the provider sees one refund per request
+  const intent = intents.find(candidate => roundMoney(candidate.captured_amount - candidate.refunded_amount) >= value);
+  if (!intent) {
+    throw createServiceError(400, 'لا يمكن رد هذا المبلغ دفعة واحدة', 'REFUND_SPLIT_REQUIRED', { refundable });
+  }
+
+  let result;
+  try {
+    result = await getProvider(intent.provider).refund(intent, value);
+  } catch (error) {
+    console.error(`[PAYMENTS] Provider refund failed for intent #${intent.id}:`, error);
+    throw createServiceError(502, 'فشل رد المبلغ عبر مزود الدفع', 'PROVIDER_REFUND_FAILED');
+  }
+
+  const refunded = roundMoney(intent.refunded_amount + value);
+  const fullyRefunded = refunded >= intent.captured_amount;
+  await intent.update({
+    refunded_amount: refunded,
+    status: fullyRefunded ? 'refunded' : 'partially_refunded',
+    refunded_at: new Date()
+  });
+
+  const remaining = roundMoney(refundable - value);
+  await setPaymentStatus(target, remaining > 0 ? 'partially_refunded' : 'refunded');
+
+  console.log(`[PAYMENTS] Refunded ${value} on intent #${intent.id} for ${kind} #${target.id} (${result.refund_reference})`);
+  return { intent, refund_reference: result.refund_reference };
+};
+
+// Payment follow-ups talk to the provider, so they run once the status
+// change is committed. A failure is logged for staff to retry by hand and
+// never undoes the cancellation or delivery itself.
+const runAfterCommit = (transaction, label, task) => {
+  const run = () => Promise.resolve()
+    .then(task)
+    .catch(error => console.error(`[PAYMENTS] ${label} failed:`, error));
+
+  if (transaction) {
+    transaction.afterCommit(run);
+  } else {
+    return run();
+  }
+};
+
+const releasePaymentAfterCommit = (target, { transaction } = {}) => {
+  if (target.payment_status === 'not_required') return;
+  return runAfterCommit(transaction, `Release for ${kindOf(target)} #${target.id}`, () => releasePayment(target));
+};
+
+const capturePaymentAfterCommit = (target, { transaction } = {}) => {
+  if (target.payment_status !== 'authorized') return;
+  return runAfterCommit(transaction, `Capture for ${kindOf(target)} #${target.id}`, () => capturePayment(target));
+};
+
+// A confirmed top-up is captured at once and credited to the wallet. The
+// status is claimed with a conditional update so a webhook delivered twice
+// at the same moment cannot credit the wallet twice.
+const applyTopUpEvent = async (intent, event, provider) => {
+  if (event.type === 'payment.failed') {
+    await intent.update({ status: 'failed', failure_reason: event.failure_reason, last_event_id: event.id });
+    console.log(`[PAYMENTS] Top-up intent #${intent.id} failed: ${event.failure_reason || 'unknown reason'}`);
+    return { status: 'failed', intent };
+  }
+
+  const [claimed] = await PaymentIntent.update(
+    { status: 'authorized', authorized_at: new Date(), last_event_id: event.id },
+    { where: { id: intent.id, status: 'requires_authorization' } }
+  );
+  if (claimed === 0) {
+    return { status: 'duplicate', intent };
+  }
+
+  const { captured_amount: captured } = await provider.capture(intent, intent.amount);
+  await intent.reload();
+  await intent.update({
+    status: 'captured',
+    captured_amount: roundMoney(captured),
+    captured_at: new Date()
+  });
+
+  const walletTransaction = await creditWallet(intent.user_id, intent.captured_amount, {
+    type: 'top_up',
+    paymentIntentId: intent.id,
+    description: 'شحن المحفظة'
+  });
+  return { status: 'topped_up', intent, wallet_transaction: walletTransaction };
+};
+
+// Applies a verified provider webhook. Returns what changed so the caller
+// can put a newly paid order or ride in front of drivers.
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getProvider(providerName);
+  const event = provider.verifyWebhook(rawBody, headers);
+
+  const intent = event.provider_reference
+    ? await PaymentIntent.findOne({ where: { provider: provider.name, provider_reference: event.provider_reference } })
+    : null;
+  if (!intent) {
+    console.warn(`[PAYMENTS] Webhook ${event.id} (${event.type}) for unknown reference ${event.provider_reference}`);
+    return { status: 'ignored' };
+  }
+  if (intent.last_event_id === event.id) {
+    return { status: 'duplicate', intent };
+  }
+  if (intent.status !== 'requires_authorization' || !['payment.authorized', 'payment.failed'].includes(event.type)) {
+    await intent.update({ last_event_id: event.id });
+    return { status: 'ignored', intent };
+  }
+
+  if (isTopUp(intent)) {
+    return applyTopUpEvent(intent, event, provider);
+  }
+
+  const target = await loadTarget(intent);
+  const kind = intent.order_id ? 'order' : 'ride';
+
+  if (event.type === 'payment.failed') {
+    await intent.update({ status: 'failed', failure_reason: event.failure_reason, last_event_id: event.id });
+    if (target) {
+      await setPaymentStatus(target, 'failed');
+      await recordPaymentEvent(target, kind, 'payment_failed', intent, { failure_reason: event.failure_reason });
+    }
+    console.log(`[PAYMENTS] Intent #${intent.id} failed: ${event.failure_reason || 'unknown reason'}`);
+    return { status: 'failed', intent, [kind]: target };
+  }
+
+  await intent.update({ status: 'authorized', authorized_at: new Date(), last_event_id: event.id });
+  console.log(`[PAYMENTS] Intent #${intent.id} authorized for ${kind} #${intent[FOREIGN_KEYS[kind]]}`);
+  if (!target) {
+    return { status: 'authorized', intent };
+  }
+
+  // Paid after the customer had already cancelled: hand the money straight back
+  if (ENDED_STATUSES.includes(target.status)) {
+    await releasePayment(target);
+    return { status: 'released', intent, [kind]: target };
+  }
+
+  await setPaymentStatus(target, 'authorized');
+  await recordPaymentEvent(target, kind, 'payment_authorized', intent, { amount: intent.amount });
+  return { status: 'authorized', intent, [kind]: target };
+};
+
+const getPaymentIntents = (target) => PaymentIntent.findAll({
+  where: { [FOREIGN_KEYS[kindOf(target)]]: target.id },
+  order: [['created_at', 'DESC']]
+});
+
+const formatPaymentIntent = (intent) => ({
+  id: intent.id,
+  order_id: intent.order_id,
+  ride_id: intent.ride_id,
+  provider: intent.provider,
+  provider_reference: intent.provider_reference,
+  payment_method: intent.payment_method,
+  currency: intent.currency,
+  amount: intent.amount,
+  captured_amount: intent.captured_amount,
+  refunded_amount: intent.refunded_amount,
+  status: intent.status,
+  next_action: intent.status === 'requires_authorization' ? intent.next_action : null,
+  failure_reason: intent.failure_reason,
+  authorized_at: intent.authorized_at,
+  captured_at: intent.captured_at,
+  voided_at: intent.voided_at,
+  refunded_at: intent.refunded_at,
+  created_at: intent.created_at
+});
+
+module.exports = {
+  ONLINE_PAYMENT_METHODS,
+  TOP_UP_PAYMENT_METHODS,
+  AWAITING_PAYMENT,
+  requiresOnlinePayment,
+  initialPaymentStatus,
+  isAwaitingPayment,
+  assertPaymentAuthorized,
+  createPaymentIntent,
+  createTopUpIntent,
+  releasePayment,
+  capturePayment,
+  refundableOnline,
+  refundPayment,
+  releasePaymentAfterCommit,
+  capturePaymentAfterCommit,
+  handleWebhook,
+  getPaymentIntents,
+  formatPaymentIntent
+};
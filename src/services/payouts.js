@@ -0,0 +1,142 @@
+// src/services/payouts.js - Admin payout batches that pay out drivers' unpaid earnings
+const { Op } = require('sequelize');
+const DriverEarning = require('../models/DriverEarning');
+const PayoutBatch = require('../models/PayoutBatch');
+const PayoutItem = require('../models/PayoutItem');
+const User = require('../models/User');
+const { summariseEarnings } = require('./earnings');
+const { recordEarningPayout } = require('./cashLedger');
+const { createServiceError } = require('./errors');
+const { roundMoney } = require('./money');
+
+const batchReference = (batch) => `PO-${batch.created_at.toISOString().slice(0, 10).replace(/-/g, '')}-${batch.id}`;
+
+// Pays every driver whose unpaid earnings up to earnedBefore come to more
+// than the cash they already kept. Drivers at or below zero are left out and
+// their earnings roll over to the next batch.
+const createPayoutBatch = async ({ earnedBefore, driverIds, notes } = {}, admin) => {
+  const cutoff = earnedBefore ? new Date(earnedBefore) : new Date();
+  if (Number.isNaN(cutoff.getTime())) {
+    throw createServiceError(400, 'صيغة التاريخ غير صحيحة', 'INVALID_DATE');
+  }
+
+  const transaction = await PayoutBatch.sequelize.transaction();
+  try {
+    const earnings = await DriverEarning.findAll({
+      where: {
+        status: 'unpaid',
+        earned_at: { [Op.lte]: cutoff },
+        ...(driverIds && { driver_id: driverIds })
+      },
+      transaction
+    });
+
+    const byDriver = new Map();
+    earnings.forEach(earning => {
+      byDriver.set(earning.driver_id, [...(byDriver.get(earning.driver_id) || []), earning]);
+    });
+
+    const lines = [...byDriver.entries()]
+      .map(([driverId, rows]) => ({ driverId, rows, summary: summariseEarnings(rows) }))
+      .filter(line => line.summary.payable > 0);
+
+    if (lines.length === 0) {
+      throw createServiceError(400, 'لا توجد أرباح مستحقة للدفع', 'NOTHING_TO_PAY');
+    }
+
+    const paidEarnings = lines.flatMap(line => line.rows);
+    const batch = await PayoutBatch.create({
+      earned_before: cutoff,
+      total_amount: roundMoney(lines.reduce((sum, line) => sum + line.summary.payable, 0)),
+      drivers_count: lines.length,
+      earnings_count: paidEarnings.length,
+      notes: notes ? String(notes).trim().slice(0, 1000) : null,
+      created_by: admin.id
+    }, { transaction });
+    await batch.update({ reference: batchReference(batch) }, { transaction });
+
+    await PayoutItem.bulkCreate(lines.map(({ driverId, rows, summary }) => ({
+      payout_batch_id: batch.id,
+      driver_id: driverId,
+      earnings_count: rows.length,
+      gross_amount: summary.gross_amount,
+      commission_amount: summary.commission_amount,
+      earnings_amount: summary.net_amount,
+      cash_collected: summary.cash_collected,
+      amount: summary.payable
+    })), { transaction });
+
+    // Guarded on status so a batch created at the same moment cannot pay the same earnings
+    const [marked] = await DriverEarning.update(
+      { status: 'paid', payout_batch_id: batch.id, paid_at: new Date() },
+      { where: { id: paidEarnings.map(earning => earning.id), status: 'unpaid' }, transaction }
+    );
+    if (marked !== paidEarnings.length) {
+      throw createServiceError(409, 'تم دفع بعض الأرباح في دفعة أخرى، يرجى المحاولة مرة أخرى', 'PAYOUT_CONFLICT');
+    }
+
+    for (const { driverId, rows } of lines) {
+      const orderPay = roundMoney(rows
+        .filter(row => row.job_type === 'order')
+        .reduce((sum, row) => sum + row.amount, 0));
+      await recordEarningPayout(driverId, orderPay, {
+        notes: `payout ${batch.reference}`,
+        recordedBy: admin.id,
+        transaction
+      });
+    }
+
+    await transaction.commit();
+    console.log(`[PAYOUTS] Batch ${batch.reference}: ${batch.total_amount} to ${batch.drivers_count} drivers by admin ${admin.id}`);
+    return batch;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+const listPayoutBatches = ({ limit = 50, offset = 0 } = {}) => PayoutBatch.findAndCountAll({
+  order: [['created_at', 'DESC'], ['id', 'DESC']],
+  limit,
+  offset
+});
+
+const getPayoutItems = (batch) => PayoutItem.findAll({
+  where: { payout_batch_id: batch.id },
+  include: [{ model: User, as: 'driver', attributes: ['id', 'name', 'phone', 'role'] }],
+  order: [['amount', 'DESC'], ['id', 'ASC']]
+});
+
+const formatPayoutBatch = (batch) => ({
+  id: batch.id,
+  reference: batch.reference,
+  earned_before: batch.earned_before,
+  total_amount: batch.total_amount,
+  drivers_count: batch.drivers_count,
+  earnings_count: batch.earnings_count,
+  notes: batch.notes,
+  created_by: batch.created_by,
+  created_at: batch.created_at
+});
+
+const formatPayoutItem = (item) => ({
+  id: item.id,
+  driver_id: item.driver_id,
+  driver_name: item.driver ? item.driver.name : null,
+  driver_phone: item.driver ? item.driver.phone : null,
+  driver_role: item.driver ? item.driver.role : null,
+  earnings_count: item.earnings_count,
+  gross_amount: item.gross_amount,
+  commission_amount: item.commission_amount,
+  earnings_amount: item.earnings_amount,
+  cash_collected: item.cash_collected,
+  amount: item.amount
+});
+
+module.exports = {
+  createPayoutBatch,
+  listPayoutBatches,
+  getPayoutItems,
+  formatPayoutBatch,
+  formatPayoutItem
+};
@@ -0,0 +1,315 @@
+// src/services/promoCodes.js - Validates promo codes and applies their discount to orders and rides
+// or, for wallet_credit codes, credits the customer's wallet
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const Order = require('../models/Order');
+const Ride = require('../models/Ride');
+const { createServiceError } = require('./errors');
+const { roundMoney } = require('./money');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed_amount', 'free_delivery', 'wallet_credit'];
+const PROMO_TARGETS = ['orders', 'rides', 'all'];
+
+const normaliseCode = (code) => String(code || '').toUpperCase().trim();
+
+const invalidPromo = (message, code, details) => createServiceError(400, message, code, details);
+
+// Checks that hold for every customer: the code exists, is switched on and
+// is inside its validity window
+const findUsablePromo = async (code, { transaction } = {}) => {
+  const normalised = normaliseCode(code);
+  if (!normalised) {
+    throw invalidPromo('رمز الخصم غير صحيح', 'INVALID_PROMO_CODE');
+  }
+
+  const promo = await PromoCode.findOne({ where: { code: normalised }, transaction });
+  if (!promo || !promo.is_active) {
+    throw invalidPromo('رمز الخصم غير صحيح', 'INVALID_PROMO_CODE');
+  }
+
+  const now = new Date();
+  if (promo.starts_at && promo.starts_at > now) {
+    throw invalidPromo('رمز الخصم غير مفعل بعد', 'PROMO_NOT_STARTED');
+  }
+  if (promo.expires_at && promo.expires_at <= now) {
+    throw invalidPromo('انتهت صلاحية رمز الخصم', 'PROMO_EXPIRED');
+  }
+
+  return promo;
+};
+
+const usageLimitReached = () => invalidPromo('تم استنفاد رمز الخصم', 'PROMO_USAGE_LIMIT_REACHED');
+const userLimitReached = () => invalidPromo('لقد استخدمت رمز الخصم الحد الأقصى من المرات', 'PROMO_USER_LIMIT_REACHED');
+
+const countUses = (where, transaction) => PromoRedemption.count({
+  where: { ...where, status: 'applied' },
+  transaction
+});
+
+// Checks that depend on who is using the code and on what.
+// target is "orders", "rides" or "wallet".
+const assertPromoEligible = async (promo, { userId, target, transaction } = {}) => {
+  // Wallet credit codes are redeemed on their own, never at checkout
+  if ((promo.discount_type === 'wallet_credit') !== (target === 'wallet')) {
+    throw invalidPromo(
+      target === 'wallet' ? 'رمز الخصم لا يضيف رصيداً للمحفظة' : 'رمز الخصم مخصص لشحن المحفظة',
+      'PROMO_NOT_APPLICABLE'
+    );
+  }
+
+  if (target !== 'wallet' && promo.applies_to !== 'all' && promo.applies_to !== target) {
+    throw invalidPromo(
+      target === 'rides' ? 'رمز الخصم غير صالح للرحلات' : 'رمز الخصم غير صالح للطلبات',
+      'PROMO_NOT_APPLICABLE'
+    );
+  }
+
+  if (target === 'rides' && promo.discount_type === 'free_delivery') {
+    throw invalidPromo('رمز الخصم غير صالح للرحلات', 'PROMO_NOT_APPLICABLE');
+  }
+
+  if (!userId) {
+    throw invalidPromo('يجب تسجيل الدخول لاستخدام رمز الخصم', 'PROMO_REQUIRES_ACCOUNT');
+  }
+
+  // Early answers for quotes; redeemPromo() enforces both limits atomically
+  if (promo.max_uses !== null && promo.uses >= promo.max_uses) {
+    throw usageLimitReached();
+  }
+
+  if (promo.max_uses_per_user !== null &&
+      await countUses({ promo_code_id: promo.id, user_id: userId }, transaction) >= promo.max_uses_per_user) {
+    throw userLimitReached();
+  }
+
+  if (promo.first_order_only) {
+    const Model = target === 'rides' ? Ride : Order;
+    const previous = await Model.count({
+      where: { user_id: userId, status: { [Op.notIn]: ['cancelled', 'rejected'] } },
+      transaction
+    });
+    if (previous > 0) {
+      throw invalidPromo('رمز الخصم مخصص للطلب الأول فقط', 'PROMO_FIRST_ORDER_ONLY');
+    }
+  }
+};
+
+const assertMinimumBasket = (promo, amount) => {
+  if (promo.min_basket !== null && amount < promo.min_basket) {
+    throw invalidPromo(
+      `الحد الأدنى لاستخدام رمز الخصم ${promo.min_basket}`,
+      'PROMO_MIN_BASKET_NOT_MET',
+      { min_basket: promo.min_basket, current: amount }
+    );
+  }
+};
+
+const cappedDiscount = (promo, amount) => {
+  let discount = promo.discount_type === 'percentage'
+    ? amount * promo.value / 100
+    : promo.value;
+  if (promo.max_discount !== null) {
+    discount = Math.min(discount, promo.max_discount);
+  }
+  return roundMoney(Math.min(discount, amount));
+};
+
+// Returns a copy of the priceOrder() breakdown with the discount taken off
+// the total. Each restaurant entry carries its share of the discount so the
+// parent total can be recomputed if a restaurant later drops out.
+const applyPromoToPricing = (pricing, promo) => {
+  const eligible = promo.restaurant_id
+    ? pricing.restaurants.filter(r => r.id === promo.restaurant_id)
+    : pricing.restaurants;
+
+  if (eligible.length === 0) {
+    throw invalidPromo('رمز الخصم غير صالح لهذا المطعم', 'PROMO_RESTAURANT_MISMATCH');
+  }
+
+  const eligibleSubtotal = roundMoney(eligible.reduce((sum, r) => sum + r.subtotal, 0));
+  assertMinimumBasket(promo, eligibleSubtotal);
+
+  const shares = new Map();
+  if (promo.discount_type === 'free_delivery') {
+    eligible.forEach(r => shares.set(r.email, r.delivery_fee));
+  } else {
+    // Spread over the eligible restaurants by subtotal; the last one takes
+    // the rounding remainder so the shares add up exactly
+    const discount = cappedDiscount(promo, eligibleSubtotal);
+    let remaining = discount;
+    eligible.forEach((r, index) => {
+      const share = index === eligible.length - 1
+        ? remaining
+        : roundMoney(eligibleSubtotal > 0 ? discount * r.subtotal / eligibleSubtotal : 0);
+      shares.set(r.email, share);
+      remaining = roundMoney(remaining - share);
+    });
+  }
+
+  const restaurants = pricing.restaurants.map(r => ({ ...r, discount: shares.get(r.email) || 0 }));
+  const discount = roundMoney(restaurants.reduce((sum, r) => sum + r.discount, 0));
+
+  if (discount <= 0) {
+    throw invalidPromo('رمز الخصم لا يخفض قيمة هذا الطلب', 'PROMO_NOT_APPLICABLE');
+  }
+
+  return {
+    ...pricing,
+    restaurants,
+    discount,
+    promo_code: promo.code,
+    total: roundMoney(Math.max(0, pricing.total - discount))
+  };
+};
+
+// Validates the code for this customer and prices the order with it
+const priceWithPromo = async (pricing, code, { userId, transaction } = {}) => {
+  const promo = await findUsablePromo(code, { transaction });
+  await assertPromoEligible(promo, { userId, target: 'orders', transaction });
+  return { promo, pricing: applyPromoToPricing(pricing, promo) };
+};
+
+// Discount on a quoted ride fare
+const discountForFare = async (fare, code, { userId, transaction } = {}) => {
+  const promo = await findUsablePromo(code, { transaction });
+  await assertPromoEligible(promo, { userId, target: 'rides', transaction });
+  assertMinimumBasket(promo, fare);
+
+  if (promo.restaurant_id) {
+    throw invalidPromo('رمز الخصم غير صالح للرحلات', 'PROMO_NOT_APPLICABLE');
+  }
+
+  return { promo, discount: cappedDiscount(promo, fare) };
+};
+
+// Takes one of max_uses with a conditional increment, so two checkouts that
+// both saw the last use free cannot both get it
+const claimUse = async (promo, transaction) => {
+  const [claimed] = await PromoCode.update(
+    { uses: sequelize.literal('uses + 1') },
+    {
+      where: {
+        id: promo.id,
+        [Op.or]: [{ max_uses: null }, { uses: { [Op.lt]: sequelize.col('max_uses') } }]
+      },
+      transaction
+    }
+  );
+  if (claimed === 0) {
+    throw usageLimitReached();
+  }
+};
+
+// The lowest of the customer's max_uses_per_user numbers not held by an
+// applied redemption; null when the code has no per-customer limit
+const nextUserUse = async (promo, userId, transaction) => {
+  if (promo.max_uses_per_user === null) return null;
+
+  const held = await PromoRedemption.findAll({
+    where: { promo_code_id: promo.id, user_id: userId, status: 'applied' },
+    attributes: ['user_use'],
+    transaction
+  });
+  const taken = new Set(held.map(redemption => redemption.user_use));
+  let use = 1;
+  while (taken.has(use)) use += 1;
+
+  if (use > promo.max_uses_per_user) {
+    throw userLimitReached();
+  }
+  return use;
+};
+
+// Records one use inside the caller's transaction. The unique
+// (promo_code_id, user_id, user_use) index rejects a second checkout racing
+// for the same use; the caller rolls back and the customer may retry.
+const redeemPromo = async (promo, { userId, orderId = null, rideId = null, discount }, { transaction } = {}) => {
+  await claimUse(promo, transaction);
+  const userUse = await nextUserUse(promo, userId, transaction);
+
+  try {
+    return await PromoRedemption.create({
+      promo_code_id: promo.id,
+      user_id: userId,
+      order_id: orderId,
+      ride_id: rideId,
+      code: promo.code,
+      discount_amount: discount,
+      user_use: userUse
+    }, { transaction });
+  } catch (error) {
+    if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+    throw createServiceError(409, 'رمز الخصم قيد الاستخدام في طلب آخر، يرجى المحاولة مرة أخرى', 'PROMO_CODE_BUSY');
+  }
+};
+
+// Validates a wallet_credit code for this customer and records its use.
+// Returns the amount the caller should credit to the wallet.
+const redeemWalletCredit = async (code, { userId, transaction } = {}) => {
+  const promo = await findUsablePromo(code, { transaction });
+  await assertPromoEligible(promo, { userId, target: 'wallet', transaction });
+  const amount = roundMoney(promo.value);
+  const redemption = await redeemPromo(promo, { userId, discount: amount }, { transaction });
+  return { promo, amount, redemption };
+};
+
+// Gives the use back when the order or ride it was spent on is cancelled
+const releaseRedemptions = async (where, { transaction } = {}) => {
+  const redemptions = await PromoRedemption.findAll({ where: { ...where, status: 'applied' }, transaction });
+
+  let released = 0;
+  for (const redemption of redemptions) {
+    const [updated] = await PromoRedemption.update(
+      { status: 'released', released_at: new Date(), user_use: null },
+      { where: { id: redemption.id, status: 'applied' }, transaction }
+    );
+    if (updated === 0) continue;
+
+    await PromoCode.update(
+      { uses: sequelize.literal('uses - 1') },
+      { where: { id: redemption.promo_code_id, uses: { [Op.gt]: 0 } }, transaction }
+    );
+    released += updated;
+  }
+
+  if (released > 0) {
+    console.log('[PROMO] Released redemption for', where);
+  }
+  return released;
+};
+
+const formatPromoCode = (promo, uses) => ({
+  id: promo.id,
+  code: promo.code,
+  description: promo.description,
+  discount_type: promo.discount_type,
+  value: promo.value,
+  max_discount: promo.max_discount,
+  applies_to: promo.applies_to,
+  restaurant_id: promo.restaurant_id,
+  min_basket: promo.min_basket,
+  first_order_only: promo.first_order_only,
+  max_uses: promo.max_uses,
+  max_uses_per_user: promo.max_uses_per_user,
+  starts_at: promo.starts_at,
+  expires_at: promo.expires_at,
+  is_active: promo.is_active,
+  ...(uses !== undefined && { uses }),
+  created_by: promo.created_by,
+  created_at: promo.created_at,
+  updated_at: promo.updated_at
+});
+
+module.exports = {
+  DISCOUNT_TYPES,
+  PROMO_TARGETS,
+  normaliseCode,
+  priceWithPromo,
+  discountForFare,
+  redeemPromo,
+  redeemWalletCredit,
+  releaseRedemptions,
+  formatPromoCode
+};
@@ -0,0 +1,181 @@
+// src/services/proofOfDelivery.js - Delivery code and photo checks before an order can be marked delivered
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const Order = require('../models/Order');
+const DeliveryProof = require('../models/DeliveryProof');
+const proofConfig = require('../config/proofOfDelivery');
+const { createServiceError } = require('./errors');
+const { toPoint } = require('./geo');
+const { transitionOrder } = require('./orderWorkflow');
+const { cascadeOrderStatus } = require('./orderFulfillments');
+const { bookDeliveredOrder } = require('./cashLedger');
+
+const DROPOFF_PREFERENCES = ['hand_to_customer', 'leave_at_door', 'contactless'];
+
+// Nobody is there to read out the code, so the photo is the only proof
+const PHOTO_REQUIRED_PREFERENCES = ['leave_at_door', 'contactless'];
+
+const PHOTO_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/heic': '.heic'
+};
+
+if (!fs.existsSync(proofConfig.storageDir)) {
+  fs.mkdirSync(proofConfig.storageDir, { recursive: true });
+}
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: proofConfig.storageDir,
+    filename: (req, file, cb) => {
+      const suffix = crypto.randomBytes(8).toString('hex');
+      cb(null, `order-${parseInt(req.params.id)}-${Date.now()}-${suffix}${PHOTO_EXTENSIONS[file.mimetype]}`);
+    }
+  }),
+  limits: { fileSize: proofConfig.maxPhotoBytes, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!PHOTO_EXTENSIONS[file.mimetype]) {
+      return cb(createServiceError(400, 'يجب أن تكون صورة الإثبات بصيغة JPEG أو PNG أو WEBP أو HEIC', 'INVALID_PROOF_PHOTO'));
+    }
+    cb(null, true);
+  }
+});
+
+// Parses the multipart body with its optional "photo" file. multer's own
+// errors are turned into service errors so routes handle them like any other.
+const receiveProofPhoto = (req, res) => new Promise((resolve, reject) => {
+  upload.single('photo')(req, res, (error) => {
+    if (!error) return resolve(req.file || null);
+    if (error instanceof multer.MulterError) {
+      return reject(error.code === 'LIMIT_FILE_SIZE'
+        ? createServiceError(400, 'حجم صورة الإثبات كبير جداً', 'PROOF_PHOTO_TOO_LARGE')
+        : createServiceError(400, 'تعذر رفع صورة الإثبات', 'INVALID_PROOF_PHOTO'));
+    }
+    reject(error);
+  });
+});
+
+// Removes a photo that was uploaded for a delivery that did not go through
+const discardProofPhoto = (file) => {
+  if (!file) return;
+  fs.unlink(file.path, (error) => {
+    if (error) console.warn('[PROOF OF DELIVERY] Failed to remove photo:', error.message);
+  });
+};
+
+const codeMatches = (order, code) => {
+  if (!order.delivery_code || code === undefined || code === null) return false;
+  const expected = Buffer.from(order.delivery_code);
+  const actual = Buffer.from(String(code).trim());
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const isPhotoRequired = (order) =>
+  PHOTO_REQUIRED_PREFERENCES.includes(order.dropoff_preference) ||
+  !order.delivery_code ||
+  order.delivery_code_attempts >= proofConfig.maxCodeAttempts;
+
+// Counts a wrong code and tells the driver how many tries are left
+const rejectCode = async (order) => {
+  await Order.increment('delivery_code_attempts', { where: { id: order.id } });
+  const attemptsLeft = Math.max(0, proofConfig.maxCodeAttempts - order.delivery_code_attempts - 1);
+
+  console.warn(`[PROOF OF DELIVERY] Wrong delivery code for order #${order.id}, ${attemptsLeft} attempts left`);
+
+  if (attemptsLeft === 0) {
+    throw createServiceError(400, 'رمز التسليم غير صحيح، يجب الآن إرفاق صورة للتسليم', 'INVALID_DELIVERY_CODE', { attempts_left: 0, photo_required: true });
+  }
+  throw createServiceError(400, 'رمز التسليم غير صحيح', 'INVALID_DELIVERY_CODE', { attempts_left: attemptsLeft });
+};
+
+// Marks the order delivered once the code or photo checks out, and keeps the
+// proof for disputes. `photo` is the multer file, if one was uploaded.
+const deliverOrder = async (order, actor, { code, photo, location, notes } = {}) => {
+  if (actor.role === 'delivery' && order.assigned_to !== actor.id) {
+    throw createServiceError(403, 'هذا الطلب غير مُسند إليك', 'ORDER_NOT_ASSIGNED_TO_YOU');
+  }
+
+  if (order.status !== 'in_progress') {
+    throw createServiceError(400, `لا يمكن تسليم الطلب وهو في حالة "${order.status}"`, 'INVALID_STATUS_TRANSITION');
+  }
+
+  let method;
+  if (photo) {
+    method = 'photo';
+  } else if (isPhotoRequired(order)) {
+    throw createServiceError(400, 'يجب إرفاق صورة لإثبات التسليم', 'PROOF_PHOTO_REQUIRED');
+  } else if (code === undefined || code === null || code === '') {
+    throw createServiceError(400, 'يجب إدخال رمز التسليم من العميل أو إرفاق صورة', 'DELIVERY_PROOF_REQUIRED');
+  } else if (!codeMatches(order, code)) {
+    await rejectCode(order);
+  } else {
+    method = 'code';
+  }
+
+  const transaction = await Order.sequelize.transaction();
+  let proof;
+  try {
+    proof = await DeliveryProof.create({
+      order_id: order.id,
+      driver_id: order.assigned_to,
+      method,
+      dropoff_preference: order.dropoff_preference,
+      photo_file: photo ? photo.filename : null,
+      photo_mime_type: photo ? photo.mimetype : null,
+      location: toPoint(location),
+      notes: notes ? String(notes).trim().slice(0, 1000) : null
+    }, { transaction });
+
+    await transitionOrder(order, 'delivered', {
+      actor,
+      payload: { proof_id: proof.id, proof_method: method },
+      transaction
+    });
+    await cascadeOrderStatus(order.id, 'delivered', { transaction });
+    await bookDeliveredOrder(order, { transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  console.log(`[PROOF OF DELIVERY] Order #${order.id} delivered by ${actor.role} ${actor.id} with ${method}`);
+
+  return proof;
+};
+
+const getDeliveryProof = (orderId) => DeliveryProof.findOne({ where: { order_id: orderId } });
+
+// Absolute path of the stored photo, or null if the proof has none
+const proofPhotoPath = (proof) =>
+  proof && proof.photo_file ? path.join(proofConfig.storageDir, path.basename(proof.photo_file)) : null;
+
+const formatDeliveryProof = (proof) => ({
+  id: proof.id,
+  order_id: proof.order_id,
+  driver_id: proof.driver_id,
+  method: proof.method,
+  dropoff_preference: proof.dropoff_preference,
+  has_photo: Boolean(proof.photo_file),
+  photo_url: proof.photo_file ? `/api/orders/${proof.order_id}/proof/photo` : null,
+  location: proof.location,
+  notes: proof.notes,
+  delivered_at: proof.delivered_at
+});
+
+module.exports = {
+  DROPOFF_PREFERENCES,
+  PHOTO_REQUIRED_PREFERENCES,
+  receiveProofPhoto,
+  discardProofPhoto,
+  isPhotoRequired,
+  deliverOrder,
+  getDeliveryProof,
+  proofPhotoPath,
+  formatDeliveryProof
+};
@@ -0,0 +1,358 @@
+// src/services/refunds.js - Full and partial order refunds and the settlement changes they cause
+const Order = require('../models/Order');
+const OrderRefund = require('../models/OrderRefund');
+const PaymentIntent = require('../models/PaymentIntent');
+const { recordOrderEvent } = require('./orderEvents');
+const { notify } = require('./notifications');
+const { calculateTax } = require('./orderPricing');
+const { refundPayment } = require('./payments');
+const { creditWallet } = require('./wallet');
+const { reverseOrderSettlement } = require('./cashLedger');
+const { createServiceError } = require('./errors');
+const { roundMoney } = require('./money');
+
+const REFUND_REASONS = [
+  'order_cancelled',
+  'restaurant_rejected',
+  'item_missing',
+  'wrong_item',
+  'quality_issue',
+  'damaged',
+  'late_delivery',
+  'not_delivered',
+  'overcharged',
+  'goodwill',
+  'other'
+];
+
+const REFUND_DESTINATIONS = ['original_method', 'wallet'];
+
+const invalidRefund = (message, code, details) => createServiceError(400, message, code, details);
+
+// A pending refund holds its amount while the provider is called; a failed
+// one gave nothing back and no longer counts
+const isCounted = (refund) => refund.status !== 'failed';
+
+// What the customer actually paid: online captures, or the cash handed over on delivery
+const amountPaid = async (order, { transaction } = {}) => {
+  if (order.payment_status === 'not_required') {
+    return order.status === 'delivered' ? roundMoney(order.total) : 0;
+  }
+  const captured = await PaymentIntent.sum('captured_amount', { where: { order_id: order.id }, transaction });
+  return roundMoney(captured || 0);
+};
+
+const getRefundSummary = async (order, { refunds, transaction } = {}) => {
+  const previous = (refunds || await OrderRefund.findAll({ where: { order_id: order.id }, transaction })).filter(isCounted);
+  const paid = await amountPaid(order, { transaction });
+  const refunded = roundMoney(previous.reduce((sum, refund) => sum + refund.amount, 0));
+  return {
+    paid,
+    refunded,
+    refundable: roundMoney(Math.max(0, paid - refunded)),
+    delivery_fee_refunded: previous.some(refund => refund.delivery_fee_amount > 0)
+  };
+};
+
+// Quantity of each item (by its position in order.items) already refunded
+const refundedQuantities = (refunds) => {
+  const quantities = new Map();
+  refunds.forEach(refund => (refund.items || []).forEach(line => {
+    quantities.set(line.index, (quantities.get(line.index) || 0) + line.quantity);
+  }));
+  return quantities;
+};
+
+// Prices each requested line at what the customer paid for it, tax included.
+// `base` is the pre-tax value the restaurant was credited with.
+const priceRefundLines = (order, requested, alreadyRefunded) => {
+  const taken = new Map(alreadyRefunded);
+  const errors = [];
+  const lines = [];
+
+  requested.forEach((entry, position) => {
+    const index = parseInt(entry && entry.index);
+    const item = Number.isInteger(index) ? order.items[index] : undefined;
+    if (!item) {
+      errors.push({ field: `items[${position}].index`, message: 'العنصر غير موجود في الطلب' });
+      return;
+    }
+
+    const remaining = item.quantity - (taken.get(index) || 0);
+    const quantity = entry.quantity === undefined ? remaining : parseInt(entry.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > remaining) {
+      errors.push({ field: `items[${position}].quantity`, message: 'الكمية غير صحيحة', remaining });
+      return;
+    }
+    taken.set(index, (taken.get(index) || 0) + quantity);
+
+    const base = roundMoney((item.unit_price ?? item.price) * quantity);
+    lines.push({
+      index,
+      menu_item_id: item.menu_item_id || item.id || null,
+      name: item.name,
+      quantity,
+      base,
+      amount: roundMoney(base + calculateTax(base)),
+      restaurant_id: item.restaurant_id || null
+    });
+  });
+
+  if (errors.length > 0) {
+    throw invalidRefund('عناصر الاسترداد غير صحيحة', 'INVALID_REFUND_ITEMS', errors);
+  }
+  return lines;
+};
+
+// Every item quantity not yet refunded
+const remainingLines = (order, alreadyRefunded) => priceRefundLines(
+  order,
+  order.items
+    .map((item, index) => ({ index, quantity: item.quantity - (alreadyRefunded.get(index) || 0) }))
+    .filter(entry => entry.quantity > 0),
+  alreadyRefunded
+);
+
+// Works out what to refund. Items are charged back to their restaurant and
+// the delivery fee to the courier; a bare amount (goodwill) is absorbed by
+// the platform and leaves settlements alone.
+const buildRefund = (order, input, refunds, summary) => {
+  const alreadyRefunded = refundedQuantities(refunds.filter(isCounted));
+  const refundType = input.type || 'partial';
+  if (!['full', 'partial'].includes(refundType)) {
+    throw invalidRefund('نوع الاسترداد غير صحيح', 'INVALID_REFUND_TYPE');
+  }
+
+  let lines = [];
+  let deliveryFee = 0;
+  let amount;
+
+  if (refundType === 'full') {
+    lines = remainingLines(order, alreadyRefunded);
+    deliveryFee = summary.delivery_fee_refunded ? 0 : roundMoney(order.delivery_fee);
+    amount = summary.refundable;
+  } else {
+    const hasItems = Array.isArray(input.items) && input.items.length > 0;
+    const includeDeliveryFee = input.include_delivery_fee === true || input.include_delivery_fee === 'true';
+    const hasAmount = input.amount !== undefined && input.amount !== null && input.amount !== '';
+
+    if (hasAmount && (hasItems || includeDeliveryFee)) {
+      throw invalidRefund('حدد العناصر أو المبلغ وليس كليهما', 'AMBIGUOUS_REFUND');
+    }
+    if (!hasAmount && !hasItems && !includeDeliveryFee) {
+      throw invalidRefund('حدد العناصر أو رسوم التوصيل أو المبلغ المسترد', 'REFUND_SCOPE_REQUIRED');
+    }
+
+    if (hasAmount) {
+      amount = roundMoney(input.amount);
+      if (!(amount > 0)) {
+        throw invalidRefund('المبلغ غير صحيح', 'INVALID_AMOUNT');
+      }
+      if (amount > summary.refundable) {
+        throw invalidRefund('المبلغ أكبر من المتبقي للاسترداد', 'REFUND_EXCEEDS_PAID', { refundable: summary.refundable });
+      }
+    } else {
+      if (hasItems) lines = priceRefundLines(order, input.items, alreadyRefunded);
+      if (includeDeliveryFee) {
+        if (summary.delivery_fee_refunded) {
+          throw invalidRefund('تم رد رسوم التوصيل مسبقاً', 'DELIVERY_FEE_ALREADY_REFUNDED');
+        }
+        deliveryFee = roundMoney(order.delivery_fee);
+      }
+      // A promo discount can make the lines worth more than was paid
+      amount = roundMoney(Math.min(
+        lines.reduce((sum, line) => sum + line.amount, 0) + deliveryFee,
+        summary.refundable
+      ));
+    }
+  }
+
+  if (!(amount > 0)) {
+    throw invalidRefund('لا يوجد مبلغ متبقٍ للاسترداد', 'NOTHING_TO_REFUND', summary);
+  }
+
+  return { refundType, lines, deliveryFee, amount };
+};
+
+// Checks the request against the refunds already on the order and records
+// it as pending. Taking the next refund_sequence of the order is a write, so
+// it holds the order until the commit and refunds on one order are checked
+// one after the other; (order_id, sequence) is unique besides.
+const reserveRefund = async (order, input, admin, { reasonCode, destination, notes }) => {
+  const transaction = await OrderRefund.sequelize.transaction();
+  try {
+    await Order.update(
+      { refund_sequence: Order.sequelize.literal('refund_sequence + 1') },
+      { where: { id: order.id }, transaction }
+    );
+    const { refund_sequence: sequence } = await Order.findByPk(order.id, { attributes: ['refund_sequence'], transaction });
+
+    const refunds = await OrderRefund.findAll({ where: { order_id: order.id }, transaction });
+    const summary = await getRefundSummary(order, { refunds, transaction });
+    if (summary.refundable <= 0) {
+      throw invalidRefund('لا يوجد مبلغ متبقٍ للاسترداد', 'NOTHING_TO_REFUND', summary);
+    }
+
+    const { refundType, lines, deliveryFee, amount } = buildRefund(order, input, refunds, summary);
+
+    const refund = await OrderRefund.create({
+      order_id: order.id,
+      sequence,
+      status: 'pending',
+      user_id: order.user_id,
+      amount,
+      refund_type: refundType,
+      reason_code: reasonCode,
+      notes,
+      destination,
+      items: lines.map(({ base, ...line }) => line),
+      delivery_fee_amount: deliveryFee,
+      created_by: admin.id
+    }, { transaction });
+
+    await transaction.commit();
+    return { refund, lines };
+  } catch (error) {
+    await transaction.rollback();
+    // SQLite reports a writer that could not wait for the order as a timeout
+    if (error.name === 'SequelizeUniqueConstraintError' || error.name === 'SequelizeTimeoutError') {
+      throw createServiceError(409, 'يوجد استرداد آخر قيد التنفيذ لهذا الطلب، يرجى المحاولة مرة أخرى', 'REFUND_IN_PROGRESS');
+    }
+    throw error;
+  }
+};
+
+const issueRefund = async (order, input, admin) => {
+  const reasonCode = input.reason_code;
+  if (!REFUND_REASONS.includes(reasonCode)) {
+    throw invalidRefund('سبب الاسترداد غير صحيح', 'INVALID_REFUND_REASON', { allowed_values: REFUND_REASONS });
+  }
+
+  const destination = input.destination || 'original_method';
+  if (!REFUND_DESTINATIONS.includes(destination)) {
+    throw invalidRefund('وجهة الاسترداد غير صحيحة', 'INVALID_REFUND_DESTINATION', { allowed_values: REFUND_DESTINATIONS });
+  }
+  if (destination === 'original_method' && order.payment_status === 'not_required') {
+    throw invalidRefund('الطلب مدفوع نقداً، يمكن الاسترداد إلى المحفظة فقط', 'REFUND_DESTINATION_UNAVAILABLE');
+  }
+
+  const notes = input.notes ? String(input.notes).trim().slice(0, 1000) : null;
+  const { refund, lines } = await reserveRefund(order, input, admin, { reasonCode, destination, notes });
+  const { refund_type: refundType, amount, delivery_fee_amount: deliveryFee } = refund;
+
+  // The pending refund already holds the amount, so the provider is called
+  // before the money is booked; if it refuses, the refund is marked failed
+  let providerRefund = null;
+  if (destination === 'original_method') {
+    try {
+      providerRefund = await refundPayment(order, amount);
+    } catch (error) {
+      await refund.update({ status: 'failed' });
+      throw error;
+    }
+  }
+
+  const restaurantAmounts = new Map();
+  lines.forEach(line => {
+    if (!line.restaurant_id) return;
+    restaurantAmounts.set(line.restaurant_id, roundMoney((restaurantAmounts.get(line.restaurant_id) || 0) + line.base));
+  });
+
+  const transaction = await OrderRefund.sequelize.transaction();
+  try {
+    const walletEntry = destination === 'wallet'
+      ? await creditWallet(order.user_id, amount, {
+        type: 'refund',
+        orderId: order.id,
+        description: `استرداد للطلب #${order.id}`,
+        createdBy: admin.id,
+        transaction
+      })
+      : null;
+
+    const adjustments = await reverseOrderSettlement(order, {
+      restaurants: restaurantAmounts,
+      driverAmount: deliveryFee
+    }, { notes: `refund: ${reasonCode}`, recordedBy: admin.id, transaction });
+
+    await refund.update({
+      status: 'completed',
+      settlement_adjustments: adjustments,
+      payment_intent_id: providerRefund ? providerRefund.intent.id : null,
+      provider_refund_reference: providerRefund ? providerRefund.refund_reference : null,
+      wallet_transaction_id: walletEntry ? walletEntry.id : null
+    }, { transaction });
+
+    await recordOrderEvent(order.id, {
+      type: 'refund_issued',
+      from: order.status,
+      to: order.status,
+      actor: admin,
+      reason: reasonCode,
+      payload: {
+        refund_id: refund.id,
+        amount,
+        refund_type: refundType,
+        destination,
+        ...(lines.length > 0 && { items: lines.map(line => ({ index: line.index, name: line.name, quantity: line.quantity })) }),
+        ...(deliveryFee > 0 && { delivery_fee: deliveryFee })
+      }
+    }, { transaction });
+
+    await notify(order.user_id, {
+      type: 'refund_issued',
+      title: 'تم استرداد مبلغ',
+      message: destination === 'wallet'
+        ? `تمت إضافة ${amount} إلى محفظتك عن الطلب #${order.id}`
+        : `تم رد ${amount} إلى وسيلة الدفع عن الطلب #${order.id}`,
+      payload: { order_id: order.id, refund_id: refund.id, amount }
+    }, { transaction });
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    if (providerRefund) {
+      // The money is back with the customer: the refund stays pending so it
+      // still counts, and staff finish the booking by hand
+      console.error(`[REFUNDS] Provider refunded ${amount} for order #${order.id} (${providerRefund.refund_reference}) but recording refund #${refund.id} failed`);
+    } else {
+      await refund.update({ status: 'failed' });
+    }
+    throw error;
+  }
+
+  console.log(`[REFUNDS] ${refundType} refund #${refund.id} of ${amount} on order #${order.id} to ${destination} by admin ${admin.id}`);
+  return refund;
+};
+
+const listRefunds = (orderId) => OrderRefund.findAll({
+  where: { order_id: orderId },
+  order: [['created_at', 'ASC'], ['id', 'ASC']]
+});
+
+const formatRefund = (refund) => ({
+  id: refund.id,
+  order_id: refund.order_id,
+  status: refund.status,
+  amount: refund.amount,
+  refund_type: refund.refund_type,
+  reason_code: refund.reason_code,
+  notes: refund.notes,
+  destination: refund.destination,
+  items: refund.items,
+  delivery_fee_amount: refund.delivery_fee_amount,
+  settlement_adjustments: refund.settlement_adjustments,
+  provider_refund_reference: refund.provider_refund_reference,
+  wallet_transaction_id: refund.wallet_transaction_id,
+  created_by: refund.created_by,
+  created_at: refund.created_at
+});
+
+module.exports = {
+  REFUND_REASONS,
+  REFUND_DESTINATIONS,
+  getRefundSummary,
+  issueRefund,
+  listRefunds,
+  formatRefund
+};
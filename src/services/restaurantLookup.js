@@ -0,0 +1,69 @@
+// src/services/restaurantLookup.js - Resolves restaurants from either the restaurants table or restaurant users
+const { Op } = require('sequelize');
+const Restaurant = require('../models/Restaurant');
+const User = require('../models/User');
+const { toAmount } = require('./money');
+
+// Restaurants live in the restaurants table, but older accounts only exist as
+// users with role "restaurant" (see routes/restaurants.js). Menu items and
+// orders reference them by email, so lookups go through the email as well.
+const fromRestaurantRow = (restaurant) => ({
+  source: 'restaurant',
+  id: restaurant.id,
+  user_id: restaurant.user_id || null,
+  name: restaurant.name,
+  email: restaurant.email,
+  phone: restaurant.phone,
+  status: restaurant.status,
+  delivery_fee: toAmount(restaurant.delivery_fee),
+  restaurant_location: restaurant.restaurant_location
+});
+
+const fromRestaurantUser = (user) => ({
+  source: 'user',
+  id: user.id,
+  user_id: user.id,
+  name: user.restaurantName || user.name,
+  email: user.email,
+  phone: user.phone,
+  status: user.isActive === false ? 'suspended' : (user.isVerified ? 'active' : 'pending'),
+  delivery_fee: 0,
+  restaurant_location: user.location || null
+});
+
+const findRestaurantsByEmails = async (emails, options = {}) => {
+  const normalized = [...new Set(emails.filter(Boolean).map(email => email.toLowerCase().trim()))];
+  const found = new Map();
+
+  if (normalized.length === 0) {
+    return found;
+  }
+
+  const restaurants = await Restaurant.findAll({
+    where: { email: { [Op.in]: normalized } },
+    transaction: options.transaction
+  });
+  restaurants.forEach(restaurant => found.set(restaurant.email.toLowerCase(), fromRestaurantRow(restaurant)));
+
+  const missing = normalized.filter(email => !found.has(email));
+  if (missing.length > 0) {
+    const users = await User.findAll({
+      where: { email: { [Op.in]: missing }, role: 'restaurant' },
+      transaction: options.transaction
+    });
+    users.forEach(user => found.set(user.email.toLowerCase(), fromRestaurantUser(user)));
+  }
+
+  return found;
+};
+
+const findRestaurantByEmail = async (email, options = {}) => {
+  if (!email) return null;
+  const found = await findRestaurantsByEmails([email], options);
+  return found.get(email.toLowerCase().trim()) || null;
+};
+
+module.exports = {
+  findRestaurantByEmail,
+  findRestaurantsByEmails
+};
@@ -0,0 +1,66 @@
+// src/services/rideEvents.js - Live updates for ride requests and ride status changes
+const { publish } = require('./eventStream');
+
+// Guest rides have no account to push to
+const findRideCustomerIds = async (ride) => (ride.user_id ? [ride.user_id] : []);
+
+const rideSummary = (ride) => ({
+  ride_id: parseInt(ride.id),
+  service_type: ride.service_type,
+  status: ride.status,
+  pickup_address: ride.pickup_address,
+  dropoff_address: ride.dropoff_address,
+  ride_type: ride.ride_type,
+  vehicle_type: ride.vehicle_type,
+  fare: ride.fare === null || ride.fare === undefined ? null : parseFloat(ride.fare)
+});
+
+// A new ride is open to every driver until one accepts it
+const publishRideRequested = (ride) => {
+  publish('ride_requested', {
+    ...rideSummary(ride),
+    created_at: ride.created_at
+  }, { roles: ['driver'] });
+};
+
+// Never throws: a missed live update must not fail the ride update itself
+const publishRideStatus = async (ride, previousStatus) => {
+  try {
+    if (!ride || ride.status === previousStatus) return;
+
+    const customerIds = await findRideCustomerIds(ride);
+
+    publish('ride_status', {
+      ...rideSummary(ride),
+      from_status: previousStatus,
+      driver_id: ride.driver_id || null,
+      driver_name: ride.driver_name || null,
+      driver_phone: ride.driver_phone || null,
+      changed_at: ride.updated_at || new Date()
+    }, { userIds: customerIds });
+  } catch (error) {
+    console.error(`[STREAM] Failed to publish status of ride #${ride && ride.id}:`, error);
+  }
+};
+
+const publishDriverArrived = async (ride) => {
+  try {
+    const customerIds = await findRideCustomerIds(ride);
+
+    publish('ride_driver_arrived', {
+      ...rideSummary(ride),
+      driver_id: ride.driver_id || null,
+      driver_name: ride.driver_name || null,
+      driver_phone: ride.driver_phone || null,
+      arrived_at: ride.driver_arrived_at
+    }, { userIds: customerIds });
+  } catch (error) {
+    console.error(`[STREAM] Failed to publish arrival for ride #${ride && ride.id}:`, error);
+  }
+};
+
+module.exports = {
+  publishRideRequested,
+  publishRideStatus,
+  publishDriverArrived
+};
@@ -0,0 +1,77 @@
+// src/services/rideTracking.js - Tracking tokens that let guests follow a ride without an account
+const crypto = require('crypto');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+
+const hashTrackingToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// The plain token is returned to the guest once; only its hash is stored
+const generateTrackingToken = () => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, hash: hashTrackingToken(token) };
+};
+
+const tokenMatches = (ride, token) => {
+  if (!token || !ride.tracking_token_hash) return false;
+
+  const expected = Buffer.from(ride.tracking_token_hash, 'hex');
+  const actual = Buffer.from(hashTrackingToken(token), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Returns null both for unknown rides and wrong tokens, so ride ids cannot be probed
+const findRideByTrackingToken = async (rideId, token) => {
+  const ride = await Ride.findByPk(parseInt(rideId), {
+    include: [{
+      model: User,
+      as: 'driver',
+      attributes: ['id', 'name', 'phone', 'vehicle', 'rating'],
+      required: false
+    }]
+  });
+
+  return ride && tokenMatches(ride, token) ? ride : null;
+};
+
+// What a guest holding the token may see: no customer details or internal fields
+const formatTrackedRide = (ride) => ({
+  id: ride.id,
+  service_type: ride.service_type,
+  status: ride.status,
+  pickup_address: ride.pickup_address,
+  pickup_coordinates: ride.pickup_coordinates,
+  dropoff_address: ride.dropoff_address,
+  dropoff_coordinates: ride.dropoff_coordinates,
+  ride_type: ride.ride_type,
+  vehicle_type: ride.vehicle_type,
+  payment_method: ride.payment_method,
+  estimated_distance: ride.estimated_distance,
+  estimated_duration: ride.estimated_duration,
+  scheduled_for: ride.scheduled_for,
+  fare: ride.fare,
+  quoted_fare: ride.quoted_fare,
+  discount: ride.discount,
+  promo_code: ride.promo_code,
+  actual_distance_km: ride.actual_distance_km,
+  actual_duration_minutes: ride.actual_duration_minutes,
+  driver: ride.driver ? {
+    name: ride.driver.name,
+    phone: ride.driver.phone,
+    vehicle: ride.driver.vehicle,
+    rating: ride.driver.rating
+  } : null,
+  accepted_at: ride.accepted_at,
+  driver_arrived_at: ride.driver_arrived_at,
+  started_at: ride.started_at,
+  completed_at: ride.completed_at,
+  cancelled_at: ride.cancelled_at,
+  created_at: ride.created_at
+});
+
+module.exports = {
+  generateTrackingToken,
+  hashTrackingToken,
+  findRideByTrackingToken,
+  formatTrackedRide
+};
@@ -0,0 +1,169 @@
+// src/services/rideWorkflow.js - Ride lifecycle actions and who may perform them
+const ridesConfig = require('../config/rides');
+const { createServiceError } = require('./errors');
+const { publishRideStatus, publishDriverArrived } = require('./rideEvents');
+const { calculateFinalFare } = require('./fareEstimator');
+const { getTripPoints, measureTrace } = require('./tripTrace');
+const { releaseRedemptions } = require('./promoCodes');
+const { assertPaymentAuthorized, releasePaymentAfterCommit, capturePaymentAfterCommit } = require('./payments');
+const { recordRideEarning } = require('./earnings');
+const { roundMoney } = require('./money');
+
+// Arriving at the pickup point is recorded on the ride but keeps it "accepted"
+const rideTransitions = {
+  'scheduled': ['pending', 'cancelled'],
+  'pending': ['accepted', 'cancelled'],
+  'accepted': ['in_progress', 'cancelled'],
+  'in_progress': ['completed', 'cancelled'],
+  'completed': [],
+  'cancelled': []
+};
+
+const RIDE_ACTIONS = {
+  accept: { to: 'accepted', roles: ['driver'] },
+  arrive: { to: 'accepted', roles: ['driver', 'admin'] },
+  start: { to: 'in_progress', roles: ['driver', 'admin'] },
+  complete: { to: 'completed', roles: ['driver', 'admin'] },
+  // Guests reach this only through their tracking token
+  cancel: { to: 'cancelled', roles: ['customer', 'user', 'guest', 'driver', 'admin'] }
+};
+
+// Statuses the legacy PUT /api/rides/:id body may ask for
+const ACTION_FOR_STATUS = {
+  'accepted': 'accept',
+  'in_progress': 'start',
+  'completed': 'complete',
+  'cancelled': 'cancel'
+};
+
+const canTransition = (from, to) => (rideTransitions[from] || []).includes(to);
+
+const isRideCustomer = (ride, user) => Boolean(ride.user_id) && ride.user_id === user.id;
+
+const assertRideAction = (ride, action, actor) => {
+  const definition = RIDE_ACTIONS[action];
+  if (!definition) {
+    throw createServiceError(400, 'إجراء غير معروف للرحلة', 'UNKNOWN_RIDE_ACTION');
+  }
+
+  if (!definition.roles.includes(actor.role)) {
+    throw createServiceError(403, 'غير مُخوَّل لتنفيذ هذا الإجراء على الرحلة', 'RIDE_ACTION_NOT_ALLOWED');
+  }
+
+  if (action === 'arrive') {
+    if (ride.status !== 'accepted') {
+      throw createServiceError(400, `لا يمكن تسجيل الوصول والرحلة في حالة "${ride.status}"`, 'INVALID_RIDE_TRANSITION');
+    }
+    if (ride.driver_arrived_at) {
+      throw createServiceError(400, 'تم تسجيل وصول السائق مسبقاً', 'DRIVER_ALREADY_ARRIVED');
+    }
+  } else if (!canTransition(ride.status, definition.to)) {
+    throw createServiceError(
+      400,
+      `لا يمكن تغيير حالة الرحلة من "${ride.status}" إلى "${definition.to}"`,
+      'INVALID_RIDE_TRANSITION'
+    );
+  }
+
+  if (actor.role === 'driver' && action !== 'accept' && ride.driver_id !== actor.id) {
+    throw createServiceError(403, 'لا يمكنك تعديل طلب سائق آخر', 'RIDE_NOT_ASSIGNED_TO_YOU');
+  }
+
+  if ((actor.role === 'customer' || actor.role === 'user') && !isRideCustomer(ride, actor)) {
+    throw createServiceError(403, 'غير مُخوَّل لتعديل هذه الرحلة', 'RIDE_NOT_YOURS');
+  }
+};
+
+// Measures the finished ride from its GPS trace. Without at least two usable
+// fixes the quoted distance stands in, so a driver with a dead phone is still paid.
+// A result far above the quote points at a bad trace, so the quote is charged.
+const computeFinalFare = async (ride, completedAt = new Date()) => {
+  const trace = measureTrace(await getTripPoints('ride', ride.id), { from: ride.started_at, to: completedAt });
+  const distanceKm = trace.measured_points >= 2
+    ? trace.distance_km
+    : parseFloat(ride.estimated_distance) || 0;
+
+  const durationMinutes = ride.started_at
+    ? Math.max(1, Math.ceil((completedAt - new Date(ride.started_at)) / 60000))
+    : parseInt(ride.estimated_duration) || 1;
+
+  const { fare } = await calculateFinalFare(ride, { distanceKm, durationMinutes });
+
+  // The promo discount was fixed at booking and comes off the final fare
+  const measuredFare = roundMoney(Math.max(0, fare - (parseFloat(ride.discount) || 0)));
+  const quotedFare = ride.quoted_fare ?? ride.fare;
+  const ceiling = roundMoney((parseFloat(quotedFare) || 0) * ridesConfig.maxFareOverQuote);
+  const overCeiling = ceiling > 0 && measuredFare > ceiling;
+
+  if (overCeiling) {
+    console.warn(`[RIDE] #${ride.id} measured fare ${measuredFare} is over ${ceiling}, charging the quote ${quotedFare}`);
+  }
+
+  return {
+    fare: overCeiling ? roundMoney(parseFloat(quotedFare)) : measuredFare,
+    quoted_fare: quotedFare,
+    actual_distance_km: distanceKm,
+    actual_duration_minutes: durationMinutes
+  };
+};
+
+// Applies one action to the ride. Each action only writes the fields it owns.
+const performRideAction = async (ride, action, actor, { reason = null } = {}) => {
+  assertRideAction(ride, action, actor);
+  const previousStatus = ride.status;
+
+  switch (action) {
+    case 'accept': {
+      assertPaymentAuthorized(ride);
+      const accepted = await ride.acceptByDriver(actor);
+      if (!accepted) {
+        throw createServiceError(409, 'تم قبول هذه الرحلة من سائق آخر', 'RIDE_ALREADY_TAKEN');
+      }
+      break;
+    }
+    case 'arrive':
+      await ride.markArrived();
+      break;
+    case 'start':
+      await ride.startRide();
+      break;
+    case 'complete':
+      await ride.completeRide(await computeFinalFare(ride));
+      try {
+        await recordRideEarning(ride);
+      } catch (error) {
+        // The ride stays completed; staff can book the pay by hand
+        console.error(`[RIDE] Failed to book earnings for ride #${ride.id}:`, error);
+      }
+      await capturePaymentAfterCommit(ride);
+      break;
+    case 'cancel': {
+      const cancelledBy = ['user', 'guest'].includes(actor.role) ? 'customer' : actor.role;
+      await ride.cancelRide(reason ? String(reason).trim().slice(0, 500) : null, cancelledBy);
+      await releaseRedemptions({ ride_id: ride.id });
+      await releasePaymentAfterCommit(ride);
+      break;
+    }
+  }
+
+  console.log(`[RIDE] #${ride.id} ${action}: ${previousStatus} -> ${ride.status} by ${actor.role} ${actor.id}`);
+
+  if (action === 'arrive') {
+    await publishDriverArrived(ride);
+  } else {
+    await publishRideStatus(ride, previousStatus);
+  }
+
+  return { ride, previousStatus };
+};
+
+module.exports = {
+  rideTransitions,
+  RIDE_ACTIONS,
+  ACTION_FOR_STATUS,
+  canTransition,
+  isRideCustomer,
+  assertRideAction,
+  computeFinalFare,
+  performRideAction
+};
@@ -0,0 +1,177 @@
+// src/services/scheduler.js - Holds pre-booked orders and rides until it is time to dispatch them
+const { Op } = require('sequelize');
+const Order = require('../models/Order');
+const Ride = require('../models/Ride');
+const Restaurant = require('../models/Restaurant');
+const schedulingConfig = require('../config/scheduling');
+const { createServiceError } = require('./errors');
+const { isOpenAt, closedReasonAt, nextOpeningAt } = require('./openingHours');
+const { initialStatusFor, transitionOrder } = require('./orderWorkflow');
+const { announceOrder } = require('./dispatch');
+const { publishRideRequested, publishRideStatus } = require('./rideEvents');
+const { isAwaitingPayment } = require('./payments');
+
+let sweeper = null;
+let sweeping = false;
+
+const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+// null when the client asked for "as soon as possible"
+const parseScheduledFor = (value, now = new Date()) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const scheduledFor = new Date(value);
+  if (isNaN(scheduledFor.getTime())) {
+    throw createServiceError(400, 'موعد الجدولة غير صحيح', 'INVALID_SCHEDULED_TIME');
+  }
+  if (scheduledFor < minutesFrom(now, schedulingConfig.minLeadMinutes)) {
+    throw createServiceError(
+      400,
+      `يجب أن يكون موعد الجدولة بعد ${schedulingConfig.minLeadMinutes} دقيقة على الأقل`,
+      'SCHEDULED_TIME_TOO_SOON'
+    );
+  }
+  if (scheduledFor > minutesFrom(now, schedulingConfig.maxDaysAhead * 24 * 60)) {
+    throw createServiceError(
+      400,
+      `لا يمكن الجدولة لأكثر من ${schedulingConfig.maxDaysAhead} أيام مقدماً`,
+      'SCHEDULED_TIME_TOO_FAR'
+    );
+  }
+  return scheduledFor;
+};
+
+// Leaves the kitchen and the driver estimated_delivery_time plus a buffer
+const orderReleaseTime = (scheduledFor, estimatedDeliveryMinutes) =>
+  minutesFrom(scheduledFor, -((parseInt(estimatedDeliveryMinutes) || 30) + schedulingConfig.orderReleaseBufferMinutes));
+
+const rideReleaseTime = (scheduledFor) =>
+  minutesFrom(scheduledFor, -schedulingConfig.rideReleaseLeadMinutes);
+
+// Each restaurant must be open when the customer wants the food: now, or at
+// the slot a pre-booked order is for. Restaurants are matched by email, as the
+// checkout lookup does, because restaurants that only exist as users have no
+// Restaurant row (and no opening hours, so they count as open).
+const assertRestaurantsOpenAt = async (restaurantEmails, at, { scheduled = false } = {}) => {
+  const emails = [...new Set(restaurantEmails.filter(Boolean).map(email => email.toLowerCase().trim()))];
+  if (emails.length === 0) return;
+
+  const restaurants = await Restaurant.findAll({ where: { email: { [Op.in]: emails } } });
+  const closed = restaurants.filter(restaurant => !isOpenAt(restaurant, at));
+
+  if (closed.length > 0) {
+    throw createServiceError(
+      400,
+      scheduled ? 'المطعم مغلق في الموعد المطلوب' : 'المطعم مغلق حالياً ولا يستقبل طلبات',
+      scheduled ? 'RESTAURANT_CLOSED_AT_SCHEDULED_TIME' : 'RESTAURANT_CLOSED',
+      closed.map(restaurant => ({
+        restaurant_id: restaurant.id,
+        name: restaurant.name,
+        closed_reason: closedReasonAt(restaurant, at),
+        next_opening_at: nextOpeningAt(restaurant, at)
+      }))
+    );
+  }
+};
+
+// Returns false when the order left "scheduled" (was cancelled) after the
+// sweep read it; transitionOrder only moves it on from that status
+const releaseOrder = async (order) => {
+  try {
+    await transitionOrder(order, initialStatusFor(order.type), {
+      reason: 'scheduled_release',
+      payload: { scheduled_for: order.scheduled_for }
+    });
+  } catch (error) {
+    if (error.code === 'ORDER_STATUS_CHANGED') return false;
+    throw error;
+  }
+  await announceOrder(order);
+  return true;
+};
+
+const releaseDueOrders = async (now = new Date()) => {
+  const due = await Order.findAll({
+    where: { status: 'scheduled', release_at: { [Op.lte]: now } },
+    order: [['release_at', 'ASC']]
+  });
+
+  let released = 0;
+  for (const order of due) {
+    try {
+      if (!(await releaseOrder(order))) continue;
+      released++;
+      console.log(`[SCHEDULER] Released order #${order.id} (due ${order.scheduled_for.toISOString()})`);
+    } catch (error) {
+      console.error(`[SCHEDULER] Failed to release order #${order.id}:`, error);
+    }
+  }
+  return released;
+};
+
+const releaseDueRides = async (now = new Date()) => {
+  const due = await Ride.findAll({
+    where: { status: 'scheduled', release_at: { [Op.lte]: now } },
+    order: [['release_at', 'ASC']]
+  });
+
+  let released = 0;
+  for (const ride of due) {
+    // Conditional so a cancellation racing the sweep wins
+    const [updated] = await Ride.update({ status: 'pending' }, {
+      where: { id: ride.id, status: 'scheduled' }
+    });
+    if (updated === 0) continue;
+
+    ride.status = 'pending';
+    released++;
+    console.log(`[SCHEDULER] Released ride #${ride.id} (pickup ${ride.scheduled_for.toISOString()})`);
+    await publishRideStatus(ride, 'scheduled');
+    if (!isAwaitingPayment(ride)) {
+      publishRideRequested(ride);
+    }
+  }
+  return released;
+};
+
+const sweepScheduledJobs = async () => {
+  if (sweeping) return;
+  sweeping = true;
+  try {
+    await releaseDueOrders();
+    await releaseDueRides();
+  } finally {
+    sweeping = false;
+  }
+};
+
+const startScheduler = () => {
+  if (sweeper) return sweeper;
+
+  sweeper = setInterval(() => {
+    sweepScheduledJobs().catch(error => console.error('[SCHEDULER] Sweep failed:', error));
+  }, schedulingConfig.sweepIntervalSeconds * 1000);
+  sweeper.unref();
+
+  console.log(`[SCHEDULER] Releasing scheduled orders and rides every ${schedulingConfig.sweepIntervalSeconds}s`);
+  return sweeper;
+};
+
+const stopScheduler = () => {
+  if (sweeper) {
+    clearInterval(sweeper);
+    sweeper = null;
+  }
+};
+
+module.exports = {
+  parseScheduledFor,
+  orderReleaseTime,
+  rideReleaseTime,
+  assertRestaurantsOpenAt,
+  releaseDueOrders,
+  releaseDueRides,
+  sweepScheduledJobs,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,425 @@
+// src/services/settlements.js - Restaurant commission and per-period settlement statements
+const { Op } = require('sequelize');
+const Order = require('../models/Order');
+const OrderFulfillment = require('../models/OrderFulfillment');
+const CourierLedgerEntry = require('../models/CourierLedgerEntry');
+const Restaurant = require('../models/Restaurant');
+const RestaurantStatement = require('../models/RestaurantStatement');
+const RestaurantStatementLine = require('../models/RestaurantStatementLine');
+const settlementsConfig = require('../config/settlements');
+const { createServiceError } = require('./errors');
+const { roundMoney } = require('./money');
+const { localDateKey, addDays, weekStart, monthStart, addMonths, queryBounds } = require('./localDates');
+
+const STATEMENT_STATUSES = ['unpaid', 'paid'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DROPPED_FULFILLMENT_STATUSES = ['rejected', 'cancelled'];
+// Periods the job catches up on after the server was down
+const MAX_CATCH_UP_PERIODS = 12;
+
+const STATEMENT_CSV_COLUMNS = [
+  { key: 'order_id', header: 'order_id' },
+  { key: 'delivered_at', header: 'delivered_at' },
+  { key: 'items_count', header: 'items_count' },
+  { key: 'gross_sales', header: 'gross_sales' },
+  { key: 'refunds', header: 'refunds' },
+  { key: 'commission_amount', header: 'commission_amount' },
+  { key: 'net_payable', header: 'net_payable' }
+];
+
+let sweeper = null;
+let sweeping = false;
+let lastSweptPeriodStart = null;
+
+// Body value for Restaurant.commission_rate: a share between 0 and 1, or
+// null / "" to fall back to the default rate
+const parseCommissionRate = (value) => {
+  if (value === null || value === '') return null;
+
+  const rate = parseFloat(value);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+    throw createServiceError(400, 'نسبة العمولة يجب أن تكون بين 0 و 1', 'INVALID_COMMISSION_RATE');
+  }
+  return rate;
+};
+
+const today = () => localDateKey(new Date(), settlementsConfig.timezone);
+
+const periodStartOf = (key) => (settlementsConfig.period === 'month'
+  ? monthStart(key)
+  : weekStart(key, settlementsConfig.weekStartsOn));
+
+// The settlement period containing the given local date (default today)
+const periodFor = (key = today()) => {
+  const start = periodStartOf(key);
+  const end = settlementsConfig.period === 'month' ? addDays(addMonths(start, 1), -1) : addDays(start, 6);
+  return { period: settlementsConfig.period, start, end };
+};
+
+const lastClosedPeriod = () => periodFor(addDays(periodFor().start, -1));
+
+// A closed period from an admin's ?period_start=YYYY-MM-DD (any date inside it)
+const closedPeriodFrom = (value) => {
+  if (value === undefined || value === null || value === '') return lastClosedPeriod();
+  if (!DATE_PATTERN.test(value)) {
+    throw createServiceError(400, 'صيغة التاريخ غير صحيحة (YYYY-MM-DD)', 'INVALID_DATE');
+  }
+
+  const period = periodFor(value);
+  if (period.end >= today()) {
+    throw createServiceError(400, 'لا يمكن إصدار كشف لفترة لم تنته بعد', 'PERIOD_NOT_CLOSED', {
+      period_start: period.start,
+      period_end: period.end
+    });
+  }
+  return period;
+};
+
+// restaurant_emails is stored as a JSON array string, so match the quoted email
+const restaurantEmailWhere = (email) => ({
+  restaurant_emails: { [Op.like]: `%"${email}"%` }
+});
+
+// Each restaurant's part of a delivered order, from the order's own
+// restaurants and items arrays. Restaurants whose sub-order was rejected or
+// cancelled sold nothing.
+const restaurantSales = (order, isDropped) => {
+  const items = order.items || [];
+  const stored = order.restaurants || [];
+  const emails = (stored.length > 0 ? stored.map(r => r.email) : order.restaurant_emails || [])
+    .filter(Boolean)
+    .map(email => email.toLowerCase());
+
+  return emails
+    .map((email, index) => {
+      // Items of orders from before multi-restaurant baskets carry no restaurant_email
+      const lines = items.filter(item =>
+        (item.restaurant_email ? item.restaurant_email.toLowerCase() === email : index === 0)
+      );
+      const entry = stored.find(r => r.email && r.email.toLowerCase() === email) || {};
+
+      return {
+        email,
+        restaurant_id: entry.id || null,
+        restaurant_name: entry.name || null,
+        items_count: lines.reduce((sum, item) => sum + (parseInt(item.quantity) || 1), 0),
+        gross_sales: entry.subtotal !== undefined
+          ? roundMoney(entry.subtotal)
+          : roundMoney(lines.reduce((sum, item) => sum + (parseFloat(item.price) || 0) * (parseInt(item.quantity) || 1), 0))
+      };
+    })
+    .filter(sale => !isDropped(order.id, sale.email));
+};
+
+// Sales and refunds per restaurant in a period, one line per order
+const collectActivity = async ({ start, end }, { restaurantEmail } = {}) => {
+  const bounds = queryBounds(start, end);
+  const inPeriod = (date) => {
+    const key = localDateKey(date, settlementsConfig.timezone);
+    return key >= start && key <= end;
+  };
+
+  const orders = (await Order.findAll({
+    where: {
+      status: 'delivered',
+      completed_at: { [Op.gte]: bounds.start, [Op.lt]: bounds.end },
+      ...(restaurantEmail && restaurantEmailWhere(restaurantEmail))
+    },
+    order: [['completed_at', 'ASC']]
+  })).filter(order => inPeriod(order.completed_at));
+
+  const reversals = (await CourierLedgerEntry.findAll({
+    where: {
+      entry_type: 'restaurant_payable_reversal',
+      created_at: { [Op.gte]: bounds.start, [Op.lt]: bounds.end }
+    }
+  })).filter(entry => inPeriod(entry.created_at));
+
+  const orderIds = [...new Set([...orders.map(order => order.id), ...reversals.map(entry => entry.order_id)])];
+  const fulfillments = orderIds.length > 0
+    ? await OrderFulfillment.findAll({
+      where: { order_id: orderIds },
+      attributes: ['order_id', 'restaurant_id', 'restaurant_email', 'restaurant_name', 'status']
+    })
+    : [];
+  const dropped = new Set(fulfillments
+    .filter(fulfillment => DROPPED_FULFILLMENT_STATUSES.includes(fulfillment.status))
+    .map(fulfillment => `${fulfillment.order_id}:${fulfillment.restaurant_email.toLowerCase()}`));
+
+  const activity = new Map();
+  const lineFor = (restaurant, orderId) => {
+    if (!activity.has(restaurant.email)) {
+      activity.set(restaurant.email, { ...restaurant, lines: new Map() });
+    }
+    const entry = activity.get(restaurant.email);
+    entry.restaurant_id = entry.restaurant_id || restaurant.restaurant_id;
+    entry.restaurant_name = entry.restaurant_name || restaurant.restaurant_name;
+    if (!entry.lines.has(orderId)) {
+      entry.lines.set(orderId, { order_id: orderId, delivered_at: null, items_count: 0, gross_sales: 0, refunds: 0 });
+    }
+    return entry.lines.get(orderId);
+  };
+
+  orders.forEach(order => {
+    restaurantSales(order, (orderId, email) => dropped.has(`${orderId}:${email}`)).forEach(sale => {
+      const line = lineFor({ email: sale.email, restaurant_id: sale.restaurant_id, restaurant_name: sale.restaurant_name }, order.id);
+      Object.assign(line, {
+        delivered_at: order.completed_at,
+        items_count: sale.items_count,
+        gross_sales: sale.gross_sales
+      });
+    });
+  });
+
+  // Ledger reversals name the restaurant by id; its sub-order gives the email
+  reversals.forEach(entry => {
+    const fulfillment = fulfillments.find(f => f.order_id === entry.order_id && f.restaurant_id === entry.restaurant_id);
+    if (!fulfillment) return;
+    const line = lineFor({
+      email: fulfillment.restaurant_email.toLowerCase(),
+      restaurant_id: fulfillment.restaurant_id,
+      restaurant_name: fulfillment.restaurant_name
+    }, entry.order_id);
+    line.refunds = roundMoney(line.refunds + entry.amount);
+  });
+
+  if (restaurantEmail) {
+    [...activity.keys()].filter(email => email !== restaurantEmail).forEach(email => activity.delete(email));
+  }
+  return activity;
+};
+
+const commissionRateLookup = async (emails) => {
+  const restaurants = emails.length > 0
+    ? await Restaurant.findAll({ where: { email: emails }, attributes: ['email', 'commission_rate'] })
+    : [];
+  const rates = new Map(restaurants
+    .filter(restaurant => restaurant.commission_rate !== null)
+    .map(restaurant => [restaurant.email.toLowerCase(), restaurant.commission_rate]));
+
+  return (email) => (rates.has(email) ? rates.get(email) : settlementsConfig.defaultCommissionRate);
+};
+
+// Commission is taken on what was sold net of refunds, so refunding an order
+// also gives back the commission on it
+const priceLine = (line, rate) => {
+  const net = roundMoney(line.gross_sales - line.refunds);
+  const commission = roundMoney(net * rate);
+  return { ...line, commission_amount: commission, net_payable: roundMoney(net - commission) };
+};
+
+const totalsOf = (lines) => {
+  const sum = (field) => roundMoney(lines.reduce((total, line) => total + line[field], 0));
+  return {
+    orders_count: lines.filter(line => line.delivered_at).length,
+    items_count: lines.reduce((total, line) => total + line.items_count, 0),
+    gross_sales: sum('gross_sales'),
+    refunds: sum('refunds'),
+    commission_amount: sum('commission_amount'),
+    net_payable: sum('net_payable')
+  };
+};
+
+// Statements for a period as they would be issued now, without saving them.
+// A restaurant with only refunds in the period gets a negative net_payable.
+const buildStatements = async (period, { restaurantEmail } = {}) => {
+  const activity = await collectActivity(period, { restaurantEmail });
+  const rateFor = await commissionRateLookup([...activity.keys()]);
+
+  return [...activity.values()].map(restaurant => {
+    const rate = rateFor(restaurant.email);
+    const lines = [...restaurant.lines.values()].map(line => priceLine(line, rate));
+    return {
+      restaurant_email: restaurant.email,
+      restaurant_id: restaurant.restaurant_id,
+      restaurant_name: restaurant.restaurant_name,
+      period: period.period,
+      period_start: period.start,
+      period_end: period.end,
+      commission_rate: rate,
+      ...totalsOf(lines),
+      lines
+    };
+  });
+};
+
+// Saves the statements of a closed period. Restaurants that already have one
+// for the period are left alone, so running it again is harmless.
+const generateStatements = async (period) => {
+  const drafts = await buildStatements(period);
+  const created = [];
+
+  for (const { lines, ...fields } of drafts) {
+    const existing = await RestaurantStatement.count({
+      where: { restaurant_email: fields.restaurant_email, period_start: period.start }
+    });
+    if (existing > 0) continue;
+
+    const transaction = await RestaurantStatement.sequelize.transaction();
+    try {
+      const statement = await RestaurantStatement.create(fields, { transaction });
+      await RestaurantStatementLine.bulkCreate(
+        lines.map(line => ({ ...line, statement_id: statement.id })),
+        { transaction }
+      );
+      await transaction.commit();
+      created.push(statement);
+    } catch (error) {
+      await transaction.rollback();
+      // Another run issued it first
+      if (error.name === 'SequelizeUniqueConstraintError') continue;
+      throw error;
+    }
+  }
+
+  console.log(`[SETTLEMENTS] Period ${period.start}..${period.end}: ${created.length} statements issued`);
+  return created;
+};
+
+// Issues the statements of the period that just ended, and of any period
+// missed while the server was down
+const sweepSettlements = async () => {
+  const last = lastClosedPeriod();
+  if (sweeping || lastSweptPeriodStart === last.start) return;
+  sweeping = true;
+  try {
+    const latest = await RestaurantStatement.max('period_start');
+    const periods = [last];
+    while (latest && periods.length < MAX_CATCH_UP_PERIODS) {
+      const previous = periodFor(addDays(periods[0].start, -1));
+      if (previous.start <= periodStartOf(String(latest).slice(0, 10))) break;
+      periods.unshift(previous);
+    }
+
+    for (const period of periods) {
+      await generateStatements(period);
+    }
+    lastSweptPeriodStart = last.start;
+  } finally {
+    sweeping = false;
+  }
+};
+
+const startSettlementJob = () => {
+  if (sweeper) return sweeper;
+
+  const run = () => sweepSettlements().catch(error => console.error('[SETTLEMENTS] Sweep failed:', error));
+  sweeper = setInterval(run, settlementsConfig.sweepIntervalMinutes * 60 * 1000);
+  sweeper.unref();
+  run();
+
+  console.log(`[SETTLEMENTS] Issuing ${settlementsConfig.period}ly restaurant statements, checking every ${settlementsConfig.sweepIntervalMinutes}m`);
+  return sweeper;
+};
+
+const stopSettlementJob = () => {
+  if (sweeper) {
+    clearInterval(sweeper);
+    sweeper = null;
+  }
+};
+
+const markStatementPaid = async (statement, { paymentReference, notes } = {}, admin) => {
+  const [updated] = await RestaurantStatement.update({
+    status: 'paid',
+    paid_at: new Date(),
+    paid_by: admin.id,
+    payment_reference: paymentReference ? String(paymentReference).trim().slice(0, 100) : null,
+    ...(notes && { notes: String(notes).trim().slice(0, 1000) })
+  }, {
+    // Guarded on status so two admins cannot both record the payment
+    where: { id: statement.id, status: 'unpaid' }
+  });
+  if (updated === 0) {
+    throw createServiceError(409, 'تم تسجيل دفع هذا الكشف من قبل', 'STATEMENT_ALREADY_PAID');
+  }
+
+  console.log(`[SETTLEMENTS] Statement #${statement.id} (${statement.restaurant_email}, ${statement.period_start}) marked paid by admin ${admin.id}`);
+  return statement.reload();
+};
+
+const listStatements = ({ restaurantEmail, status, periodStart, limit = 50, offset = 0 } = {}) =>
+  RestaurantStatement.findAndCountAll({
+    where: {
+      ...(restaurantEmail && { restaurant_email: restaurantEmail }),
+      ...(STATEMENT_STATUSES.includes(status) && { status }),
+      ...(periodStart && { period_start: periodStart })
+    },
+    order: [['period_start', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset
+  });
+
+const getStatementLines = (statement) => RestaurantStatementLine.findAll({
+  where: { statement_id: statement.id },
+  order: [['delivered_at', 'ASC'], ['order_id', 'ASC']]
+});
+
+// Works for saved statements and for drafts from buildStatements
+const formatStatement = (statement) => ({
+  id: statement.id || null,
+  restaurant_email: statement.restaurant_email,
+  restaurant_id: statement.restaurant_id,
+  restaurant_name: statement.restaurant_name,
+  period: statement.period,
+  period_start: statement.period_start,
+  period_end: statement.period_end,
+  orders_count: statement.orders_count,
+  items_count: statement.items_count,
+  gross_sales: statement.gross_sales,
+  refunds: statement.refunds,
+  commission_rate: statement.commission_rate,
+  commission_amount: statement.commission_amount,
+  net_payable: statement.net_payable,
+  status: statement.status || 'open',
+  paid_at: statement.paid_at || null,
+  payment_reference: statement.payment_reference || null,
+  notes: statement.notes || null,
+  issued_at: statement.created_at || null
+});
+
+const formatStatementLine = (line) => ({
+  order_id: parseInt(line.order_id),
+  delivered_at: line.delivered_at,
+  items_count: line.items_count,
+  gross_sales: line.gross_sales,
+  refunds: line.refunds,
+  commission_amount: line.commission_amount,
+  net_payable: line.net_payable
+});
+
+// One row per order and a closing total row, for sendCsv
+const statementCsvRows = (statement, lines) => [
+  ...lines.map(formatStatementLine),
+  {
+    order_id: 'TOTAL',
+    items_count: statement.items_count,
+    gross_sales: statement.gross_sales,
+    refunds: statement.refunds,
+    commission_amount: statement.commission_amount,
+    net_payable: statement.net_payable
+  }
+];
+
+const statementFilename = (statement) =>
+  `statement-${statement.restaurant_email.replace(/[^a-z0-9.]+/gi, '_')}-${statement.period_start}.csv`;
+
+module.exports = {
+  STATEMENT_STATUSES,
+  STATEMENT_CSV_COLUMNS,
+  parseCommissionRate,
+  periodFor,
+  closedPeriodFrom,
+  buildStatements,
+  generateStatements,
+  sweepSettlements,
+  startSettlementJob,
+  stopSettlementJob,
+  markStatementPaid,
+  listStatements,
+  getStatementLines,
+  formatStatement,
+  formatStatementLine,
+  statementCsvRows,
+  statementFilename
+};
@@ -0,0 +1,168 @@
+// src/services/tripTrace.js - Stores and measures the GPS route of rides and deliveries
+const { Op } = require('sequelize');
+const TripPoint = require('../models/TripPoint');
+const User = require('../models/User');
+const { createServiceError } = require('./errors');
+const { toPoint, haversineKm } = require('./geo');
+const { roundMoney } = require('./money');
+
+const MAX_POINTS_PER_BATCH = 500;
+// Fixes less precise than this are kept for replay but not measured
+const MAX_ACCURACY_METERS = 100;
+// A jump faster than this between two fixes is GPS noise, not driving
+const MAX_PLAUSIBLE_SPEED_KMH = 200;
+// Steps this short count whatever their timestamps say (jitter while standing still)
+const GPS_JITTER_KM = 0.05;
+// Phone clocks drift; fixes this far outside the trip window are still accepted
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const optionalNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+// Fixes must fall between the start of the trip and now
+const normalisePoints = (points, startedAt = null) => {
+  if (!Array.isArray(points) || points.length === 0) {
+    throw createServiceError(400, 'نقاط الموقع مطلوبة', 'TRACE_POINTS_REQUIRED');
+  }
+  if (points.length > MAX_POINTS_PER_BATCH) {
+    throw createServiceError(400, `الحد الأقصى ${MAX_POINTS_PER_BATCH} نقطة في الدفعة الواحدة`, 'TOO_MANY_TRACE_POINTS');
+  }
+
+  const now = Date.now();
+  const earliest = startedAt ? new Date(startedAt).getTime() - MAX_CLOCK_SKEW_MS : -Infinity;
+  const errors = [];
+
+  const rows = points.map((point, index) => {
+    const position = toPoint(point);
+    const recordedAt = point && point.recorded_at !== undefined ? new Date(point.recorded_at) : new Date(now);
+
+    if (!position) {
+      errors.push({ index, code: 'INVALID_COORDINATES', message: 'إحداثيات غير صحيحة' });
+      return null;
+    }
+    const time = recordedAt.getTime();
+    if (isNaN(time) || time > now + MAX_CLOCK_SKEW_MS || time < earliest) {
+      errors.push({ index, code: 'INVALID_RECORDED_AT', message: 'وقت النقطة غير صحيح' });
+      return null;
+    }
+
+    return {
+      latitude: position.lat,
+      longitude: position.lng,
+      accuracy: optionalNumber(point.accuracy),
+      speed: optionalNumber(point.speed),
+      heading: optionalNumber(point.heading),
+      recorded_at: recordedAt
+    };
+  });
+
+  if (errors.length > 0) {
+    throw createServiceError(400, 'بعض نقاط الموقع غير صحيحة', 'INVALID_TRACE_POINTS', errors);
+  }
+
+  return rows;
+};
+
+// Saves a batch of fixes and moves the driver's live location to the newest one.
+// startedAt is when the trip went in progress; earlier fixes are rejected.
+const recordTripPoints = async (tripType, tripId, driverId, points, { startedAt = null } = {}) => {
+  const rows = normalisePoints(points, startedAt);
+
+  await TripPoint.bulkCreate(rows.map(row => ({
+    ...row,
+    trip_type: tripType,
+    trip_id: tripId,
+    driver_id: driverId
+  })));
+
+  const latest = rows.reduce((newest, row) => (row.recorded_at > newest.recorded_at ? row : newest));
+  await User.update({
+    location: { lat: latest.latitude, lng: latest.longitude },
+    locationUpdatedAt: latest.recorded_at,
+    locationHeading: latest.heading
+  }, {
+    // A late batch must not move the driver back over a fresher live update
+    where: {
+      id: driverId,
+      [Op.or]: [
+        { locationUpdatedAt: null },
+        { locationUpdatedAt: { [Op.lt]: latest.recorded_at } }
+      ]
+    }
+  });
+
+  console.log(`[TRIP TRACE] ${tripType} #${tripId}: ${rows.length} points from driver ${driverId}`);
+
+  return { accepted: rows.length, latest_recorded_at: latest.recorded_at };
+};
+
+const getTripPoints = (tripType, tripId) => TripPoint.findAll({
+  where: { trip_type: tripType, trip_id: tripId },
+  order: [['recorded_at', 'ASC'], ['id', 'ASC']]
+});
+
+// Distance driven along the trace, skipping imprecise fixes, fixes outside the
+// trip window (from/to) and jumps too far for the time between two fixes
+const measureTrace = (points, { from = null, to = null } = {}) => {
+  const earliest = from ? new Date(from).getTime() - MAX_CLOCK_SKEW_MS : -Infinity;
+  const latest = to ? new Date(to).getTime() + MAX_CLOCK_SKEW_MS : Infinity;
+  let distanceKm = 0;
+  let previous = null;
+  let measured = 0;
+
+  points.forEach(point => {
+    if (point.accuracy !== null && point.accuracy > MAX_ACCURACY_METERS) return;
+
+    const time = new Date(point.recorded_at).getTime();
+    if (time < earliest || time > latest) return;
+
+    const position = { lat: point.latitude, lng: point.longitude };
+    if (previous) {
+      const stepKm = haversineKm(previous.position, position);
+      const hours = Math.max(0, time - new Date(previous.recorded_at).getTime()) / 3600000;
+      if (stepKm > GPS_JITTER_KM && stepKm > hours * MAX_PLAUSIBLE_SPEED_KMH) return;
+      distanceKm += stepKm;
+    }
+
+    previous = { position, recorded_at: point.recorded_at };
+    measured++;
+  });
+
+  return {
+    distance_km: roundMoney(distanceKm),
+    measured_points: measured
+  };
+};
+
+const formatTripPoint = (point) => ({
+  lat: point.latitude,
+  lng: point.longitude,
+  accuracy: point.accuracy,
+  speed: point.speed,
+  heading: point.heading,
+  recorded_at: point.recorded_at
+});
+
+const getTripTrace = async (tripType, tripId) => {
+  const points = await getTripPoints(tripType, tripId);
+  const { distance_km, measured_points } = measureTrace(points);
+
+  return {
+    points: points.map(formatTripPoint),
+    point_count: points.length,
+    measured_points,
+    distance_km
+  };
+};
+
+module.exports = {
+  MAX_POINTS_PER_BATCH,
+  recordTripPoints,
+  getTripPoints,
+  measureTrace,
+  getTripTrace,
+  formatTripPoint
+};
@@ -0,0 +1,137 @@
+// src/services/wallet.js - Customer wallet balance, credits and debits
+const WalletTransaction = require('../models/WalletTransaction');
+const { createServiceError } = require('./errors');
+const { roundMoney } = require('./money');
+
+const TRANSACTION_TYPES = ['top_up', 'refund', 'promo', 'adjustment', 'payment', 'payment_reversal'];
+
+// Attempts at appending when another write to the same wallet got in first
+const MAX_ATTEMPTS = 3;
+
+const lastTransaction = (userId, { transaction } = {}) => WalletTransaction.findOne({
+  where: { user_id: userId },
+  order: [['id', 'DESC']],
+  transaction
+});
+
+const getWalletBalance = async (userId, { transaction } = {}) => {
+  const last = await lastTransaction(userId, { transaction });
+  return last ? last.balance_after : 0;
+};
+
+const insufficientBalance = (balance, required) => createServiceError(
+  409,
+  'رصيد المحفظة غير كافٍ',
+  'INSUFFICIENT_WALLET_BALANCE',
+  { balance, required }
+);
+
+const appendTransaction = async (userId, amount, { type, orderId, rideId, paymentIntentId, description, createdBy, transaction }) => {
+  const last = await lastTransaction(userId, { transaction });
+  const balance = last ? last.balance_after : 0;
+  const balanceAfter = roundMoney(balance + amount);
+  if (balanceAfter < 0) {
+    throw insufficientBalance(balance, roundMoney(-amount));
+  }
+
+  return WalletTransaction.create({
+    user_id: userId,
+    sequence: last ? (last.sequence || 0) + 1 : 1,
+    type,
+    amount,
+    balance_after: balanceAfter,
+    order_id: orderId || null,
+    ride_id: rideId || null,
+    payment_intent_id: paymentIntentId || null,
+    description: description || null,
+    created_by: createdBy || null
+  }, { transaction });
+};
+
+// Appends a signed amount to the user's ledger. Each row takes the next
+// sequence number and the (user_id, sequence) index is unique, so when two
+// spends read the same balance only one is written; the other reads the new
+// balance and tries again. Inside a caller's transaction it cannot retry and
+// reports the wallet as busy instead.
+const postTransaction = async (userId, amount, options) => {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    try {
+      const entry = await appendTransaction(userId, amount, options);
+      console.log(`[WALLET] ${amount > 0 ? '+' : ''}${amount} for user ${userId} (${options.type}), balance ${entry.balance_after}`);
+      return entry;
+    } catch (error) {
+      if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+      if (options.transaction) break;
+    }
+  }
+
+  throw createServiceError(409, 'المحفظة مشغولة بعملية أخرى، يرجى المحاولة مرة أخرى', 'WALLET_BUSY');
+};
+
+const positiveAmount = (amount) => {
+  const value = roundMoney(amount);
+  if (!(value > 0)) {
+    throw createServiceError(400, 'المبلغ غير صحيح', 'INVALID_AMOUNT');
+  }
+  return value;
+};
+
+// Appends a credit and returns the new transaction row
+const creditWallet = (userId, amount, options = {}) =>
+  postTransaction(userId, positiveAmount(amount), options);
+
+// Appends a debit; fails with INSUFFICIENT_WALLET_BALANCE rather than going below zero
+const debitWallet = (userId, amount, options = {}) =>
+  postTransaction(userId, -positiveAmount(amount), options);
+
+// Admin correction in either direction
+const adjustWallet = (userId, amount, { description, createdBy } = {}) => {
+  const value = roundMoney(amount);
+  if (!value || Number.isNaN(value)) {
+    throw createServiceError(400, 'المبلغ غير صحيح', 'INVALID_AMOUNT');
+  }
+  return postTransaction(userId, value, { type: 'adjustment', description, createdBy });
+};
+
+// Early check before an order or ride is booked against the wallet. The
+// debit itself re-checks, so this only spares the customer a dead booking.
+const assertWalletCovers = async (userId, amount) => {
+  if (!userId) {
+    throw createServiceError(400, 'يجب تسجيل الدخول للدفع من المحفظة', 'WALLET_REQUIRES_ACCOUNT');
+  }
+  const balance = await getWalletBalance(userId);
+  if (balance < roundMoney(amount)) {
+    throw insufficientBalance(balance, roundMoney(amount));
+  }
+};
+
+const listWalletTransactions = (userId, { limit = 50, offset = 0, type } = {}) => WalletTransaction.findAndCountAll({
+  where: { user_id: userId, ...(type && { type }) },
+  order: [['id', 'DESC']],
+  limit,
+  offset
+});
+
+const formatWalletTransaction = (entry) => ({
+  id: entry.id,
+  type: entry.type,
+  amount: entry.amount,
+  balance_after: entry.balance_after,
+  order_id: entry.order_id,
+  ride_id: entry.ride_id,
+  payment_intent_id: entry.payment_intent_id,
+  description: entry.description,
+  created_by: entry.created_by,
+  created_at: entry.created_at
+});
+
+module.exports = {
+  TRANSACTION_TYPES,
+  getWalletBalance,
+  creditWallet,
+  debitWallet,
+  adjustWallet,
+  assertWalletCovers,
+  listWalletTransactions,
+  formatWalletTransaction
+};
@@ -0,0 +1,87 @@
+// tests/cashLedger.test.js - Courier cash collected, pay earned, hand-ins and the cash limit
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, models, orderBody, deliverOrder } = require('./helpers');
+const cashConfig = require('../src/config/cashLedger');
+const { bookDeliveredOrder } = require('../src/services/cashLedger');
+
+describe('courier cash ledger', () => {
+  let customer, admin, courier, kitchen, menuItem, deliveredTotal;
+  const defaultLimit = cashConfig.cashLimit;
+
+  const readyOrder = async () => {
+    const order = (await api(customer).post('/api/orders').send(orderBody(menuItem))).body.order;
+    await api(kitchen).put(`/api/restaurant-orders/${order.id}/accept`).send({});
+    return order;
+  };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    admin = await createUser({ role: 'admin' });
+    courier = await createUser({ role: 'delivery', online: true, location: { lat: 30.0445, lng: 31.2358 } });
+    ({ owner: kitchen, menuItem } = await createRestaurant());
+
+    const order = await readyOrder();
+    await models.Order.update({ status: 'assigned', assigned_to: courier.id }, { where: { id: order.id } });
+    await deliverOrder(order.id, courier);
+    deliveredTotal = order.total;
+  });
+
+  afterAll(async () => {
+    cashConfig.cashLimit = defaultLimit;
+    await teardownDatabase();
+  });
+
+  test('a delivered cash order books the cash, the courier pay and the restaurant share', async () => {
+    const res = await api(courier).get('/api/cash-ledger/me');
+
+    expect(res.status).toBe(200);
+    expect(res.body.balance).toMatchObject({
+      cash_collected: deliveredTotal,
+      cash_handed_in: 0,
+      cash_held: deliveredTotal,
+      restaurant_payable: 80
+    });
+    expect(res.body.balance.earnings).toBeGreaterThan(0);
+    expect(res.body.balance.net_cash_due).toBe(Math.round((deliveredTotal - res.body.balance.earnings) * 100) / 100);
+    expect(res.body.entries.map(entry => entry.entry_type).sort()).toEqual(['cash_collected', 'driver_earning', 'restaurant_payable']);
+  });
+
+  test('booking the same order again adds nothing', async () => {
+    const order = await models.Order.findOne({ where: { assigned_to: courier.id, status: 'delivered' } });
+    expect(await bookDeliveredOrder(order)).toEqual([]);
+    expect(await models.CourierLedgerEntry.count({ where: { order_id: order.id } })).toBe(3);
+  });
+
+  test('admins record hand-ins up to the cash the courier holds', async () => {
+    const tooMuch = await api(admin).post(`/api/cash-ledger/${courier.id}/handins`).send({ amount: deliveredTotal + 1 });
+    expect(tooMuch.status).toBe(400);
+    expect(tooMuch.body.code).toBe('HANDIN_EXCEEDS_CASH_HELD');
+
+    const handIn = await api(admin).post(`/api/cash-ledger/${courier.id}/handins`).send({ amount: 50, notes: 'office' });
+    expect(handIn.status).toBe(201);
+    expect(handIn.body.balance.cash_held).toBe(Math.round((deliveredTotal - 50) * 100) / 100);
+
+    expect((await api(courier).post(`/api/cash-ledger/${courier.id}/handins`).send({ amount: 1 })).status).toBe(403);
+    expect((await api(customer).get('/api/cash-ledger/me')).status).toBe(403);
+  });
+
+  test('admins see every courier with cash, highest first', async () => {
+    const res = await api(admin).get('/api/cash-ledger');
+    expect(res.body.couriers[0]).toMatchObject({ driver_id: courier.id, name: courier.name });
+  });
+
+  test('couriers over the cash limit get no cash orders until they hand it in', async () => {
+    cashConfig.cashLimit = 10;
+    const order = await readyOrder();
+
+    const offers = await models.DispatchOffer.findAll({ where: { order_id: order.id } });
+    expect(offers.map(offer => offer.driver_id)).not.toContain(courier.id);
+
+    const claim = await api(courier).put(`/api/orders/${order.id}`).send({ status: 'assigned' });
+    expect(claim.status).toBe(403);
+    expect(claim.body.code).toBe('CASH_LIMIT_REACHED');
+
+    const assigned = await api(admin).post(`/api/dispatch/orders/${order.id}/assign`).send({ driver_id: courier.id });
+    expect(assigned.status).toBe(200);
+  });
+});
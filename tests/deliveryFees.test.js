@@ -0,0 +1,93 @@
+// tests/deliveryFees.test.js - Distance-band delivery fees on quotes, orders and listings
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api } = require('./helpers');
+const deliveryConfig = require('../src/config/deliveryFees');
+const { calculateDeliveryFee } = require('../src/services/deliveryFees');
+
+// The test restaurants sit at 30.0444, 31.2357; one degree of latitude is ~111 km
+const STORE = { lat: 30.0444, lng: 31.2357 };
+const north = (km) => ({ lat: STORE.lat + km / 111.19, lng: STORE.lng });
+
+describe('delivery fees', () => {
+  let customer;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+  });
+
+  afterAll(teardownDatabase);
+
+  test('charges the band the road distance falls in', () => {
+    // 2 km straight is 2.6 km by road, inside the first band
+    expect(calculateDeliveryFee(STORE, north(2)).fee).toBe(15);
+    expect(calculateDeliveryFee(STORE, north(4)).fee).toBe(25);
+    expect(calculateDeliveryFee(STORE, north(7)).fee).toBe(35);
+  });
+
+  test('adds a per-kilometre fee past the last band and refuses beyond the radius', () => {
+    const beyond = calculateDeliveryFee(STORE, north(9));
+    expect(beyond.distance_km).toBeCloseTo(11.7, 1);
+    expect(beyond.fee).toBe(35 + 2 * deliveryConfig.perKmBeyondBands);
+
+    const tooFar = calculateDeliveryFee(STORE, north(20));
+    expect(tooFar.deliverable).toBe(false);
+    expect(tooFar.fee).toBeNull();
+  });
+
+  test('falls back to the flat fee without a location and adds the small-basket surcharge', () => {
+    expect(calculateDeliveryFee(STORE, null, { fallbackFee: 12 })).toMatchObject({ distance_based: false, fee: 12 });
+    expect(calculateDeliveryFee(STORE, north(2), { subtotal: 20 })).toMatchObject({ band_fee: 15, small_basket_surcharge: 10, fee: 25 });
+    expect(calculateDeliveryFee(STORE, north(2), { subtotal: 80 }).small_basket_surcharge).toBe(0);
+  });
+
+  test('orders pay the fee for their address and are refused outside the radius', async () => {
+    const { menuItem } = await createRestaurant();
+    const quote = await api(customer).post('/api/orders/quote').send({ items: [{ id: menuItem.id, quantity: 1 }], customer_location: north(4) });
+    expect(quote.body.quote.delivery_fee).toBe(25);
+    expect(quote.body.quote.restaurants[0].distance_km).toBeCloseTo(5.2, 1);
+
+    const far = await api(customer).post('/api/orders/quote').send({ items: [{ id: menuItem.id, quantity: 1 }], customer_location: north(20) });
+    expect(far.status).toBe(400);
+    expect(far.body.code).toBe('OUTSIDE_DELIVERY_RADIUS');
+  });
+
+  test('orders from a located restaurant need the customer\'s location', async () => {
+    const { menuItem } = await createRestaurant();
+    const items = [{ id: menuItem.id, quantity: 1 }];
+
+    const missing = await api(customer).post('/api/orders/quote').send({ items });
+    expect(missing.status).toBe(400);
+    expect(missing.body.code).toBe('CUSTOMER_LOCATION_REQUIRED');
+    const invalid = await api(customer).post('/api/orders').send({
+      customer_name: 'Test Customer', customer_phone: '01000000001', address: 'Some street 1', items, customer_location: { lat: 'x' }
+    });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.code).toBe('CUSTOMER_LOCATION_REQUIRED');
+
+    const { menuItem: unlocated } = await createRestaurant({ restaurant_location: null, delivery_fee: 12 });
+    const flat = await api(customer).post('/api/orders/quote').send({ items: [{ id: unlocated.id, quantity: 1 }] });
+    expect(flat.body.quote.delivery_fee).toBe(12);
+  });
+
+  test('each restaurant in a basket charges its own distance', async () => {
+    const { menuItem: near } = await createRestaurant();
+    const { menuItem: farther } = await createRestaurant({ restaurant_location: north(4) });
+
+    const quote = await api(customer).post('/api/orders/quote').send({
+      items: [{ id: near.id, quantity: 1 }, { id: farther.id, quantity: 1 }],
+      customer_location: STORE
+    });
+    expect(quote.body.quote.restaurants.map(r => r.delivery_fee)).toEqual([15, 25]);
+    expect(quote.body.quote.delivery_fee).toBe(40);
+  });
+
+  test('listings show the fee to the customer when they send a location', async () => {
+    const { restaurant } = await createRestaurant();
+    const located = await api().get(`/api/restaurants?lat=${north(2).lat}&lng=${north(2).lng}`);
+    const listed = located.body.restaurants.find(r => r.id === restaurant.id);
+    expect(listed.delivery_fee_to_you).toMatchObject({ fee: 15, deliverable: true, distance_based: true });
+
+    const anonymous = await api().get('/api/restaurants');
+    expect(anonymous.body.restaurants.find(r => r.id === restaurant.id).delivery_fee_to_you).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+// tests/dispatch.test.js - Proximity dispatch: offer waves, expiry, escalation and admin assignment
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, models, orderBody } = require('./helpers');
+const dispatchConfig = require('../src/config/dispatch');
+const { sweepExpiredOffers } = require('../src/services/dispatch');
+
+describe('dispatch', () => {
+  let customer, admin, near, far, busy, offline, kitchen, menuItem;
+
+  // An order the restaurant has accepted, which starts dispatch
+  const readyOrder = async () => {
+    const order = (await api(customer).post('/api/orders').send(orderBody(menuItem, { customer_location: { lat: 30.01, lng: 31.01 } }))).body.order;
+    await api(kitchen).put(`/api/restaurant-orders/${order.id}/accept`).send({});
+    return order;
+  };
+
+  const expireOffers = async (orderId) => {
+    await models.DispatchOffer.update({ expires_at: new Date(Date.now() - 1000) }, { where: { order_id: orderId, status: 'pending' } });
+    await sweepExpiredOffers();
+  };
+
+  beforeAll(async () => {
+    Object.assign(dispatchConfig, { batchSize: 1, maxWaves: 2 });
+    await setupDatabase();
+    customer = await createUser();
+    admin = await createUser({ role: 'admin' });
+    ({ owner: kitchen, menuItem } = await createRestaurant({ restaurant_location: { lat: 30, lng: 31 } }));
+    near = await createUser({ role: 'delivery', online: true, location: { lat: 30.001, lng: 31.001 } });
+    far = await createUser({ role: 'delivery', online: true, location: { lat: 31, lng: 32 } });
+    busy = await createUser({ role: 'delivery', online: true, location: { lat: 30, lng: 31 } });
+    offline = await createUser({ role: 'delivery', online: false, location: { lat: 30, lng: 31 } });
+    for (let i = 0; i < 2; i++) {
+      await models.Order.create({
+        user_id: customer.id, customer_name: 'Busy', customer_phone: '01000000001', address: 'Some street 1',
+        items: [], subtotal: 1, total: 1, status: 'assigned', assigned_to: busy.id
+      });
+    }
+  });
+
+  afterAll(teardownDatabase);
+
+  test('offers go to the nearest idle driver first, then the next wave', async () => {
+    const order = await readyOrder();
+
+    let res = await api(admin).get(`/api/dispatch/orders/${order.id}`);
+    expect(res.body.offers.map(offer => offer.driver_id)).toEqual([near.id]);
+
+    const offers = (await api(near).get('/api/dispatch/offers')).body.offers;
+    await api(near).put(`/api/dispatch/offers/${offers[0].id}/decline`).send({});
+
+    res = await api(admin).get(`/api/dispatch/orders/${order.id}`);
+    expect(res.body.offers[1]).toMatchObject({ driver_id: busy.id, wave: 2 });
+    expect(res.body.offers.map(offer => offer.driver_id)).not.toContain(far.id);
+    expect(res.body.offers.map(offer => offer.driver_id)).not.toContain(offline.id);
+  });
+
+  test('drivers without an offer cannot claim the order', async () => {
+    const order = await readyOrder();
+    const res = await api(far).put(`/api/orders/${order.id}`).send({ status: 'assigned' });
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('NO_ACTIVE_OFFER');
+  });
+
+  test('unanswered waves escalate to admins, who can assign any driver', async () => {
+    const order = await readyOrder();
+    await expireOffers(order.id);
+    await expireOffers(order.id);
+
+    const escalations = await api(admin).get('/api/dispatch/escalations');
+    expect(escalations.body.orders.map(o => o.id)).toContain(order.id);
+
+    const assigned = await api(admin).post(`/api/dispatch/orders/${order.id}/assign`).send({ driver_id: offline.id });
+    expect(assigned.status).toBe(200);
+    expect(assigned.body.order.assigned_to).toBe(offline.id);
+  });
+
+  test('an offer can be accepted once', async () => {
+    const order = await readyOrder();
+    const offer = (await api(near).get('/api/dispatch/offers')).body.offers.find(o => o.order_id === order.id);
+
+    const accepted = await api(near).put(`/api/dispatch/offers/${offer.id}/accept`).send({});
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.order.status).toBe('assigned');
+
+    const again = await api(near).put(`/api/dispatch/offers/${offer.id}/accept`).send({});
+    expect(again.status).toBe(409);
+  });
+});
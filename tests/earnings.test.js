@@ -0,0 +1,91 @@
+// tests/earnings.test.js - Driver pay from the commission rules, statements and payout batches
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, models, orderBody, deliverOrder } = require('./helpers');
+const earningsConfig = require('../src/config/earnings');
+const { recordRideEarning } = require('../src/services/earnings');
+
+describe('driver earnings and payouts', () => {
+  let customer, admin, courier, driver, menuItem;
+  const defaults = { orders: { ...earningsConfig.orders }, rides: { ...earningsConfig.rides } };
+
+  const completedRide = (attrs) => models.Ride.create({
+    user_id: customer.id, customer_name: 'Rider', customer_phone: '01000000001',
+    pickup_address: 'Tahrir', dropoff_address: 'Zamalek', fare: 100,
+    status: 'completed', driver_id: driver.id, completed_at: new Date(), ...attrs
+  });
+
+  beforeAll(async () => {
+    Object.assign(earningsConfig.orders, { commissionRate: 0.2, minimumPayout: 0 });
+    Object.assign(earningsConfig.rides, { commissionRate: 0.2, commissionByVehicle: { motorcycle: 0.1 } });
+    await setupDatabase();
+    customer = await createUser();
+    admin = await createUser({ role: 'admin' });
+    courier = await createUser({ role: 'delivery' });
+    driver = await createUser({ role: 'driver' });
+    ({ menuItem } = await createRestaurant());
+  });
+
+  afterAll(async () => {
+    Object.assign(earningsConfig.orders, defaults.orders);
+    Object.assign(earningsConfig.rides, defaults.rides);
+    await teardownDatabase();
+  });
+
+  test('couriers earn the delivery fee less the platform commission', async () => {
+    const order = (await api(customer).post('/api/orders').send(orderBody(menuItem))).body.order;
+    await models.Order.update({ status: 'assigned', assigned_to: courier.id }, { where: { id: order.id } });
+    await deliverOrder(order.id, courier);
+
+    const res = await api(courier).get('/api/earnings/me');
+    expect(res.body.earnings[0]).toMatchObject({ job_type: 'order', gross_amount: 15, commission_amount: 3, amount: 12, status: 'unpaid' });
+    expect(res.body.unpaid).toMatchObject({ earnings: 12, count: 1 });
+  });
+
+  test('ride pay uses the vehicle rate, is booked once and keeps cash fares against the payout', async () => {
+    const ride = await completedRide({ vehicle_type: 'motorcycle', payment_method: 'cash' });
+
+    const earning = await recordRideEarning(ride);
+    expect(earning).toMatchObject({ gross_amount: 100, commission_rate: 0.1, amount: 90, cash_collected: 100 });
+    expect((await recordRideEarning(ride)).id).toBe(earning.id);
+
+    const card = await recordRideEarning(await completedRide({ payment_method: 'card', fare: 80, discount: 20 }));
+    expect(card).toMatchObject({ gross_amount: 100, amount: 80, cash_collected: 0 });
+  });
+
+  test('statements group pay by day and reject bad ranges', async () => {
+    const res = await api(driver).get('/api/earnings/me/statements?period=day');
+    expect(res.status).toBe(200);
+    expect(res.body.periods).toHaveLength(7);
+    expect(res.body.totals).toMatchObject({ rides: 2, net_amount: 170, cash_collected: 100, payable: 70 });
+
+    expect((await api(driver).get('/api/earnings/me/statements?period=month')).body.code).toBe('INVALID_PERIOD');
+    expect((await api(driver).get('/api/earnings/me/statements?from=2020-01-01')).body.code).toBe('DATE_RANGE_TOO_LONG');
+    expect((await api(customer).get('/api/earnings/me')).status).toBe(403);
+  });
+
+  test('a payout batch pays every unpaid earning once', async () => {
+    const created = await api(admin).post('/api/admin/payouts').send({ notes: 'weekly' });
+    expect(created.status).toBe(201);
+    expect(created.body.payout.reference).toMatch(/^PO-\d{8}-\d+$/);
+    expect(created.body.items.map(item => [item.driver_id, item.amount]).sort()).toEqual([[courier.id, 12], [driver.id, 70]].sort());
+    expect(await models.DriverEarning.count({ where: { status: 'unpaid' } })).toBe(0);
+
+    const ledger = (await api(courier).get('/api/cash-ledger/me')).body;
+    expect(ledger.entries.map(entry => entry.entry_type)).toContain('earning_payout');
+    expect(ledger.balance.earnings).toBe(0);
+
+    const again = await api(admin).post('/api/admin/payouts').send({});
+    expect(again.body.code).toBe('NOTHING_TO_PAY');
+
+    const csv = await api(admin).get(`/api/admin/payouts/${created.body.payout.id}/export`);
+    expect(csv.headers['content-type']).toMatch(/text\/csv/);
+    expect(csv.text).toContain(created.body.payout.reference);
+  });
+
+  test('drivers who kept more cash than they earned are left for a later batch', async () => {
+    await recordRideEarning(await completedRide({ payment_method: 'cash', fare: 50 }));
+
+    const res = await api(admin).post('/api/admin/payouts').send({});
+    expect(res.body.code).toBe('NOTHING_TO_PAY');
+    expect((await api(driver).get('/api/earnings/me')).body.unpaid.payable).toBe(-10);
+  });
+});
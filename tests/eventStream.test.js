@@ -0,0 +1,94 @@
+// tests/eventStream.test.js - SSE delivery, Last-Event-ID resume and resync after a restart
+const { EventEmitter } = require('events');
+
+const loadStream = () => {
+  let stream;
+  jest.isolateModules(() => {
+    stream = require('../src/services/eventStream');
+  });
+  return stream;
+};
+
+// Just enough of req/res for subscribe(); frames are parsed from what is written
+const connect = (stream, user, lastEventId = null) => {
+  const req = new EventEmitter();
+  req.user = user;
+  const chunks = [];
+  const res = { writeHead: jest.fn(), write: chunk => chunks.push(chunk), end: jest.fn() };
+
+  stream.subscribe(req, res, lastEventId);
+
+  return {
+    close: () => req.emit('close'),
+    events: () => chunks.join('').split('\n\n')
+      .map(frame => Object.fromEntries(frame.split('\n').filter(line => /^(id|event|data): /.test(line))
+        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)])))
+      .filter(frame => frame.event)
+  };
+};
+
+describe('event stream', () => {
+  const customer = { id: 7, role: 'customer' };
+  const courier = { id: 8, role: 'delivery' };
+  let stream;
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValueOnce(1700000000000);
+    stream = loadStream();
+  });
+
+  afterEach(() => {
+    stream.closeAllStreams();
+    jest.restoreAllMocks();
+  });
+
+  test('delivers events only to the users and roles they are addressed to', () => {
+    const customerClient = connect(stream, customer);
+    const courierClient = connect(stream, courier);
+
+    stream.publish('order.updated', { order_id: 1 }, { userIds: [customer.id] });
+    stream.publish('offer.created', { order_id: 1 }, { roles: ['delivery'] });
+
+    expect(customerClient.events().map(e => e.event)).toEqual(['order.updated']);
+    expect(courierClient.events().map(e => e.event)).toEqual(['offer.created']);
+  });
+
+  test('ids carry the boot epoch and resuming replays what was missed', () => {
+    const first = connect(stream, customer);
+    stream.publish('order.updated', { step: 1 }, { userIds: [customer.id] });
+    const [seen] = first.events();
+    expect(seen.id).toMatch(/^[0-9a-z]+-\d+$/);
+    first.close();
+
+    stream.publish('order.updated', { step: 2 }, { userIds: [customer.id] });
+    stream.publish('order.updated', { step: 3 }, { userIds: [customer.id] });
+
+    const resumed = connect(stream, customer, seen.id);
+    expect(resumed.events().map(e => JSON.parse(e.data).step)).toEqual([2, 3]);
+  });
+
+  test('an id from before a restart gets a resync instead of the wrong events', () => {
+    const before = connect(stream, customer);
+    stream.publish('order.updated', { step: 1 }, { userIds: [customer.id] });
+    const [seen] = before.events();
+    stream.closeAllStreams();
+
+    jest.spyOn(Date, 'now').mockReturnValueOnce(1700000999000);
+    const restarted = loadStream();
+    restarted.publish('order.updated', { step: 'a' }, { userIds: [customer.id] });
+    restarted.publish('order.updated', { step: 'b' }, { userIds: [customer.id] });
+
+    const client = connect(restarted, customer, seen.id);
+    const events = client.events();
+    expect(events.map(e => e.event)).toEqual(['resync']);
+    expect(events[0].id).not.toBe(seen.id);
+    restarted.closeAllStreams();
+  });
+
+  test('plain numeric ids from older clients also resync', () => {
+    stream.publish('order.updated', { step: 1 }, { userIds: [customer.id] });
+
+    const client = connect(stream, customer, '1');
+    expect(client.events().map(e => e.event)).toEqual(['resync']);
+  });
+});
@@ -0,0 +1,118 @@
+// tests/helpers.js - Shared test fixtures: the app, database lifecycle, users and authenticated requests
+const fs = require('fs');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../server');
+const models = require('../src/models');
+
+const setupDatabase = () => models.initializeDatabase();
+
+const teardownDatabase = async () => {
+  await models.sequelize.close();
+  fs.rmSync(process.env.SQLITE_STORAGE, { force: true });
+  fs.rmSync(process.env.DELIVERY_PROOF_DIR, { recursive: true, force: true });
+};
+
+let userCount = 0;
+
+const createUser = (attrs = {}) => {
+  userCount += 1;
+  return models.User.create({
+    name: `User ${userCount}`,
+    email: `user${userCount}@test.com`,
+    phone: `0100${String(userCount).padStart(7, '0')}`,
+    password: 'password123',
+    role: 'customer',
+    isVerified: true,
+    isActive: true,
+    ...attrs
+  });
+};
+
+const tokenFor = (user) => jwt.sign({ userId: user.id }, process.env.JWT_SECRET);
+
+// api(user).post('/api/orders').send(body); api() sends no token
+const api = (user) => {
+  const agent = request(app);
+  const withAuth = (method) => (path) => {
+    const req = agent[method](path);
+    return user ? req.set('Authorization', `Bearer ${tokenFor(user)}`) : req;
+  };
+
+  return {
+    get: withAuth('get'),
+    post: withAuth('post'),
+    put: withAuth('put'),
+    patch: withAuth('patch'),
+    delete: withAuth('delete')
+  };
+};
+
+let restaurantCount = 0;
+
+// A restaurant record with one menu item, owned by a 'restaurant' user with the same email
+const createRestaurant = async (attrs = {}, itemAttrs = {}) => {
+  restaurantCount += 1;
+  const email = attrs.email || `restaurant${restaurantCount}@test.com`;
+  const owner = await createUser({ role: 'restaurant', email });
+  const restaurant = await models.Restaurant.create({
+    name: `Restaurant ${restaurantCount}`,
+    owner: owner.name,
+    email,
+    phone: `0111${String(restaurantCount).padStart(7, '0')}`,
+    license_number: `LIC-${restaurantCount}`,
+    status: 'active',
+    cuisine_type: 'grill',
+    delivery_fee: 15,
+    restaurant_location: { lat: 30.0444, lng: 31.2357 },
+    ...attrs
+  });
+  const menuItem = await models.MenuItem.create({
+    name: `Dish ${restaurantCount}`,
+    price: 80,
+    category: 'Main',
+    restaurant_email: email,
+    restaurant_id: restaurant.id,
+    ...itemAttrs
+  });
+
+  return { owner, restaurant, menuItem };
+};
+
+// A drop-off about 1 km from the restaurants createRestaurant() puts in Cairo
+const CUSTOMER_LOCATION = { lat: 30.05, lng: 31.24 };
+
+const orderBody = (menuItem, extra = {}) => ({
+  customer_name: 'Test Customer',
+  customer_phone: '01000000001',
+  address: 'Some street 1, Cairo',
+  customer_location: CUSTOMER_LOCATION,
+  payment_method: 'cash',
+  items: [{ id: menuItem.id, quantity: 1 }],
+  ...extra
+});
+
+// Moves an order to the courier and delivers it with the customer's code
+const deliverOrder = async (orderId, driver) => {
+  await models.OrderFulfillment.update({ status: 'picked_up' }, { where: { order_id: orderId } });
+  await models.Order.update({ status: 'in_progress', assigned_to: driver.id }, { where: { id: orderId } });
+  const order = await models.Order.findByPk(orderId);
+
+  return api(driver)
+    .post(`/api/orders/${orderId}/deliver`)
+    .field('delivery_code', order.delivery_code);
+};
+
+module.exports = {
+  app,
+  models,
+  setupDatabase,
+  teardownDatabase,
+  createUser,
+  tokenFor,
+  api,
+  createRestaurant,
+  CUSTOMER_LOCATION,
+  orderBody,
+  deliverOrder
+};
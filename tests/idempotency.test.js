@@ -0,0 +1,58 @@
+// tests/idempotency.test.js - Idempotency-Key replays on create endpoints
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, models, orderBody } = require('./helpers');
+
+describe('Idempotency-Key', () => {
+  const trip = { pickup_coordinates: { lat: 30.0444, lng: 31.2357 }, dropoff_coordinates: { lat: 30.0626, lng: 31.2497 } };
+  let rideBody;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    const { quote_token: quoteToken } = (await api().post('/api/rides/estimate').send(trip)).body;
+    rideBody = { ...trip, quote_token: quoteToken, customer_name: 'Rider', customer_phone: '01000000001', pickup_address: 'a', dropoff_address: 'b' };
+  });
+
+  afterAll(teardownDatabase);
+
+  const bookAsGuest = (key, userAgent, body = rideBody) =>
+    api().post('/api/public/rides').set('Idempotency-Key', key).set('User-Agent', userAgent).send(body);
+
+  test('replays a retried order instead of creating it twice', async () => {
+    const customer = await createUser();
+    const { menuItem } = await createRestaurant();
+    const send = () => api(customer).post('/api/orders').set('Idempotency-Key', 'order-1').send(orderBody(menuItem));
+
+    const first = await send();
+    const retry = await send();
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.order.id).toBe(first.body.order.id);
+    expect(await models.Order.count({ where: { user_id: customer.id } })).toBe(1);
+
+    const changed = await api(customer).post('/api/orders').set('Idempotency-Key', 'order-1').send(orderBody(menuItem, { notes: 'x' }));
+    expect(changed.status).toBe(409);
+    expect(changed.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  test('the same guest gets its own booking back on retry', async () => {
+    const first = await bookAsGuest('ride-1', 'guest-app/1.0');
+    const retry = await bookAsGuest('ride-1', 'guest-app/1.0');
+
+    expect(first.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.ride.id).toBe(first.body.ride.id);
+  });
+
+  test('two guests using the same key never see each other\'s responses', async () => {
+    const first = await bookAsGuest('shared-key', 'guest-app/1.0');
+    const second = await bookAsGuest('shared-key', 'other-browser/2.0');
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+    expect(second.headers['idempotent-replayed']).toBeUndefined();
+    expect(second.body.ride.id).not.toBe(first.body.ride.id);
+
+    const otherBody = await bookAsGuest('shared-key', 'third-browser/3.0', { ...rideBody, customer_phone: '01000000002' });
+    expect(otherBody.status).toBe(201);
+  });
+});
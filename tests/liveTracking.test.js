@@ -0,0 +1,67 @@
+// tests/liveTracking.test.js - Live courier and driver position with ETA for customers
+const { setupDatabase, teardownDatabase, createUser, api, models } = require('./helpers');
+
+describe('live tracking', () => {
+  let customer, stranger, courier, driver;
+  const trip = { pickup_coordinates: { lat: 30.0444, lng: 31.2357 }, dropoff_coordinates: { lat: 30.0626, lng: 31.2497 } };
+  const bookRide = async (user) => {
+    const { quote_token: quoteToken } = (await api().post('/api/rides/estimate').send(trip)).body;
+    return (await api(user).post('/api/public/rides').send({
+      ...trip, quote_token: quoteToken, customer_name: 'Rider', customer_phone: '01000000001', pickup_address: 'a', dropoff_address: 'b'
+    })).body;
+  };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    stranger = await createUser();
+    courier = await createUser({ role: 'delivery' });
+    driver = await createUser({ role: 'driver', name: 'Driver One' });
+  });
+
+  afterAll(teardownDatabase);
+
+  test('customers follow their courier until the order is delivered', async () => {
+    const order = await models.Order.create({
+      user_id: customer.id, customer_name: 'Customer', customer_phone: '01000000001', address: 'Some street 1',
+      customer_location: { lat: 30.06, lng: 31.25 }, items: [], subtotal: 1, total: 1, status: 'assigned', assigned_to: courier.id
+    });
+
+    let res = await api(customer).get(`/api/orders/${order.id}/tracking`);
+    expect(res.body.tracking).toMatchObject({ location: null, is_stale: true });
+
+    await api(courier).put(`/api/drivers/${courier.id}/location`).send({ latitude: 30.04, longitude: 31.23, heading: 90 });
+    res = await api(customer).get(`/api/orders/${order.id}/tracking`);
+    expect(res.body.tracking).toMatchObject({ location: { lat: 30.04, lng: 31.23 }, heading: 90, is_stale: false, destination_type: 'customer' });
+    expect(res.body.tracking.eta_minutes).toBeGreaterThan(0);
+
+    expect((await api(stranger).get(`/api/orders/${order.id}/tracking`)).status).toBe(403);
+
+    await order.update({ status: 'delivered' });
+    res = await api(customer).get(`/api/orders/${order.id}/tracking`);
+    expect(res.status).toBe(410);
+    expect(res.body.code).toBe('TRACKING_ENDED');
+  });
+
+  test('guests track an accepted ride with their token', async () => {
+    const { ride, tracking_token: token } = await bookRide();
+
+    expect((await api().get(`/api/public/rides/${ride.id}/tracking?token=${token}`)).body.code).toBe('TRACKING_NOT_STARTED');
+
+    await api(driver).post(`/api/rides/${ride.id}/accept`).send({});
+    await api(driver).put(`/api/drivers/${driver.id}/location`).send({ latitude: 30.03, longitude: 31.22 });
+    const res = await api().get(`/api/public/rides/${ride.id}/tracking`).set('X-Tracking-Token', token);
+    expect(res.body.tracking).toMatchObject({ destination_type: 'pickup', driver: { name: 'Driver One' } });
+
+    expect((await api().get(`/api/public/rides/${ride.id}/tracking?token=bad`)).status).toBe(404);
+  });
+
+  test('riders see the drop-off leg once the ride starts', async () => {
+    const { ride } = await bookRide(customer);
+    await api(driver).post(`/api/rides/${ride.id}/accept`).send({});
+    await api(driver).post(`/api/rides/${ride.id}/start`).send({});
+
+    expect((await api(customer).get(`/api/rides/${ride.id}/tracking`)).body.tracking.destination_type).toBe('dropoff');
+    expect((await api(stranger).get(`/api/rides/${ride.id}/tracking`)).status).toBe(403);
+  });
+});
@@ -0,0 +1,45 @@
+// tests/notifications.test.js - Stored notifications: delivery on order events, read state and ownership
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, orderBody } = require('./helpers');
+
+describe('notifications', () => {
+  let customer, stranger, kitchen, menuItem;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    stranger = await createUser();
+    ({ owner: kitchen, menuItem } = await createRestaurant());
+  });
+
+  afterAll(teardownDatabase);
+
+  test('a new order notifies the restaurant and acceptance notifies the customer', async () => {
+    const order = (await api(customer).post('/api/orders').send(orderBody(menuItem))).body.order;
+
+    const kitchenInbox = await api(kitchen).get('/api/notifications');
+    expect(kitchenInbox.body.notifications).toEqual(
+      expect.arrayContaining([expect.objectContaining({ type: 'new_order', order_id: order.id })])
+    );
+
+    await api(kitchen).put(`/api/restaurant-orders/${order.id}/accept`).send({});
+    const customerInbox = await api(customer).get('/api/notifications?limit=1');
+    expect(customerInbox.body.notifications).toHaveLength(1);
+    expect(customerInbox.body.unread).toBeGreaterThanOrEqual(1);
+  });
+
+  test('only the recipient can read or see a notification', async () => {
+    const [notification] = (await api(kitchen).get('/api/notifications')).body.notifications;
+
+    expect((await api(stranger).put(`/api/notifications/${notification.id}/read`).send({})).status).toBe(404);
+    expect((await api(stranger).get(`/api/notifications/${kitchen.id}`)).status).toBe(403);
+
+    expect((await api(kitchen).put(`/api/notifications/${notification.id}/read`).send({})).status).toBe(200);
+  });
+
+  test('read-all clears the unread count', async () => {
+    await api(customer).put('/api/notifications/read-all').send({});
+
+    const res = await api(customer).get('/api/notifications/unread-count');
+    expect(res.body.unread).toBe(0);
+  });
+});
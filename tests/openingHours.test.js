@@ -0,0 +1,97 @@
+// tests/openingHours.test.js - Opening hours, holidays and busy mode on listings, quotes and checkout
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, orderBody, CUSTOMER_LOCATION } = require('./helpers');
+const schedulingConfig = require('../src/config/scheduling');
+const { localClock, localDateKey } = require('../src/services/localDates');
+const { DAYS } = require('../src/services/openingHours');
+
+// "HH:MM" in the business timezone, hours from now
+const clockIn = (hours) => {
+  const { minutes } = localClock(new Date(Date.now() + hours * 3600000), schedulingConfig.timezone);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+const everyDay = (ranges) => Object.fromEntries(DAYS.map(day => [day, ranges]));
+
+describe('opening hours', () => {
+  let customer, admin, owner, otherOwner, restaurant, menuItem;
+  const schedule = (user, body) => api(user).put(`/api/restaurants/${restaurant.id}/schedule`).send(body);
+  const quote = (extra = {}) => api(customer).post('/api/orders/quote').send({ items: [{ id: menuItem.id, quantity: 1 }], customer_location: CUSTOMER_LOCATION, ...extra });
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    admin = await createUser({ role: 'admin' });
+    ({ owner, restaurant, menuItem } = await createRestaurant());
+    ({ owner: otherOwner } = await createRestaurant());
+  });
+
+  afterAll(teardownDatabase);
+
+  test('restaurants without hours are always open', async () => {
+    const res = await api().get(`/api/restaurants/${restaurant.id}`);
+    expect(res.body.restaurant).toMatchObject({ is_open_now: true, next_opening_at: null });
+  });
+
+  test('only the owner or an admin sets valid hours', async () => {
+    expect((await schedule(otherOwner, { opening_hours: everyDay([{ open: '09:00', close: '17:00' }]) })).status).toBe(403);
+    expect((await schedule(owner, { opening_hours: { mon: [{ open: '25:00', close: '10:00' }] } })).body.code).toBe('INVALID_OPENING_HOURS');
+    expect((await schedule(owner, { holidays: [{ date: '2026-02-30' }] })).body.code).toBe('INVALID_HOLIDAYS');
+  });
+
+  test('outside its hours a restaurant is listed as closed and refuses orders', async () => {
+    const res = await schedule(owner, { opening_hours: everyDay([{ open: clockIn(2), close: clockIn(3) }]) });
+    expect(res.body.schedule).toMatchObject({ is_open_now: false, closed_reason: 'outside_hours' });
+    expect(Math.abs(new Date(res.body.schedule.next_opening_at) - (Date.now() + 2 * 3600000))).toBeLessThan(61000);
+
+    const listed = (await api().get('/api/restaurants')).body.restaurants.find(r => r.id === restaurant.id);
+    expect(listed.is_open_now).toBe(false);
+    const openNow = (await api().get('/api/restaurants?open_now=true')).body.restaurants;
+    expect(openNow.map(r => r.id)).not.toContain(restaurant.id);
+    const menu = (await api().get(`/api/menu-items?restaurant_id=${restaurant.id}`)).body.menuItems;
+    expect(menu[0]).toMatchObject({ restaurant_is_open_now: false });
+
+    const order = await api(customer).post('/api/orders').send(orderBody(menuItem));
+    expect(order.body.code).toBe('RESTAURANT_CLOSED');
+    expect(order.body.errors[0].closed_reason).toBe('outside_hours');
+  });
+
+  test('the quote refuses a closed restaurant just as checkout does', async () => {
+    const res = await quote();
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('RESTAURANT_CLOSED');
+    expect(res.body.errors[0].next_opening_at).toBeTruthy();
+
+    // ... but accepts a slot inside the hours, and checks the slot the customer picked
+    const inside = await quote({ scheduled_for: new Date(Date.now() + 2.5 * 3600000).toISOString() });
+    expect(inside.status).toBe(200);
+    const outside = await quote({ scheduled_for: new Date(Date.now() + 4 * 3600000).toISOString() });
+    expect(outside.body.code).toBe('RESTAURANT_CLOSED_AT_SCHEDULED_TIME');
+  });
+
+  test('a holiday closes the restaurant whatever its hours', async () => {
+    const res = await schedule(owner, {
+      opening_hours: everyDay([{ open: '00:00', close: '23:59' }]),
+      holidays: [{ date: localDateKey(new Date(), schedulingConfig.timezone), note: 'Eid' }]
+    });
+    expect(res.body.schedule).toMatchObject({ closed_reason: 'holiday' });
+    expect(res.body.schedule.holidays[0].note).toBe('Eid');
+    expect((await quote()).body.code).toBe('RESTAURANT_CLOSED');
+
+    const cleared = await schedule(owner, { opening_hours: null, holidays: null });
+    expect(cleared.body.schedule).toMatchObject({ is_open_now: true, holidays: [] });
+  });
+
+  test('busy mode pauses orders until it ends or is lifted', async () => {
+    expect((await api(owner).post(`/api/restaurants/${restaurant.id}/pause`).send({ minutes: 0 })).body.code).toBe('INVALID_PAUSE_DURATION');
+
+    const paused = await api(owner).post(`/api/restaurants/${restaurant.id}/pause`).send({ minutes: 30, reason: 'kitchen full' });
+    expect(paused.body.schedule).toMatchObject({ closed_reason: 'busy', pause_reason: 'kitchen full' });
+    expect(paused.body.schedule.next_opening_at).toBe(paused.body.schedule.paused_until);
+
+    expect((await quote()).body.errors[0].closed_reason).toBe('busy');
+    expect((await api(customer).post('/api/orders').send(orderBody(menuItem))).body.errors[0].closed_reason).toBe('busy');
+
+    expect((await api(admin).delete(`/api/restaurants/${restaurant.id}/pause`)).body.schedule.is_open_now).toBe(true);
+    expect((await quote()).status).toBe(200);
+    expect((await api(customer).post('/api/orders').send(orderBody(menuItem))).status).toBe(201);
+  });
+});
@@ -0,0 +1,64 @@
+// tests/orderFulfillments.test.js - Per-restaurant fulfillments and the parent status derived from them
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, orderBody } = require('./helpers');
+
+describe('order fulfillments', () => {
+  let customer, courier, first, second;
+
+  const placeOrder = async () => (await api(customer).post('/api/orders').send(orderBody(first.menuItem, {
+    items: [{ id: first.menuItem.id, quantity: 1 }, { id: second.menuItem.id, quantity: 2 }]
+  }))).body.order;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    courier = await createUser({ role: 'delivery', online: true });
+    first = await createRestaurant({}, { price: 80 });
+    second = await createRestaurant({}, { price: 50 });
+  });
+
+  afterAll(teardownDatabase);
+
+  test('an order across two restaurants gets one fulfillment each', async () => {
+    const order = await placeOrder();
+    expect(order.fulfillments).toHaveLength(2);
+    expect(order.subtotal).toBe(180);
+
+    const res = await api(first.owner).get('/api/restaurant-orders');
+    const own = res.body.orders.find(o => o.id === order.id);
+    expect(own.fulfillment.items).toHaveLength(1);
+    expect(own.fulfillments).toHaveLength(1);
+  });
+
+  test('the parent waits for every restaurant and drops rejected parts from the totals', async () => {
+    const order = await placeOrder();
+
+    const accepted = await api(first.owner).put(`/api/restaurant-orders/${order.id}/accept`).send({});
+    expect(accepted.body.order.order_status).toBe('pending_restaurant');
+
+    const rejected = await api(second.owner).put(`/api/restaurant-orders/${order.id}/reject`).send({ reason: 'closed' });
+    expect(rejected.body.order.order_status).toBe('pending_assignment');
+
+    const res = await api(customer).get(`/api/orders/${order.id}`);
+    expect(res.body.order.subtotal).toBe(80);
+  });
+
+  test('picking up every fulfillment puts the order in progress', async () => {
+    const order = await placeOrder();
+    for (const { owner } of [first, second]) {
+      await api(owner).put(`/api/restaurant-orders/${order.id}/accept`).send({});
+    }
+    await api(courier).put(`/api/orders/${order.id}`).send({ status: 'assigned' });
+    for (const { owner } of [first, second]) {
+      await api(owner).put(`/api/restaurant-orders/${order.id}/preparing`).send({});
+      await api(owner).put(`/api/restaurant-orders/${order.id}/ready`).send({});
+    }
+
+    const fulfillments = (await api(courier).get(`/api/orders/${order.id}/fulfillments`)).body.fulfillments;
+    const firstPickup = await api(courier).put(`/api/orders/${order.id}/fulfillments/${fulfillments[0].id}/pickup`).send({});
+    expect(firstPickup.status).toBe(200);
+    expect(firstPickup.body.order_status).not.toBe('in_progress');
+
+    const secondPickup = await api(courier).put(`/api/orders/${order.id}/fulfillments/${fulfillments[1].id}/pickup`).send({});
+    expect(secondPickup.body.order_status).toBe('in_progress');
+  });
+});
@@ -0,0 +1,58 @@
+// tests/orderPricing.test.js - Server-side order pricing and POST /api/orders/quote
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, models, orderBody, CUSTOMER_LOCATION } = require('./helpers');
+
+describe('order pricing', () => {
+  let customer, restaurant, burger, cola, hidden;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    ({ restaurant, menuItem: burger } = await createRestaurant({}, {
+      price: 80, original_price: 100, discount_percentage: 20, has_discount: true
+    }));
+    cola = await models.MenuItem.create({ name: 'Cola', price: 10, category: 'Main', restaurant_email: restaurant.email, restaurant_id: restaurant.id });
+    hidden = await models.MenuItem.create({ name: 'Gone', price: 10, category: 'Main', restaurant_email: restaurant.email, restaurant_id: restaurant.id, available: false });
+  });
+
+  afterAll(teardownDatabase);
+
+  test('quote prices items from the menu', async () => {
+    const res = await api(customer).post('/api/orders/quote').send({
+      items: [{ id: burger.id, quantity: 2 }, { id: cola.id, quantity: 1, price: 10 }],
+      customer_location: CUSTOMER_LOCATION
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.quote.subtotal).toBe(170);
+    expect(res.body.quote.savings).toBe(40);
+    expect(res.body.quote.total).toBe(res.body.quote.subtotal + res.body.quote.delivery_fee);
+  });
+
+  test('quote rejects stale prices, unavailable and unknown items', async () => {
+    const res = await api(customer).post('/api/orders/quote').send({
+      items: [{ id: burger.id, quantity: 1, price: 1 }, { id: hidden.id, quantity: 1 }, { id: 999999, quantity: 1 }],
+      customer_location: CUSTOMER_LOCATION
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body.errors).toHaveLength(3);
+  });
+
+  test('checkout stores the server price, not the totals sent by the client', async () => {
+    const quote = await api(customer).post('/api/orders/quote').send({ items: [{ id: burger.id, quantity: 1 }], customer_location: CUSTOMER_LOCATION });
+    const created = await api(customer).post('/api/orders').send(orderBody(burger, { subtotal: 1, total: 1 }));
+
+    expect(created.status).toBe(201);
+    expect(created.body.order.total).toBe(quote.body.quote.total);
+  });
+
+  test('customers cannot rewrite totals afterwards', async () => {
+    const created = await api(customer).post('/api/orders').send(orderBody(burger));
+    const orderId = created.body.order.id;
+
+    await api(customer).put(`/api/orders/${orderId}`).send({ total: 1, subtotal: 1 });
+
+    const order = await models.Order.findByPk(orderId);
+    expect(order.total).toBe(created.body.order.total);
+  });
+});
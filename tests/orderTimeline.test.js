@@ -0,0 +1,43 @@
+// tests/orderTimeline.test.js - Order status history and GET /api/orders/:id/timeline
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, orderBody } = require('./helpers');
+
+describe('order timeline', () => {
+  let customer, courier, admin, stranger, menuItem;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    stranger = await createUser();
+    courier = await createUser({ role: 'delivery' });
+    admin = await createUser({ role: 'admin' });
+    ({ menuItem } = await createRestaurant());
+  });
+
+  afterAll(teardownDatabase);
+
+  test('records creation and every status change in order', async () => {
+    const created = await api(customer).post('/api/orders').send(orderBody(menuItem));
+    expect(created.status).toBe(201);
+    const orderId = created.body.order.id;
+
+    const cancelled = await api(admin).put(`/api/orders/${orderId}`)
+      .send({ status: 'cancelled', reason: 'customer unreachable' });
+    expect(cancelled.status).toBe(200);
+
+    const res = await api(customer).get(`/api/orders/${orderId}/timeline`);
+    expect(res.status).toBe(200);
+    const statuses = res.body.timeline.map(event => event.to_status);
+    expect(statuses[0]).toBe('pending_restaurant');
+    expect(statuses[statuses.length - 1]).toBe('cancelled');
+    expect(res.body.timeline[res.body.timeline.length - 1]).toMatchObject({ from_status: 'pending_restaurant', reason: 'customer unreachable' });
+  });
+
+  test('is hidden from other customers and unassigned couriers', async () => {
+    const created = await api(customer).post('/api/orders').send(orderBody(menuItem));
+    const orderId = created.body.order.id;
+
+    expect((await api(stranger).get(`/api/orders/${orderId}/timeline`)).status).toBe(403);
+    expect((await api(courier).get(`/api/orders/${orderId}/timeline`)).status).toBe(403);
+    expect((await api().get(`/api/orders/${orderId}/timeline`)).status).toBe(401);
+  });
+});
@@ -0,0 +1,130 @@
+// tests/payments.test.js - Online payment intents, signed webhooks and the mock checkout
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, models, orderBody } = require('./helpers');
+const paymentsConfig = require('../src/config/payments');
+const { buildCheckoutWebhook, signPayload } = require('../src/services/paymentProviders/mock');
+
+describe('payments', () => {
+  let customer, other, menuItem;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    other = await createUser();
+    ({ menuItem } = await createRestaurant());
+  });
+
+  afterEach(() => {
+    paymentsConfig.mockEnabled = true;
+  });
+
+  afterAll(teardownDatabase);
+
+  const cardOrder = async () => {
+    const res = await api(customer).post('/api/orders').send(orderBody(menuItem, { payment_method: 'credit_card' }));
+    return res.body.order;
+  };
+
+  test('card orders wait for payment and are released once the customer pays', async () => {
+    const order = await cardOrder();
+    expect(order.payment_status).toBe('pending');
+    expect(order.payment.next_action.url).toBe(`/api/payments/mock/${order.payment.provider_reference}`);
+
+    const paid = await api(customer).post(order.payment.next_action.url).send({});
+    expect(paid.status).toBe(200);
+    expect(paid.body.status).toBe('authorized');
+    expect((await models.Order.findByPk(order.id)).payment_status).toBe('authorized');
+  });
+
+  test('the mock checkout needs the intent\'s owner', async () => {
+    const order = await cardOrder();
+    const url = order.payment.next_action.url;
+
+    const anonymous = await api().post(url).send({});
+    expect(anonymous.status).toBe(401);
+
+    const stranger = await api(other).post(url).send({});
+    expect(stranger.status).toBe(403);
+    expect((await models.Order.findByPk(order.id)).payment_status).toBe('pending');
+  });
+
+  test('only the customer or the carrying driver can cancel a paid order', async () => {
+    const order = await cardOrder();
+    await api(customer).post(order.payment.next_action.url).send({});
+    const idleDriver = await createUser({ role: 'delivery', online: true });
+
+    const stranger = await api(other).put(`/api/orders/${order.id}`).send({ status: 'cancelled' });
+    expect(stranger.status).toBe(403);
+    const driver = await api(idleDriver).put(`/api/orders/${order.id}`).send({ status: 'cancelled' });
+    expect(driver.status).toBe(403);
+    expect(await models.Order.findByPk(order.id)).toMatchObject({ status: 'pending_restaurant', payment_status: 'authorized' });
+
+    const own = await api(customer).put(`/api/orders/${order.id}`).send({ status: 'cancelled' });
+    expect(own.status).toBe(200);
+    expect(own.body.order.status).toBe('cancelled');
+  });
+
+  test('guests complete their ride checkout with the tracking token', async () => {
+    const trip = { pickup_coordinates: { lat: 30.0444, lng: 31.2357 }, dropoff_coordinates: { lat: 30.0626, lng: 31.2497 } };
+    const { quote_token: quoteToken } = (await api().post('/api/rides/estimate').send(trip)).body;
+    const booked = (await api().post('/api/public/rides').send({
+      ...trip, quote_token: quoteToken, payment_method: 'card', customer_name: 'Guest', customer_phone: '01000000001', pickup_address: 'a', dropoff_address: 'b'
+    })).body;
+    const url = booked.payment.next_action.url;
+    expect(booked.ride.payment_status).toBe('pending');
+
+    expect((await api().post(url).send({})).status).toBe(401);
+    expect((await api().post(url).set('X-Tracking-Token', 'wrong').send({})).status).toBe(401);
+
+    const paid = await api().post(url).set('X-Tracking-Token', booked.tracking_token).send({});
+    expect(paid.body.status).toBe('authorized');
+  });
+
+  test('webhooks must carry a valid signature', async () => {
+    const order = await cardOrder();
+    const webhook = buildCheckoutWebhook(order.payment.provider_reference);
+
+    const forged = await api().post('/api/payments/webhooks/mock')
+      .set('Content-Type', 'application/json')
+      .set('X-Payment-Signature', signPayload(webhook.body).replace(/v1=\w+/, 'v1=00'))
+      .send(webhook.body);
+    expect(forged.status).toBe(400);
+    expect(forged.body.code).toBe('INVALID_WEBHOOK_SIGNATURE');
+
+    const signed = await api().post('/api/payments/webhooks/mock')
+      .set('Content-Type', 'application/json')
+      .set('X-Payment-Signature', webhook.headers['x-payment-signature'])
+      .send(webhook.body);
+    expect(signed.body.status).toBe('authorized');
+  });
+
+  test('the mock provider and its checkout are off when disabled, as in production', async () => {
+    const order = await cardOrder();
+    paymentsConfig.mockEnabled = false;
+
+    const checkout = await api(customer).post(order.payment.next_action.url).send({});
+    expect(checkout.status).toBe(404);
+
+    const another = await api(customer).post('/api/orders').send(orderBody(menuItem, { payment_method: 'credit_card' }));
+    expect(another.body.order.payment).toBeNull();
+    const retry = await api(customer).post('/api/payments/intents').send({ order_id: another.body.order.id });
+    expect(retry.status).toBe(503);
+    expect(retry.body.code).toBe('PAYMENT_PROVIDER_UNAVAILABLE');
+  });
+
+  test('uses its own webhook secret, never the JWT secret', () => {
+    expect(paymentsConfig.webhookSecret).toBe(process.env.PAYMENT_WEBHOOK_SECRET);
+    jest.isolateModules(() => {
+      const { PAYMENT_WEBHOOK_SECRET: secret, NODE_ENV: env } = process.env;
+      delete process.env.PAYMENT_WEBHOOK_SECRET;
+      process.env.NODE_ENV = 'production';
+      try {
+        const config = require('../src/config/payments');
+        expect(config.webhookSecret).toBeNull();
+        expect(config.mockEnabled).toBe(false);
+      } finally {
+        process.env.PAYMENT_WEBHOOK_SECRET = secret;
+        process.env.NODE_ENV = env;
+      }
+    });
+  });
+});
@@ -0,0 +1,81 @@
+// tests/promoCodes.test.js - Promo discounts at checkout and their usage limits
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, models, orderBody } = require('./helpers');
+
+describe('promo codes', () => {
+  let admin, menuItem;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    admin = await createUser({ role: 'admin' });
+    ({ menuItem } = await createRestaurant());
+  });
+
+  afterAll(teardownDatabase);
+
+  const createPromo = (attrs) => models.PromoCode.create({
+    discount_type: 'percentage',
+    value: 10,
+    applies_to: 'all',
+    is_active: true,
+    created_by: admin.id,
+    ...attrs
+  });
+
+  const order = (customer, code) => api(customer).post('/api/orders').send(orderBody(menuItem, { promo_code: code }));
+
+  test('takes the discount off the server-side total', async () => {
+    await createPromo({ code: 'TENOFF' });
+    const customer = await createUser();
+
+    const res = await order(customer, 'tenoff');
+    expect(res.status).toBe(201);
+    expect(res.body.order.discount).toBe(8);
+    expect(res.body.order.promo_code).toBe('TENOFF');
+
+    const again = await order(customer, 'TENOFF');
+    expect(again.body.code).toBe('PROMO_USER_LIMIT_REACHED');
+  });
+
+  test('cancelling the order gives the use back', async () => {
+    const promo = await createPromo({ code: 'COMEBACK' });
+    const customer = await createUser();
+
+    const first = await order(customer, 'COMEBACK');
+    await api(customer).put(`/api/orders/${first.body.order.id}`).send({ status: 'cancelled' });
+    expect((await promo.reload()).uses).toBe(0);
+
+    expect((await order(customer, 'COMEBACK')).status).toBe(201);
+    expect((await promo.reload()).uses).toBe(1);
+  });
+
+  test('concurrent checkouts redeem a once-per-customer code once', async () => {
+    const promo = await createPromo({ code: 'ONCEONLY', max_uses_per_user: 1 });
+    const customer = await createUser();
+
+    const results = await Promise.all([...Array(6)].map(() => order(customer, 'ONCEONLY')));
+
+    expect(results.filter(res => res.status === 201)).toHaveLength(1);
+    expect(await models.PromoRedemption.count({ where: { promo_code_id: promo.id, status: 'applied' } })).toBe(1);
+    expect((await promo.reload()).uses).toBe(1);
+  });
+
+  test('concurrent checkouts by different customers stop at max_uses', async () => {
+    const promo = await createPromo({ code: 'FIRSTTWO', max_uses: 2 });
+    const customers = await Promise.all([...Array(5)].map(() => createUser()));
+
+    const results = await Promise.all(customers.map(customer => order(customer, 'FIRSTTWO')));
+
+    expect(results.filter(res => res.status === 201)).toHaveLength(2);
+    expect(results.filter(res => res.status !== 201).every(res => res.body.code === 'PROMO_USAGE_LIMIT_REACHED' || res.body.code === 'PROMO_CODE_BUSY')).toBe(true);
+    expect(await models.PromoRedemption.count({ where: { promo_code_id: promo.id, status: 'applied' } })).toBe(2);
+  });
+
+  test('one customer cannot hold two applied uses of the same slot', async () => {
+    const promo = await createPromo({ code: 'SLOTTED', max_uses_per_user: 1 });
+    const customer = await createUser();
+    await models.PromoRedemption.create({ promo_code_id: promo.id, user_id: customer.id, code: promo.code, user_use: 1 });
+
+    await expect(models.PromoRedemption.create({ promo_code_id: promo.id, user_id: customer.id, code: promo.code, user_use: 1 }))
+      .rejects.toHaveProperty('name', 'SequelizeUniqueConstraintError');
+  });
+});
@@ -0,0 +1,120 @@
+// tests/proofOfDelivery.test.js - Delivery code and photo proof before an order counts as delivered
+const path = require('path');
+const { setupDatabase, teardownDatabase, createUser, api, models } = require('./helpers');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452000000010000000108060000001f15c4890000000d4944415478da63f8ffff3f0005fe02fea7d6a4480000000049454e44ae426082', 'hex');
+
+describe('proof of delivery', () => {
+  let customer, courier, otherCourier, admin;
+
+  // New orders cannot be created past "assigned", so the pickup is applied afterwards
+  const orderOnTheWay = async (extra = {}) => {
+    const order = await models.Order.create({
+      user_id: customer.id, customer_name: 'Customer', customer_phone: '01000000001', address: 'Some street 1',
+      items: [], subtotal: 1, total: 1, status: 'assigned', assigned_to: courier.id, ...extra
+    });
+    return order.update({ status: 'in_progress', started_at: new Date() });
+  };
+
+  const deliver = (user, orderId, fields = {}) => {
+    const req = api(user).post(`/api/orders/${orderId}/deliver`);
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req;
+  };
+
+  const wrongCode = (code) => (code === '0000' ? '1111' : '0000');
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    courier = await createUser({ role: 'delivery' });
+    otherCourier = await createUser({ role: 'delivery' });
+    admin = await createUser({ role: 'admin' });
+  });
+
+  afterAll(teardownDatabase);
+
+  test('only the customer sees the code', async () => {
+    const order = await orderOnTheWay();
+    expect(order.delivery_code).toMatch(/^\d{4}$/);
+
+    expect((await api(customer).get(`/api/orders/${order.id}`)).body.order.delivery_code).toBe(order.delivery_code);
+    expect((await api(courier).get(`/api/orders/${order.id}`)).body.order.delivery_code).toBeUndefined();
+  });
+
+  test('couriers cannot mark delivered without proof', async () => {
+    const order = await orderOnTheWay();
+
+    expect((await api(courier).put(`/api/orders/${order.id}`).send({ status: 'delivered' })).body.code).toBe('PROOF_OF_DELIVERY_REQUIRED');
+    expect((await deliver(courier, order.id)).body.code).toBe('DELIVERY_PROOF_REQUIRED');
+    expect((await deliver(otherCourier, order.id, { delivery_code: order.delivery_code })).status).toBe(403);
+
+    const wrong = await deliver(courier, order.id, { delivery_code: wrongCode(order.delivery_code) });
+    expect(wrong.body.code).toBe('INVALID_DELIVERY_CODE');
+    expect(wrong.body.errors.attempts_left).toBe(4);
+
+    const delivered = await deliver(courier, order.id, { delivery_code: order.delivery_code, latitude: '30.05', longitude: '31.24' });
+    expect(delivered.status).toBe(200);
+    expect(delivered.body.proof.method).toBe('code');
+    expect((await api(admin).get(`/api/orders/${order.id}/proof`)).body.proof.location.lat).toBe(30.05);
+    expect((await api(customer).get(`/api/orders/${order.id}/proof`)).status).toBe(403);
+  });
+
+  test('leave-at-door orders need a photo', async () => {
+    const order = await orderOnTheWay({ dropoff_preference: 'leave_at_door' });
+
+    expect((await deliver(courier, order.id, { delivery_code: order.delivery_code })).body.code).toBe('PROOF_PHOTO_REQUIRED');
+
+    const delivered = await api(courier).post(`/api/orders/${order.id}/deliver`)
+      .field('notes', 'at door')
+      .attach('photo', PNG, { filename: 'door.png', contentType: 'image/png' });
+    expect(delivered.status).toBe(200);
+    expect(delivered.body.proof.method).toBe('photo');
+    expect(path.basename(delivered.body.proof.photo_url)).toBeTruthy();
+  });
+
+  test('PUT cannot rewrite the delivery code or the proof settings', async () => {
+    const order = await orderOnTheWay({ dropoff_preference: 'leave_at_door' });
+    const original = order.delivery_code;
+    const forged = original === '9999' ? '8888' : '9999';
+
+    await api(courier).put(`/api/orders/${order.id}`).send({ delivery_code: forged, delivery_code_attempts: 0 });
+    await api(customer).put(`/api/orders/${order.id}`).send({ dropoff_preference: 'hand_to_me', delivery_code: forged });
+    await api(admin).put(`/api/orders/${order.id}`).send({ delivery_code: forged, dropoff_preference: 'hand_to_me' });
+
+    await order.reload();
+    expect(order.delivery_code).toBe(original);
+    expect(order.dropoff_preference).toBe('leave_at_door');
+
+    const res = await deliver(courier, order.id, { delivery_code: forged });
+    expect(res.status).toBe(400);
+    expect(await models.Order.findByPk(order.id)).toMatchObject({ status: 'in_progress' });
+  });
+
+  test('couriers only change the status through PUT', async () => {
+    const order = await orderOnTheWay();
+
+    await api(courier).put(`/api/orders/${order.id}`).send({
+      status: 'in_progress', started_at: '2020-01-01T00:00:00Z', completed_at: '2020-01-01T00:00:00Z', assigned_to: otherCourier.id, customer_phone: '0'
+    });
+
+    await order.reload();
+    expect(order.assigned_to).toBe(courier.id);
+    expect(order.customer_phone).toBe('01000000001');
+    expect(new Date(order.started_at).getFullYear()).not.toBe(2020);
+    expect(order.completed_at).toBeNull();
+  });
+
+  test('admins closing an order by hand still stamp its pickup and delivery times', async () => {
+    const order = await models.Order.create({
+      user_id: customer.id, customer_name: 'Customer', customer_phone: '01000000001', address: 'Some street 1',
+      items: [], subtotal: 1, total: 1, status: 'assigned', assigned_to: courier.id
+    });
+
+    expect((await api(admin).put(`/api/orders/${order.id}`).send({ status: 'in_progress' })).status).toBe(200);
+    const delivered = await api(admin).put(`/api/orders/${order.id}`).send({ status: 'delivered' });
+    expect(delivered.status).toBe(200);
+    expect(delivered.body.order.started_at).not.toBeNull();
+    expect(delivered.body.order.completed_at).not.toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+// tests/refunds.test.js - Admin full and partial refunds and the settlement changes they cause
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, models, orderBody, deliverOrder } = require('./helpers');
+const { calculateTax } = require('../src/services/orderPricing');
+const { getProvider } = require('../src/services/paymentProviders');
+
+describe('order refunds', () => {
+  let customer, admin, courier, menuItem;
+
+  // A cash order with two of the 80 dish, delivered by the courier
+  const deliveredCashOrder = async () => {
+    const order = (await api(customer).post('/api/orders').send(orderBody(menuItem, { items: [{ id: menuItem.id, quantity: 2 }] }))).body.order;
+    await models.Order.update({ status: 'assigned', assigned_to: courier.id }, { where: { id: order.id } });
+    await deliverOrder(order.id, courier);
+    return models.Order.findByPk(order.id);
+  };
+
+  const refund = (order, body) => api(admin).post(`/api/admin/orders/${order.id}/refunds`).send(body);
+
+  const ledgerTypes = async (orderId) =>
+    (await models.CourierLedgerEntry.findAll({ where: { order_id: orderId }, order: [['id', 'ASC']] })).map(entry => entry.entry_type);
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    admin = await createUser({ role: 'admin' });
+    courier = await createUser({ role: 'delivery' });
+    ({ menuItem } = await createRestaurant());
+  });
+
+  afterAll(teardownDatabase);
+
+  test('cash orders can only be refunded to the wallet', async () => {
+    const order = await deliveredCashOrder();
+    const res = await refund(order, { reason_code: 'goodwill', amount: 10 });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('REFUND_DESTINATION_UNAVAILABLE');
+  });
+
+  test('an item refund pays back the item with its tax and charges it to the restaurant', async () => {
+    const order = await deliveredCashOrder();
+
+    const res = await refund(order, { reason_code: 'item_missing', destination: 'wallet', items: [{ index: 0, quantity: 1 }] });
+    expect(res.status).toBe(201);
+    expect(res.body.refund.amount).toBe(80 + calculateTax(80));
+    expect(res.body.refunded).toBe(res.body.refund.amount);
+    expect((await api(customer).get('/api/wallet')).body.balance).toBe(res.body.refund.amount);
+    expect(await ledgerTypes(order.id)).toContain('restaurant_payable_reversal');
+
+    const tooMany = await refund(order, { reason_code: 'item_missing', destination: 'wallet', items: [{ index: 0, quantity: 2 }] });
+    expect(tooMany.body.code).toBe('INVALID_REFUND_ITEMS');
+  });
+
+  test('the delivery fee is refunded once and charged back to the courier', async () => {
+    const order = await deliveredCashOrder();
+
+    const res = await refund(order, { reason_code: 'late_delivery', destination: 'wallet', include_delivery_fee: true });
+    expect(res.status).toBe(201);
+    expect(res.body.refund.delivery_fee_amount).toBe(order.delivery_fee);
+    expect(await ledgerTypes(order.id)).toContain('earning_reversal');
+
+    const again = await refund(order, { reason_code: 'late_delivery', destination: 'wallet', include_delivery_fee: true });
+    expect(again.body.code).toBe('DELIVERY_FEE_ALREADY_REFUNDED');
+  });
+
+  test('refunds never exceed what was paid', async () => {
+    const order = await deliveredCashOrder();
+
+    const over = await refund(order, { reason_code: 'goodwill', destination: 'wallet', amount: order.total + 1 });
+    expect(over.body.code).toBe('REFUND_EXCEEDS_PAID');
+
+    const goodwill = await refund(order, { reason_code: 'goodwill', destination: 'wallet', amount: 10 });
+    expect(goodwill.status).toBe(201);
+    expect(goodwill.body.refund.settlement_adjustments).toEqual({ restaurants: [], driver: null });
+
+    const full = await refund(order, { type: 'full', reason_code: 'quality_issue', destination: 'wallet' });
+    expect(full.body.refund.amount).toBe(Math.round((order.total - 10) * 100) / 100);
+    expect(full.body.refundable).toBe(0);
+
+    const nothing = await refund(order, { reason_code: 'goodwill', destination: 'wallet', amount: 1 });
+    expect(nothing.body.code).toBe('NOTHING_TO_REFUND');
+  });
+
+  test('concurrent refunds cannot together exceed what was paid', async () => {
+    const order = await deliveredCashOrder();
+
+    const results = await Promise.all([1, 2, 3].map(() =>
+      refund(order, { reason_code: 'goodwill', destination: 'wallet', amount: order.total - 1 })
+    ));
+
+    expect(results.filter(res => res.status === 201)).toHaveLength(1);
+    expect(results.filter(res => res.status !== 201).every(res => ['REFUND_IN_PROGRESS', 'REFUND_EXCEEDS_PAID'].includes(res.body.code))).toBe(true);
+    const summary = await api(admin).get(`/api/admin/orders/${order.id}/refunds`);
+    expect(summary.body.refunded).toBe(Math.round((order.total - 1) * 100) / 100);
+    expect(summary.body.refunds.map(entry => entry.status)).toEqual(['completed']);
+  });
+
+  test('a refund the provider refuses is marked failed and frees its amount', async () => {
+    const order = (await api(customer).post('/api/orders').send(orderBody(menuItem, { payment_method: 'credit_card' }))).body.order;
+    await api(customer).post(order.payment.next_action.url).send({});
+    await models.Order.update({ status: 'assigned', assigned_to: courier.id }, { where: { id: order.id } });
+    await deliverOrder(order.id, courier);
+
+    const provider = getProvider('mock');
+    const originalRefund = provider.refund;
+    provider.refund = async () => { throw new Error('declined'); };
+    try {
+      const refused = await refund(order, { type: 'full', reason_code: 'not_delivered' });
+      expect(refused.status).toBe(502);
+    } finally {
+      provider.refund = originalRefund;
+    }
+
+    const listed = await api(admin).get(`/api/admin/orders/${order.id}/refunds`);
+    expect(listed.body.refunds.map(entry => entry.status)).toEqual(['failed']);
+    expect(listed.body.refundable).toBe(order.total);
+
+    const retried = await refund(order, { type: 'full', reason_code: 'not_delivered' });
+    expect(retried.status).toBe(201);
+    expect(retried.body.refund.status).toBe('completed');
+  });
+
+  test('card payments are refunded through the provider', async () => {
+    const order = (await api(customer).post('/api/orders').send(orderBody(menuItem, { payment_method: 'credit_card' }))).body.order;
+    await api(customer).post(order.payment.next_action.url).send({});
+    await models.Order.update({ status: 'assigned', assigned_to: courier.id }, { where: { id: order.id } });
+    await deliverOrder(order.id, courier);
+
+    const res = await refund(order, { reason_code: 'wrong_item', items: [{ index: 0 }] });
+    expect(res.status).toBe(201);
+    expect(res.body.refund.destination).toBe('original_method');
+    expect(res.body.refund.provider_refund_reference).toMatch(/^mock_re_/);
+
+    const listed = await api(admin).get(`/api/admin/orders/${order.id}/refunds`);
+    expect(listed.body.refunds).toHaveLength(1);
+    expect(listed.body.paid).toBe(order.total);
+  });
+
+  test('only admins issue refunds', async () => {
+    const order = await deliveredCashOrder();
+    const res = await api(customer).post(`/api/admin/orders/${order.id}/refunds`).send({ reason_code: 'goodwill', destination: 'wallet', amount: 5 });
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,94 @@
+// tests/restaurantOrders.test.js - Restaurant accept/reject/preparing/ready workflow
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, orderBody } = require('./helpers');
+
+describe('restaurant order workflow', () => {
+  let customer, courier, kitchen, otherKitchen, menuItem;
+
+  const placeOrder = async () => (await api(customer).post('/api/orders').send(orderBody(menuItem))).body.order;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    courier = await createUser({ role: 'delivery', online: true });
+    ({ owner: kitchen, menuItem } = await createRestaurant());
+    ({ owner: otherKitchen } = await createRestaurant());
+  });
+
+  afterAll(teardownDatabase);
+
+  test('new orders wait for the restaurant and cannot be claimed yet', async () => {
+    const order = await placeOrder();
+    expect(order.status).toBe('pending_restaurant');
+
+    const claim = await api(courier).put(`/api/orders/${order.id}`).send({ status: 'assigned' });
+    expect(claim.status).toBe(400);
+
+    const customerAccept = await api(customer).put(`/api/orders/${order.id}`).send({ status: 'pending_assignment' });
+    expect(customerAccept.status).toBe(403);
+  });
+
+  test('restaurants only see and act on their own orders', async () => {
+    const order = await placeOrder();
+
+    const own = await api(kitchen).get('/api/restaurant-orders');
+    expect(own.body.orders.map(o => o.id)).toContain(order.id);
+    const other = await api(otherKitchen).get('/api/restaurant-orders');
+    expect(other.body.orders.map(o => o.id)).not.toContain(order.id);
+
+    const res = await api(otherKitchen).put(`/api/restaurant-orders/${order.id}/accept`).send({});
+    expect(res.status).toBe(403);
+  });
+
+  test('restaurants cannot change order status through the generic update', async () => {
+    const order = await placeOrder();
+
+    for (const kitchenUser of [kitchen, otherKitchen]) {
+      const res = await api(kitchenUser).put(`/api/orders/${order.id}`).send({ status: 'pending_assignment' });
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('USE_RESTAURANT_ORDER_ROUTES');
+    }
+
+    const foreignEta = await api(otherKitchen).put(`/api/orders/${order.id}`).send({ estimated_delivery_time: 40 });
+    expect(foreignEta.status).toBe(403);
+    const ownEta = await api(kitchen).put(`/api/orders/${order.id}`).send({ estimated_delivery_time: 40 });
+    expect(ownEta.status).toBe(200);
+
+    const own = await api(customer).get(`/api/orders/${order.id}`);
+    expect(own.body.order.status).toBe('pending_restaurant');
+  });
+
+  test('accept, preparing and ready move the order towards pickup', async () => {
+    const order = await placeOrder();
+    const kitchenApi = api(kitchen);
+
+    const accepted = await kitchenApi.put(`/api/restaurant-orders/${order.id}/accept`).send({ estimated_prep_minutes: 20 });
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.order).toMatchObject({ status: 'accepted', order_status: 'pending_assignment' });
+
+    await kitchenApi.put(`/api/restaurant-orders/${order.id}/preparing`).send({});
+    const claimed = await api(courier).put(`/api/orders/${order.id}`).send({ status: 'assigned' });
+    expect(claimed.status).toBe(200);
+    expect(claimed.body.order).toMatchObject({ status: 'preparing', assigned_to: courier.id });
+
+    const early = await api(courier).put(`/api/orders/${order.id}`).send({ status: 'in_progress' });
+    expect(early.status).toBe(400);
+
+    const ready = await kitchenApi.put(`/api/restaurant-orders/${order.id}/ready`).send({});
+    expect(ready.body.order.status).toBe('ready_for_pickup');
+
+    const pickedUp = await api(courier).put(`/api/orders/${order.id}`).send({ status: 'in_progress' });
+    expect(pickedUp.status).toBe(200);
+    expect(pickedUp.body.order.status).toBe('in_progress');
+  });
+
+  test('rejecting needs a reason and ends the order', async () => {
+    const order = await placeOrder();
+
+    const noReason = await api(kitchen).put(`/api/restaurant-orders/${order.id}/reject`).send({});
+    expect(noReason.status).toBe(400);
+
+    const rejected = await api(kitchen).put(`/api/restaurant-orders/${order.id}/reject`).send({ reason: 'Out of stock' });
+    expect(rejected.body.order.order_status).toBe('rejected');
+    expect(rejected.body.order.fulfillment.rejected_reason).toBe('Out of stock');
+  });
+});
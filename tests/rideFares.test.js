@@ -0,0 +1,63 @@
+// tests/rideFares.test.js - Ride fare estimates, admin tariffs and signed quotes at booking
+const jwt = require('jsonwebtoken');
+const { setupDatabase, teardownDatabase, createUser, api } = require('./helpers');
+
+describe('ride fares', () => {
+  let admin, customer;
+  const trip = { pickup_coordinates: { lat: 30.0444, lng: 31.2357 }, dropoff_coordinates: { lat: 30.0626, lng: 31.2497 }, vehicle_type: 'car' };
+  const booking = { customer_name: 'Rider', customer_phone: '01000000001', pickup_address: 'Tahrir', dropoff_address: 'Zamalek' };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    admin = await createUser({ role: 'admin' });
+    customer = await createUser();
+  });
+
+  afterAll(teardownDatabase);
+
+  test('estimates need coordinates and return a signed quote', async () => {
+    const missing = await api().post('/api/rides/estimate').send({ vehicle_type: 'car' });
+    expect(missing.status).toBe(400);
+    expect(missing.body.code).toBe('INVALID_COORDINATES');
+
+    const res = await api().post('/api/rides/estimate').send(trip);
+    expect(res.status).toBe(200);
+    expect(res.body.estimate.fare).toBeGreaterThan(0);
+    expect(res.body.quote_token).toEqual(expect.any(String));
+  });
+
+  test('only admins manage tariffs, and estimates follow them', async () => {
+    const tariff = { vehicle_type: 'car', base_fare: 100, per_km: 10, per_minute: 1, minimum_fare: 50 };
+
+    expect((await api(customer).post('/api/admin/tariffs').send(tariff)).status).toBe(403);
+    expect((await api(admin).post('/api/admin/tariffs').send({ ...tariff, per_km: -1 })).status).toBe(400);
+
+    const created = await api(admin).post('/api/admin/tariffs').send(tariff);
+    expect(created.status).toBe(201);
+    expect((await api(admin).post('/api/admin/tariffs').send(tariff)).status).toBe(409);
+
+    const res = await api().post('/api/rides/estimate').send(trip);
+    expect(res.body.estimate.breakdown.base_fare).toBe(100);
+  });
+
+  test('bookings require a valid, unexpired quote for the same trip', async () => {
+    const { quote_token: quoteToken } = (await api().post('/api/rides/estimate').send(trip)).body;
+
+    const cases = [
+      [{}, 'QUOTE_REQUIRED'],
+      [{ quote_token: `${quoteToken}x` }, 'QUOTE_INVALID'],
+      [{ quote_token: quoteToken, vehicle_type: 'motorcycle' }, 'QUOTE_MISMATCH'],
+      [{ quote_token: quoteToken, pickup_coordinates: { lat: 31, lng: 31 } }, 'QUOTE_MISMATCH'],
+      [{ quote_token: jwt.sign({ typ: 'ride_quote', exp: Math.floor(Date.now() / 1000) - 10 }, process.env.JWT_SECRET) }, 'QUOTE_EXPIRED']
+    ];
+    for (const [extra, code] of cases) {
+      const res = await api().post('/api/public/rides').send({ ...booking, ...trip, ...extra });
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe(code);
+    }
+
+    const booked = await api().post('/api/public/rides').send({ ...booking, ...trip, quote_token: quoteToken, fare: 1 });
+    expect(booked.status).toBe(201);
+    expect(booked.body.ride.fare).toBeGreaterThan(1);
+  });
+});
@@ -0,0 +1,73 @@
+// tests/rideLifecycle.test.js - Ride accept/arrive/start/complete/cancel state machine
+const { setupDatabase, teardownDatabase, createUser, api, models } = require('./helpers');
+
+describe('ride lifecycle', () => {
+  let customer, stranger, driver, otherDriver, admin;
+
+  const createRide = () => models.Ride.create({
+    user_id: customer.id, customer_name: 'Rider', customer_phone: '01000000001',
+    pickup_address: 'Tahrir', dropoff_address: 'Zamalek', fare: 50
+  });
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    stranger = await createUser();
+    driver = await createUser({ role: 'driver' });
+    otherDriver = await createUser({ role: 'driver' });
+    admin = await createUser({ role: 'admin' });
+  });
+
+  afterAll(teardownDatabase);
+
+  test('a ride goes accepted, arrived, in progress and completed', async () => {
+    const ride = await createRide();
+    const driverApi = api(driver);
+
+    expect((await driverApi.post(`/api/rides/${ride.id}/start`).send({})).body.code).toBe('INVALID_RIDE_TRANSITION');
+    expect((await api(customer).post(`/api/rides/${ride.id}/accept`).send({})).status).toBe(403);
+
+    const accepted = await driverApi.post(`/api/rides/${ride.id}/accept`).send({});
+    expect(accepted.body.ride).toMatchObject({ status: 'accepted', driver_id: driver.id });
+
+    const intruder = await api(otherDriver).post(`/api/rides/${ride.id}/arrive`).send({});
+    expect(intruder.status).toBe(403);
+    expect(intruder.body.code).toBe('RIDE_NOT_ASSIGNED_TO_YOU');
+
+    expect((await driverApi.post(`/api/rides/${ride.id}/arrive`).send({})).body.ride.driver_arrived_at).toBeTruthy();
+    expect((await driverApi.post(`/api/rides/${ride.id}/arrive`).send({})).body.code).toBe('DRIVER_ALREADY_ARRIVED');
+    expect((await driverApi.post(`/api/rides/${ride.id}/start`).send({})).body.ride.status).toBe('in_progress');
+    expect((await driverApi.post(`/api/rides/${ride.id}/complete`).send({})).body.ride.status).toBe('completed');
+
+    expect((await api(admin).post(`/api/rides/${ride.id}/cancel`).send({})).status).toBe(400);
+  });
+
+  test('PUT only takes a status and never rewrites other fields', async () => {
+    const ride = await createRide();
+
+    const noStatus = await api(driver).put(`/api/rides/${ride.id}`).send({ fare: 1 });
+    expect(noStatus.body.code).toBe('INVALID_RIDE_UPDATE');
+
+    const res = await api(driver).put(`/api/rides/${ride.id}`).send({ status: 'accepted', fare: 1, customer_phone: '0' });
+    expect(res.status).toBe(200);
+    expect(parseFloat(res.body.ride.fare)).toBe(50);
+    expect(res.body.ride.customer_phone).toBe('01000000001');
+  });
+
+  test('only the rider can cancel, and the reason is kept', async () => {
+    const ride = await createRide();
+
+    const foreign = await api(stranger).post(`/api/rides/${ride.id}/cancel`).send({ reason: 'x' });
+    expect(foreign.body.code).toBe('RIDE_NOT_YOURS');
+
+    const res = await api(customer).post(`/api/rides/${ride.id}/cancel`).send({ reason: 'changed plans' });
+    expect(res.body.ride).toMatchObject({ status: 'cancelled', cancelled_by: 'customer', cancellation_reason: 'changed plans' });
+  });
+
+  test('two drivers accepting at once leaves one winner', async () => {
+    const ride = await createRide();
+
+    const results = await Promise.all([driver, otherDriver].map(user => api(user).post(`/api/rides/${ride.id}/accept`).send({})));
+    expect(results.filter(res => res.status === 200)).toHaveLength(1);
+  });
+});
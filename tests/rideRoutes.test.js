@@ -0,0 +1,50 @@
+// tests/rideRoutes.test.js - Ride listing, lookup and booking running on the SQLite database
+const { setupDatabase, teardownDatabase, createUser, api, models } = require('./helpers');
+
+describe('ride routes on SQLite', () => {
+  let customer, driver, admin;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    driver = await createUser({ role: 'driver' });
+    admin = await createUser({ role: 'admin' });
+    await models.Ride.create({
+      user_id: customer.id, customer_name: 'Rider', customer_phone: '01000000001',
+      pickup_address: 'Tahrir', dropoff_address: 'Zamalek', fare: 42,
+      pickup_coordinates: { lat: 30.0444, lng: 31.2357 }
+    });
+  });
+
+  afterAll(teardownDatabase);
+
+  test('lists and reads rides with JSON columns parsed', async () => {
+    const list = await api(admin).get('/api/rides');
+    expect(list.status).toBe(200);
+    expect(list.body.rides).toHaveLength(1);
+
+    const res = await api(customer).get(`/api/rides/${list.body.rides[0].id}`);
+    expect(res.status).toBe(200);
+    expect(res.body.ride.pickup_coordinates).toEqual({ lat: 30.0444, lng: 31.2357 });
+  });
+
+  test('drivers see pending rides and can accept them', async () => {
+    const list = await api(driver).get('/api/rides');
+    expect(list.status).toBe(200);
+    const [ride] = list.body.rides;
+
+    const accepted = await api(driver).post(`/api/rides/${ride.id}/accept`).send({});
+    expect(accepted.status).toBe(200);
+  });
+
+  test('booking with a quote stores the ride', async () => {
+    const trip = { pickup_coordinates: { lat: 30.0444, lng: 31.2357 }, dropoff_coordinates: { lat: 30.0626, lng: 31.2497 } };
+    const { quote_token: quoteToken } = (await api().post('/api/rides/estimate').send(trip)).body;
+
+    const res = await api(customer).post('/api/public/rides').send({
+      ...trip, quote_token: quoteToken, customer_name: 'Rider', customer_phone: '01000000001', pickup_address: 'a', dropoff_address: 'b'
+    });
+    expect(res.status).toBe(201);
+    expect(await models.Ride.count()).toBe(2);
+  });
+});
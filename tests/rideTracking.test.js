@@ -0,0 +1,55 @@
+// tests/rideTracking.test.js - Rides linked to accounts and guest tracking tokens
+const { setupDatabase, teardownDatabase, createUser, api, models } = require('./helpers');
+
+describe('ride ownership and guest tracking', () => {
+  let customer, samePhone, driver, admin, quote;
+  const trip = { pickup_coordinates: { lat: 30.0444, lng: 31.2357 }, dropoff_coordinates: { lat: 30.0626, lng: 31.2497 } };
+  const booking = { customer_name: 'Rider', customer_phone: '01000000001', pickup_address: 'a', dropoff_address: 'b' };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser({ phone: '01000000001' });
+    samePhone = await createUser();
+    await models.User.update({ phone: '01000000001' }, { where: { id: samePhone.id } }).catch(() => {});
+    driver = await createUser({ role: 'driver', name: 'Driver One' });
+    admin = await createUser({ role: 'admin' });
+    quote = async () => (await api().post('/api/rides/estimate').send(trip)).body.quote_token;
+  });
+
+  afterAll(teardownDatabase);
+
+  test('signed-in bookings belong to the account, not the phone number', async () => {
+    const res = await api(customer).post('/api/public/rides').send({ ...booking, quote_token: await quote() });
+    expect(res.status).toBe(201);
+    expect(res.body.tracking_token).toBeUndefined();
+    const rideId = res.body.ride.id;
+    expect((await models.Ride.findByPk(rideId)).user_id).toBe(customer.id);
+
+    expect((await api(samePhone).get('/api/rides')).body.rides).toHaveLength(0);
+    expect((await api(samePhone).get(`/api/rides/${rideId}`)).status).toBe(403);
+    expect((await api(samePhone).post(`/api/rides/${rideId}/cancel`).send({})).status).toBe(403);
+  });
+
+  test('guests track and cancel only with their token', async () => {
+    const res = await api().post('/api/public/rides').send({ ...booking, quote_token: await quote() });
+    const { tracking_token: token, ride } = res.body;
+    expect(token.length).toBeGreaterThanOrEqual(32);
+
+    expect((await api().get(`/api/public/rides/${ride.id}`)).body.code).toBe('TRACKING_TOKEN_REQUIRED');
+    expect((await api().get(`/api/public/rides/${ride.id}?token=nope`)).status).toBe(404);
+
+    await api(driver).post(`/api/rides/${ride.id}/accept`).send({});
+    const tracked = await api().get(`/api/public/rides/${ride.id}`).set('X-Tracking-Token', token);
+    expect(tracked.status).toBe(200);
+    expect(tracked.body.ride.customer_phone).toBeUndefined();
+    expect(tracked.body.ride.driver.name).toBe('Driver One');
+
+    const cancelled = await api().post(`/api/public/rides/${ride.id}/cancel`).send({ token, reason: 'late' });
+    expect(cancelled.body.ride.status).toBe('cancelled');
+  });
+
+  test('the public ride list is for admins only', async () => {
+    expect((await api().get('/api/public/rides')).status).toBe(401);
+    expect((await api(admin).get('/api/public/rides')).status).toBe(200);
+  });
+});
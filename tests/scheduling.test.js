@@ -0,0 +1,110 @@
+// tests/scheduling.test.js - Pre-booked orders and rides, their opening-hours check and release
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, models, orderBody } = require('./helpers');
+const schedulingConfig = require('../src/config/scheduling');
+const { localDateKey, localDateTimeToInstant, addDays } = require('../src/services/localDates');
+const { DAYS } = require('../src/services/openingHours');
+const { releaseDueOrders, releaseDueRides } = require('../src/services/scheduler');
+
+// Tomorrow at a local time in the business timezone
+const tomorrowAt = (time) => {
+  const key = addDays(localDateKey(new Date(), schedulingConfig.timezone), 1);
+  return { key, at: localDateTimeToInstant(key, time, schedulingConfig.timezone) };
+};
+
+const hoursOn = (key, open, close) => ({ [DAYS[new Date(`${key}T00:00:00Z`).getUTCDay()]]: [{ open, close }] });
+
+describe('scheduled orders and rides', () => {
+  let customer;
+  // Orders for 13:00 are released to the kitchen at 12:20 (30 min delivery + 10 min buffer)
+  const slot = tomorrowAt('13:00');
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+  });
+
+  afterAll(teardownDatabase);
+
+  test('rejects slots that are too soon or too far ahead', async () => {
+    const { menuItem } = await createRestaurant();
+
+    const soon = await api(customer).post('/api/orders').send(orderBody(menuItem, { scheduled_for: new Date(Date.now() + 5 * 60000).toISOString() }));
+    expect(soon.body.code).toBe('SCHEDULED_TIME_TOO_SOON');
+
+    const far = await api(customer).post('/api/orders').send(orderBody(menuItem, { scheduled_for: new Date(Date.now() + 30 * 86400000).toISOString() }));
+    expect(far.body.code).toBe('SCHEDULED_TIME_TOO_FAR');
+  });
+
+  test('accepts a slot inside opening hours even if the release time is not', async () => {
+    const { menuItem } = await createRestaurant({ opening_hours: hoursOn(slot.key, '12:50', '14:00') });
+
+    const res = await api(customer).post('/api/orders').send(orderBody(menuItem, { scheduled_for: slot.at.toISOString() }));
+    expect(res.status).toBe(201);
+    expect(res.body.order.status).toBe('scheduled');
+  });
+
+  test('rejects a slot outside opening hours even if the release time is inside', async () => {
+    const { menuItem } = await createRestaurant({ opening_hours: hoursOn(slot.key, '11:00', '12:30') });
+
+    const res = await api(customer).post('/api/orders').send(orderBody(menuItem, { scheduled_for: slot.at.toISOString() }));
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('RESTAURANT_CLOSED_AT_SCHEDULED_TIME');
+  });
+
+  test('restaurants that only exist as users are matched by email, not by id', async () => {
+    // A closed restaurant whose row id equals the user-only restaurant's user id
+    const userOnly = await createUser({ id: 900, role: 'restaurant', email: 'kitchen-user@test.com' });
+    await createRestaurant({ id: 900, opening_hours: hoursOn(slot.key, '08:00', '09:00') });
+    const menuItem = await models.MenuItem.create({ name: 'Koshari', price: 40, category: 'Main', restaurant_email: userOnly.email, restaurant_id: userOnly.id });
+
+    const res = await api(customer).post('/api/orders').send(orderBody(menuItem, { scheduled_for: slot.at.toISOString() }));
+    expect(res.status).toBe(201);
+  });
+
+  test('scheduled orders stay with the scheduler until their release time', async () => {
+    const { owner: kitchen, menuItem } = await createRestaurant();
+    const created = await api(customer).post('/api/orders').send(orderBody(menuItem, { scheduled_for: slot.at.toISOString() }));
+    const orderId = created.body.order.id;
+    expect(new Date(created.body.order.release_at)).toEqual(new Date(slot.at.getTime() - 40 * 60000));
+
+    expect((await api(kitchen).put(`/api/restaurant-orders/${orderId}/accept`).send({})).body.code).toBe('ORDER_NOT_RELEASED');
+
+    await releaseDueOrders(new Date(slot.at.getTime() - 41 * 60000));
+    expect((await models.Order.findByPk(orderId)).status).toBe('scheduled');
+
+    await releaseDueOrders(new Date(slot.at.getTime() - 40 * 60000));
+    expect((await models.Order.findByPk(orderId)).status).toBe('pending_restaurant');
+    expect((await api(kitchen).put(`/api/restaurant-orders/${orderId}/accept`).send({})).status).toBe(200);
+  });
+
+  test('a cancellation landing after the sweep read the order is not undone', async () => {
+    const { menuItem } = await createRestaurant();
+    const created = await api(customer).post('/api/orders').send(orderBody(menuItem, { scheduled_for: slot.at.toISOString() }));
+    const orderId = created.body.order.id;
+
+    // The sweep reads the order, then the customer cancels before it is released
+    const stale = await models.Order.findByPk(orderId);
+    expect((await api(customer).put(`/api/orders/${orderId}`).send({ status: 'cancelled' })).status).toBe(200);
+    const findAll = jest.spyOn(models.Order, 'findAll').mockResolvedValueOnce([stale]);
+    try {
+      expect(await releaseDueOrders(new Date(slot.at.getTime() - 40 * 60000))).toBe(0);
+    } finally {
+      findAll.mockRestore();
+    }
+
+    expect((await models.Order.findByPk(orderId)).status).toBe('cancelled');
+    expect(await models.DispatchOffer.count({ where: { order_id: orderId } })).toBe(0);
+  });
+
+  test('pre-booked rides are released ahead of the pickup time', async () => {
+    const trip = { pickup_coordinates: { lat: 30.0444, lng: 31.2357 }, dropoff_coordinates: { lat: 30.0626, lng: 31.2497 }, scheduled_for: slot.at.toISOString() };
+    const estimate = await api().post('/api/rides/estimate').send(trip);
+    const booked = await api(customer).post('/api/public/rides').send({
+      ...trip, quote_token: estimate.body.quote_token, customer_name: 'Rider', customer_phone: '01000000001', pickup_address: 'a', dropoff_address: 'b'
+    });
+    expect(booked.body.ride.status).toBe('scheduled');
+
+    await releaseDueRides(new Date(slot.at.getTime() - schedulingConfig.rideReleaseLeadMinutes * 60000));
+    expect((await models.Ride.findByPk(booked.body.ride.id)).status).toBe('pending');
+  });
+});
@@ -0,0 +1,92 @@
+// tests/settlements.test.js - Restaurant commission, period statements and their payment
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, models, orderBody, deliverOrder } = require('./helpers');
+const settlementsConfig = require('../src/config/settlements');
+const { periodFor } = require('../src/services/settlements');
+const { addDays, localDateTimeToInstant } = require('../src/services/localDates');
+
+describe('restaurant settlements', () => {
+  let customer, admin, courier, kitchen, otherKitchen, menuItem, statementId;
+  const lastPeriod = () => periodFor(addDays(periodFor().start, -1));
+
+  const deliveredOrder = async () => {
+    const order = (await api(customer).post('/api/orders').send(orderBody(menuItem))).body.order;
+    await api(kitchen).put(`/api/restaurant-orders/${order.id}/accept`).send({});
+    await models.Order.update({ status: 'assigned', assigned_to: courier.id }, { where: { id: order.id } });
+    await deliverOrder(order.id, courier);
+    return models.Order.findByPk(order.id);
+  };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    admin = await createUser({ role: 'admin' });
+    courier = await createUser({ role: 'delivery' });
+    ({ owner: kitchen, menuItem } = await createRestaurant({ commission_rate: 0.1 }));
+    ({ owner: otherKitchen } = await createRestaurant());
+
+    // Delivered at noon on the first day of the last closed period
+    const order = await deliveredOrder();
+    await order.update({ completed_at: localDateTimeToInstant(lastPeriod().start, '12:00', settlementsConfig.timezone) });
+  });
+
+  afterAll(teardownDatabase);
+
+  test('closed periods are issued once, with the restaurant\'s own commission rate', async () => {
+    const res = await api(admin).post('/api/admin/restaurant-statements/generate').send({});
+    expect(res.status).toBe(201);
+    expect(res.body.period_start).toBe(lastPeriod().start);
+    expect(res.body.statements).toHaveLength(1);
+    expect(res.body.statements[0]).toMatchObject({
+      restaurant_email: kitchen.email,
+      commission_rate: 0.1,
+      orders_count: 1,
+      gross_sales: 80,
+      commission_amount: 8,
+      net_payable: 72,
+      status: 'unpaid'
+    });
+    statementId = res.body.statements[0].id;
+
+    const again = await api(admin).post('/api/admin/restaurant-statements/generate').send({});
+    expect(again.body.statements).toHaveLength(0);
+  });
+
+  test('a period that has not ended cannot be issued', async () => {
+    const res = await api(admin).post('/api/admin/restaurant-statements/generate').send({ period_start: periodFor().start });
+    expect(res.body.code).toBe('PERIOD_NOT_CLOSED');
+  });
+
+  test('restaurants see only their own statements', async () => {
+    const own = await api(kitchen).get('/api/restaurant-statements');
+    expect(own.body.statements.map(statement => statement.id)).toEqual([statementId]);
+
+    const detail = await api(kitchen).get(`/api/restaurant-statements/${statementId}`);
+    expect(detail.body.lines).toHaveLength(1);
+
+    expect((await api(otherKitchen).get(`/api/restaurant-statements/${statementId}`)).status).toBe(404);
+    expect((await api(otherKitchen).get('/api/restaurant-statements')).body.statements).toHaveLength(0);
+  });
+
+  test('refunded items come off the running period, with their commission', async () => {
+    const order = await deliveredOrder();
+    await api(admin).post(`/api/admin/orders/${order.id}/refunds`).send({ reason_code: 'item_missing', destination: 'wallet', items: [{ index: 0 }] });
+
+    const current = await api(kitchen).get('/api/restaurant-statements/current');
+    expect(current.body.period_start).toBe(periodFor().start);
+    expect(current.body.statement).toMatchObject({ gross_sales: 80, refunds: 80, commission_amount: 0, net_payable: 0 });
+  });
+
+  test('a statement is marked paid once and exports as CSV', async () => {
+    const paid = await api(admin).post(`/api/admin/restaurant-statements/${statementId}/mark-paid`).send({ payment_reference: 'TRX-1' });
+    expect(paid.body.statement).toMatchObject({ status: 'paid', payment_reference: 'TRX-1' });
+
+    const again = await api(admin).post(`/api/admin/restaurant-statements/${statementId}/mark-paid`).send({});
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('STATEMENT_ALREADY_PAID');
+
+    const csv = await api(kitchen).get(`/api/restaurant-statements/${statementId}/export`);
+    expect(csv.headers['content-type']).toMatch(/text\/csv/);
+    expect(csv.headers['content-disposition']).toContain(`-${lastPeriod().start}.csv`);
+    expect(csv.text).toMatch(/TOTAL,.*,72\s*$/);
+  });
+});
@@ -0,0 +1,18 @@
+// tests/setup.js - Runs before every test file: a throwaway SQLite database and quiet logs
+const os = require('os');
+const path = require('path');
+
+const runId = `${process.pid}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.SQLITE_STORAGE = path.join(os.tmpdir(), `togo_test_${runId}.sqlite`);
+process.env.DELIVERY_PROOF_DIR = path.join(os.tmpdir(), `togo_test_proofs_${runId}`);
+
+// Routes log every request and every handled error; TEST_LOGS=1 keeps them
+if (!process.env.TEST_LOGS) {
+  ['log', 'info', 'warn', 'error'].forEach(level => {
+    console[level] = () => {};
+  });
+}
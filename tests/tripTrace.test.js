@@ -0,0 +1,121 @@
+// tests/tripTrace.test.js - GPS trip traces and the final ride fare measured from them
+const { setupDatabase, teardownDatabase, createUser, api, models } = require('./helpers');
+const { measureTrace } = require('../src/services/tripTrace');
+
+const minutesAgo = (minutes) => Date.now() - minutes * 60000;
+
+// A straight drive north-east, one fix a minute
+const drive = (startTime, fixes) => Array.from({ length: fixes }, (_, i) => ({
+  lat: 30.0444 + i * 0.004, lng: 31.2357 + i * 0.003, recorded_at: startTime + i * 60000, accuracy: 10
+}));
+
+describe('trip traces', () => {
+  let customer, stranger, driver, otherDriver;
+  const trip = { pickup_coordinates: { lat: 30.0444, lng: 31.2357 }, dropoff_coordinates: { lat: 30.0626, lng: 31.2497 } };
+
+  // A booked ride, accepted and started `startedMinutesAgo` minutes ago
+  const startedRide = async (startedMinutesAgo = 25) => {
+    const estimate = (await api().post('/api/rides/estimate').send(trip)).body;
+    const booked = await api(customer).post('/api/public/rides').send({
+      ...trip, quote_token: estimate.quote_token, customer_name: 'Rider', customer_phone: '01000000001', pickup_address: 'a', dropoff_address: 'b'
+    });
+    const rideId = booked.body.ride.id;
+    await api(driver).post(`/api/rides/${rideId}/accept`).send({});
+    await api(driver).post(`/api/rides/${rideId}/start`).send({});
+    await models.Ride.update({ started_at: new Date(minutesAgo(startedMinutesAgo)) }, { where: { id: rideId } });
+    return { rideId, quotedFare: estimate.estimate.fare };
+  };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    stranger = await createUser();
+    driver = await createUser({ role: 'driver' });
+    otherDriver = await createUser({ role: 'driver' });
+  });
+
+  afterAll(teardownDatabase);
+
+  test('only the driver records points, and only while the ride is in progress', async () => {
+    const { rideId } = await startedRide();
+
+    expect((await api(otherDriver).post(`/api/rides/${rideId}/trace`).send({ points: drive(minutesAgo(20), 2) })).status).toBe(403);
+    const invalid = await api(driver).post(`/api/rides/${rideId}/trace`).send({ points: [{ lat: 'x', lng: 1 }] });
+    expect(invalid.body.code).toBe('INVALID_TRACE_POINTS');
+
+    const recorded = await api(driver).post(`/api/rides/${rideId}/trace`).send({ points: drive(minutesAgo(20), 11) });
+    expect(recorded.status).toBe(201);
+    expect(recorded.body.accepted).toBe(11);
+
+    const completed = await api(driver).post(`/api/rides/${rideId}/complete`).send({});
+    expect(completed.body.ride.actual_duration_minutes).toBeGreaterThanOrEqual(25);
+
+    expect((await api(customer).get(`/api/rides/${rideId}/trace`)).body.point_count).toBe(11);
+    expect((await api(stranger).get(`/api/rides/${rideId}/trace`)).status).toBe(403);
+    expect((await api(driver).post(`/api/rides/${rideId}/trace`).send({ points: drive(Date.now(), 1) })).status).toBe(400);
+  });
+
+  test('points from before the ride started are rejected', async () => {
+    const { rideId } = await startedRide(10);
+
+    const backdated = drive(minutesAgo(60 * 24 * 30), 3);
+    const res = await api(driver).post(`/api/rides/${rideId}/trace`).send({ points: backdated });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_TRACE_POINTS');
+    expect(res.body.errors.map(error => error.code)).toEqual(['INVALID_RECORDED_AT', 'INVALID_RECORDED_AT', 'INVALID_RECORDED_AT']);
+    expect(await models.TripPoint.count({ where: { trip_id: rideId } })).toBe(0);
+  });
+
+  test('a backdated trace cannot inflate the fare', async () => {
+    const { rideId, quotedFare } = await startedRide(10);
+
+    // Stored before validation existed: a long plausible-speed trace spread over past days
+    const start = minutesAgo(60 * 24 * 30);
+    await models.TripPoint.bulkCreate(Array.from({ length: 50 }, (_, i) => ({
+      trip_type: 'ride', trip_id: rideId, driver_id: driver.id,
+      latitude: 24 + (i % 2) * 1.5, longitude: 31.2, accuracy: 10, recorded_at: new Date(start + i * 3600000)
+    })));
+
+    const completed = await api(driver).post(`/api/rides/${rideId}/complete`).send({});
+    expect(completed.status).toBe(200);
+    expect(parseFloat(completed.body.ride.fare)).toBeLessThanOrEqual(quotedFare * 1.5);
+  });
+
+  test('a trace far longer than the quote is charged at the quote', async () => {
+    const { rideId, quotedFare } = await startedRide(60);
+
+    // 60 minutes at a plausible 150 km/h, far beyond the few quoted kilometres
+    const start = minutesAgo(59);
+    await api(driver).post(`/api/rides/${rideId}/trace`).send({
+      points: Array.from({ length: 60 }, (_, i) => ({ lat: 30 + i * 0.0225, lng: 31.2, recorded_at: start + i * 60000, accuracy: 10 }))
+    });
+
+    const completed = await api(driver).post(`/api/rides/${rideId}/complete`).send({});
+    expect(parseFloat(completed.body.ride.fare)).toBe(quotedFare);
+    expect(parseFloat(completed.body.ride.actual_distance_km)).toBeGreaterThan(100);
+
+    const earning = await models.DriverEarning.findOne({ where: { ride_id: rideId } });
+    expect(earning.gross_amount).toBeLessThanOrEqual(quotedFare);
+  });
+
+  test('measuring skips imprecise fixes, impossible jumps and fixes outside the window', () => {
+    const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 12, minutes));
+    const points = [
+      { latitude: 30.0, longitude: 31.0, accuracy: 10, recorded_at: at(0) },
+      { latitude: 30.01, longitude: 31.0, accuracy: 10, recorded_at: at(1) },
+      { latitude: 31.5, longitude: 31.0, accuracy: 10, recorded_at: at(2) },
+      { latitude: 30.5, longitude: 31.0, accuracy: 10, recorded_at: at(2) },
+      { latitude: 30.0, longitude: 31.5, accuracy: 500, recorded_at: at(3) },
+      { latitude: 30.02, longitude: 31.0, accuracy: 10, recorded_at: at(4) },
+      { latitude: 30.5, longitude: 31.0, accuracy: 10, recorded_at: at(59) }
+    ];
+
+    const all = measureTrace(points);
+    expect(all.measured_points).toBe(4);
+
+    const windowed = measureTrace(points, { from: at(0), to: at(30) });
+    expect(windowed.measured_points).toBe(3);
+    expect(windowed.distance_km).toBeCloseTo(2.22, 1);
+  });
+});
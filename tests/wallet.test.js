@@ -0,0 +1,117 @@
+// tests/wallet.test.js - Wallet top-ups, promo credit, admin adjustments and wallet payments
+const { Op } = require('sequelize');
+const { setupDatabase, teardownDatabase, createUser, createRestaurant, api, models, orderBody } = require('./helpers');
+
+describe('wallet', () => {
+  let customer, other, admin, menuItem;
+
+  const balanceOf = async (user) => (await api(user).get('/api/wallet')).body.balance;
+  const adjust = (user, amount, description = 'test credit') =>
+    api(admin).post(`/api/wallet/users/${user.id}/adjustments`).send({ amount, description });
+
+  beforeAll(async () => {
+    await setupDatabase();
+    customer = await createUser();
+    other = await createUser();
+    admin = await createUser({ role: 'admin' });
+    ({ menuItem } = await createRestaurant());
+  });
+
+  afterAll(teardownDatabase);
+
+  test('top-ups are credited once, when the payment is authorized', async () => {
+    expect((await api(customer).post('/api/wallet/top-ups').send({ amount: 5, payment_method: 'credit_card' })).body.code).toBe('INVALID_TOP_UP_AMOUNT');
+
+    const topUp = await api(customer).post('/api/wallet/top-ups').send({ amount: 100, payment_method: 'credit_card' });
+    expect(topUp.status).toBe(201);
+    expect(await balanceOf(customer)).toBe(0);
+
+    const url = topUp.body.payment.next_action.url;
+    expect((await api(customer).post(url).send({})).body.status).toBe('topped_up');
+    expect((await api(customer).post(url).send({})).body.status).toBe('ignored');
+    expect(await balanceOf(customer)).toBe(100);
+
+    const declined = await api(customer).post('/api/wallet/top-ups').send({ amount: 50, payment_method: 'credit_card' });
+    await api(customer).post(declined.body.payment.next_action.url).send({ outcome: 'decline' });
+    expect(await balanceOf(customer)).toBe(100);
+  });
+
+  test('wallet credit codes are redeemed once, and never at checkout', async () => {
+    await models.PromoCode.create({ code: 'GIFT20', discount_type: 'wallet_credit', value: 20, applies_to: 'all', max_uses_per_user: 1, is_active: true, created_by: admin.id });
+    const user = await createUser();
+
+    const redeemed = await api(user).post('/api/wallet/promo-codes').send({ code: 'gift20' });
+    expect(redeemed.status).toBe(201);
+    expect(redeemed.body.balance).toBe(20);
+    expect((await api(user).post('/api/wallet/promo-codes').send({ code: 'GIFT20' })).body.code).toBe('PROMO_USER_LIMIT_REACHED');
+
+    const atCheckout = await api(other).post('/api/orders').send(orderBody(menuItem, { promo_code: 'GIFT20' }));
+    expect(atCheckout.body.code).toBe('PROMO_NOT_APPLICABLE');
+  });
+
+  test('admin adjustments need a reason and cannot take the balance below zero', async () => {
+    const user = await createUser();
+    await adjust(user, 30);
+
+    expect((await adjust(user, -500)).body.code).toBe('INSUFFICIENT_WALLET_BALANCE');
+    expect((await api(admin).post(`/api/wallet/users/${user.id}/adjustments`).send({ amount: 10 })).body.code).toBe('DESCRIPTION_REQUIRED');
+    expect((await api(user).post(`/api/wallet/users/${user.id}/adjustments`).send({ amount: 10, description: 'x' })).status).toBe(403);
+
+    expect((await adjust(user, -20, 'correction')).body.balance).toBe(10);
+  });
+
+  test('wallet orders are debited on checkout and credited back on cancel', async () => {
+    const user = await createUser();
+    await adjust(user, 200);
+
+    const created = await api(user).post('/api/orders').send(orderBody(menuItem, { payment_method: 'wallet' }));
+    expect(created.status).toBe(201);
+    expect(created.body.order.payment_status).toBe('authorized');
+    expect(await balanceOf(user)).toBe(Math.round((200 - created.body.order.total) * 100) / 100);
+
+    await api(user).put(`/api/orders/${created.body.order.id}`).send({ status: 'cancelled' });
+    await new Promise(resolve => setTimeout(resolve, 400));
+    expect(await balanceOf(user)).toBe(200);
+  });
+
+  test('concurrent wallet orders never take the balance below zero', async () => {
+    const user = await createUser();
+    await adjust(user, 100);
+
+    const results = await Promise.all([1, 2, 3].map(() => api(user).post('/api/orders').send(orderBody(menuItem, { payment_method: 'wallet' }))));
+
+    expect(results.filter(res => res.status === 201 && res.body.order.payment_status === 'authorized')).toHaveLength(1);
+    expect(await balanceOf(user)).toBeGreaterThanOrEqual(0);
+    expect(await models.WalletTransaction.count({ where: { balance_after: { [Op.lt]: 0 } } })).toBe(0);
+  });
+
+  test('customers cannot pay with another user\'s wallet', async () => {
+    const victim = await createUser();
+    const attacker = await createUser();
+    await adjust(victim, 200);
+
+    const res = await api(attacker).post('/api/orders').send(orderBody(menuItem, { payment_method: 'wallet', user_id: victim.id }));
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('INSUFFICIENT_WALLET_BALANCE');
+    expect(await balanceOf(victim)).toBe(200);
+    expect(await models.Order.count({ where: { user_id: victim.id } })).toBe(0);
+  });
+
+  test('admins may still place a wallet order for a customer', async () => {
+    const user = await createUser();
+    await adjust(user, 200);
+
+    const res = await api(admin).post('/api/orders').send(orderBody(menuItem, { payment_method: 'wallet', user_id: user.id }));
+    expect(res.status).toBe(201);
+    expect(res.body.order.user_id).toBe(user.id);
+    expect(await balanceOf(user)).toBe(Math.round((200 - res.body.order.total) * 100) / 100);
+  });
+
+  test('the ledger is append-only and numbered without gaps', async () => {
+    const sequences = (await models.WalletTransaction.findAll({ where: { user_id: customer.id }, order: [['id', 'ASC']] })).map(entry => entry.sequence);
+    expect(sequences).toEqual(sequences.map((_, index) => index + 1));
+
+    const entry = await models.WalletTransaction.findOne();
+    await expect(entry.update({ amount: 1 })).rejects.toThrow();
+  });
+});